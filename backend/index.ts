@@ -10,20 +10,41 @@ import express, { Application, NextFunction, Request, Response } from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { validatePromptParameters } from './public/js/parameter-validator.js';
 import { mergeParametersWithDefaults } from './public/js/prompt-utils.js';
 import { AuthManager } from './src/auth/AuthManager.js';
 import { AuthService } from './src/auth/AuthService.js';
-import { isServerAuthorized } from './src/auth/authUtils.js';
+import { TokenVault } from './src/auth/TokenVault.js';
+import { isServerAuthorizedForRun } from './src/auth/authUtils.js';
 import { ConfigManager } from './src/config/ConfigManager.js';
 import { AuthMiddleware } from './src/middleware/AuthMiddleware.js';
 import { PromptManager } from './src/prompts/PromptManager.js';
+import { PromptStore } from './src/prompts/PromptStore.js';
+import { ConfigReloader } from './src/providers/ConfigReloader.js';
 import { EmailProvider } from './src/providers/EmailProvider.js';
 import { ExecutionHistoryProvider } from './src/providers/ExecutionHistoryProvider.js';
-import { ClaudeAnthropicSDK } from './src/providers/claude/ClaudeAnthropicSDK.js';
-import { ClaudeCodeSDKService } from './src/providers/claude/ClaudeCodeSDKService.js';
-import { ClaudeCodeService } from './src/providers/claude/ClaudeCodeService.js';
+import {
+  ExecutionRunner,
+  getConcurrencyLimitsFromEnv,
+} from './src/providers/ExecutionRunner.js';
+import { getRunOverrideAllowlistFromEnv } from './src/providers/ModelSettings.js';
+import { NotificationProvider } from './src/providers/NotificationProvider.js';
+import { PromptScheduler } from './src/providers/PromptScheduler.js';
+import { ProviderRegistry } from './src/providers/ProviderRegistry.js';
+import { ToolApprovalManager } from './src/providers/ToolApprovalManager.js';
+import {
+  BudgetExceededError,
+  UsageTracker,
+} from './src/providers/UsageTracker.js';
+import { WorkflowRunner } from './src/providers/WorkflowRunner.js';
+import { WorkspaceManager } from './src/providers/WorkspaceManager.js';
 import { ClaudeServiceProvider } from './src/providers/claude/ClaudeServiceProvider.js';
-import { setupAllWebClientRoutes } from './src/services/index.js';
+import { createExecutionHistoryStore } from './src/providers/history/ExecutionHistoryStore.js';
+import {
+  resumeReadyPrompts,
+  sendBudgetExceeded,
+  setupAllWebClientRoutes,
+} from './src/services/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -39,12 +60,17 @@ class AICodingAgent {
   private authService: AuthService;
   private authMiddleware: AuthMiddleware;
   private promptManager: PromptManager;
-  private claudeService:
-    | ClaudeAnthropicSDK
-    | ClaudeCodeService
-    | ClaudeCodeSDKService;
+  private claudeService: ProviderRegistry;
   private emailService: EmailProvider;
+  private notificationService: NotificationProvider;
   private executionHistoryService: ExecutionHistoryProvider;
+  private executionRunner: ExecutionRunner;
+  private toolApprovals: ToolApprovalManager;
+  private usageTracker: UsageTracker;
+  private workspaceManager: WorkspaceManager;
+  private promptScheduler: PromptScheduler;
+  private configReloader: ConfigReloader;
+  private tokenVault: TokenVault | null;
 
   constructor() {
     this.app = express();
@@ -52,13 +78,54 @@ class AICodingAgent {
 
     // Initialize services
     this.configManager = new ConfigManager();
-    this.authManager = new AuthManager();
-    this.promptManager = new PromptManager();
-    this.executionHistoryService = new ExecutionHistoryProvider();
-    this.claudeService = ClaudeServiceProvider.create(
-      this.executionHistoryService
+    this.tokenVault = TokenVault.fromEnv();
+    this.authManager = new AuthManager(this.tokenVault);
+    this.promptManager = new PromptManager(PromptStore.fromEnv());
+    this.executionHistoryService = new ExecutionHistoryProvider(
+      createExecutionHistoryStore()
+    );
+    this.toolApprovals = new ToolApprovalManager();
+    this.claudeService = ClaudeServiceProvider.createRegistry(
+      this.executionHistoryService,
+      this.toolApprovals
+    );
+    this.promptManager.setProviders(this.claudeService);
+    this.usageTracker = new UsageTracker(this.executionHistoryService);
+    this.workspaceManager = new WorkspaceManager();
+    this.executionRunner = new ExecutionRunner(
+      this.claudeService,
+      this.executionHistoryService,
+      this.configManager,
+      this.authManager,
+      getConcurrencyLimitsFromEnv(),
+      this.workspaceManager,
+      this.promptManager,
+      this.usageTracker
+    );
+    this.executionRunner.setWorkflowRunner(
+      new WorkflowRunner(
+        this.promptManager,
+        this.executionRunner,
+        this.executionHistoryService
+      )
     );
     this.emailService = new EmailProvider();
+    this.notificationService = new NotificationProvider();
+    this.notificationService.watchExecutions(this.executionHistoryService);
+    this.promptScheduler = new PromptScheduler(
+      this.promptManager,
+      this.configManager,
+      this.authManager,
+      this.executionRunner,
+      this.executionHistoryService,
+      this.emailService,
+      this.notificationService
+    );
+    this.configReloader = new ConfigReloader(
+      this.promptManager,
+      this.configManager,
+      () => this.promptScheduler.initialize()
+    );
     this.authService = new AuthService(this.emailService);
     this.authMiddleware = new AuthMiddleware(this.authService as any);
   }
@@ -73,10 +140,12 @@ class AICodingAgent {
 
   async initialize(): Promise<void> {
     try {
-      // Validate Claude service configuration
+      // Validate the default provider's configuration
       const serviceValidation =
-        await ClaudeServiceProvider.validateConfiguration();
-      console.log(`🔧 Claude Service: ${serviceValidation.serviceType}`);
+        await this.claudeService.validateConfiguration();
+      console.log(
+        `🔧 Claude Service: ${this.claudeService.getDefaultName()} (${serviceValidation.serviceType})`
+      );
       for (const message of serviceValidation.messages) {
         console.log(`   ${message}`);
       }
@@ -92,7 +161,16 @@ class AICodingAgent {
 
       // Load configurations
       await this.configManager.loadConfigurations();
+      await this.tokenVault?.lock();
+      await this.authManager.loadTokens();
       await this.promptManager.loadPrompts();
+      await this.executionHistoryService.initialize();
+      await this.workspaceManager.initialize();
+      await this.notificationService.initialize();
+      this.promptScheduler.initialize();
+      if (process.env['CONFIG_WATCH'] !== 'false') {
+        this.configReloader.watch();
+      }
 
       // Setup middleware
       this.setupMiddleware();
@@ -114,8 +192,15 @@ class AICodingAgent {
       next();
     });
 
-    // Parse JSON bodies
-    this.app.use(express.json({ limit: '10mb' }));
+    // Parse JSON bodies, keeping the raw body for webhook signature checks
+    this.app.use(
+      express.json({
+        limit: '10mb',
+        verify: (req, _res, buf) => {
+          (req as Request).rawBody = buf;
+        },
+      })
+    );
     this.app.use(express.urlencoded({ extended: true }));
 
     // Serve static files from public directory (for API documentation, health checks, etc.)
@@ -259,9 +344,19 @@ class AICodingAgent {
     this.app.get('/oauth/callback', async (req, res) => {
       try {
         await this.authManager.handleOAuthCallback(req, res);
+
+        // Run any pending prompts that were only waiting for this authorization
+        resumeReadyPrompts({
+          promptManager: this.promptManager,
+          configManager: this.configManager,
+          authManager: this.authManager,
+          executionRunner: this.executionRunner,
+        });
       } catch (error: any) {
         console.error('❌ OAuth callback error:', error);
-        res.status(500).send('OAuth callback failed');
+        if (!res.headersSent) {
+          res.status(500).send('OAuth callback failed');
+        }
       }
     });
 
@@ -285,13 +380,23 @@ class AICodingAgent {
             requestParameters
           );
 
+          const validationErrors = validatePromptParameters(prompt, parameters);
+          if (validationErrors.length > 0) {
+            return res.status(400).json({
+              error: 'Bad Request',
+              message: 'Invalid prompt parameters',
+              details: { fields: validationErrors },
+              timestamp: new Date().toISOString(),
+            });
+          }
+
           // Check if all required MCP servers are authorized
           const unauthorizedServers: string[] = [];
           for (const mcpServerName of prompt.mcp_servers) {
             const mcpServer = this.configManager.getMcpServer(mcpServerName);
 
             // Use the new authUtils function that includes custom credential validation
-            const isAuthorized = isServerAuthorized(
+            const isAuthorized = await isServerAuthorizedForRun(
               mcpServerName,
               mcpServer,
               this.authManager
@@ -303,7 +408,17 @@ class AICodingAgent {
 
           if (unauthorizedServers.length > 0) {
             // Save prompt for later execution
-            this.promptManager.savePendingPrompt(promptName, parameters);
+            this.promptManager.savePendingPrompt(
+              promptName,
+              parameters,
+              (req as any).user?.email || 'unknown',
+              unauthorizedServers
+            );
+            this.notificationService.notifyAuthorizationNeeded(
+              promptName,
+              unauthorizedServers,
+              (req as any).user?.email || 'unknown'
+            );
 
             // Send email notification
             await this.emailService.sendAuthorizationNeededEmail(
@@ -319,17 +434,18 @@ class AICodingAgent {
             });
           }
 
-          // Execute the prompt
+          // Execute the prompt in the background and stream it to this client
           const userEmail = (req as any).user?.email || 'unknown';
-          await this.claudeService.executePromptStream(
+          const executionId = this.executionRunner.start(
             prompt,
             parameters,
-            this.configManager,
-            this.authManager,
-            res,
             userEmail
           );
+          this.executionRunner.attach(executionId, res);
         } catch (error: any) {
+          if (error instanceof BudgetExceededError) {
+            return sendBudgetExceeded(res, error);
+          }
           console.error('❌ Prompt execution error:', error);
           if (!res.headersSent) {
             res.status(500).json({ error: error.message });
@@ -356,6 +472,7 @@ class AICodingAgent {
             '/system/health': 'System health check',
             '/system/status': 'System status and configuration',
             '/system/config': 'System configuration',
+            '/system/reload': 'POST - Reload prompts and MCP servers',
           },
           authentication: {
             '/auth/request-login': 'POST - Request magic link login',
@@ -363,9 +480,15 @@ class AICodingAgent {
             '/auth/logout': 'POST - Logout user',
           },
           prompts: {
-            '/prompts': 'GET - List all prompts',
-            '/prompts/:name': 'GET - Get specific prompt',
+            '/prompts': 'GET - List all prompts, POST - Create a prompt',
+            '/prompts/:name':
+              'GET - Get specific prompt, PUT - Update it, DELETE - Delete it',
             '/prompt/:name/run': 'POST - Execute a prompt',
+            '/prompts/:name/versions': 'GET - List the versions of a prompt',
+            '/prompts/:name/versions/diff':
+              'GET - Compare two versions (?from=&to=)',
+            '/prompts/:name/versions/:version/restore':
+              'POST - Restore a version',
           },
           connections: {
             '/connections': 'GET - List all connections',
@@ -376,6 +499,24 @@ class AICodingAgent {
           execution: {
             '/executions': 'GET - Get execution history',
             '/prompts/:name/activity': 'GET - Get prompt activity',
+            '/executions/:id/messages':
+              'POST - Continue the conversation of a finished execution',
+            '/executions/:id/approvals':
+              'GET - List tool calls waiting for approval',
+            '/executions/:id/approvals/:toolUseId':
+              'POST - Approve or deny a tool call',
+          },
+          usage: {
+            '/usage':
+              'GET - Token usage and cost by prompt, user and day (?from=&to=)',
+          },
+          schedules: {
+            '/schedules': 'GET - List scheduled prompts',
+            '/schedules/:name/pause': 'POST - Pause a schedule',
+            '/schedules/:name/resume': 'POST - Resume a schedule',
+          },
+          hooks: {
+            '/hooks/:name': 'POST - Run a prompt from a signed webhook',
           },
         },
       });
@@ -391,7 +532,15 @@ class AICodingAgent {
       authManager: this.authManager,
       executionHistoryService: this.executionHistoryService,
       claudeService: this.claudeService,
+      executionRunner: this.executionRunner,
+      toolApprovals: this.toolApprovals,
+      usageTracker: this.usageTracker,
+      runOverrides: getRunOverrideAllowlistFromEnv(),
+      workspaceManager: this.workspaceManager,
+      promptScheduler: this.promptScheduler,
       emailService: this.emailService,
+      notificationService: this.notificationService,
+      configReloader: this.configReloader,
     };
 
     // Wire up all the web client service routes (GET /api/user, /api/prompts, etc.)
@@ -462,6 +611,23 @@ class AICodingAgent {
         `💡 This backend now serves APIs only - use the Angular frontend for the UI`
       );
     });
+
+    process.once('SIGTERM', () => this.shutdown('SIGTERM'));
+    process.once('SIGINT', () => this.shutdown('SIGINT'));
+  }
+
+  /**
+   * Persist batched execution history before the process exits
+   */
+  async shutdown(signal: string): Promise<void> {
+    console.log(`🛑 Received ${signal}, shutting down`);
+    try {
+      await this.executionHistoryService.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('❌ Failed to flush execution history:', error);
+      process.exit(1);
+    }
   }
 }
 
@@ -6,75 +6,25 @@
 import { mergeParametersWithDefaults, processPrompt, getMissingRequiredParameters, validateParameters } from './prompt-utils.js';
 
 /**
- * Event handlers for streaming execution events
+ * Event handlers for streaming execution events (see execution-events.js)
  * Maps event types to functions that return HTML content and handle UI updates
  */
 const streamEventHandlers = {
-    'content_block_delta': (eventData, outputDiv) => {
-        if (eventData.delta && eventData.delta.text) {
-            outputDiv.innerHTML += eventData.delta.text;
-        }
-    },
-    
-    'status': (eventData, outputDiv) => {
-        outputDiv.innerHTML += `\n📊 Status: ${eventData.message}\n`;
-    },
-    
-    'system_init': (eventData, outputDiv) => {
-        outputDiv.innerHTML += `\n🏗️ System initialized\n`;
-        outputDiv.innerHTML += `   Working directory: ${eventData.cwd}\n`;
-        outputDiv.innerHTML += `   Model: ${eventData.model}\n`;
-        outputDiv.innerHTML += `   Available tools: ${eventData.tools ? eventData.tools.join(', ') : 'N/A'}\n`;
-    },
-    
-    'user_message': (eventData, outputDiv) => {
-        let message;
-        
-        // Handle the nested structure: eventData.message.content
-        if (eventData.message && eventData.message.content) {
-            if (Array.isArray(eventData.message.content)) {
-                // Handle array of tool results
-                const toolResults = eventData.message.content.map(item => {
-                    if (item.type === 'tool_result') {
-                        return `🔧 Tool Result (${item.tool_use_id}): ${item.content}`;
-                    }
-                    return JSON.stringify(item, null, 2);
-                }).join('\n   ');
-                message = toolResults;
-            } else {
-                message = eventData.message.content;
-            }
-        } else if (typeof eventData.message === 'object') {
-            // Handle other object structures
-            if (eventData.message === null) {
-                message = 'null';
-            } else if (Array.isArray(eventData.message)) {
-                message = `Array(${eventData.message.length}): ${JSON.stringify(eventData.message, null, 2)}`;
-            } else if (eventData.message.toString && eventData.message.toString() !== '[object Object]') {
-                message = eventData.message.toString();
-            } else {
-                message = JSON.stringify(eventData.message, null, 2);
-            }
-        } else {
-            message = eventData.message;
-        }
-        
-        outputDiv.innerHTML += `\n👤 User: ${message}\n`;
+    'text_delta': (eventData, outputDiv) => {
+        outputDiv.innerHTML += eventData.text;
     },
     
-    'message_start': (eventData, outputDiv) => {
-        outputDiv.innerHTML += `\n🤖 Claude: `;
+    'thinking': (eventData, outputDiv) => {
+        outputDiv.innerHTML += `\n💭 ${eventData.text}\n`;
     },
     
-    'content_block_start': (eventData, outputDiv) => {
-        // Content block starting - typically no visual output needed
-        if (eventData.content_block && eventData.content_block.type === 'text') {
-            // Text content starting
-        }
+    'status': (eventData, outputDiv) => {
+        outputDiv.innerHTML += `\n📊 Status: ${eventData.message}\n`;
     },
     
-    'mcp_tool_use': (eventData, outputDiv) => {
-        outputDiv.innerHTML += `\n\n🔧 Using tool: ${eventData.name}\n`;
+    'tool_use': (eventData, outputDiv) => {
+        const server = eventData.serverName ? ` (${eventData.serverName})` : '';
+        outputDiv.innerHTML += `\n\n🔧 Using tool: ${eventData.name}${server}\n`;
         if (eventData.input) {
             // Special formatting for TodoWrite tool with todos array
             if (eventData.name === 'TodoWrite' && eventData.input.todos && Array.isArray(eventData.input.todos)) {
@@ -101,46 +51,46 @@ const streamEventHandlers = {
         }
     },
     
-    'result_success': (eventData, outputDiv, { stopButton, runButton, originalButtonText }) => {
-        outputDiv.innerHTML += `\n✅ Execution completed successfully!\n`;
-        outputDiv.innerHTML += `   Duration: ${eventData.duration}ms\n`;
-        outputDiv.innerHTML += `   Cost: $${eventData.cost}\n`;
-        outputDiv.innerHTML += `   Turns: ${eventData.turns}\n`;
-        stopButton.style.display = 'none';
-        runButton.innerHTML = originalButtonText;
-        runButton.disabled = false;
-        showMessage('Prompt execution completed!', 'success');
-        return { shouldReturn: true };
+    'tool_result': (eventData, outputDiv) => {
+        const content = typeof eventData.content === 'string'
+            ? eventData.content
+            : JSON.stringify(eventData.content, null, 2);
+        const label = eventData.isError ? '❌ Tool error' : '🔧 Tool result';
+        outputDiv.innerHTML += `\n${label}: ${(content || '').substring(0, 500)}\n`;
+    },
+    
+    'usage': (eventData, outputDiv) => {
+        const cost = eventData.costUsd !== null ? `, $${eventData.costUsd.toFixed(4)}` : '';
+        outputDiv.innerHTML += `\n📈 Tokens: ${eventData.inputTokens} in, ${eventData.outputTokens} out${cost}\n`;
     },
     
-    'result_error': (eventData, outputDiv, { stopButton, runButton, originalButtonText }) => {
-        outputDiv.innerHTML += `\n❌ Execution failed: ${eventData.error}\n`;
-        outputDiv.innerHTML += `   Duration: ${eventData.duration}ms\n`;
+    'complete': (eventData, outputDiv, { stopButton, runButton, originalButtonText }) => {
+        outputDiv.innerHTML += '\n🎉 All done!\n';
         stopButton.style.display = 'none';
         runButton.innerHTML = originalButtonText;
         runButton.disabled = false;
-        showMessage('Prompt execution failed!', 'error');
+        showMessage('Prompt execution completed!', 'success');
         return { shouldReturn: true };
     },
     
-    'complete': (eventData, outputDiv, { stopButton, runButton, originalButtonText }) => {
-        if (eventData.message === 'Claude Code SDK execution completed') {
-            outputDiv.innerHTML += '\n🎉 All done!\n';
+    'error': (eventData, outputDiv, { stopButton, runButton, originalButtonText }) => {
+        const errorMsg = eventData.error || eventData.message || 'Unknown error';
+        outputDiv.innerHTML += `\n❌ Error: ${errorMsg}\n`;
+        if (stopButton) {
             stopButton.style.display = 'none';
             runButton.innerHTML = originalButtonText;
             runButton.disabled = false;
-            showMessage('Prompt execution completed!', 'success');
-            return { shouldReturn: true };
+            showMessage('Prompt execution failed!', 'error');
         }
+        return { shouldReturn: true };
     },
     
-    'error': (eventData, outputDiv) => {
-        const errorMsg = eventData.error || eventData.message || 'Unknown error';
-        outputDiv.innerHTML += `\n❌ Error: ${errorMsg}\n`;
-    },
-    
-    'unknown': (eventData, outputDiv) => {
-        outputDiv.innerHTML += `\n🔍 Debug: ${eventData.type} - ${JSON.stringify(eventData).substring(0, 200)}...\n`;
+    'cancelled': (eventData, outputDiv, { stopButton, runButton, originalButtonText }) => {
+        outputDiv.innerHTML += `\n🛑 ${eventData.message}\n`;
+        stopButton.style.display = 'none';
+        runButton.innerHTML = originalButtonText;
+        runButton.disabled = false;
+        return { shouldReturn: true };
     }
 };
 
@@ -155,18 +105,10 @@ const streamEventHandlers = {
 function processStreamEvent(eventType, eventData, outputDiv, context = {}) {
     let result;
     
-    // Handle specific event conditions first
-    if (eventType === 'error' || eventData.error) {
-        result = streamEventHandlers.error(eventData, outputDiv, context);
-    }
     // Use specific handler if available
-    else if (streamEventHandlers[eventType]) {
+    if (streamEventHandlers[eventType]) {
         result = streamEventHandlers[eventType](eventData, outputDiv, context);
     }
-    // Handle ignored events
-    else if (['content_block_stop', 'message_stop'].includes(eventType)) {
-        return;
-    }
     // Default: show debug info for unknown events
     else {
         outputDiv.innerHTML += `\n🔍 ${eventType}: ${JSON.stringify(eventData).substring(0, 100)}...\n`;
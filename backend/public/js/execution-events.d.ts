@@ -0,0 +1,112 @@
+export declare const EXECUTION_EVENT_VERSION: 1;
+
+export type ExecutionEventType =
+  | 'status'
+  | 'text_delta'
+  | 'thinking'
+  | 'tool_use'
+  | 'tool_result'
+  | 'usage'
+  | 'complete'
+  | 'error'
+  | 'cancelled'
+  | 'approval_required'
+  | 'approval_resolved'
+  | 'workflow_step_start'
+  | 'workflow_step_complete';
+
+export declare const EXECUTION_EVENT_TYPES: ExecutionEventType[];
+
+export declare const FINAL_EXECUTION_EVENT_TYPES: ExecutionEventType[];
+
+export interface ExecutionEventPayloads {
+  status: {
+    message: string;
+    executionId?: string | null;
+    /** Position in the queue while the execution waits for a free slot */
+    queuePosition?: number;
+    /** Claude Code session, once it has started */
+    sessionId?: string;
+    /** Model that answers, once it is known */
+    model?: string;
+  };
+  text_delta: { text: string };
+  thinking: { text: string };
+  tool_use: {
+    id: string | null;
+    name: string;
+    input: unknown;
+    /** MCP server of the tool, when the service reports it */
+    serverName?: string;
+  };
+  tool_result: {
+    toolUseId: string | null;
+    content: unknown;
+    isError: boolean;
+  };
+  usage: {
+    inputTokens: number;
+    outputTokens: number;
+    cacheCreationInputTokens: number;
+    cacheReadInputTokens: number;
+    costUsd: number | null;
+    numTurns: number | null;
+  };
+  complete: {
+    message: string;
+    executionId?: string | null;
+    /** Final answer of the execution, when the service reports one */
+    result?: string;
+  };
+  error: { error: string; executionId?: string | null };
+  cancelled: { message: string; executionId?: string | null };
+  approval_required: {
+    executionId: string;
+    toolUseId: string;
+    toolName: string;
+    input: unknown;
+    /** Pattern of the prompt's tool_approval policy the tool matched */
+    rule: string;
+  };
+  approval_resolved: {
+    executionId: string;
+    toolUseId: string;
+    toolName: string;
+    approved: boolean;
+    /** Email of the deciding user, 'timeout' or 'cancelled' */
+    decidedBy: string;
+    message?: string;
+  };
+  workflow_step_start: {
+    executionId: string;
+    stepId: string;
+    prompt: string;
+  };
+  workflow_step_complete: {
+    executionId: string;
+    stepId: string;
+    prompt: string;
+    /** Execution that ran the step, null when it could not start */
+    stepExecutionId: string | null;
+    status: 'completed' | 'error' | 'cancelled';
+    output: string | null;
+    error: string | null;
+  };
+}
+
+/**
+ * An event of the execution stream, as parsed from its `event` and `data` lines
+ */
+export type ExecutionStreamEvent<
+  T extends ExecutionEventType = ExecutionEventType,
+> = {
+  [K in T]: {
+    event: K;
+    data: ExecutionEventPayloads[K] & { version: number };
+  };
+}[T];
+
+export function formatExecutionEvent<T extends ExecutionEventType>(
+  type: T,
+  data?: ExecutionEventPayloads[T]
+): string;
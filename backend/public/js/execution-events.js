@@ -0,0 +1,46 @@
+/**
+ * Execution event protocol
+ * Shared by the backend and the browser clients (available to Angular as @shared/execution-events)
+ *
+ * Every Claude service streams an execution as the same Server-Sent Events:
+ *
+ *   event: text_delta
+ *   data: {"version":1,"text":"Hello"}
+ *
+ * Each event's data carries the protocol version, which changes whenever an
+ * existing event changes shape. The payload of every event type is described
+ * in execution-events.d.ts and in specifications/ui-apis.md.
+ */
+
+export const EXECUTION_EVENT_VERSION = 1;
+
+export const EXECUTION_EVENT_TYPES = [
+  'status', // Progress of the execution: queued, started, session details
+  'text_delta', // Text Claude wrote
+  'thinking', // Reasoning Claude wrote before answering
+  'tool_use', // Claude called a tool
+  'tool_result', // What a tool call returned
+  'usage', // Tokens and cost of the execution
+  'complete', // The execution finished; the stream ends
+  'error', // The execution failed; the stream ends
+  'cancelled', // The execution was cancelled; the stream ends
+  'approval_required', // A tool call waits for approval
+  'approval_resolved', // A tool call was approved or denied
+  'workflow_step_start', // A workflow started a step
+  'workflow_step_complete' // A workflow step finished
+];
+
+/**
+ * Event types after which an execution's stream ends
+ */
+export const FINAL_EXECUTION_EVENT_TYPES = ['complete', 'error', 'cancelled'];
+
+/**
+ * Format an execution event as a Server-Sent Event
+ * @param {string} type - One of EXECUTION_EVENT_TYPES
+ * @param {Object} [data] - Payload of the event
+ * @returns {string} The event, ready to be written to the stream
+ */
+export function formatExecutionEvent(type, data = {}) {
+  return `event: ${type}\ndata: ${JSON.stringify({ version: EXECUTION_EVENT_VERSION, ...data })}\n\n`;
+}
@@ -0,0 +1,31 @@
+export interface ParameterValidationError {
+  /** Path of the failing value, e.g. "labels[1]" or "issue.key" */
+  field: string;
+  message: string;
+  /** JSON Schema keyword that failed, e.g. "enum" or "required" */
+  keyword: string;
+}
+
+export function validateAgainstSchema(
+  schema: Record<string, any>,
+  value: unknown,
+  field?: string
+): ParameterValidationError[];
+
+export interface PromptWithParameters {
+  messages?: Array<{ parameters?: Record<string, any>; [key: string]: any }>;
+  /** Parameter schema of a workflow, only used when `steps` is set */
+  parameters?: Record<string, any>;
+  steps?: unknown[];
+}
+
+export function getParameterSchemas(
+  prompt: PromptWithParameters
+): Record<string, any>[];
+
+export function validatePromptParameters(
+  prompt: PromptWithParameters,
+  parameters?: Record<string, any>
+): ParameterValidationError[];
+
+export function formatValidationError(error: ParameterValidationError): string;
@@ -0,0 +1,223 @@
+/**
+ * JSON Schema validation for prompt parameters
+ * Shared by the backend and the Angular client (imported there as @shared/parameter-validator)
+ *
+ * Supports the subset of JSON Schema used by prompt parameter definitions:
+ * type, enum, const, minLength, maxLength, pattern, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, items, minItems, maxItems,
+ * uniqueItems, properties, required and additionalProperties.
+ */
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema to validate against
+ * @param {*} value - Value to validate
+ * @param {string} [field] - Path of the value, used in error entries
+ * @returns {Array<{field: string, message: string, keyword: string}>} Validation errors
+ */
+export function validateAgainstSchema(schema, value, field = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const fail = (keyword, message) => errors.push({ field, message, keyword });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matchedType = types.find(type => matchesType(type, value));
+    if (matchedType === undefined) {
+      fail('type', `must be ${types.map(withArticle).join(' or ')}`);
+      return errors;
+    }
+    // Numbers and booleans typed into forms arrive as strings
+    value = coerce(matchedType, value);
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(option => isEqual(option, value))) {
+    fail('enum', `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be greater than or equal to ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be less than or equal to ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => isEqual(other, item)) !== index)) {
+      fail('uniqueItems', 'must not contain duplicate items');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(schema.items, item, `${field}[${index}]`));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinField(field, name), message: 'is required', keyword: 'required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue;
+      }
+      if (properties[name]) {
+        errors.push(...validateAgainstSchema(properties[name], propertyValue, joinField(field, name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: joinField(field, name), message: 'is not an allowed property', keyword: 'additionalProperties' });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateAgainstSchema(schema.additionalProperties, propertyValue, joinField(field, name)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the parameter schemas of a prompt: one per message that declares
+ * `parameters`, and the top-level `parameters` of a workflow
+ * @param {Object} prompt - Prompt or workflow
+ * @returns {Object[]} JSON Schemas of the prompt parameters
+ */
+export function getParameterSchemas(prompt) {
+  const schemas = (prompt.messages || []).map(message => message.parameters);
+  if (prompt.steps) {
+    schemas.push(prompt.parameters);
+  }
+  return schemas.filter(Boolean);
+}
+
+/**
+ * Validate parameters against every parameter schema of a prompt (see getParameterSchemas).
+ * Empty strings do not satisfy a required parameter.
+ * @param {Object} prompt - Prompt with messages, or workflow
+ * @param {Object} parameters - Parameters the prompt is run with (after defaults are merged)
+ * @returns {Array<{field: string, message: string, keyword: string}>} Validation errors, one per field and problem
+ */
+export function validatePromptParameters(prompt, parameters = {}) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const parameterSchema of getParameterSchemas(prompt)) {
+    const schema = { type: 'object', ...parameterSchema };
+    const values = Object.fromEntries(
+      Object.entries(parameters).filter(([name, value]) => !(value === '' && (schema.required || []).includes(name)))
+    );
+
+    for (const error of validateAgainstSchema(schema, values)) {
+      const key = `${error.field}\u0000${error.message}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        errors.push(error);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Format a validation error as a single sentence, e.g. "Parameter 'count' must be a number"
+ */
+export function formatValidationError(error) {
+  return error.field ? `Parameter '${error.field}' ${error.message}` : `Parameters ${error.message}`;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return toNumber(value) !== null;
+    case 'integer':
+      return toNumber(value) !== null && Number.isInteger(toNumber(value));
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function coerce(type, value) {
+  if ((type === 'number' || type === 'integer') && typeof value === 'string') {
+    return toNumber(value);
+  }
+  if (type === 'boolean' && typeof value === 'string') {
+    return value === 'true';
+  }
+  return value;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return null;
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function joinField(field, name) {
+  return field ? `${field}.${name}` : name;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
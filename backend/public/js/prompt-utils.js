@@ -3,16 +3,19 @@
  * Used by both frontend and backend
  */
 
+import { formatValidationError, getParameterSchemas, validatePromptParameters } from './parameter-validator.js';
+import { renderTemplate } from './template-engine.js';
+
 /**
  * Merge request parameters with default values from prompt schema
  */
 export function mergeParametersWithDefaults(prompt, requestParameters = {}) {
   const mergedParameters = { ...requestParameters };
   
-  // Extract all parameter schemas from all messages
-  prompt.messages.forEach(message => {
-    if (message.parameters && message.parameters.properties) {
-      Object.entries(message.parameters.properties).forEach(([paramName, paramSchema]) => {
+  // Extract all parameter schemas from all messages (or the workflow)
+  getParameterSchemas(prompt).forEach(schema => {
+    if (schema.properties) {
+      Object.entries(schema.properties).forEach(([paramName, paramSchema]) => {
         // If parameter not provided in request but has a default value, use the default
         if (mergedParameters[paramName] === undefined && paramSchema.default !== undefined) {
           mergedParameters[paramName] = paramSchema.default;
@@ -24,20 +27,30 @@ export function mergeParametersWithDefaults(prompt, requestParameters = {}) {
   return mergedParameters;
 }
 
+/**
+ * Whether a prompt is a workflow, which chains other prompts in `steps`
+ * instead of sending `messages`
+ */
+export function isWorkflow(prompt) {
+  return Array.isArray(prompt.steps);
+}
+
 /**
  * Process prompt messages for parameter substitution
+ * Message content is rendered as a template, see template-engine.js
  */
 export function processPrompt(prompt, parameters) {
+  // Workflow steps are rendered when they run, with the outputs of earlier steps
+  if (isWorkflow(prompt)) {
+    return prompt;
+  }
+
   const processedMessages = prompt.messages.map(message => {
     console.log('Processing message:', message.role, message.content, parameters);
-      // Substitute parameters in content
-    let content = message.content;
-    
-    // Simple parameter substitution
-    for (const [key, value] of Object.entries(parameters)) {
-      const regex = new RegExp(`\\{\\{${key}\\}\\}`, 'g');
-      content = content.replace(regex, String(value));
-    }
+    // Substitute parameters in content
+    const content = typeof message.content === 'string'
+      ? renderTemplate(message.content, parameters)
+      : message.content;
     
     return {
       role: message.role,
@@ -56,9 +69,9 @@ export function processPrompt(prompt, parameters) {
 export function getMissingRequiredParameters(prompt, parameters = {}) {
   const missing = [];
   
-  prompt.messages.forEach(message => {
-    if (message.parameters && message.parameters.required) {
-      message.parameters.required.forEach(paramName => {
+  getParameterSchemas(prompt).forEach(schema => {
+    if (schema.required) {
+      schema.required.forEach(paramName => {
         if (parameters[paramName] === undefined || parameters[paramName] === '') {
           missing.push(paramName);
         }
@@ -71,32 +84,8 @@ export function getMissingRequiredParameters(prompt, parameters = {}) {
 
 /**
  * Validate parameters against prompt schema
+ * @returns {string[]} Error messages; use validatePromptParameters for structured errors
  */
 export function validateParameters(prompt, parameters = {}) {
-  const errors = [];
-  
-  prompt.messages.forEach((message, messageIndex) => {
-    if (message.parameters && message.parameters.properties) {
-      Object.entries(parameters).forEach(([paramName, paramValue]) => {
-        const paramSchema = message.parameters.properties[paramName];
-        
-        if (paramSchema) {
-          // Type validation
-          if (paramSchema.type === 'number' && typeof paramValue !== 'number') {
-            if (isNaN(Number(paramValue))) {
-              errors.push(`Parameter '${paramName}' must be a number`);
-            }
-          } else if (paramSchema.type === 'boolean' && typeof paramValue !== 'boolean') {
-            if (paramValue !== 'true' && paramValue !== 'false') {
-              errors.push(`Parameter '${paramName}' must be a boolean`);
-            }
-          } else if (paramSchema.type === 'string' && typeof paramValue !== 'string') {
-            errors.push(`Parameter '${paramName}' must be a string`);
-          }
-        }
-      });
-    }
-  });
-  
-  return errors;
+  return validatePromptParameters(prompt, parameters).map(formatValidationError);
 }
@@ -0,0 +1,14 @@
+export class TemplateError extends Error {
+  /** 1-based line of the offending tag */
+  line: number;
+  constructor(message: string, line: number);
+}
+
+export function renderTemplate(
+  source: string,
+  parameters?: Record<string, any>
+): string;
+
+export function getTemplateVariables(source: string): string[];
+
+export function parseTemplate(source: string): Array<Record<string, any>>;
@@ -0,0 +1,286 @@
+/**
+ * Template engine for prompt message content
+ * Shared by the backend and the browser clients (available to Angular as @shared/template-engine)
+ *
+ * Syntax:
+ *   {{ repo.owner }}                     Value at a dotted path (array items by index, e.g. commits.0.id)
+ *   {{ labels | json }}                  Filters: json, upper, lower, default:"fallback"
+ *   {{#if draft}} ... {{else}} ... {{/if}}
+ *   {{#each files as file}} {{@index}}: {{file.path}} {{else}} none {{/each}}
+ *   \{{                                  A literal "{{"
+ *
+ * Templates are sandboxed: they can only read the own properties of the
+ * parameters they are rendered with and never evaluate code.
+ */
+
+const PATH_PATTERN = /^(?:@index|this(?:\.[\w$-]+)*|[A-Za-z_$][\w$-]*(?:\.[\w$-]+)*)$/;
+const FILTER_PATTERN = /^\s*\|\s*(\w+)(?:\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|-?\d+(?:\.\d+)?|true|false|null))?/;
+
+const FILTERS = {
+  json: value => (value === undefined ? '' : JSON.stringify(value)),
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  default: (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value)
+};
+
+/**
+ * Error thrown for templates that cannot be parsed
+ */
+export class TemplateError extends Error {
+  /**
+   * @param {string} message - What is wrong with the template
+   * @param {number} line - 1-based line of the offending tag
+   */
+  constructor(message, line) {
+    super(`${message} (line ${line})`);
+    this.name = 'TemplateError';
+    this.line = line;
+  }
+}
+
+/**
+ * Render a template with the given parameters
+ * @param {string} source - Template source
+ * @param {Object} parameters - Values available to the template
+ * @returns {string} Rendered text
+ * @throws {TemplateError} If the template cannot be parsed
+ */
+export function renderTemplate(source, parameters = {}) {
+  return renderNodes(parseTemplate(source), { parameters, locals: [] });
+}
+
+/**
+ * Get the names of the parameters a template reads, without loop variables
+ * @param {string} source - Template source
+ * @returns {string[]} Parameter names in order of first use
+ * @throws {TemplateError} If the template cannot be parsed
+ */
+export function getTemplateVariables(source) {
+  const variables = new Set();
+  collectVariables(parseTemplate(source), [], variables);
+  return [...variables];
+}
+
+/**
+ * Parse a template into a tree of text, output, if and each nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Template nodes
+ * @throws {TemplateError} If the template cannot be parsed
+ */
+export function parseTemplate(source) {
+  const nodes = [];
+  // Open blocks, each with the node list it was opened in
+  const stack = [];
+  let current = nodes;
+
+  const open = node => {
+    current.push(node);
+    stack.push({ node, parent: current });
+    current = node.body;
+  };
+
+  for (const token of tokenize(source)) {
+    if (token.type === 'text') {
+      current.push(token);
+      continue;
+    }
+
+    const { tag, line } = token;
+    const block = stack[stack.length - 1];
+
+    if (tag.startsWith('#if ')) {
+      open({ type: 'if', test: parseExpression(tag.slice(4), line), body: [], otherwise: [], line });
+    } else if (tag.startsWith('#each ')) {
+      const match = tag.slice(6).trim().match(/^(\S+)(?:\s+as\s+([A-Za-z_$][\w$]*))?$/);
+      if (!match) {
+        throw new TemplateError(`Invalid each block "{{${tag}}}"`, line);
+      }
+      open({ type: 'each', source: parseExpression(match[1], line), alias: match[2] || null, body: [], otherwise: [], line });
+    } else if (tag === 'else') {
+      if (!block || current === block.node.otherwise) {
+        throw new TemplateError('Unexpected {{else}}', line);
+      }
+      current = block.node.otherwise;
+    } else if (tag === '/if' || tag === '/each') {
+      if (!block || block.node.type !== tag.slice(1)) {
+        throw new TemplateError(`Unexpected {{${tag}}}`, line);
+      }
+      stack.pop();
+      current = block.parent;
+    } else if (tag.startsWith('#') || tag.startsWith('/')) {
+      throw new TemplateError(`Unknown block "{{${tag}}}"`, line);
+    } else {
+      current.push({ type: 'output', expression: parseExpression(tag, line), line });
+    }
+  }
+
+  if (stack.length > 0) {
+    const { node } = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed {{#${node.type}}}`, node.line);
+  }
+
+  return nodes;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let text = '';
+  let index = 0;
+
+  while (index < source.length) {
+    if (source.startsWith('\\{{', index)) {
+      text += '{{';
+      index += 3;
+    } else if (source.startsWith('{{', index) && source.includes('}}', index + 2)) {
+      // A {{ that is never closed is plain text, e.g. code in a prompt
+      const end = source.indexOf('}}', index + 2);
+      if (text) {
+        tokens.push({ type: 'text', value: text });
+        text = '';
+      }
+      tokens.push({ type: 'tag', tag: source.slice(index + 2, end).trim(), line: lineAt(source, index) });
+      index = end + 2;
+    } else {
+      text += source[index];
+      index++;
+    }
+  }
+
+  if (text) {
+    tokens.push({ type: 'text', value: text });
+  }
+  return tokens;
+}
+
+function parseExpression(expression, line) {
+  const path = expression.trim().match(/^[^\s|]*/)[0];
+  if (!PATH_PATTERN.test(path)) {
+    throw new TemplateError(`Invalid expression "{{${expression.trim()}}}"`, line);
+  }
+
+  const filters = [];
+  let rest = expression.trim().slice(path.length);
+  while (rest.trim()) {
+    const match = rest.match(FILTER_PATTERN);
+    if (!match) {
+      throw new TemplateError(`Invalid filter in "{{${expression.trim()}}}"`, line);
+    }
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, match[1])) {
+      throw new TemplateError(`Unknown filter "${match[1]}"`, line);
+    }
+    filters.push({ name: match[1], argument: match[2] === undefined ? undefined : parseArgument(match[2]) });
+    rest = rest.slice(match[0].length);
+  }
+
+  return { path: path.split('.'), filters };
+}
+
+function parseArgument(argument) {
+  if (argument.startsWith("'")) {
+    return argument.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return JSON.parse(argument);
+}
+
+function renderNodes(nodes, scope) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'output':
+        output += toText(evaluate(node.expression, scope));
+        break;
+      case 'if':
+        output += renderNodes(isTruthy(evaluate(node.test, scope)) ? node.body : node.otherwise, scope);
+        break;
+      case 'each': {
+        const items = evaluate(node.source, scope);
+        if (!Array.isArray(items) || items.length === 0) {
+          output += renderNodes(node.otherwise, scope);
+          break;
+        }
+        items.forEach((item, index) => {
+          const local = { name: node.alias, value: item, index };
+          output += renderNodes(node.body, { ...scope, locals: [...scope.locals, local] });
+        });
+        break;
+      }
+    }
+  }
+
+  return output;
+}
+
+function evaluate(expression, scope) {
+  const [head, ...rest] = expression.path;
+  const innermost = scope.locals[scope.locals.length - 1];
+  let value;
+
+  if (head === '@index') {
+    value = innermost ? innermost.index : undefined;
+  } else if (head === 'this') {
+    value = innermost ? innermost.value : scope.parameters;
+  } else {
+    const local = [...scope.locals].reverse().find(candidate => candidate.name === head);
+    value = local ? local.value : lookup(scope.parameters, head);
+  }
+
+  for (const segment of rest) {
+    value = lookup(value, segment);
+  }
+
+  return expression.filters.reduce((result, filter) => FILTERS[filter.name](result, filter.argument), value);
+}
+
+// Only own properties are visible, so templates cannot reach prototypes or functions
+function lookup(target, key) {
+  if (target === null || target === undefined || typeof target !== 'object') {
+    return undefined;
+  }
+  if (!Object.prototype.hasOwnProperty.call(target, key)) {
+    return undefined;
+  }
+  const value = target[key];
+  return typeof value === 'function' ? undefined : value;
+}
+
+function collectVariables(nodes, locals, variables) {
+  const add = expression => {
+    const [head] = expression.path;
+    if (head !== 'this' && head !== '@index' && !locals.includes(head)) {
+      variables.add(head);
+    }
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'output') {
+      add(node.expression);
+    } else if (node.type === 'if') {
+      add(node.test);
+      collectVariables(node.body, locals, variables);
+      collectVariables(node.otherwise, locals, variables);
+    } else if (node.type === 'each') {
+      add(node.source);
+      collectVariables(node.body, node.alias ? [...locals, node.alias] : locals, variables);
+      collectVariables(node.otherwise, locals, variables);
+    }
+  }
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function toText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
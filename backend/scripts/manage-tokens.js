@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Utility script to manage MCP OAuth tokens stored in the encrypted token vault
+ *
+ * Usage:
+ *   npm run tokens -- list
+ *   npm run tokens -- revoke <service>
+ *   npm run tokens -- rotate <service>
+ *   TOKEN_VAULT_NEW_SECRET=... npm run tokens -- rekey
+ */
+import dotenv from 'dotenv';
+
+import { AuthManager } from '../src/auth/AuthManager.js';
+import { TokenVault } from '../src/auth/TokenVault.js';
+
+dotenv.config();
+
+function printUsage() {
+  console.log(`Usage: manage-tokens <command> [service]
+
+Commands:
+  list               List services with stored tokens
+  revoke <service>   Revoke and remove the tokens for a service
+  rotate <service>   Exchange the refresh token for a new token set
+  rekey              Re-encrypt the vault with TOKEN_VAULT_NEW_SECRET
+`);
+}
+
+async function listTokens(authManager) {
+  const tokens = authManager.listTokens();
+
+  if (tokens.length === 0) {
+    console.log('📭 No tokens stored in the token vault');
+    return;
+  }
+
+  console.log(`🔐 ${tokens.length} service(s) in the token vault:\n`);
+  for (const entry of tokens) {
+    const status = entry.needsReauthorization
+      ? '❌ needs reauthorization'
+      : entry.isExpired
+        ? '⚠️  expired'
+        : '✅ valid';
+    console.log(`${entry.serviceName}`);
+    console.log(`   Status:        ${status}`);
+    console.log(`   Expires at:    ${entry.expiresAt || 'never'}`);
+    console.log(`   Refreshable:   ${entry.canRefresh ? 'yes' : 'no'}`);
+    console.log(`   Scope:         ${entry.scope || '-'}`);
+  }
+}
+
+async function revokeTokens(authManager, serviceName) {
+  const revoked = await authManager.revokeTokens(serviceName);
+  if (!revoked) {
+    throw new Error(`No tokens stored for ${serviceName}`);
+  }
+}
+
+async function rotateTokens(authManager, serviceName) {
+  if (!authManager.getTokens(serviceName)) {
+    throw new Error(`No tokens stored for ${serviceName}`);
+  }
+  if (!authManager.canRefresh(serviceName)) {
+    throw new Error(
+      `Tokens for ${serviceName} cannot be refreshed - authorize it again from the dashboard`
+    );
+  }
+
+  const tokens = await authManager.refreshTokens(serviceName);
+  await authManager.persistTokens();
+
+  const expiresAt = tokens.expires_at
+    ? new Date(tokens.expires_at).toISOString()
+    : 'never';
+  console.log(`✅ Rotated tokens for ${serviceName} (expires at ${expiresAt})`);
+}
+
+async function rekeyVault(vault) {
+  await vault.rekey(process.env.TOKEN_VAULT_NEW_SECRET);
+  console.log('✅ Token vault re-encrypted with TOKEN_VAULT_NEW_SECRET');
+  console.log(
+    '   Update TOKEN_VAULT_SECRET to the new value before restarting the server'
+  );
+}
+
+async function main() {
+  const [command, serviceName] = process.argv.slice(2);
+
+  if (!command || command === 'help' || command === '--help') {
+    printUsage();
+    return;
+  }
+
+  const vault = TokenVault.fromEnv();
+  if (!vault) {
+    throw new Error('TOKEN_VAULT_SECRET environment variable is required');
+  }
+
+  // The server keeps its tokens and secret in memory and would write them back
+  if (command !== 'list') {
+    await vault.lock();
+  }
+
+  if (command === 'rekey') {
+    await rekeyVault(vault);
+    return;
+  }
+
+  const authManager = new AuthManager(vault);
+  await authManager.loadTokens();
+
+  switch (command) {
+    case 'list':
+      await listTokens(authManager);
+      break;
+
+    case 'revoke':
+    case 'rotate':
+      if (!serviceName) {
+        throw new Error(`Service name is required for ${command}`);
+      }
+      if (command === 'revoke') {
+        await revokeTokens(authManager, serviceName);
+      } else {
+        await rotateTokens(authManager, serviceName);
+      }
+      break;
+
+    default:
+      printUsage();
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌', error.message);
+    process.exit(1);
+  });
@@ -4,16 +4,132 @@ import open from 'open';
 import fetch from 'node-fetch';
 import { URL } from 'url';
 
+// Refresh tokens this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000; // 5 minutes
+
+// setTimeout cannot schedule further out than ~24.8 days
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
 /**
  * Manages OAuth authorization flows for MCP services
  */
 export class AuthManager {
-  constructor() {
+  /**
+   * @param {TokenVault|null} tokenVault - Optional encrypted store that tokens are persisted to
+   */
+  constructor(tokenVault = null) {
+    this.tokenVault = tokenVault;
     this.tokenStore = new Map(); // Maps service name to token data
     this.authSessions = new Map(); // Maps session ID to auth session data
+    this.refreshClients = new Map(); // Maps service name to token endpoint/client used for refresh
+    this.refreshFailures = new Map(); // Maps service name to the last refresh error
+    this.refreshPromises = new Map(); // Maps service name to an in-flight refresh
+    this.refreshTimers = new Map(); // Maps service name to the proactive refresh timer
     this.defaultRedirectUri = process.env.OAUTH_REDIRECT_URI || 'http://localhost:3000/oauth/callback';
   }
 
+  /**
+   * Load persisted tokens from the token vault (if configured)
+   */
+  async loadTokens() {
+    if (!this.tokenVault) {
+      console.warn('⚠️  No TOKEN_VAULT_SECRET configured - OAuth tokens will be lost on restart');
+      return;
+    }
+
+    const entries = await this.tokenVault.load();
+    for (const [serviceName, entry] of Object.entries(entries)) {
+      this.tokenStore.set(serviceName, entry.tokens);
+      if (entry.client) {
+        this.refreshClients.set(serviceName, entry.client);
+      }
+      this.scheduleTokenRefresh(serviceName);
+    }
+
+    console.log(`✅ Loaded tokens for ${this.tokenStore.size} services from token vault`);
+  }
+
+  /**
+   * Write all tokens through to the token vault (if configured)
+   */
+  async persistTokens() {
+    if (!this.tokenVault) return;
+
+    const entries = {};
+    for (const [serviceName, tokens] of this.tokenStore.entries()) {
+      entries[serviceName] = {
+        tokens,
+        client: this.refreshClients.get(serviceName) || null,
+        updatedAt: new Date().toISOString()
+      };
+    }
+
+    try {
+      await this.tokenVault.save(entries);
+    } catch (error) {
+      console.error('❌ Failed to persist tokens to token vault:', error.message);
+    }
+  }
+
+  /**
+   * Summarize stored tokens without exposing secrets
+   */
+  listTokens() {
+    return Array.from(this.tokenStore.entries()).map(([serviceName, tokens]) => ({
+      serviceName,
+      tokenType: tokens.token_type || null,
+      scope: tokens.scope || null,
+      expiresAt: tokens.expires_at ? new Date(tokens.expires_at).toISOString() : null,
+      isExpired: this.isExpired(tokens),
+      hasRefreshToken: !!tokens.refresh_token,
+      canRefresh: this.canRefresh(serviceName),
+      needsReauthorization: this.needsReauthorization(serviceName)
+    }));
+  }
+
+  /**
+   * Forget the tokens for a service, revoking them at the provider when it
+   * advertises a revocation endpoint (RFC 7009)
+   * @returns {Promise<boolean>} True if tokens were stored for the service
+   */
+  async revokeTokens(serviceName) {
+    const tokens = this.tokenStore.get(serviceName);
+    if (!tokens) return false;
+
+    const client = this.refreshClients.get(serviceName);
+    if (client?.revocation_endpoint) {
+      for (const [token, hint] of [[tokens.refresh_token, 'refresh_token'], [tokens.access_token, 'access_token']]) {
+        if (!token) continue;
+        try {
+          const body = new URLSearchParams({ token, token_type_hint: hint, client_id: client.client_id });
+          if (client.client_secret) {
+            body.set('client_secret', client.client_secret);
+          }
+          await fetch(client.revocation_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body
+          });
+        } catch (error) {
+          console.warn(`⚠️  Failed to revoke ${hint} for ${serviceName} at provider:`, error.message);
+        }
+      }
+    }
+
+    const timer = this.refreshTimers.get(serviceName);
+    if (timer) {
+      clearTimeout(timer);
+      this.refreshTimers.delete(serviceName);
+    }
+    this.tokenStore.delete(serviceName);
+    this.refreshClients.delete(serviceName);
+    this.refreshFailures.delete(serviceName);
+
+    await this.persistTokens();
+    console.log(`🗑️  Revoked tokens for ${serviceName}`);
+    return true;
+  }
+
   /**
    * Check if a service is authorized (has valid tokens)
    */
@@ -22,11 +138,11 @@ export class AuthManager {
     if (!tokens) return false;
     
     // Check if token is still valid (basic expiration check)
-    if (tokens.expires_at && tokens.expires_at < Date.now()) {
-      // Token expired, try to refresh if we have a refresh token
-      if (tokens.refresh_token) {
-        // TODO: Implement token refresh
-        console.log(`⚠️  Token for ${serviceName} expired, refresh needed`);
+    if (this.isExpired(tokens)) {
+      // Token expired, refresh in the background if we can so the next check succeeds
+      if (this.canRefresh(serviceName)) {
+        console.log(`⚠️  Token for ${serviceName} expired, refreshing...`);
+        this.refreshTokens(serviceName).catch(() => {});
       }
       return false;
     }
@@ -38,22 +154,208 @@ export class AuthManager {
    * Get stored tokens for a service
    */
   getTokens(serviceName) {
+    const tokens = this.tokenStore.get(serviceName);
+
+    // Kick off a refresh for tokens that are about to expire
+    if (tokens && this.isExpired(tokens, TOKEN_REFRESH_MARGIN_MS) && this.canRefresh(serviceName)) {
+      this.refreshTokens(serviceName).catch(() => {});
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Get tokens for a service, waiting for a refresh first if they are expired
+   * or about to expire. Returns the current tokens if the refresh fails.
+   */
+  async getValidTokens(serviceName) {
+    const tokens = this.tokenStore.get(serviceName);
+    if (!tokens) return undefined;
+
+    if (this.isExpired(tokens, TOKEN_REFRESH_MARGIN_MS) && this.canRefresh(serviceName)) {
+      try {
+        return await this.refreshTokens(serviceName);
+      } catch (error) {
+        // Failure is recorded for needsReauthorization()
+      }
+    }
+
     return this.tokenStore.get(serviceName);
   }
 
   /**
    * Store tokens for a service
+   * @param {string} serviceName - Name of the MCP service
+   * @param {Object} tokens - Token set returned by the OAuth provider
+   * @param {Object|null} client - Token endpoint and client credentials used to refresh the tokens
+   * @returns {Promise<void>} Resolves once the tokens are written to the token vault
    */
-  storeTokens(serviceName, tokens) {
+  async storeTokens(serviceName, tokens, client = null) {
     // Calculate expiration time if expires_in is provided
     if (tokens.expires_in) {
       tokens.expires_at = Date.now() + (tokens.expires_in * 1000);
     }
     
     this.tokenStore.set(serviceName, tokens);
+    if (client) {
+      this.refreshClients.set(serviceName, client);
+    }
+    this.refreshFailures.delete(serviceName);
+    this.scheduleTokenRefresh(serviceName);
+    await this.persistTokens();
     console.log(`✅ Stored tokens for ${serviceName}`);
   }
 
+  /**
+   * Check whether tokens are expired (or will be within marginMs)
+   */
+  isExpired(tokens, marginMs = 0) {
+    return !!tokens.expires_at && tokens.expires_at - marginMs < Date.now();
+  }
+
+  /**
+   * Check whether a service has what it needs for a refresh_token grant
+   */
+  canRefresh(serviceName) {
+    const tokens = this.tokenStore.get(serviceName);
+    return !!(tokens?.refresh_token && this.refreshClients.has(serviceName));
+  }
+
+  /**
+   * Check whether a service needs to go through the browser authorization flow again:
+   * its last refresh failed, or its tokens expired and cannot be refreshed
+   */
+  needsReauthorization(serviceName) {
+    if (this.refreshFailures.has(serviceName)) return true;
+
+    const tokens = this.tokenStore.get(serviceName);
+    if (!tokens) return false;
+
+    return this.isExpired(tokens) && !this.canRefresh(serviceName) && !this.refreshPromises.has(serviceName);
+  }
+
+  /**
+   * Get the last refresh error for a service, if any
+   */
+  getRefreshError(serviceName) {
+    return this.refreshFailures.get(serviceName) || null;
+  }
+
+  /**
+   * Exchange the stored refresh token for a new token set.
+   * Concurrent calls for the same service share one request.
+   */
+  async refreshTokens(serviceName) {
+    const inFlight = this.refreshPromises.get(serviceName);
+    if (inFlight) return inFlight;
+
+    const refresh = this.performTokenRefresh(serviceName).finally(() => {
+      this.refreshPromises.delete(serviceName);
+    });
+    this.refreshPromises.set(serviceName, refresh);
+    return refresh;
+  }
+
+  async performTokenRefresh(serviceName) {
+    const tokens = this.tokenStore.get(serviceName);
+    const client = this.refreshClients.get(serviceName);
+
+    if (!tokens?.refresh_token || !client) {
+      throw new Error(`No refresh token available for ${serviceName}`);
+    }
+
+    console.log(`🔄 Refreshing OAuth tokens for ${serviceName}...`);
+
+    try {
+      const body = new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: tokens.refresh_token,
+        client_id: client.client_id
+      });
+      if (client.client_secret) {
+        body.set('client_secret', client.client_secret);
+      }
+
+      const tokenResponse = await fetch(client.token_endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json'
+        },
+        body
+      });
+
+      if (!tokenResponse.ok) {
+        const errorText = await tokenResponse.text();
+        throw new Error(`Token refresh failed: ${tokenResponse.status} ${tokenResponse.statusText} - ${errorText}`);
+      }
+
+      const tokenSet = await tokenResponse.json();
+
+      // Providers that don't rotate refresh tokens omit them from the response
+      if (!tokenSet.refresh_token) {
+        tokenSet.refresh_token = tokens.refresh_token;
+      }
+
+      await this.storeTokens(serviceName, tokenSet);
+      console.log(`✅ Refreshed OAuth tokens for ${serviceName}`);
+      return tokenSet;
+    } catch (error) {
+      console.error(`❌ Token refresh failed for ${serviceName}:`, error.message);
+      this.refreshFailures.set(serviceName, {
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a proactive refresh shortly before the service's tokens expire
+   */
+  scheduleTokenRefresh(serviceName) {
+    const existingTimer = this.refreshTimers.get(serviceName);
+    if (existingTimer) {
+      clearTimeout(existingTimer);
+      this.refreshTimers.delete(serviceName);
+    }
+
+    const tokens = this.tokenStore.get(serviceName);
+    if (!tokens?.expires_at || !this.canRefresh(serviceName)) return;
+
+    const delay = Math.min(
+      Math.max(tokens.expires_at - TOKEN_REFRESH_MARGIN_MS - Date.now(), 0),
+      MAX_TIMER_DELAY_MS
+    );
+
+    const timer = setTimeout(() => {
+      this.refreshTimers.delete(serviceName);
+      const current = this.tokenStore.get(serviceName);
+      if (!current) return;
+
+      if (this.isExpired(current, TOKEN_REFRESH_MARGIN_MS)) {
+        this.refreshTokens(serviceName).catch(() => {});
+      } else {
+        // Timer was clamped to the maximum delay - check again later
+        this.scheduleTokenRefresh(serviceName);
+      }
+    }, delay);
+    timer.unref();
+    this.refreshTimers.set(serviceName, timer);
+  }
+
+  /**
+   * Extract what a refresh_token grant needs from an openid-client Client
+   */
+  getRefreshClient(client) {
+    return {
+      token_endpoint: client.issuer.token_endpoint,
+      client_id: client.client_id,
+      client_secret: client.client_secret,
+      revocation_endpoint: client.issuer.revocation_endpoint
+    };
+  }
+
   /**
    * Initiate OAuth authorization flow for an MCP service
    */
@@ -254,8 +556,8 @@ export class AuthManager {
       // Exchange code for tokens
       const tokenSet = await this.exchangeCodeForTokens(session, code);
       
-      // Store tokens
-      this.storeTokens(session.mcpServerName, tokenSet);
+      // Store tokens along with the client needed to refresh them
+      await this.storeTokens(session.mcpServerName, tokenSet, this.getRefreshClient(session.client));
       
       // Clean up session
       this.authSessions.delete(state);
@@ -0,0 +1,182 @@
+import fetch from 'node-fetch';
+
+import { ConfigManager } from '../config/ConfigManager.js';
+import { AuthManager } from './AuthManager.js';
+import { isServerAuthorizedForRun } from './authUtils.js';
+
+jest.mock('node-fetch', () => jest.fn());
+jest.mock('openid-client', () => ({ Issuer: {}, generators: {} }));
+jest.mock('open', () => jest.fn());
+
+const client = {
+  token_endpoint: 'https://auth.example.com/token',
+  client_id: 'client-1',
+  client_secret: 'secret',
+};
+
+function tokenResponse(body: object, status = 200) {
+  return {
+    ok: status === 200,
+    status,
+    statusText: status === 200 ? 'OK' : 'Bad Request',
+    json: jest.fn().mockResolvedValue(body),
+    text: jest.fn().mockResolvedValue(JSON.stringify(body)),
+  };
+}
+
+describe('AuthManager token refresh', () => {
+  let authManager: AuthManager;
+  const fetchMock = fetch as unknown as jest.Mock;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fetchMock.mockReset();
+    authManager = new AuthManager();
+  });
+
+  afterEach(() => {
+    for (const timer of authManager.refreshTimers.values()) {
+      clearTimeout(timer);
+    }
+    jest.restoreAllMocks();
+  });
+
+  const storeExpiredTokens = () =>
+    authManager.storeTokens(
+      'jira',
+      { access_token: 'old', refresh_token: 'refresh-1', expires_in: -60 },
+      client
+    );
+
+  it('should exchange the refresh token and keep it when none is returned', async () => {
+    // Arrange
+    await storeExpiredTokens();
+    fetchMock.mockResolvedValue(
+      tokenResponse({ access_token: 'new', expires_in: 3600 })
+    );
+
+    // Act
+    const tokens = await authManager.refreshTokens('jira');
+
+    // Assert
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://auth.example.com/token');
+    expect(Object.fromEntries(init.body)).toEqual({
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-1',
+      client_id: 'client-1',
+      client_secret: 'secret',
+    });
+    expect(tokens).toMatchObject({
+      access_token: 'new',
+      refresh_token: 'refresh-1',
+    });
+    expect(authManager.isAuthorized('jira')).toBe(true);
+  });
+
+  it('should share one request between concurrent refreshes', async () => {
+    // Arrange
+    await storeExpiredTokens();
+    fetchMock.mockResolvedValue(
+      tokenResponse({ access_token: 'new', expires_in: 3600 })
+    );
+
+    // Act
+    const [first, second] = await Promise.all([
+      authManager.refreshTokens('jira'),
+      authManager.getValidTokens('jira'),
+    ]);
+
+    // Assert
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+  });
+
+  it('should mark the service for reauthorization when the refresh fails', async () => {
+    // Arrange
+    await storeExpiredTokens();
+    fetchMock.mockResolvedValue(tokenResponse({ error: 'invalid_grant' }, 400));
+
+    // Act
+    const tokens = await authManager.getValidTokens('jira');
+
+    // Assert
+    expect(tokens.access_token).toBe('old');
+    expect(authManager.needsReauthorization('jira')).toBe(true);
+    expect(authManager.getRefreshError('jira').message).toContain(
+      'Token refresh failed: 400 Bad Request'
+    );
+  });
+
+  it('should only refresh tokens that expire soon', async () => {
+    // Arrange
+    await authManager.storeTokens(
+      'jira',
+      { access_token: 'fresh', refresh_token: 'refresh-1', expires_in: 3600 },
+      client
+    );
+
+    // Act
+    const tokens = await authManager.getValidTokens('jira');
+
+    // Assert
+    expect(tokens.access_token).toBe('fresh');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should hand refreshed tokens to runs instead of expired ones', async () => {
+    // Arrange
+    await storeExpiredTokens();
+    fetchMock.mockResolvedValue(
+      tokenResponse({ access_token: 'new', expires_in: 3600 })
+    );
+    const configManager = new ConfigManager();
+    configManager.mcpServers.set('jira', {
+      name: 'jira',
+      type: 'url',
+      url: 'https://mcp.example.com',
+    });
+
+    // Act
+    const authorized = await isServerAuthorizedForRun(
+      'jira',
+      configManager.getMcpServer('jira'),
+      authManager
+    );
+    const [server] = await configManager.prepareMcpServersForClaude(
+      ['jira'],
+      authManager
+    );
+
+    // Assert
+    expect(authorized).toBe(true);
+    expect(server.authorization_token).toBe('new');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only finish storing tokens once they are in the token vault', async () => {
+    // Arrange
+    let finishSave: () => void = () => {};
+    const tokenVault = {
+      save: jest.fn(
+        () => new Promise<void>((resolve) => (finishSave = resolve))
+      ),
+    };
+    authManager = new AuthManager(tokenVault);
+    let stored = false;
+
+    // Act
+    const store = storeExpiredTokens().then(() => (stored = true));
+    await Promise.resolve();
+    const storedBeforeSave = stored;
+    finishSave();
+    await store;
+
+    // Assert
+    expect(storedBeforeSave).toBe(false);
+    expect(tokenVault.save).toHaveBeenCalledWith({
+      jira: expect.objectContaining({ client }),
+    });
+  });
+});
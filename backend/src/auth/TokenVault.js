@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const VAULT_VERSION = 1;
+
+/**
+ * Encrypted on-disk store for MCP OAuth tokens.
+ *
+ * The whole vault is encrypted with AES-256-GCM using a key derived (scrypt)
+ * from a master secret, so a leaked vault file is useless without the secret.
+ * Entries are keyed by MCP service name:
+ *   { tokens, client, updatedAt }
+ */
+export class TokenVault {
+  /**
+   * @param {string} filePath - Path of the vault file
+   * @param {string} secret - Master secret used to derive the encryption key
+   */
+  constructor(filePath, secret) {
+    if (!secret) {
+      throw new Error('Token vault requires a master secret');
+    }
+    this.filePath = filePath;
+    this.secret = secret;
+    this.writeChain = Promise.resolve();
+    this.derivedKey = null; // { secret, salt, key } of the last key derived
+  }
+
+  /**
+   * Create a vault from TOKEN_VAULT_SECRET / TOKEN_VAULT_PATH
+   * @returns {TokenVault|null} The vault, or null when no secret is configured
+   */
+  static fromEnv() {
+    const secret = process.env.TOKEN_VAULT_SECRET;
+    if (!secret) {
+      return null;
+    }
+
+    const filePath = path.resolve(
+      process.env.TOKEN_VAULT_PATH || './data/token-vault.json'
+    );
+    return new TokenVault(filePath, secret);
+  }
+
+  /**
+   * Take the vault for this process, so the server and the manage-tokens
+   * script never write it at the same time: each would overwrite the other's
+   * changes with the tokens and secret it holds in memory. The lock file holds
+   * the PID and is removed when the process exits; a lock left behind by a
+   * process that is no longer running is taken over.
+   * @throws {Error} If another running process holds the vault
+   */
+  async lock() {
+    const lockPath = `${this.filePath}.lock`;
+    await fs.ensureDir(path.dirname(this.filePath));
+
+    try {
+      await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const pid = parseInt(await fs.readFile(lockPath, 'utf8'), 10);
+      if (pid !== process.pid && isProcessRunning(pid)) {
+        throw new Error(
+          `Token vault ${this.filePath} is in use by process ${pid} (stop the server to revoke, rotate or rekey tokens)`
+        );
+      }
+      await fs.writeFile(lockPath, String(process.pid));
+    }
+
+    process.once('exit', () => fs.removeSync(lockPath));
+  }
+
+  /**
+   * Read and decrypt all vault entries
+   * @returns {Promise<Object>} Map of service name to { tokens, client, updatedAt }
+   */
+  async load() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return {};
+    }
+
+    const vault = await fs.readJson(this.filePath);
+    if (vault.version !== VAULT_VERSION) {
+      throw new Error(`Unsupported token vault version: ${vault.version}`);
+    }
+
+    return this.decrypt(vault, this.secret);
+  }
+
+  /**
+   * Encrypt and write all vault entries (atomically, readable only by the owner)
+   * @param {Object} entries - Map of service name to { tokens, client, updatedAt }
+   */
+  async save(entries) {
+    const write = this.writeChain.then(() =>
+      this.writeVault(entries, this.secret)
+    );
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Re-encrypt the vault with a new master secret
+   * @param {string} newSecret - The new master secret
+   */
+  async rekey(newSecret) {
+    if (!newSecret) {
+      throw new Error(
+        'A new master secret is required to rekey the token vault'
+      );
+    }
+
+    const entries = await this.load();
+    await this.writeVault(entries, newSecret);
+    this.secret = newSecret;
+  }
+
+  async writeVault(entries, secret) {
+    await fs.ensureDir(path.dirname(this.filePath));
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeJson(tempPath, this.encrypt(entries, secret), {
+      spaces: 2,
+      mode: 0o600,
+    });
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Derive the encryption key of a secret. scrypt is slow by design, so the
+   * key is derived once and reused, with its salt, for every later save.
+   * @param {string} secret - The master secret
+   * @param {Buffer|null} salt - Salt of the vault being read; a new salt when writing
+   * @returns {{ salt: Buffer, key: Buffer }}
+   */
+  deriveKey(secret, salt = null) {
+    const cached = this.derivedKey;
+    if (cached?.secret === secret && (!salt || cached.salt.equals(salt))) {
+      return cached;
+    }
+
+    const keySalt = salt || crypto.randomBytes(16);
+    this.derivedKey = {
+      secret,
+      salt: keySalt,
+      key: crypto.scryptSync(secret, keySalt, KEY_LENGTH),
+    };
+    return this.derivedKey;
+  }
+
+  encrypt(entries, secret) {
+    const { salt, key } = this.deriveKey(secret);
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(entries), 'utf8'),
+      cipher.final(),
+    ]);
+
+    return {
+      version: VAULT_VERSION,
+      algorithm: ALGORITHM,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  decrypt(vault, secret) {
+    const { key } = this.deriveKey(secret, Buffer.from(vault.salt, 'base64'));
+
+    try {
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM,
+        key,
+        Buffer.from(vault.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+      const data = Buffer.concat([
+        decipher.update(Buffer.from(vault.data, 'base64')),
+        decipher.final(),
+      ]);
+      return JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      throw new Error(
+        `Failed to decrypt token vault ${this.filePath}: wrong TOKEN_VAULT_SECRET or corrupted file`
+      );
+    }
+  }
+}
+
+function isProcessRunning(pid) {
+  if (!pid) {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { TokenVault } from './TokenVault.js';
+
+describe('TokenVault', () => {
+  const entries = {
+    jira: {
+      tokens: { access_token: 'access-1', refresh_token: 'refresh-1' },
+      client: { token_endpoint: 'https://auth.example.com/token' },
+      updatedAt: '2024-01-15T10:30:00Z',
+    },
+  };
+  let vaultDir: string;
+  let vaultPath: string;
+
+  beforeEach(async () => {
+    vaultDir = await fs.mkdtemp(path.join(os.tmpdir(), 'token-vault-'));
+    vaultPath = path.join(vaultDir, 'nested', 'token-vault.json');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(vaultDir);
+  });
+
+  it('should read back what it saved, without storing it in the clear', async () => {
+    // Arrange
+    const vault = new TokenVault(vaultPath, 'master-secret');
+
+    // Act
+    const initial = await vault.load();
+    await vault.save(entries);
+
+    // Assert
+    expect(initial).toEqual({});
+    expect(await new TokenVault(vaultPath, 'master-secret').load()).toEqual(
+      entries
+    );
+    const file = await fs.readFile(vaultPath, 'utf8');
+    expect(file).not.toContain('access-1');
+    expect((await fs.stat(vaultPath)).mode & 0o777).toBe(0o600);
+  });
+
+  it('should not open the vault with another secret', async () => {
+    // Arrange
+    await new TokenVault(vaultPath, 'master-secret').save(entries);
+
+    // Act & Assert
+    await expect(
+      new TokenVault(vaultPath, 'wrong-secret').load()
+    ).rejects.toThrow(
+      `Failed to decrypt token vault ${vaultPath}: wrong TOKEN_VAULT_SECRET or corrupted file`
+    );
+  });
+
+  it('should re-encrypt the vault with a new secret', async () => {
+    // Arrange
+    const vault = new TokenVault(vaultPath, 'old-secret');
+    await vault.save(entries);
+
+    // Act
+    await vault.rekey('new-secret');
+    await vault.save(entries);
+
+    // Assert
+    expect(await new TokenVault(vaultPath, 'new-secret').load()).toEqual(
+      entries
+    );
+    await expect(
+      new TokenVault(vaultPath, 'old-secret').load()
+    ).rejects.toThrow('wrong TOKEN_VAULT_SECRET');
+  });
+
+  it('should derive the key once for every save', async () => {
+    // Arrange
+    const scrypt = jest.spyOn(crypto, 'scryptSync');
+    const vault = new TokenVault(vaultPath, 'master-secret');
+
+    // Act
+    await vault.save(entries);
+    await vault.save(entries);
+    await vault.load();
+
+    // Assert
+    expect(scrypt).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse a vault another running process holds', async () => {
+    // Arrange
+    await fs.ensureDir(path.dirname(vaultPath));
+    await fs.writeFile(`${vaultPath}.lock`, String(process.ppid));
+
+    // Act & Assert
+    await expect(
+      new TokenVault(vaultPath, 'master-secret').lock()
+    ).rejects.toThrow(
+      `Token vault ${vaultPath} is in use by process ${process.ppid}`
+    );
+  });
+
+  it('should take over a lock left behind by a stopped process', async () => {
+    // Arrange
+    await fs.ensureDir(path.dirname(vaultPath));
+    await fs.writeFile(`${vaultPath}.lock`, '2147483');
+
+    // Act
+    await new TokenVault(vaultPath, 'master-secret').lock();
+
+    // Assert
+    expect(await fs.readFile(`${vaultPath}.lock`, 'utf8')).toBe(
+      String(process.pid)
+    );
+  });
+});
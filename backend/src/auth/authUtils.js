@@ -24,25 +24,28 @@ function validateGitHubCredentials(server) {
   if (!githubAuthIntegration) {
     return false;
   }
-  
+
   // Check if this is a GitHub repository server
-  if (server.type === 'github-repo' || server.repository?.url?.includes('github.com')) {
+  if (
+    server.type === 'github-repo' ||
+    server.repository?.url?.includes('github.com')
+  ) {
     const sessionId = server.authorization?.session_id;
     if (sessionId) {
       return githubAuthIntegration.isGitHubAuthorized(sessionId);
     }
   }
-  
+
   return false;
 }
 
 /**
  * Check if an MCP server is authorized using priority order:
  * 1. Pre-configured authorization_token in config
- * 2. Environment variable: MCP_{serverName}_authorization_token  
+ * 2. Environment variable: MCP_{serverName}_authorization_token
  * 3. OAuth tokens from AuthManager
  * 4. Custom credential validation (server-specific)
- * 
+ *
  * @param {string} serverName - Name of the MCP server
  * @param {Object} server - Server configuration object
  * @param {Object} authManager - AuthManager instance
@@ -53,21 +56,40 @@ export function isServerAuthorized(serverName, server, authManager) {
   const envTokenKey = `MCP_${serverName}_authorization_token`;
   const hasEnvToken = process.env[envTokenKey];
   const hasOAuthToken = authManager.isAuthorized(serverName);
-  
+
   // Check standard auth methods first
   if (hasConfigToken || hasEnvToken || hasOAuthToken) {
     return true;
   }
-  
+
   // Check server-specific credential validation
   const hasCustomCredentials = checkCustomCredentials(serverName, server);
-  
+
   return hasCustomCredentials;
 }
 
+/**
+ * Check if an MCP server is authorized before running a prompt on it.
+ * Unlike isServerAuthorized, waits for expired OAuth tokens to be refreshed
+ * first, so a run does not wait for authorization a refresh would give it.
+ *
+ * @param {string} serverName - Name of the MCP server
+ * @param {Object} server - Server configuration object
+ * @param {Object} authManager - AuthManager instance
+ * @returns {Promise<boolean>} True if the server is authorized
+ */
+export async function isServerAuthorizedForRun(
+  serverName,
+  server,
+  authManager
+) {
+  await authManager.getValidTokens?.(serverName);
+  return isServerAuthorized(serverName, server, authManager);
+}
+
 /**
  * Check for server-specific credentials using registered validators
- * 
+ *
  * @param {string} serverName - Name of the MCP server
  * @param {Object} server - Server configuration object
  * @returns {boolean} True if custom credentials are available
@@ -92,12 +114,12 @@ function checkCustomCredentials(serverName, server) {
 const credentialValidators = {
   'git-mcp-server': validateGitCredentials,
   'github-repo': validateGitHubCredentials,
-  'github': validateGitHubCredentials
+  github: validateGitHubCredentials,
 };
 
 /**
  * Get authorization status details for debugging/logging
- * 
+ *
  * @param {string} serverName - Name of the MCP server
  * @param {Object} server - Server configuration object
  * @param {Object} authManager - AuthManager instance
@@ -109,22 +131,26 @@ export function getAuthorizationDetails(serverName, server, authManager) {
   const hasEnvToken = process.env[envTokenKey];
   const hasOAuthToken = authManager.isAuthorized(serverName);
   const hasCustomCredentials = checkCustomCredentials(serverName, server);
-  
-  const authMethod = hasConfigToken ? 'config' : 
-                    hasEnvToken ? 'environment' : 
-                    hasOAuthToken ? 'oauth' : 
-                    hasCustomCredentials ? 'custom' : 'none';
-  
+
+  const authMethod = hasConfigToken
+    ? 'config'
+    : hasEnvToken
+      ? 'environment'
+      : hasOAuthToken
+        ? 'oauth'
+        : hasCustomCredentials
+          ? 'custom'
+          : 'none';
+
   return {
     serverName,
-    isAuthorized: hasConfigToken || hasEnvToken || hasOAuthToken || hasCustomCredentials,
+    isAuthorized:
+      hasConfigToken || hasEnvToken || hasOAuthToken || hasCustomCredentials,
     authMethod,
     hasConfigToken,
     hasEnvToken,
     hasOAuthToken,
     hasCustomCredentials,
-    envTokenKey
+    envTokenKey,
   };
 }
-
-
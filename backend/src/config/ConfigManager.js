@@ -1,5 +1,4 @@
-import fs from 'fs-extra';
-import path from 'path';
+import { readJsonConfig } from './jsonConfig.js';
 
 /**
  * Manages configuration loading and parsing for MCP servers and prompts
@@ -19,40 +18,48 @@ export class ConfigManager {
   }
 
   async loadMcpServers() {
-    const mcpServersEnv = process.env.MCP_SERVERS;
-    
-    if (!mcpServersEnv) {
+    if (!process.env.MCP_SERVERS) {
       console.warn('⚠️  No MCP_SERVERS environment variable found');
       return;
     }
 
-    let mcpServersData;
+    this.setMcpServers(await this.readMcpServers());
+
+    console.log(`✅ Loaded ${this.mcpServers.size} MCP servers`);
+  }
+
+  /**
+   * Read and validate the MCP servers named by MCP_SERVERS without applying them
+   * @returns {Promise<Object[]>} The servers, empty when MCP_SERVERS is not set
+   * @throws {Error} If the servers cannot be read or are invalid
+   */
+  async readMcpServers() {
+    const mcpServersEnv = process.env.MCP_SERVERS;
     
-    try {
-      // Try to parse as JSON first
-      mcpServersData = JSON.parse(mcpServersEnv);
-    } catch (error) {
-      try {
-        // Try to read as file path
-        const filePath = path.resolve(mcpServersEnv);
-        const fileContent = await fs.readFile(filePath, 'utf8');
-        mcpServersData = JSON.parse(fileContent);
-      } catch (fileError) {
-        throw new Error(`Failed to load MCP servers: ${error.message}. Also failed to read as file: ${fileError.message}`);
-      }
+    if (!mcpServersEnv) {
+      return [];
     }
 
+    const mcpServersData = await readJsonConfig(mcpServersEnv, 'MCP servers');
+
     if (!Array.isArray(mcpServersData)) {
       throw new Error('MCP_SERVERS must be an array');
     }
 
-    // Store servers in a Map for quick lookup
     for (const server of mcpServersData) {
       this.validateMcpServer(server);
-      this.mcpServers.set(server.name, server);
     }
 
-    console.log(`✅ Loaded ${this.mcpServers.size} MCP servers`);
+    return mcpServersData;
+  }
+
+  /**
+   * Replace all MCP servers at once
+   * @param {Object[]} mcpServersData - Validated servers (see readMcpServers)
+   */
+  setMcpServers(mcpServersData) {
+    // Store servers in a Map for quick lookup
+    this.mcpServers = new Map(mcpServersData.map(server => [server.name, server]));
   }
 
   validateMcpServer(server) {
@@ -118,7 +125,8 @@ export class ConfigManager {
   }
 
   // Helper method to prepare MCP servers for Claude API
-  prepareMcpServersForClaude(serverNames, authManager) {
+  // (waits for expired OAuth tokens to be refreshed)
+  async prepareMcpServersForClaude(serverNames, authManager) {
     const mcpServers = [];
     
     for (const serverName of serverNames) {
@@ -162,7 +170,7 @@ export class ConfigManager {
           mcpServer.authorization_token = envToken;
         } else {
           // Fallback to OAuth tokens from AuthManager
-          const tokens = authManager.getTokens(serverName);
+          const tokens = await authManager.getValidTokens(serverName);
           if (tokens && tokens.access_token) {
             mcpServer.authorization_token = tokens.access_token;
           }
@@ -0,0 +1,51 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Helpers for configuration variables that hold either inline JSON or the path
+ * of a JSON file, e.g. PROMPTS, MCP_SERVERS or USAGE_BUDGETS
+ */
+
+/**
+ * Parse a configuration value as inline JSON, else read it as a JSON file
+ * @param {string} value - Inline JSON or a file path (relative to the working directory)
+ * @param {string} description - What the value configures, for error messages
+ * @returns {Promise<any>} The parsed configuration
+ * @throws {Error} If the value is neither valid JSON nor a readable JSON file
+ */
+export async function readJsonConfig(value, description) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    try {
+      return JSON.parse(await fs.readFile(path.resolve(value), 'utf8'));
+    } catch (fileError) {
+      throw getLoadError(description, error, fileError);
+    }
+  }
+}
+
+/**
+ * Synchronous readJsonConfig, for configuration read while constructing services
+ * @param {string} value - Inline JSON or a file path (relative to the working directory)
+ * @param {string} description - What the value configures, for error messages
+ * @returns {any} The parsed configuration
+ * @throws {Error} If the value is neither valid JSON nor a readable JSON file
+ */
+export function readJsonConfigSync(value, description) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(value), 'utf8'));
+    } catch (fileError) {
+      throw getLoadError(description, error, fileError);
+    }
+  }
+}
+
+function getLoadError(description, error, fileError) {
+  return new Error(
+    `Failed to load ${description}: ${error.message}. Also failed to read as file: ${fileError.message}`
+  );
+}
@@ -0,0 +1,47 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { readJsonConfig, readJsonConfigSync } from './jsonConfig.js';
+
+describe('readJsonConfig', () => {
+  let configDir: string;
+
+  beforeEach(async () => {
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(configDir);
+  });
+
+  it('should parse inline JSON, else read the file it names', async () => {
+    // Arrange
+    const filePath = path.join(configDir, 'prompts.json');
+    await fs.writeJson(filePath, [{ name: 'from-file' }]);
+
+    // Act & Assert
+    await expect(
+      readJsonConfig('[{"name": "inline"}]', 'prompts')
+    ).resolves.toEqual([{ name: 'inline' }]);
+    await expect(readJsonConfig(filePath, 'prompts')).resolves.toEqual([
+      { name: 'from-file' },
+    ]);
+    expect(readJsonConfigSync(filePath, 'prompts')).toEqual([
+      { name: 'from-file' },
+    ]);
+  });
+
+  it('should report both failures when the value is neither', async () => {
+    // Arrange
+    const missing = path.join(configDir, 'missing.json');
+
+    // Act & Assert
+    await expect(readJsonConfig(missing, 'prompts')).rejects.toThrow(
+      /^Failed to load prompts: .*JSON.*\. Also failed to read as file: ENOENT/
+    );
+    expect(() => readJsonConfigSync(missing, 'USAGE_BUDGETS')).toThrow(
+      /^Failed to load USAGE_BUDGETS: .*\. Also failed to read as file: ENOENT/
+    );
+  });
+});
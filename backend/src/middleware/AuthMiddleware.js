@@ -1,3 +1,6 @@
+// The user that requests authenticated with the legacy ACCESS_TOKEN run as
+export const ACCESS_TOKEN_USER_EMAIL = 'access-token@system';
+
 /**
  * Middleware for handling authentication
  */
@@ -50,6 +53,7 @@ export class AuthMiddleware {
     if (this.accessToken) {
       const tokenAuth = this.tryTokenAuthentication(req, res);
       if (tokenAuth.success) {
+        req.user = tokenAuth.user;
         return next();
       }
     }
@@ -126,7 +130,14 @@ export class AuthMiddleware {
 
     // Validate token
     if (providedToken && providedToken === this.accessToken) {
-      return { success: true };
+      return {
+        success: true,
+        user: {
+          email: ACCESS_TOKEN_USER_EMAIL,
+          sessionId: 'access-token',
+          loginMethod: 'access_token',
+        },
+      };
     }
 
     return { success: false, reason: 'invalid_token' };
@@ -0,0 +1,62 @@
+import { ACCESS_TOKEN_USER_EMAIL, AuthMiddleware } from './AuthMiddleware.js';
+
+describe('AuthMiddleware', () => {
+  const originalAccessToken = process.env['ACCESS_TOKEN'];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env['ACCESS_TOKEN'] = 'secret-token';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalAccessToken === undefined) {
+      delete process.env['ACCESS_TOKEN'];
+    } else {
+      process.env['ACCESS_TOKEN'] = originalAccessToken;
+    }
+  });
+
+  it('should run ACCESS_TOKEN requests as the access token user', () => {
+    // Arrange
+    const authMiddleware = new AuthMiddleware();
+    const req: any = {
+      headers: { authorization: 'Bearer secret-token' },
+      query: {},
+    };
+    const next = jest.fn();
+
+    // Act
+    authMiddleware.authenticate(req, {}, next);
+
+    // Assert
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({
+      email: ACCESS_TOKEN_USER_EMAIL,
+      sessionId: 'access-token',
+      loginMethod: 'access_token',
+    });
+  });
+
+  it('should not authenticate requests with another token', () => {
+    // Arrange
+    const authMiddleware = new AuthMiddleware({ getSession: () => null });
+    const req: any = {
+      headers: { authorization: 'Bearer wrong-token' },
+      query: {},
+    };
+    const res: any = {
+      redirect: jest.fn(),
+      setHeader: jest.fn(),
+    };
+    const next = jest.fn();
+
+    // Act
+    authMiddleware.authenticate(req, res, next);
+
+    // Assert
+    expect(next).not.toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+    expect(res.redirect).toHaveBeenCalledWith('/login');
+  });
+});
@@ -1,57 +1,328 @@
-import fs from 'fs-extra';
-import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
 import { isServerAuthorized } from '../auth/authUtils.js';
+import { readJsonConfig } from '../config/jsonConfig.js';
+import { getTemplateVariables } from '../../public/js/template-engine.js';
+import { CronExpression } from '../providers/CronExpression.js';
+import { getCapabilityError } from '../providers/LlmProvider.js';
+
+// Prompt fields that configure how Claude Code runs a prompt
+const RUN_OPTIONS = [
+  'allowed_tools', 'disallowed_tools', 'tool_approval', 'max_turns', 'permission_mode',
+  'model', 'temperature', 'max_tokens', 'system_prompt', 'provider'
+];
+const PERMISSION_MODES = ['default', 'acceptEdits', 'bypassPermissions', 'plan'];
 
 /**
- * Manages prompts and their execution history
+ * Manages prompts and their execution history.
+ *
+ * Prompts come from the PROMPTS configuration (read-only) and from an optional
+ * PromptStore that holds the prompts created through the API.
  */
 export class PromptManager {
-  constructor() {
+  /**
+   * @param {import('./PromptStore.js').PromptStore|null} store - Store for prompts managed through the API
+   */
+  constructor(store = null) {
     this.prompts = new Map();
+    this.configuredPrompts = []; // Prompts from the PROMPTS configuration
+    this.storedPrompts = new Map(); // Prompts from the store, editable through the API
+    this.promptVersions = new Map(); // Maps prompt name to its versions, oldest first
+    this.store = store;
     this.promptHistory = new Map(); // Maps prompt name to execution history
     this.pendingPrompts = []; // Array of prompts waiting for authorization
+    this.providers = null; // Providers a prompt may pick with 'provider'
+    this.mutationChain = Promise.resolve(); // Changes to stored prompts, one at a time
+  }
+
+  /**
+   * Check the 'provider' of prompts against these providers
+   * @param {import('../providers/ProviderRegistry.js').ProviderRegistry} providers
+   */
+  setProviders(providers) {
+    this.providers = providers;
   }
 
   async loadPrompts() {
-    const promptsEnv = process.env.PROMPTS;
-    
-    if (!promptsEnv) {
+    if (this.store) {
+      const { prompts: storedPrompts, versions } = await this.store.load();
+      for (const prompt of storedPrompts) {
+        this.validatePrompt(prompt);
+      }
+      this.storedPrompts = new Map(storedPrompts.map(prompt => [prompt.name, prompt]));
+      this.promptVersions = new Map(Object.entries(versions).map(([name, entries]) => [name, deepFreeze(entries)]));
+    }
+
+    if (!process.env.PROMPTS) {
       console.warn('⚠️  No PROMPTS environment variable found');
-      return;
     }
 
-    let promptsData;
+    this.setPrompts(await this.readPrompts());
+
+    console.log(`✅ Loaded ${this.prompts.size} prompts`);
+  }
+
+  /**
+   * Read and validate the prompts named by PROMPTS without applying them
+   * @returns {Promise<Object[]>} The prompts, empty when PROMPTS is not set
+   * @throws {Error} If the prompts cannot be read or are invalid
+   */
+  async readPrompts() {
+    const promptsEnv = process.env.PROMPTS;
     
-    try {
-      // Try to parse as JSON first
-      promptsData = JSON.parse(promptsEnv);
-    } catch (error) {
-      try {
-        // Try to read as file path
-        const filePath = path.resolve(promptsEnv);
-        const fileContent = await fs.readFile(filePath, 'utf8');
-        promptsData = JSON.parse(fileContent);
-      } catch (fileError) {
-        throw new Error(`Failed to load prompts: ${error.message}. Also failed to read as file: ${fileError.message}`);
-      }
+    if (!promptsEnv) {
+      return [];
     }
 
+    const promptsData = await readJsonConfig(promptsEnv, 'prompts');
+
     if (!Array.isArray(promptsData)) {
       throw new Error('PROMPTS must be an array');
     }
 
-    // Store prompts in a Map for quick lookup
     for (const prompt of promptsData) {
       this.validatePrompt(prompt);
-      this.prompts.set(prompt.name, prompt);
-      this.promptHistory.set(prompt.name, []);
     }
 
-    console.log(`✅ Loaded ${this.prompts.size} prompts`);
+    return promptsData;
+  }
+
+  /**
+   * Replace all configured prompts at once, keeping the history of prompts that
+   * still exist. Runs in progress keep the prompt they were started with.
+   * @param {Object[]} promptsData - Validated prompts (see readPrompts)
+   */
+  setPrompts(promptsData) {
+    this.configuredPrompts = promptsData;
+    if (this.rebuildPrompts()) {
+      this.saveVersionsInBackground();
+    }
+  }
+
+  /**
+   * Whether a prompt is stored and can be changed through the API
+   */
+  isPromptEditable(name) {
+    return this.storedPrompts.has(name) && this.prompts.get(name) === this.storedPrompts.get(name);
+  }
+
+  /**
+   * Validate and store a new prompt
+   * @param {Object} prompt - The prompt to create
+   * @returns {Promise<Object>} The created prompt
+   */
+  async createPrompt(prompt) {
+    return this.mutateStoredPrompts(async () => {
+      this.validatePrompt(prompt);
+      if (this.prompts.has(prompt.name)) {
+        throw new Error(`Prompt '${prompt.name}' already exists`);
+      }
+
+      await this.saveStoredPrompts(new Map(this.storedPrompts).set(prompt.name, prompt));
+      return prompt;
+    });
+  }
+
+  /**
+   * Validate and replace a stored prompt
+   * @param {string} name - Name of the prompt to replace
+   * @param {Object} prompt - The new prompt, with the same name
+   * @returns {Promise<Object>} The updated prompt
+   */
+  async updatePrompt(name, prompt) {
+    return this.mutateStoredPrompts(async () => {
+      if (!this.isPromptEditable(name)) {
+        throw new Error(`Prompt '${name}' cannot be edited`);
+      }
+      if (prompt.name !== name) {
+        throw new Error('Prompts cannot be renamed');
+      }
+      this.validatePrompt(prompt);
+
+      await this.saveStoredPrompts(new Map(this.storedPrompts).set(name, prompt));
+      return prompt;
+    });
+  }
+
+  /**
+   * Remove a stored prompt
+   * @param {string} name - Name of the prompt to delete
+   */
+  async deletePrompt(name) {
+    return this.mutateStoredPrompts(async () => {
+      if (!this.isPromptEditable(name)) {
+        throw new Error(`Prompt '${name}' cannot be deleted`);
+      }
+
+      const storedPrompts = new Map(this.storedPrompts);
+      storedPrompts.delete(name);
+      await this.saveStoredPrompts(storedPrompts);
+    });
+  }
+
+  /**
+   * Run a change to the stored prompts once the changes before it are done,
+   * so each one checks and copies the prompts the previous one saved
+   * @param {Function} mutation - Checks, saves and applies the change
+   */
+  mutateStoredPrompts(mutation) {
+    const result = this.mutationChain.then(mutation);
+    this.mutationChain = result.catch(() => {});
+    return result;
+  }
+
+  async saveStoredPrompts(storedPrompts, versionDetails = {}) {
+    if (!this.store) {
+      throw new Error('No prompt store is configured');
+    }
+
+    // Only apply the change once it is persisted
+    const prompts = this.buildPrompts(storedPrompts);
+    const versions = this.addVersions(prompts, versionDetails) || this.promptVersions;
+    await this.store.save(Array.from(storedPrompts.values()), Object.fromEntries(versions));
+    this.storedPrompts = storedPrompts;
+    this.promptVersions = versions;
+
+    // Prompts reloaded while saving still need a version of their own
+    if (this.rebuildPrompts()) {
+      this.saveVersionsInBackground();
+    }
+  }
+
+  /**
+   * Serve the configured and stored prompts and record a version of every prompt that changed
+   * @returns {boolean} Whether a new version was recorded
+   */
+  rebuildPrompts() {
+    const prompts = this.buildPrompts(this.storedPrompts);
+    for (const name of prompts.keys()) {
+      if (!this.promptHistory.has(name)) {
+        this.promptHistory.set(name, []);
+      }
+    }
+    this.prompts = prompts;
+
+    const versions = this.addVersions(prompts);
+    if (versions) {
+      this.promptVersions = versions;
+    }
+    return versions !== null;
+  }
+
+  buildPrompts(storedPrompts) {
+    // Store prompts in a Map for quick lookup
+    const prompts = new Map();
+    for (const prompt of this.configuredPrompts) {
+      prompts.set(prompt.name, prompt);
+    }
+    for (const [name, prompt] of storedPrompts) {
+      if (prompts.has(name)) {
+        console.warn(`⚠️  Stored prompt '${name}' is hidden by the PROMPTS configuration`);
+        continue;
+      }
+      prompts.set(name, prompt);
+    }
+    return prompts;
+  }
+
+  /**
+   * Add a version for every prompt that differs from its latest version
+   * @param {Map<string, Object>} prompts - The prompts that will be served
+   * @param {Object} details - Extra fields for the new versions (e.g. restoredFrom)
+   * @returns {Map<string, Object[]>|null} The new version history, or null when nothing changed
+   */
+  addVersions(prompts, details = {}) {
+    let versions = null;
+
+    for (const [name, prompt] of prompts) {
+      const history = this.promptVersions.get(name) || [];
+      const latest = history[history.length - 1];
+      if (latest && JSON.stringify(latest.prompt) === JSON.stringify(prompt)) {
+        continue;
+      }
+
+      versions = versions || new Map(this.promptVersions);
+      versions.set(name, deepFreeze([...history, {
+        version: latest ? latest.version + 1 : 1,
+        createdAt: new Date().toISOString(),
+        ...details,
+        prompt: JSON.parse(JSON.stringify(prompt))
+      }]));
+    }
+
+    return versions;
+  }
+
+  saveVersionsInBackground() {
+    if (!this.store) {
+      return;
+    }
+
+    this.store.save(Array.from(this.storedPrompts.values()), Object.fromEntries(this.promptVersions))
+      .catch(error => console.error(`❌ Failed to save prompt versions: ${error.message}`));
+  }
+
+  /**
+   * Get every version of a prompt, oldest first. Versions are kept after a
+   * prompt is deleted so it can be restored.
+   */
+  getPromptVersions(name) {
+    return this.promptVersions.get(name) || [];
+  }
+
+  getPromptVersion(name, version) {
+    return this.getPromptVersions(name).find(entry => entry.version === version);
+  }
+
+  /**
+   * Get the number of the latest version of a prompt
+   * @returns {number|null} The version, null for unknown prompts
+   */
+  getCurrentVersion(name) {
+    const versions = this.getPromptVersions(name);
+    return versions.length > 0 ? versions[versions.length - 1].version : null;
+  }
+
+  /**
+   * Compare two versions of a prompt
+   * @returns {Object|null} The changed fields by path, null when a version does not exist
+   */
+  diffPromptVersions(name, from, to) {
+    const before = this.getPromptVersion(name, from);
+    const after = this.getPromptVersion(name, to);
+    if (!before || !after) {
+      return null;
+    }
+
+    return { promptName: name, from, to, changes: diffValues(before.prompt, after.prompt) };
+  }
+
+  /**
+   * Make an earlier version the current one by saving it as a new version
+   * @param {string} name - Name of the prompt
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} The current version after restoring
+   */
+  async restorePromptVersion(name, version) {
+    return this.mutateStoredPrompts(async () => {
+      const entry = this.getPromptVersion(name, version);
+      if (!entry) {
+        throw new Error(`Prompt '${name}' has no version ${version}`);
+      }
+      if (this.prompts.has(name) && !this.isPromptEditable(name)) {
+        throw new Error(`Prompt '${name}' cannot be edited`);
+      }
+
+      const prompt = JSON.parse(JSON.stringify(entry.prompt));
+      this.validatePrompt(prompt);
+
+      await this.saveStoredPrompts(new Map(this.storedPrompts).set(name, prompt), { restoredFrom: version });
+      return this.getPromptVersion(name, this.getCurrentVersion(name));
+    });
   }
 
   validatePrompt(prompt) {
-    const required = ['name', 'mcp_servers', 'messages'];
+    // Workflows chain other prompts in steps instead of sending messages
+    const required = ['name', 'mcp_servers', prompt.steps ? 'steps' : 'messages'];
     for (const field of required) {
       if (!prompt[field]) {
         throw new Error(`Prompt missing required field: ${field}`);
@@ -62,16 +333,216 @@ export class PromptManager {
       throw new Error('Prompt mcp_servers must be an array');
     }
 
-    if (!Array.isArray(prompt.messages)) {
-      throw new Error('Prompt messages must be an array');
+    if (prompt.steps) {
+      this.validateWorkflow(prompt);
+    } else {
+      if (!Array.isArray(prompt.messages)) {
+        throw new Error('Prompt messages must be an array');
+      }
+
+      // Validate messages format
+      for (const message of prompt.messages) {
+        if (!message.role || !message.content) {
+          throw new Error('Each message must have role and content');
+        }
+      }
+
+      this.validateTemplates(prompt);
     }
 
-    // Validate messages format
-    for (const message of prompt.messages) {
-      if (!message.role || !message.content) {
-        throw new Error('Each message must have role and content');
+    if (prompt.schedule) {
+      try {
+        new CronExpression(prompt.schedule.cron || '');
+      } catch (error) {
+        throw new Error(`Prompt '${prompt.name}' schedule: ${error.message}`);
       }
     }
+
+    this.validateRunOptions(prompt);
+  }
+
+  /**
+   * Check how Claude runs a prompt: its tool lists, tool approval policy,
+   * turn limit, permission mode, model, sampling settings and provider
+   */
+  validateRunOptions(prompt) {
+    const options = RUN_OPTIONS.filter(option => prompt[option] !== undefined);
+    if (prompt.steps && options.length > 0) {
+      throw new Error(`Workflow '${prompt.name}' cannot have ${options.join(', ')}, set them on the prompts its steps run`);
+    }
+
+    for (const field of ['allowed_tools', 'disallowed_tools']) {
+      if (prompt[field] !== undefined) {
+        this.validateToolPatterns(prompt, field, prompt[field]);
+      }
+    }
+
+    if (prompt.tool_approval !== undefined) {
+      const tools = prompt.tool_approval?.tools;
+      if (!Array.isArray(tools) || tools.length === 0) {
+        throw new Error(`Prompt '${prompt.name}' tool_approval.tools must be a non-empty array`);
+      }
+      this.validateToolPatterns(prompt, 'tool_approval', tools);
+
+      // Both modes let Claude Code run tools without asking
+      if (['acceptEdits', 'bypassPermissions'].includes(prompt.permission_mode)) {
+        throw new Error(`Prompt '${prompt.name}' permission_mode '${prompt.permission_mode}' would skip tool_approval`);
+      }
+    }
+
+    if (prompt.max_turns !== undefined && !(Number.isInteger(prompt.max_turns) && prompt.max_turns > 0)) {
+      throw new Error(`Prompt '${prompt.name}' max_turns must be a positive integer`);
+    }
+    if (prompt.permission_mode !== undefined && !PERMISSION_MODES.includes(prompt.permission_mode)) {
+      throw new Error(`Prompt '${prompt.name}' permission_mode must be one of: ${PERMISSION_MODES.join(', ')}`);
+    }
+    if (prompt.model !== undefined && (typeof prompt.model !== 'string' || !/^[\w.:-]+$/.test(prompt.model))) {
+      throw new Error(`Prompt '${prompt.name}' model must be a model alias or name`);
+    }
+    if (prompt.temperature !== undefined && !(typeof prompt.temperature === 'number' && prompt.temperature >= 0 && prompt.temperature <= 1)) {
+      throw new Error(`Prompt '${prompt.name}' temperature must be a number from 0 to 1`);
+    }
+    if (prompt.max_tokens !== undefined && !(Number.isInteger(prompt.max_tokens) && prompt.max_tokens > 0)) {
+      throw new Error(`Prompt '${prompt.name}' max_tokens must be a positive integer`);
+    }
+    if (prompt.system_prompt !== undefined && (typeof prompt.system_prompt !== 'string' || !prompt.system_prompt.trim())) {
+      throw new Error(`Prompt '${prompt.name}' system_prompt must be a non-empty string`);
+    }
+    if (prompt.provider !== undefined) {
+      this.validateProvider(prompt);
+    }
+  }
+
+  /**
+   * Check that the provider a prompt picks exists and supports the prompt
+   */
+  validateProvider(prompt) {
+    if (typeof prompt.provider !== 'string' || !/^[\w-]+$/.test(prompt.provider)) {
+      throw new Error(`Prompt '${prompt.name}' provider must be a provider name`);
+    }
+    if (!this.providers) {
+      return;
+    }
+
+    const capabilities = this.providers.getCapabilities(prompt.provider);
+    if (!capabilities) {
+      throw new Error(`Prompt '${prompt.name}' provider '${prompt.provider}' is not configured. Available providers: ${this.providers.getNames().join(', ')}`);
+    }
+    const capabilityError = getCapabilityError(prompt, prompt.provider, capabilities);
+    if (capabilityError) {
+      throw new Error(capabilityError);
+    }
+  }
+
+  /**
+   * Check a list of tool patterns: tool names, 'mcp__<server>' or globs with '*'
+   */
+  validateToolPatterns(prompt, field, patterns) {
+    if (!Array.isArray(patterns)) {
+      throw new Error(`Prompt '${prompt.name}' ${field} must be an array`);
+    }
+    for (const pattern of patterns) {
+      if (typeof pattern !== 'string' || !/^[\w*-]+$/.test(pattern)) {
+        throw new Error(`Prompt '${prompt.name}' ${field} has an invalid tool: ${JSON.stringify(pattern)}`);
+      }
+    }
+  }
+
+  /**
+   * Check the steps of a workflow. Steps can only branch to later steps, so
+   * every run ends. The prompts the steps run are looked up when the workflow
+   * runs, since they may be reloaded independently.
+   */
+  validateWorkflow(workflow) {
+    if (!Array.isArray(workflow.steps) || workflow.steps.length === 0) {
+      throw new Error(`Workflow '${workflow.name}' must have at least one step`);
+    }
+    if (workflow.messages) {
+      throw new Error(`Workflow '${workflow.name}' cannot have messages, its steps run other prompts`);
+    }
+
+    const declared = new Set(['steps']); // Outputs of earlier steps
+    Object.keys(workflow.parameters?.properties || {}).forEach(name => declared.add(name));
+    (workflow.parameters?.required || []).forEach(name => declared.add(name));
+
+    const ids = workflow.steps.map(step => step.id);
+    workflow.steps.forEach((step, index) => {
+      if (typeof step.id !== 'string' || !/^[\w-]+$/.test(step.id)) {
+        throw new Error(`Workflow '${workflow.name}' step ${index + 1} needs an id of letters, numbers, '_' and '-'`);
+      }
+      const label = `Workflow '${workflow.name}' step '${step.id}'`;
+      if (ids.indexOf(step.id) !== index) {
+        throw new Error(`${label} is defined more than once`);
+      }
+      if (typeof step.prompt !== 'string' || !step.prompt) {
+        throw new Error(`${label} must name the prompt it runs`);
+      }
+
+      if (step.mcp_servers) {
+        if (!Array.isArray(step.mcp_servers)) {
+          throw new Error(`${label} mcp_servers must be an array`);
+        }
+        const unlisted = step.mcp_servers.filter(server => !workflow.mcp_servers.includes(server));
+        if (unlisted.length > 0) {
+          throw new Error(`${label} uses MCP servers the workflow does not list: ${unlisted.join(', ')}`);
+        }
+      }
+
+      for (const branch of ['on_success', 'on_error']) {
+        const target = step[branch];
+        if (target !== undefined && target !== 'end' && ids.indexOf(target) <= index) {
+          throw new Error(`${label} ${branch} must name a later step or 'end'`);
+        }
+      }
+
+      for (const [name, value] of Object.entries(step.parameters || {})) {
+        if (typeof value !== 'string') {
+          continue;
+        }
+
+        let variables;
+        try {
+          variables = getTemplateVariables(value);
+        } catch (error) {
+          throw new Error(`${label} parameter '${name}': ${error.message}`);
+        }
+
+        const unknown = variables.filter(variable => !declared.has(variable));
+        if (unknown.length > 0) {
+          throw new Error(`${label} parameter '${name}' uses unknown parameters: ${unknown.join(', ')}`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Check that every message template parses and only uses declared parameters,
+   * so broken templates fail at startup instead of at run time
+   */
+  validateTemplates(prompt) {
+    const declared = new Set();
+    for (const message of prompt.messages) {
+      Object.keys(message.parameters?.properties || {}).forEach(name => declared.add(name));
+      (message.parameters?.required || []).forEach(name => declared.add(name));
+    }
+
+    prompt.messages.forEach((message, index) => {
+      if (typeof message.content !== 'string') {
+        return;
+      }
+
+      let variables;
+      try {
+        variables = getTemplateVariables(message.content);
+      } catch (error) {
+        throw new Error(`Prompt '${prompt.name}' message ${index + 1}: ${error.message}`);
+      }
+
+      const unknown = variables.filter(name => !declared.has(name));
+      if (unknown.length > 0) {
+        throw new Error(`Prompt '${prompt.name}' message ${index + 1} uses unknown parameters: ${unknown.join(', ')}`);
+      }
+    });
   }
 
   getPrompts() {
@@ -159,16 +630,27 @@ export class PromptManager {
 
   /**
    * Save a prompt for later execution when authorization is complete
+   * @param {string} promptName - Name of the prompt to run
+   * @param {Object} parameters - Parameters the prompt was requested with
+   * @param {string} userEmail - User who requested the run
+   * @param {string[]} unauthorizedServers - MCP servers that blocked the run
+   * @param {Object|null} options - Model settings the run overrides
+   * @returns {Object} The pending prompt entry
    */
-  savePendingPrompt(promptName, parameters) {
-    this.pendingPrompts.push({
+  savePendingPrompt(promptName, parameters, userEmail = 'unknown', unauthorizedServers = [], options = null) {
+    const pending = {
       promptName,
       parameters,
+      userEmail,
+      unauthorizedServers,
+      options,
       timestamp: new Date().toISOString(),
-      id: Date.now().toString()
-    });
+      id: uuidv4()
+    };
+    this.pendingPrompts.push(pending);
     
     console.log(`📋 Saved pending prompt: ${promptName}`);
+    return pending;
   }
 
   /**
@@ -185,7 +667,9 @@ export class PromptManager {
     const index = this.pendingPrompts.findIndex(p => p.id === id);
     if (index >= 0) {
       this.pendingPrompts.splice(index, 1);
+      return true;
     }
+    return false;
   }
 
   /**
@@ -211,3 +695,41 @@ export class PromptManager {
     return readyPrompts;
   }
 }
+
+// Versions are shared with API responses and executions, so they must never change
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * List the values that differ between two JSON values, by path (e.g. messages[0].content)
+ */
+function diffValues(before, after, path = '', changes = []) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return changes;
+  }
+
+  const bothArrays = Array.isArray(before) && Array.isArray(after);
+  const bothObjects = isPlainObject(before) && isPlainObject(after);
+  if (bothArrays) {
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      diffValues(before[index], after[index], `${path}[${index}]`, changes);
+    }
+  } else if (bothObjects) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes);
+    }
+  } else {
+    changes.push({ path, before, after });
+  }
+
+  return changes;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,465 @@
+import { ProviderRegistry } from '../providers/ProviderRegistry.js';
+import { PromptManager } from './PromptManager.js';
+
+describe('PromptManager', () => {
+  describe('validatePrompt', () => {
+    const createPrompt = (content: string) => ({
+      name: 'create-issue',
+      mcp_servers: [],
+      messages: [
+        {
+          role: 'user',
+          content,
+          parameters: {
+            type: 'object',
+            properties: {
+              summary: { type: 'string' },
+              labels: { type: 'array' },
+            },
+          },
+        },
+      ],
+    });
+
+    it('should accept templates that only use declared parameters', () => {
+      // Arrange
+      const manager = new PromptManager();
+
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          createPrompt(
+            '{{summary}}{{#each labels as label}} {{label | upper}}{{/each}}'
+          )
+        )
+      ).not.toThrow();
+    });
+
+    it('should reject templates that use unknown parameters', () => {
+      // Arrange
+      const manager = new PromptManager();
+
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(createPrompt('{{summary}} in {{projectKey}}'))
+      ).toThrow(
+        "Prompt 'create-issue' message 1 uses unknown parameters: projectKey"
+      );
+    });
+
+    it('should reject templates that do not parse', () => {
+      // Arrange
+      const manager = new PromptManager();
+
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(createPrompt('{{#if summary}}open'))
+      ).toThrow("Prompt 'create-issue' message 1: Unclosed {{#if}} (line 1)");
+    });
+
+    it('should check the tools of a tool approval policy', () => {
+      // Arrange
+      const manager = new PromptManager();
+      const withTools = (tools: unknown) => ({
+        ...createPrompt('{{summary}}'),
+        tool_approval: { tools },
+      });
+
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          withTools(['Bash', 'mcp__github__create_pull_request', '*'])
+        )
+      ).not.toThrow();
+      expect(() => manager.validatePrompt(withTools([]))).toThrow(
+        "Prompt 'create-issue' tool_approval.tools must be a non-empty array"
+      );
+      expect(() => manager.validatePrompt(withTools(['Bash(rm:*)']))).toThrow(
+        'Prompt \'create-issue\' tool_approval has an invalid tool: "Bash(rm:*)"'
+      );
+    });
+
+    it('should check the run options of a prompt', () => {
+      // Arrange
+      const manager = new PromptManager();
+      const withOptions = (options: Record<string, unknown>) => ({
+        ...createPrompt('{{summary}}'),
+        ...options,
+      });
+
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          withOptions({
+            allowed_tools: ['Read', 'mcp__github__get_*'],
+            disallowed_tools: ['Bash'],
+            max_turns: 20,
+            permission_mode: 'plan',
+            model: 'claude-sonnet-4-20250514',
+            temperature: 0,
+            max_tokens: 8000,
+            system_prompt: 'Answer in German',
+          })
+        )
+      ).not.toThrow();
+      expect(() =>
+        manager.validatePrompt(withOptions({ temperature: 2 }))
+      ).toThrow(
+        "Prompt 'create-issue' temperature must be a number from 0 to 1"
+      );
+      expect(() =>
+        manager.validatePrompt(withOptions({ allowed_tools: 'Read' }))
+      ).toThrow("Prompt 'create-issue' allowed_tools must be an array");
+      expect(() =>
+        manager.validatePrompt(withOptions({ max_turns: 0 }))
+      ).toThrow("Prompt 'create-issue' max_turns must be a positive integer");
+      expect(() =>
+        manager.validatePrompt(withOptions({ permission_mode: 'yolo' }))
+      ).toThrow("Prompt 'create-issue' permission_mode must be one of");
+      expect(() =>
+        manager.validatePrompt(
+          withOptions({
+            tool_approval: { tools: ['Bash'] },
+            permission_mode: 'bypassPermissions',
+          })
+        )
+      ).toThrow(
+        "Prompt 'create-issue' permission_mode 'bypassPermissions' would skip tool_approval"
+      );
+    });
+
+    it('should check the provider a prompt picks', () => {
+      // Arrange
+      const providers = new ProviderRegistry();
+      providers.register('ollama', {
+        type: 'openai',
+        capabilities: {
+          mcpServers: false,
+          builtInTools: false,
+          toolApproval: false,
+          followUps: true,
+          samplingSettings: true,
+        },
+        create: jest.fn(),
+      });
+      const manager = new PromptManager();
+      manager.setProviders(providers);
+      const withOptions = (options: Record<string, unknown>) => ({
+        ...createPrompt('{{summary}}'),
+        ...options,
+      });
+
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          withOptions({ provider: 'ollama', temperature: 0.2 })
+        )
+      ).not.toThrow();
+      expect(() =>
+        manager.validatePrompt(withOptions({ provider: 'openai' }))
+      ).toThrow(
+        "Prompt 'create-issue' provider 'openai' is not configured. Available providers: ollama"
+      );
+      expect(() =>
+        manager.validatePrompt(
+          withOptions({
+            provider: 'ollama',
+            mcp_servers: ['jira'],
+            max_turns: 5,
+          })
+        )
+      ).toThrow(
+        "Prompt 'create-issue' uses mcp_servers, max_turns, which provider 'ollama' does not support"
+      );
+    });
+  });
+
+  describe('validateWorkflow', () => {
+    const createWorkflow = (steps: any[]) => ({
+      name: 'triage',
+      mcp_servers: ['jira'],
+      parameters: { properties: { title: { type: 'string' } } },
+      steps,
+    });
+
+    let manager: PromptManager;
+
+    beforeEach(() => {
+      manager = new PromptManager();
+    });
+
+    it('should accept steps that map workflow parameters and earlier outputs', () => {
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          createWorkflow([
+            {
+              id: 'issue',
+              prompt: 'create-issue',
+              parameters: { summary: '{{title}}' },
+              on_error: 'end',
+            },
+            {
+              id: 'clone',
+              prompt: 'clone-repo',
+              parameters: { issue: '{{steps.issue.output}}' },
+              mcp_servers: ['jira'],
+            },
+          ])
+        )
+      ).not.toThrow();
+    });
+
+    it('should reject branches to earlier steps', () => {
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          createWorkflow([
+            { id: 'issue', prompt: 'create-issue' },
+            { id: 'clone', prompt: 'clone-repo', on_error: 'issue' },
+          ])
+        )
+      ).toThrow(
+        "Workflow 'triage' step 'clone' on_error must name a later step or 'end'"
+      );
+    });
+
+    it('should reject steps that use unknown parameters or MCP servers', () => {
+      // Act & Assert
+      expect(() =>
+        manager.validatePrompt(
+          createWorkflow([
+            {
+              id: 'issue',
+              prompt: 'create-issue',
+              parameters: { summary: '{{name}}' },
+            },
+          ])
+        )
+      ).toThrow(
+        "Workflow 'triage' step 'issue' parameter 'summary' uses unknown parameters: name"
+      );
+      expect(() =>
+        manager.validatePrompt(
+          createWorkflow([
+            { id: 'issue', prompt: 'create-issue', mcp_servers: ['github'] },
+          ])
+        )
+      ).toThrow(
+        "Workflow 'triage' step 'issue' uses MCP servers the workflow does not list: github"
+      );
+    });
+  });
+
+  describe('stored prompts', () => {
+    const createPrompt = (name: string, content = 'Hello') => ({
+      name,
+      mcp_servers: [],
+      messages: [{ role: 'user', content }],
+    });
+
+    let store: { load: jest.Mock; save: jest.Mock };
+    let manager: PromptManager;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      store = {
+        load: jest.fn().mockResolvedValue({
+          prompts: [createPrompt('stored')],
+          versions: {},
+        }),
+        save: jest.fn().mockResolvedValue(undefined),
+      };
+      manager = new PromptManager(store as any);
+      manager.setPrompts([createPrompt('configured')]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should load the prompts from the store', async () => {
+      // Act
+      await manager.loadPrompts();
+
+      // Assert
+      expect(manager.getPrompts().map((p: any) => p.name)).toEqual(['stored']);
+      expect(manager.isPromptEditable('stored')).toBe(true);
+    });
+
+    it('should persist created, updated and deleted prompts', async () => {
+      // Act
+      await manager.createPrompt(createPrompt('new'));
+      await manager.updatePrompt('new', createPrompt('new', 'Changed'));
+
+      // Assert
+      expect(store.save).toHaveBeenLastCalledWith(
+        [createPrompt('new', 'Changed')],
+        expect.anything()
+      );
+      expect(manager.getPrompt('new').messages[0].content).toBe('Changed');
+
+      // Act
+      await manager.deletePrompt('new');
+
+      // Assert
+      expect(store.save).toHaveBeenLastCalledWith([], expect.anything());
+      expect(manager.getPrompt('new')).toBeUndefined();
+    });
+
+    it('should not change configured prompts', async () => {
+      // Arrange
+      store.save.mockClear();
+
+      // Act & Assert
+      await expect(
+        manager.updatePrompt('configured', createPrompt('configured'))
+      ).rejects.toThrow("Prompt 'configured' cannot be edited");
+      await expect(
+        manager.createPrompt(createPrompt('configured'))
+      ).rejects.toThrow("Prompt 'configured' already exists");
+      expect(store.save).not.toHaveBeenCalled();
+    });
+
+    it('should keep the prompts unchanged when saving fails', async () => {
+      // Arrange
+      store.save.mockRejectedValue(new Error('disk full'));
+
+      // Act & Assert
+      await expect(manager.createPrompt(createPrompt('new'))).rejects.toThrow(
+        'disk full'
+      );
+      expect(manager.getPrompt('new')).toBeUndefined();
+    });
+
+    it('should apply concurrent changes one after another', async () => {
+      // Arrange
+      store.save.mockImplementation(
+        () => new Promise((resolve) => setTimeout(resolve, 10))
+      );
+
+      // Act
+      const results = await Promise.allSettled([
+        manager.createPrompt(createPrompt('first')),
+        manager.createPrompt(createPrompt('second')),
+        manager.createPrompt(createPrompt('second', 'Again')),
+      ]);
+
+      // Assert
+      expect(results.map((result) => result.status)).toEqual([
+        'fulfilled',
+        'fulfilled',
+        'rejected',
+      ]);
+      expect(manager.getPrompt('first')).toBeDefined();
+      expect(manager.getPrompt('second').messages[0].content).toBe('Hello');
+      expect(store.save).toHaveBeenLastCalledWith(
+        [createPrompt('first'), createPrompt('second')],
+        expect.anything()
+      );
+    });
+  });
+
+  describe('prompt versions', () => {
+    const createPrompt = (name: string, content = 'Hello') => ({
+      name,
+      mcp_servers: [],
+      messages: [{ role: 'user', content }],
+    });
+
+    let store: { load: jest.Mock; save: jest.Mock };
+    let manager: PromptManager;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      store = {
+        load: jest.fn().mockResolvedValue({ prompts: [], versions: {} }),
+        save: jest.fn().mockResolvedValue(undefined),
+      };
+      manager = new PromptManager(store as any);
+      await manager.loadPrompts();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record a version for every change and persist them', async () => {
+      // Act
+      await manager.createPrompt(createPrompt('greet'));
+      await manager.updatePrompt('greet', createPrompt('greet'));
+      await manager.updatePrompt('greet', createPrompt('greet', 'Hi'));
+
+      // Assert
+      const versions = manager.getPromptVersions('greet');
+      expect(versions.map((entry: any) => entry.version)).toEqual([1, 2]);
+      expect(versions[1].prompt).toEqual(createPrompt('greet', 'Hi'));
+      expect(manager.getCurrentVersion('greet')).toBe(2);
+      expect(Object.isFrozen(versions[0].prompt.messages[0])).toBe(true);
+      expect(store.save).toHaveBeenLastCalledWith(
+        [createPrompt('greet', 'Hi')],
+        { greet: versions }
+      );
+    });
+
+    it('should record versions of configured prompts when they are reloaded', () => {
+      // Act
+      manager.setPrompts([createPrompt('configured')]);
+      manager.setPrompts([createPrompt('configured')]);
+      manager.setPrompts([createPrompt('configured', 'Changed')]);
+
+      // Assert
+      expect(manager.getCurrentVersion('configured')).toBe(2);
+      expect(store.save).toHaveBeenCalledTimes(2);
+    });
+
+    it('should diff two versions by path', async () => {
+      // Arrange
+      await manager.createPrompt(createPrompt('greet'));
+      await manager.updatePrompt('greet', {
+        ...createPrompt('greet', 'Hi'),
+        description: 'Greets',
+      });
+
+      // Act
+      const diff = manager.diffPromptVersions('greet', 1, 2);
+
+      // Assert
+      expect(diff.changes).toEqual([
+        { path: 'messages[0].content', before: 'Hello', after: 'Hi' },
+        { path: 'description', before: undefined, after: 'Greets' },
+      ]);
+      expect(manager.diffPromptVersions('greet', 1, 3)).toBeNull();
+    });
+
+    it('should restore a version as a new version, also after deleting the prompt', async () => {
+      // Arrange
+      await manager.createPrompt(createPrompt('greet'));
+      await manager.updatePrompt('greet', createPrompt('greet', 'Hi'));
+      await manager.deletePrompt('greet');
+
+      // Act
+      const restored = await manager.restorePromptVersion('greet', 1);
+
+      // Assert
+      expect(restored).toMatchObject({ version: 3, restoredFrom: 1 });
+      expect(manager.getPrompt('greet')).toEqual(createPrompt('greet'));
+      expect(manager.isPromptEditable('greet')).toBe(true);
+    });
+
+    it('should not restore configured prompts or unknown versions', async () => {
+      // Arrange
+      manager.setPrompts([createPrompt('configured')]);
+
+      // Act & Assert
+      await expect(
+        manager.restorePromptVersion('configured', 1)
+      ).rejects.toThrow("Prompt 'configured' cannot be edited");
+      await expect(
+        manager.restorePromptVersion('configured', 5)
+      ).rejects.toThrow("Prompt 'configured' has no version 5");
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+const STORE_VERSION = 1;
+
+/**
+ * Writable on-disk store for prompts created and edited through the API.
+ *
+ * Prompts from the PROMPTS configuration are never written here; the store
+ * holds the prompts the API manages and the version history of every prompt:
+ *   { version, prompts: [...], versions: { [promptName]: [...] } }
+ */
+export class PromptStore {
+  /**
+   * @param {string} filePath - Path of the store file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Create a store at PROMPT_STORE_PATH (default ./data/prompts.json)
+   * @returns {PromptStore}
+   */
+  static fromEnv() {
+    return new PromptStore(
+      path.resolve(process.env.PROMPT_STORE_PATH || './data/prompts.json')
+    );
+  }
+
+  /**
+   * Read all stored prompts and prompt versions
+   * @returns {Promise<{prompts: Object[], versions: Object}>} Empty when the store does not exist yet
+   */
+  async load() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return { prompts: [], versions: {} };
+    }
+
+    const store = await fs.readJson(this.filePath);
+    if (store.version !== STORE_VERSION) {
+      throw new Error(`Unsupported prompt store version: ${store.version}`);
+    }
+    if (!Array.isArray(store.prompts)) {
+      throw new Error(`Prompt store ${this.filePath} has no prompts array`);
+    }
+
+    return { prompts: store.prompts, versions: store.versions || {} };
+  }
+
+  /**
+   * Write all stored prompts and prompt versions (atomically, one write at a time)
+   * @param {Object[]} prompts - Every prompt the store should hold
+   * @param {Object} versions - Version history by prompt name
+   */
+  async save(prompts, versions = {}) {
+    const write = this.writeChain.then(() =>
+      this.writeStore(prompts, versions)
+    );
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  async writeStore(prompts, versions) {
+    await fs.ensureDir(path.dirname(this.filePath));
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeJson(
+      tempPath,
+      { version: STORE_VERSION, prompts, versions },
+      { spaces: 2 }
+    );
+    await fs.rename(tempPath, this.filePath);
+  }
+}
@@ -0,0 +1,55 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { PromptStore } from './PromptStore.js';
+
+describe('PromptStore', () => {
+  let storeDir: string;
+
+  beforeEach(async () => {
+    storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompt-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(storeDir);
+  });
+
+  it('should start empty and read back what it saved', async () => {
+    // Arrange
+    const store = new PromptStore(
+      path.join(storeDir, 'nested', 'prompts.json')
+    );
+    const prompts = [
+      {
+        name: 'greet',
+        mcp_servers: [],
+        messages: [{ role: 'user', content: 'Hi' }],
+      },
+    ];
+    const versions = {
+      greet: [
+        { version: 1, createdAt: '2024-01-15T10:30:00Z', prompt: prompts[0] },
+      ],
+    };
+
+    // Act
+    const initial = await store.load();
+    await store.save(prompts, versions);
+
+    // Assert
+    expect(initial).toEqual({ prompts: [], versions: {} });
+    expect(await store.load()).toEqual({ prompts, versions });
+  });
+
+  it('should reject files with an unknown version', async () => {
+    // Arrange
+    const filePath = path.join(storeDir, 'prompts.json');
+    await fs.writeJson(filePath, { version: 99, prompts: [] });
+
+    // Act & Assert
+    await expect(new PromptStore(filePath).load()).rejects.toThrow(
+      'Unsupported prompt store version: 99'
+    );
+  });
+});
@@ -0,0 +1,132 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { ConfigManager } from '../config/ConfigManager.js';
+import { PromptManager } from '../prompts/PromptManager.js';
+import { ConfigReloader, getConfigFilePath } from './ConfigReloader.js';
+
+describe('ConfigReloader', () => {
+  let configDir: string;
+  let promptsFile: string;
+  let serversFile: string;
+  let promptManager: PromptManager;
+  let configManager: ConfigManager;
+  let reloader: ConfigReloader;
+  const originalEnv = { ...process.env };
+
+  const prompt = (name: string, content = 'Hello') => ({
+    name,
+    mcp_servers: [],
+    messages: [{ role: 'user', content }],
+  });
+  const server = (name: string, url = 'https://example.com/mcp') => ({
+    name,
+    type: 'url',
+    url,
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+    promptsFile = path.join(configDir, 'prompts.json');
+    serversFile = path.join(configDir, 'mcp-servers.json');
+    await fs.writeJson(promptsFile, [prompt('summarize'), prompt('triage')]);
+    await fs.writeJson(serversFile, [server('jira')]);
+    process.env['PROMPTS'] = promptsFile;
+    process.env['MCP_SERVERS'] = serversFile;
+
+    promptManager = new PromptManager();
+    configManager = new ConfigManager();
+    await promptManager.loadPrompts();
+    await configManager.loadMcpServers();
+  });
+
+  afterEach(async () => {
+    reloader?.close();
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+    await fs.remove(configDir);
+  });
+
+  it('should apply the new configuration and report what changed', async () => {
+    // Arrange
+    const onReload = jest.fn();
+    reloader = new ConfigReloader(promptManager, configManager, onReload);
+    await fs.writeJson(promptsFile, [
+      prompt('summarize', 'Changed'),
+      prompt('review'),
+    ]);
+    await fs.writeJson(serversFile, [server('jira'), server('github')]);
+
+    // Act
+    const result = await reloader.reload();
+
+    // Assert
+    expect(result).toEqual({
+      prompts: {
+        added: ['review'],
+        removed: ['triage'],
+        changed: ['summarize'],
+      },
+      mcpServers: { added: ['github'], removed: [], changed: [] },
+    });
+    expect(promptManager.getPrompt('summarize').messages[0].content).toBe(
+      'Changed'
+    );
+    expect(configManager.getMcpServer('github')).toBeDefined();
+    expect(onReload).toHaveBeenCalledWith(result);
+  });
+
+  it('should keep the last good configuration when an edit is invalid', async () => {
+    // Arrange
+    const onReload = jest.fn();
+    reloader = new ConfigReloader(promptManager, configManager, onReload);
+    await fs.writeJson(serversFile, [server('jira'), server('github')]);
+    await fs.writeJson(promptsFile, [
+      prompt('summarize', 'Summarize {{unknown}}'),
+    ]);
+
+    // Act & Assert
+    await expect(reloader.reload()).rejects.toThrow(
+      "Prompt 'summarize' message 1 uses unknown parameters: unknown"
+    );
+    expect(promptManager.getPrompts().map((p: any) => p.name)).toEqual([
+      'summarize',
+      'triage',
+    ]);
+    expect(configManager.getMcpServer('github')).toBeUndefined();
+    expect(onReload).not.toHaveBeenCalled();
+  });
+
+  it('should reload when a watched file changes', async () => {
+    // Arrange
+    const reloaded = new Promise((resolve) => {
+      reloader = new ConfigReloader(promptManager, configManager, resolve, 10);
+    });
+    reloader.watch();
+
+    // Act
+    await fs.writeJson(promptsFile, [prompt('summarize')]);
+
+    // Assert
+    expect(await reloaded).toEqual(
+      expect.objectContaining({
+        prompts: { added: [], removed: ['triage'], changed: [] },
+      })
+    );
+  });
+});
+
+describe('getConfigFilePath', () => {
+  it('should only return a path for file based configuration', () => {
+    // Act & Assert
+    expect(getConfigFilePath(undefined)).toBeNull();
+    expect(getConfigFilePath('[{"name":"inline"}]')).toBeNull();
+    expect(getConfigFilePath('examples/prompts.json')).toBe(
+      path.resolve('examples/prompts.json')
+    );
+  });
+});
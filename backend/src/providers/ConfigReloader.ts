@@ -0,0 +1,174 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+export interface ConfigDiff {
+  added: string[];
+  removed: string[];
+  changed: string[];
+}
+
+export interface ReloadResult {
+  prompts: ConfigDiff;
+  mcpServers: ConfigDiff;
+}
+
+interface NamedConfig {
+  name: string;
+}
+
+interface ReloadablePrompts {
+  getPrompts(): NamedConfig[];
+  readPrompts(): Promise<NamedConfig[]>;
+  setPrompts(prompts: NamedConfig[]): void;
+}
+
+interface ReloadableMcpServers {
+  getMcpServers(): NamedConfig[];
+  readMcpServers(): Promise<NamedConfig[]>;
+  setMcpServers(servers: NamedConfig[]): void;
+}
+
+/**
+ * Compare two configurations by name
+ */
+export function diffByName(
+  before: NamedConfig[],
+  after: NamedConfig[]
+): ConfigDiff {
+  const previous = new Map(before.map((item) => [item.name, item]));
+  const next = new Map(after.map((item) => [item.name, item]));
+
+  return {
+    added: [...next.keys()].filter((name) => !previous.has(name)),
+    removed: [...previous.keys()].filter((name) => !next.has(name)),
+    changed: [...next.keys()].filter(
+      (name) =>
+        previous.has(name) &&
+        JSON.stringify(previous.get(name)) !== JSON.stringify(next.get(name))
+    ),
+  };
+}
+
+/**
+ * Resolve the file a config environment variable points to, or null when the
+ * variable is unset or holds inline JSON
+ */
+export function getConfigFilePath(value: string | undefined): string | null {
+  if (!value) {
+    return null;
+  }
+  try {
+    JSON.parse(value);
+    return null;
+  } catch {
+    return path.resolve(value);
+  }
+}
+
+/**
+ * Reloads the PROMPTS and MCP_SERVERS configuration without a restart.
+ *
+ * Both are read and validated before either is applied, so a broken edit
+ * keeps the last good configuration. Executions already running keep the
+ * prompt and servers they started with.
+ */
+export class ConfigReloader {
+  private watchers: fs.FSWatcher[] = [];
+  private debounceTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private promptManager: ReloadablePrompts,
+    private configManager: ReloadableMcpServers,
+    private onReload: (result: ReloadResult) => void = () => {},
+    private debounceMs: number = 300
+  ) {}
+
+  /**
+   * Read, validate and apply the configuration
+   * @returns What changed, by prompt and server name
+   * @throws Error if the configuration is invalid; nothing is applied then
+   */
+  async reload(): Promise<ReloadResult> {
+    const mcpServers = await this.configManager.readMcpServers();
+    const prompts = await this.promptManager.readPrompts();
+
+    const previousPrompts = this.promptManager.getPrompts();
+    const previousMcpServers = this.configManager.getMcpServers();
+
+    this.configManager.setMcpServers(mcpServers);
+    this.promptManager.setPrompts(prompts);
+
+    // Compare what is served, which includes prompts that are not configured in PROMPTS
+    const result: ReloadResult = {
+      prompts: diffByName(previousPrompts, this.promptManager.getPrompts()),
+      mcpServers: diffByName(
+        previousMcpServers,
+        this.configManager.getMcpServers()
+      ),
+    };
+    this.onReload(result);
+
+    return result;
+  }
+
+  /**
+   * Reload whenever the files named by PROMPTS or MCP_SERVERS change
+   */
+  watch(): void {
+    const files = [
+      getConfigFilePath(process.env['PROMPTS']),
+      getConfigFilePath(process.env['MCP_SERVERS']),
+    ].filter((file): file is string => file !== null);
+
+    for (const file of new Set(files)) {
+      // Watch the directory, editors often replace the file instead of writing to it
+      const watcher = fs.watch(path.dirname(file), (_event, filename) => {
+        if (filename === path.basename(file)) {
+          this.scheduleReload();
+        }
+      });
+      watcher.unref();
+      this.watchers.push(watcher);
+      console.log(`👀 Watching ${file} for changes`);
+    }
+  }
+
+  /**
+   * Stop watching the configuration files
+   */
+  close(): void {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+  }
+
+  private scheduleReload(): void {
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.reload()
+        .then((result) => {
+          console.log(
+            `🔄 Reloaded configuration: ${describeDiff('prompts', result.prompts)}; ${describeDiff('MCP servers', result.mcpServers)}`
+          );
+        })
+        .catch((error) => {
+          console.error(
+            `❌ Failed to reload configuration, keeping the last good one: ${error.message}`
+          );
+        });
+    }, this.debounceMs);
+  }
+}
+
+function describeDiff(label: string, diff: ConfigDiff): string {
+  return `${label} +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`;
+}
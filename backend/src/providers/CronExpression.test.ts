@@ -0,0 +1,69 @@
+import { CronExpression } from './CronExpression.js';
+
+describe('CronExpression', () => {
+  it('should find the next weekday morning run', () => {
+    // Arrange
+    const cron = new CronExpression('0 9 * * mon-fri');
+    const friday = new Date(2025, 0, 3, 9, 0); // Friday 09:00
+
+    // Act
+    const next = cron.next(friday);
+
+    // Assert
+    expect(next).toEqual(new Date(2025, 0, 6, 9, 0)); // Monday 09:00
+  });
+
+  it('should support lists, ranges and steps', () => {
+    // Arrange
+    const cron = new CronExpression('*/15 8-10 1,15 * *');
+
+    // Act
+    const next = cron.next(new Date(2025, 0, 1, 10, 50));
+
+    // Assert
+    expect(next).toEqual(new Date(2025, 0, 15, 8, 0));
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // Arrange
+    const cron = new CronExpression('0 0 13 * 5');
+
+    // Act & Assert
+    expect(cron.matches(new Date(2025, 0, 10, 0, 0))).toBe(true); // Friday 10th
+    expect(cron.matches(new Date(2025, 0, 13, 0, 0))).toBe(true); // Monday 13th
+    expect(cron.matches(new Date(2025, 0, 14, 0, 0))).toBe(false);
+  });
+
+  it('should treat 7 as Sunday', () => {
+    // Arrange
+    const cron = new CronExpression('30 6 * * 7');
+
+    // Act
+    const next = cron.next(new Date(2025, 0, 1));
+
+    // Assert
+    expect(next).toEqual(new Date(2025, 0, 5, 6, 30));
+  });
+
+  it('should return null for dates that never occur', () => {
+    // Arrange
+    const cron = new CronExpression('0 0 30 feb *');
+
+    // Act & Assert
+    expect(cron.next(new Date(2025, 0, 1))).toBeNull();
+  });
+
+  it.each([
+    '* * * *',
+    '60 * * * *',
+    '* 24 * * *',
+    '5-1 * * * *',
+    '*/0 * * * *',
+    '* * * foo *',
+  ])('should reject %p', (expression) => {
+    // Act & Assert
+    expect(() => new CronExpression(expression)).toThrow(
+      /Invalid cron expression/
+    );
+  });
+});
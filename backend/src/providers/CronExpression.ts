@@ -0,0 +1,209 @@
+interface CronField {
+  min: number;
+  max: number;
+  names?: string[];
+}
+
+const MINUTE: CronField = { min: 0, max: 59 };
+const HOUR: CronField = { min: 0, max: 23 };
+const DAY_OF_MONTH: CronField = { min: 1, max: 31 };
+const MONTH: CronField = {
+  min: 1,
+  max: 12,
+  names: [
+    'jan',
+    'feb',
+    'mar',
+    'apr',
+    'may',
+    'jun',
+    'jul',
+    'aug',
+    'sep',
+    'oct',
+    'nov',
+    'dec',
+  ],
+};
+// 7 is accepted as an alias for Sunday
+const DAY_OF_WEEK: CronField = {
+  min: 0,
+  max: 7,
+  names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+};
+
+// Give up looking for the next run after this many days (covers Feb 29)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * A standard 5-field cron expression (minute hour day-of-month month
+ * day-of-week), evaluated in the server's local time zone.
+ *
+ * Supports '*', lists (1,15), ranges (1-5), steps (*\/15, 0-30/10) and
+ * month/weekday names (jan, mon-fri). As in cron, when both day-of-month and
+ * day-of-week are restricted a day matches if either of them does.
+ */
+export class CronExpression {
+  readonly source: string;
+  private minutes: Set<number>;
+  private hours: Set<number>;
+  private daysOfMonth: Set<number>;
+  private months: Set<number>;
+  private daysOfWeek: Set<number>;
+  private dayOfMonthRestricted: boolean;
+  private dayOfWeekRestricted: boolean;
+
+  /**
+   * @throws Error if the expression is not a valid 5-field cron expression
+   */
+  constructor(expression: string) {
+    this.source = expression;
+
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error(
+        `Invalid cron expression '${expression}': expected 5 fields (minute hour day-of-month month day-of-week)`
+      );
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields as [
+      string,
+      string,
+      string,
+      string,
+      string,
+    ];
+    this.minutes = parseField(minute, MINUTE, expression);
+    this.hours = parseField(hour, HOUR, expression);
+    this.daysOfMonth = parseField(dayOfMonth, DAY_OF_MONTH, expression);
+    this.months = parseField(month, MONTH, expression);
+    this.daysOfWeek = parseField(dayOfWeek, DAY_OF_WEEK, expression);
+    if (this.daysOfWeek.delete(7)) {
+      this.daysOfWeek.add(0);
+    }
+
+    this.dayOfMonthRestricted = !dayOfMonth.startsWith('*');
+    this.dayOfWeekRestricted = !dayOfWeek.startsWith('*');
+  }
+
+  /**
+   * Check whether the expression matches the minute of the given date
+   */
+  matches(date: Date): boolean {
+    return (
+      this.minutes.has(date.getMinutes()) &&
+      this.hours.has(date.getHours()) &&
+      this.matchesDay(date)
+    );
+  }
+
+  /**
+   * Get the first matching minute strictly after the given date
+   * @returns null if the expression never matches (e.g. 30 February)
+   */
+  next(after: Date = new Date()): Date | null {
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+      if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.hours.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.minutes.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+      return date;
+    }
+
+    return null;
+  }
+
+  toString(): string {
+    return this.source;
+  }
+
+  private matchesDay(date: Date): boolean {
+    if (!this.months.has(date.getMonth() + 1)) {
+      return false;
+    }
+
+    const dayOfMonth = this.daysOfMonth.has(date.getDate());
+    const dayOfWeek = this.daysOfWeek.has(date.getDay());
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+}
+
+function parseField(
+  field: string,
+  spec: CronField,
+  expression: string
+): Set<number> {
+  const values = new Set<number>();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/') as [string, string | undefined];
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(
+        `Invalid cron expression '${expression}': bad step in '${part}'`
+      );
+    }
+
+    let start: number;
+    let end: number;
+    if (range === '*') {
+      start = spec.min;
+      end = spec.max;
+    } else {
+      const [from, to] = range.split('-') as [string, string | undefined];
+      start = parseValue(from, spec, expression);
+      end =
+        to !== undefined
+          ? parseValue(to, spec, expression)
+          : stepText !== undefined
+            ? spec.max
+            : start;
+    }
+
+    if (start > end) {
+      throw new Error(
+        `Invalid cron expression '${expression}': bad range '${part}'`
+      );
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseValue(text: string, spec: CronField, expression: string): number {
+  const nameIndex = spec.names?.indexOf(text.toLowerCase()) ?? -1;
+  const value = nameIndex >= 0 ? nameIndex + spec.min : Number(text);
+
+  if (
+    text === '' ||
+    !Number.isInteger(value) ||
+    value < spec.min ||
+    value > spec.max
+  ) {
+    throw new Error(
+      `Invalid cron expression '${expression}': '${text}' must be between ${spec.min} and ${spec.max}`
+    );
+  }
+  return value;
+}
@@ -15,6 +15,15 @@ interface EmailTestResult {
   message: string;
 }
 
+export interface ScheduleDigest {
+  promptName: string;
+  cron: string;
+  executionId: string;
+  status: string;
+  result: string | null;
+  error: string | null;
+}
+
 /**
  * Provider for sending email notifications
  */
@@ -250,6 +259,73 @@ Your AI Coding Agent
     `.trim();
   }
 
+  /**
+   * Send the digest of a scheduled prompt execution
+   */
+  async sendScheduleDigestEmail(
+    email: string,
+    digest: ScheduleDigest
+  ): Promise<void> {
+    const subject = `[${digest.status}] Scheduled prompt ${digest.promptName} - AI Coding Agent`;
+    const htmlContent = this.buildScheduleDigestEmailHTML(digest);
+    const textContent = this.buildScheduleDigestEmailText(digest);
+
+    await this.sendEmail(email, subject, textContent, htmlContent);
+  }
+
+  /**
+   * Build HTML email content for a scheduled execution digest
+   */
+  private buildScheduleDigestEmailHTML(digest: ScheduleDigest): string {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:4200';
+    const escape = (text: string) =>
+      text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    return `
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #f4f4f4; padding: 20px; text-align: center; }
+            .content { padding: 20px; }
+            .result { background: #f9f9f9; padding: 15px; border-left: 4px solid #007cba; white-space: pre-wrap; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>⏰ ${escape(digest.promptName)}</h1>
+            </div>
+            <div class="content">
+              <p>The scheduled run (<code>${escape(digest.cron)}</code>) finished with status <strong>${digest.status}</strong>.</p>
+              ${digest.error ? `<p><strong>Error:</strong> ${escape(digest.error)}</p>` : ''}
+              ${digest.result ? `<div class="result">${escape(digest.result)}</div>` : ''}
+              <p><a href="${baseUrl}/prompts/${encodeURIComponent(digest.promptName)}/activity">View execution ${digest.executionId}</a></p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Build text email content for a scheduled execution digest
+   */
+  private buildScheduleDigestEmailText(digest: ScheduleDigest): string {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:4200';
+
+    return `
+Scheduled prompt ${digest.promptName} - AI Coding Agent
+
+The scheduled run (${digest.cron}) finished with status ${digest.status}.
+${digest.error ? `\nError: ${digest.error}\n` : ''}
+${digest.result || ''}
+
+Execution: ${baseUrl}/prompts/${encodeURIComponent(digest.promptName)}/activity (${digest.executionId})
+    `.trim();
+  }
+
   /**
    * Send email notification
    */
@@ -0,0 +1,106 @@
+import { EventEmitter } from 'events';
+
+export interface ExecutionEvent {
+  event: string;
+  data: any;
+}
+
+/**
+ * Response stand-in for running a Claude service without an HTTP client.
+ *
+ * The Claude services stream Server-Sent Events into an Express response;
+ * this sink accepts the same calls, parses the SSE frames back into events
+ * and emits them as 'event'. Execution history is still recorded by the
+ * services themselves, so background runs show up like any other execution.
+ */
+export class ExecutionEventSink extends EventEmitter {
+  headersSent = false;
+  writableEnded = false;
+  statusCode = 200;
+  private buffer = '';
+
+  writeHead(statusCode: number, _headers?: Record<string, string>): this {
+    this.statusCode = statusCode;
+    this.headersSent = true;
+    return this;
+  }
+
+  setHeader(_name: string, _value: string): this {
+    return this;
+  }
+
+  status(statusCode: number): this {
+    this.statusCode = statusCode;
+    return this;
+  }
+
+  json(body: any): this {
+    this.emit('event', { event: 'error', data: body });
+    this.end();
+    return this;
+  }
+
+  write(chunk: string | Buffer): boolean {
+    // Like a real response, nothing can be written once the stream has ended
+    if (this.writableEnded) {
+      return false;
+    }
+    this.buffer += chunk.toString();
+
+    let separator = this.buffer.indexOf('\n\n');
+    while (separator >= 0) {
+      const frame = this.buffer.slice(0, separator);
+      this.buffer = this.buffer.slice(separator + 2);
+      this.parseFrame(frame);
+      separator = this.buffer.indexOf('\n\n');
+    }
+
+    return true;
+  }
+
+  end(chunk?: string | Buffer): this {
+    if (this.writableEnded) {
+      return this;
+    }
+    if (chunk) {
+      this.write(chunk);
+    }
+    this.writableEnded = true;
+    this.emit('finish');
+    return this;
+  }
+
+  /**
+   * Signal the running service that nobody is listening anymore
+   */
+  close(): void {
+    this.emit('close');
+  }
+
+  private parseFrame(frame: string): void {
+    let event = 'message';
+    const dataLines: string[] = [];
+
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+
+    if (dataLines.length === 0) {
+      return;
+    }
+
+    const raw = dataLines.join('\n');
+    let data: any;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      data = raw;
+    }
+
+    this.emit('event', { event, data } as ExecutionEvent);
+  }
+}
@@ -0,0 +1,179 @@
+import { formatExecutionEvent } from '../../public/js/execution-events.js';
+import {
+  fromAnthropicChunk,
+  fromClaudeCodeMessage,
+} from './ExecutionEvents.js';
+
+describe('formatExecutionEvent', () => {
+  it('should write a Server-Sent Event carrying the protocol version', () => {
+    // Act & Assert
+    expect(formatExecutionEvent('text_delta', { text: 'Hello' })).toBe(
+      'event: text_delta\ndata: {"version":1,"text":"Hello"}\n\n'
+    );
+  });
+});
+
+describe('fromAnthropicChunk', () => {
+  it('should map text and thinking deltas', () => {
+    // Act & Assert
+    expect(
+      fromAnthropicChunk({
+        type: 'content_block_delta',
+        delta: { type: 'text_delta', text: 'Hi' },
+      })
+    ).toEqual([{ event: 'text_delta', data: { text: 'Hi' } }]);
+    expect(
+      fromAnthropicChunk({
+        type: 'content_block_delta',
+        delta: { type: 'thinking_delta', thinking: 'Hmm' },
+      })
+    ).toEqual([{ event: 'thinking', data: { text: 'Hmm' } }]);
+  });
+
+  it('should map MCP tool calls and their results', () => {
+    // Act
+    const events = [
+      ...fromAnthropicChunk({
+        type: 'content_block_start',
+        content_block: {
+          type: 'mcp_tool_use',
+          id: 'tool_1',
+          name: 'get_issue',
+          server_name: 'jira',
+          input: { key: 'PROJ-1' },
+        },
+      }),
+      ...fromAnthropicChunk({
+        type: 'content_block_start',
+        content_block: {
+          type: 'mcp_tool_result',
+          tool_use_id: 'tool_1',
+          is_error: false,
+          content: [{ type: 'text', text: 'Login bug' }],
+        },
+      }),
+    ];
+
+    // Assert
+    expect(events).toEqual([
+      {
+        event: 'tool_use',
+        data: {
+          id: 'tool_1',
+          name: 'get_issue',
+          input: { key: 'PROJ-1' },
+          serverName: 'jira',
+        },
+      },
+      {
+        event: 'tool_result',
+        data: {
+          toolUseId: 'tool_1',
+          content: [{ type: 'text', text: 'Login bug' }],
+          isError: false,
+        },
+      },
+    ]);
+  });
+
+  it('should drop chunks that only frame the message', () => {
+    // Act & Assert
+    expect(
+      fromAnthropicChunk({ type: 'content_block_stop', index: 0 })
+    ).toEqual([]);
+    expect(fromAnthropicChunk({ type: 'message_stop' })).toEqual([]);
+  });
+});
+
+describe('fromClaudeCodeMessage', () => {
+  it('should map the session start to a status', () => {
+    // Act & Assert
+    expect(
+      fromClaudeCodeMessage({
+        type: 'system',
+        subtype: 'init',
+        session_id: 'session-1',
+        model: 'claude-sonnet-4-20250514',
+      })
+    ).toEqual([
+      {
+        event: 'status',
+        data: {
+          message: 'Claude Code session started',
+          sessionId: 'session-1',
+          model: 'claude-sonnet-4-20250514',
+        },
+      },
+    ]);
+  });
+
+  it('should map assistant and user content blocks in order', () => {
+    // Act
+    const events = [
+      ...fromClaudeCodeMessage({
+        type: 'assistant',
+        message: {
+          content: [
+            { type: 'text', text: 'Cloning' },
+            { type: 'tool_use', id: 'tool_1', name: 'Bash', input: {} },
+          ],
+        },
+      }),
+      ...fromClaudeCodeMessage({
+        type: 'user',
+        message: {
+          content: [
+            {
+              type: 'tool_result',
+              tool_use_id: 'tool_1',
+              content: 'Permission denied',
+              is_error: true,
+            },
+          ],
+        },
+      }),
+    ];
+
+    // Assert
+    expect(events.map((event) => event.event)).toEqual([
+      'text_delta',
+      'tool_use',
+      'tool_result',
+    ]);
+    expect(events[2]!.data).toEqual({
+      toolUseId: 'tool_1',
+      content: 'Permission denied',
+      isError: true,
+    });
+  });
+
+  it('should map the result to usage and report runs that stopped early', () => {
+    // Act
+    const events = fromClaudeCodeMessage({
+      type: 'result',
+      subtype: 'error_max_turns',
+      total_cost_usd: 0.02,
+      num_turns: 10,
+      usage: { input_tokens: 100, output_tokens: 20 },
+    });
+
+    // Assert
+    expect(events).toEqual([
+      {
+        event: 'usage',
+        data: {
+          inputTokens: 100,
+          outputTokens: 20,
+          cacheCreationInputTokens: 0,
+          cacheReadInputTokens: 0,
+          costUsd: 0.02,
+          numTurns: 10,
+        },
+      },
+      {
+        event: 'status',
+        data: { message: 'Claude Code stopped: error_max_turns' },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,143 @@
+import type {
+  ExecutionEventPayloads,
+  ExecutionEventType,
+} from '../../public/js/execution-events.js';
+import { getResultUsage } from './UsageTracker.js';
+
+/**
+ * An execution event before it is written to the stream
+ */
+export type ExecutionEventInit = {
+  [K in ExecutionEventType]: { event: K; data: ExecutionEventPayloads[K] };
+}[ExecutionEventType];
+
+/**
+ * Map a chunk of an Anthropic Messages API stream onto the execution event
+ * protocol. Chunks that only frame the message (message_start aside) map to
+ * no events.
+ */
+export function fromAnthropicChunk(chunk: any): ExecutionEventInit[] {
+  switch (chunk.type) {
+    case 'message_start':
+      return chunk.message?.model
+        ? [
+            {
+              event: 'status',
+              data: {
+                message: `Claude (${chunk.message.model}) is responding`,
+                model: chunk.message.model,
+              },
+            },
+          ]
+        : [];
+
+    case 'content_block_start':
+      // MCP tool calls arrive as whole content blocks
+      return fromContentBlock(chunk.content_block);
+
+    case 'content_block_delta':
+      if (chunk.delta?.type === 'thinking_delta') {
+        return [{ event: 'thinking', data: { text: chunk.delta.thinking } }];
+      }
+      return chunk.delta?.text
+        ? [{ event: 'text_delta', data: { text: chunk.delta.text } }]
+        : [];
+
+    case 'mcp_tool_use':
+    case 'mcp_tool_result':
+      return fromContentBlock(chunk);
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Map a message of Claude Code (the SDK's messages, or the lines of the
+ * CLI's stream-json output) onto the execution event protocol. Usage is
+ * mapped from the result message; the result itself goes into the
+ * 'complete' event, which the service sends once the run has finished.
+ */
+export function fromClaudeCodeMessage(message: any): ExecutionEventInit[] {
+  switch (message.type) {
+    case 'system':
+      return message.subtype === 'init'
+        ? [
+            {
+              event: 'status',
+              data: {
+                message: 'Claude Code session started',
+                sessionId: message.session_id,
+                model: message.model,
+              },
+            },
+          ]
+        : [];
+
+    case 'assistant':
+    case 'user':
+      return (
+        Array.isArray(message.message?.content) ? message.message.content : []
+      ).flatMap(fromContentBlock);
+
+    case 'result': {
+      const events: ExecutionEventInit[] = [
+        { event: 'usage', data: getResultUsage(message) },
+      ];
+      if (message.subtype !== 'success') {
+        events.push({
+          event: 'status',
+          data: { message: `Claude Code stopped: ${message.subtype}` },
+        });
+      }
+      return events;
+    }
+
+    default:
+      return [];
+  }
+}
+
+function fromContentBlock(block: any): ExecutionEventInit[] {
+  switch (block?.type) {
+    case 'text':
+      return block.text
+        ? [{ event: 'text_delta', data: { text: block.text } }]
+        : [];
+
+    case 'thinking':
+      return block.thinking
+        ? [{ event: 'thinking', data: { text: block.thinking } }]
+        : [];
+
+    case 'tool_use':
+    case 'mcp_tool_use':
+      return [
+        {
+          event: 'tool_use',
+          data: {
+            id: block.id ?? null,
+            name: block.name,
+            input: block.input,
+            ...(block.server_name ? { serverName: block.server_name } : {}),
+          },
+        },
+      ];
+
+    case 'tool_result':
+    case 'mcp_tool_result':
+      return [
+        {
+          event: 'tool_result',
+          data: {
+            toolUseId: block.tool_use_id ?? null,
+            content: block.content,
+            isError: !!block.is_error,
+          },
+        },
+      ];
+
+    default:
+      return [];
+  }
+}
@@ -1,5 +1,15 @@
 import { v4 as uuidv4 } from 'uuid';
 
+import type { TranscriptMessage } from '../types/index.js';
+
+import type { ExecutionHistoryStore } from './history/ExecutionHistoryStore.js';
+import { InMemoryExecutionHistoryStore } from './history/InMemoryExecutionHistoryStore.js';
+
+/**
+ * Message type used to record streamed execution events in ExecutionRecord.messages
+ */
+export const SSE_EVENT_MESSAGE_TYPE = 'sse_event';
+
 export interface ExecutionMessage {
   timestamp: string;
   type: string;
@@ -24,77 +34,266 @@ export interface ExecutionError {
   timestamp: string;
 }
 
+export interface ExecutionUsage {
+  inputTokens: number;
+  outputTokens: number;
+  cacheCreationInputTokens: number;
+  cacheReadInputTokens: number;
+  costUsd: number | null; // Null when the service reports no cost and the model has no price
+  numTurns: number | null;
+}
+
+export type ExecutionStatus = 'queued' | 'running' | 'completed' | 'error' | 'cancelled';
+
 export interface ExecutionRecord {
   id: string;
   promptName: string;
+  promptVersion?: number | null; // Absent on records created before prompts were versioned
+  parentExecutionId?: string | null; // Workflow execution that ran this one as a step
+  previousExecutionId?: string | null; // Execution this one continues the conversation of
+  followUpMessage?: string | null; // What the user sent to continue that conversation
   parameters: Record<string, any>;
   userEmail: string;
   timestamp: string;
   startTime: number;
-  status: 'running' | 'completed' | 'error';
+  status: ExecutionStatus;
   messages: ExecutionMessage[];
   toolUses: ToolUse[];
   toolResults: ToolResult[];
   response: any;
   error: ExecutionError | null;
+  usage?: ExecutionUsage | null; // Absent until the run reports its token usage
+  model?: string | null; // Model the run reported using; absent until it starts
+  sessionId?: string | null; // Claude Code session, resumed by follow-ups
+  transcript?: TranscriptMessage[] | null; // Conversation sent to the Anthropic SDK service and its reply, replayed by follow-ups
   endTime: number | null;
   duration: number | null;
 }
 
+export interface ExecutionFollowUpOf {
+  previousExecutionId: string;
+  message: string;
+}
+
+export type StatusChangeListener = (execution: ExecutionRecord, previousStatus: ExecutionStatus) => void;
+
+export interface RetentionPolicy {
+  maxAgeMs: number | null;
+  maxRecords: number | null;
+}
+
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Read the retention policy from EXECUTION_HISTORY_MAX_AGE_DAYS and
+ * EXECUTION_HISTORY_MAX_RECORDS (both optional)
+ */
+export function getRetentionPolicyFromEnv(): RetentionPolicy {
+  const maxAgeDays = parseFloat(process.env['EXECUTION_HISTORY_MAX_AGE_DAYS'] || '');
+  const maxRecords = parseInt(process.env['EXECUTION_HISTORY_MAX_RECORDS'] || '');
+
+  return {
+    maxAgeMs: maxAgeDays > 0 ? maxAgeDays * 24 * 60 * 60 * 1000 : null,
+    maxRecords: maxRecords > 0 ? maxRecords : null
+  };
+}
+
 /**
  * Provider for managing prompt execution history data
  */
 export class ExecutionHistoryProvider {
   private executions: Map<string, ExecutionRecord> = new Map();
   private promptExecutions: Map<string, string[]> = new Map();
+  private store: ExecutionHistoryStore;
+  private retention: RetentionPolicy;
+  private retentionTimer: NodeJS.Timeout | null = null;
+  private statusListeners: Set<StatusChangeListener> = new Set();
+
+  constructor(
+    store: ExecutionHistoryStore = new InMemoryExecutionHistoryStore(),
+    retention: RetentionPolicy = getRetentionPolicyFromEnv()
+  ) {
+    this.store = store;
+    this.retention = retention;
+  }
+
+  /**
+   * Load persisted executions and start periodic retention pruning
+   */
+  async initialize(): Promise<void> {
+    const records = await this.store.load();
+
+    records
+      .sort((a, b) => a.startTime - b.startTime)
+      .forEach(record => {
+        // Runs that were queued or in flight when the server stopped can never finish
+        if (record.status === 'queued' || record.status === 'running') {
+          record.status = 'error';
+          record.error = {
+            message: 'Execution was interrupted by a server restart',
+            type: 'InterruptedError',
+            timestamp: new Date().toISOString()
+          };
+          record.endTime = record.endTime || Date.now();
+          record.duration = record.endTime - record.startTime;
+        }
+        this.index(record);
+      });
+
+    await this.applyRetention(true);
+
+    if (this.store.type !== 'memory') {
+      console.log(`✅ Loaded ${this.executions.size} executions from ${this.store.type} history store`);
+    }
+
+    if (this.retention.maxAgeMs || this.retention.maxRecords) {
+      this.retentionTimer = setInterval(() => {
+        this.applyRetention().catch(error => {
+          console.error('❌ Failed to apply execution history retention:', error);
+        });
+      }, RETENTION_INTERVAL_MS);
+      this.retentionTimer.unref();
+    }
+  }
+
+  /**
+   * Remove finished executions that fall outside the retention policy
+   * @param forceCompact - Rewrite the store even when nothing was pruned
+   * @returns IDs of the removed executions
+   */
+  async applyRetention(forceCompact: boolean = false): Promise<string[]> {
+    const { maxAgeMs, maxRecords } = this.retention;
+    const finished = Array.from(this.executions.values())
+      .filter(execution => execution.status !== 'queued' && execution.status !== 'running')
+      .sort((a, b) => b.startTime - a.startTime);
+
+    const removeIds = new Set<string>();
+
+    if (maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      finished
+        .filter(execution => execution.startTime < cutoff)
+        .forEach(execution => removeIds.add(execution.id));
+    }
+
+    if (maxRecords && this.executions.size > maxRecords) {
+      const excess = this.executions.size - maxRecords;
+      finished
+        .slice(-excess)
+        .forEach(execution => removeIds.add(execution.id));
+    }
+
+    for (const id of removeIds) {
+      this.unindex(id);
+    }
+
+    if (removeIds.size > 0 || forceCompact) {
+      await this.store.compact(() => Array.from(this.executions.values()));
+    }
+
+    if (removeIds.size > 0) {
+      console.log(`🧹 Pruned ${removeIds.size} executions from history`);
+    }
+
+    return Array.from(removeIds);
+  }
+
+  /**
+   * Stop the retention timer and wait for pending writes
+   */
+  async close(): Promise<void> {
+    if (this.retentionTimer) {
+      clearInterval(this.retentionTimer);
+      this.retentionTimer = null;
+    }
+    await this.store.flush();
+  }
+
+  /**
+   * Register a listener that is called whenever an execution changes status
+   * (including failures recorded with setError)
+   * @returns A function that removes the listener
+   */
+  onStatusChange(listener: StatusChangeListener): () => void {
+    this.statusListeners.add(listener);
+    return () => {
+      this.statusListeners.delete(listener);
+    };
+  }
 
   /**
    * Create a new execution record
    */
-  createExecution(promptName: string, parameters: Record<string, any>, userEmail: string): string {
+  createExecution(
+    promptName: string,
+    parameters: Record<string, any>,
+    userEmail: string,
+    status: 'queued' | 'running' = 'running',
+    promptVersion: number | null = null,
+    parentExecutionId: string | null = null,
+    followUpOf: ExecutionFollowUpOf | null = null
+  ): string {
     const executionId = uuidv4();
     const timestamp = new Date().toISOString();
-    
+
     const execution: ExecutionRecord = {
       id: executionId,
       promptName,
+      promptVersion,
+      parentExecutionId,
+      previousExecutionId: followUpOf?.previousExecutionId ?? null,
+      followUpMessage: followUpOf?.message ?? null,
       parameters,
       userEmail,
       timestamp,
       startTime: Date.now(),
-      status: 'running',
+      status,
       messages: [],
       toolUses: [],
       toolResults: [],
       response: null,
       error: null,
+      usage: null,
+      model: null,
+      sessionId: null,
+      transcript: null,
       endTime: null,
       duration: null
     };
 
-    this.executions.set(executionId, execution);
-    
-    // Add to prompt-specific list
-    if (!this.promptExecutions.has(promptName)) {
-      this.promptExecutions.set(promptName, []);
-    }
-    this.promptExecutions.get(promptName)!.unshift(executionId); // Add to beginning for latest-first
+    this.index(execution);
+    this.store.put(execution);
 
     console.log(`📝 Created execution record: ${executionId} for prompt: ${promptName}`);
     return executionId;
   }
 
   /**
-   * Update execution status
+   * Update execution status (a cancelled execution keeps its status)
    */
-  updateStatus(executionId: string, status: 'running' | 'completed' | 'error'): void {
+  updateStatus(executionId: string, status: ExecutionStatus): void {
     const execution = this.executions.get(executionId);
-    if (execution) {
+    if (execution && execution.status !== 'cancelled') {
+      const previousStatus = execution.status;
+      // Time spent waiting in the queue does not count towards the duration
+      if (execution.status === 'queued' && status === 'running') {
+        execution.startTime = Date.now();
+      }
       execution.status = status;
-      if (status === 'completed' || status === 'error') {
+      if (status === 'completed' || status === 'error' || status === 'cancelled') {
         execution.endTime = Date.now();
         execution.duration = execution.endTime - execution.startTime;
       }
+      this.store.patch(executionId, {
+        status: execution.status,
+        startTime: execution.startTime,
+        endTime: execution.endTime,
+        duration: execution.duration
+      });
+
+      if (status !== previousStatus) {
+        this.notifyStatusChange(execution, previousStatus);
+      }
     }
   }
 
@@ -104,11 +303,13 @@ export class ExecutionHistoryProvider {
   addMessage(executionId: string, type: string, data: any): void {
     const execution = this.executions.get(executionId);
     if (execution) {
-      execution.messages.push({
+      const message = {
         timestamp: new Date().toISOString(),
         type,
         data
-      });
+      };
+      execution.messages.push(message);
+      this.store.push(executionId, 'messages', message);
     }
   }
 
@@ -118,10 +319,12 @@ export class ExecutionHistoryProvider {
   addToolUse(executionId: string, toolUse: { name: string; server_name?: string; [key: string]: any }): void {
     const execution = this.executions.get(executionId);
     if (execution) {
-      execution.toolUses.push({
+      const entry = {
         timestamp: new Date().toISOString(),
         ...toolUse
-      });
+      };
+      execution.toolUses.push(entry);
+      this.store.push(executionId, 'toolUses', entry);
     }
   }
 
@@ -131,10 +334,12 @@ export class ExecutionHistoryProvider {
   addToolResult(executionId: string, toolResult: { [key: string]: any }): void {
     const execution = this.executions.get(executionId);
     if (execution) {
-      execution.toolResults.push({
+      const entry = {
         timestamp: new Date().toISOString(),
         ...toolResult
-      });
+      };
+      execution.toolResults.push(entry);
+      this.store.push(executionId, 'toolResults', entry);
     }
   }
 
@@ -145,6 +350,51 @@ export class ExecutionHistoryProvider {
     const execution = this.executions.get(executionId);
     if (execution) {
       execution.response = response;
+      this.store.patch(executionId, { response });
+    }
+  }
+
+  /**
+   * Set the token usage and cost of an execution
+   */
+  setUsage(executionId: string, usage: ExecutionUsage): void {
+    const execution = this.executions.get(executionId);
+    if (execution) {
+      execution.usage = usage;
+      this.store.patch(executionId, { usage });
+    }
+  }
+
+  /**
+   * Set the model an execution ran with
+   */
+  setModel(executionId: string, model: string): void {
+    const execution = this.executions.get(executionId);
+    if (execution) {
+      execution.model = model;
+      this.store.patch(executionId, { model });
+    }
+  }
+
+  /**
+   * Set the Claude Code session of an execution
+   */
+  setSessionId(executionId: string, sessionId: string): void {
+    const execution = this.executions.get(executionId);
+    if (execution) {
+      execution.sessionId = sessionId;
+      this.store.patch(executionId, { sessionId });
+    }
+  }
+
+  /**
+   * Set the conversation an execution sent and received
+   */
+  setTranscript(executionId: string, transcript: TranscriptMessage[]): void {
+    const execution = this.executions.get(executionId);
+    if (execution) {
+      execution.transcript = transcript;
+      this.store.patch(executionId, { transcript });
     }
   }
 
@@ -153,12 +403,13 @@ export class ExecutionHistoryProvider {
    */
   setError(executionId: string, error: Error): void {
     const execution = this.executions.get(executionId);
-    if (execution) {
+    if (execution && execution.status !== 'cancelled') {
       execution.error = {
         message: error.message,
         type: error.constructor.name,
         timestamp: new Date().toISOString()
       };
+      this.store.patch(executionId, { error: execution.error });
       this.updateStatus(executionId, 'error');
     }
   }
@@ -181,6 +432,45 @@ export class ExecutionHistoryProvider {
       .filter((execution): execution is ExecutionRecord => execution !== undefined);
   }
 
+  /**
+   * Get the step executions of a workflow execution, in the order they ran
+   */
+  getChildExecutions(parentExecutionId: string): ExecutionRecord[] {
+    return Array.from(this.executions.values())
+      .filter(execution => execution.parentExecutionId === parentExecutionId)
+      .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+  }
+
+  /**
+   * Get the execution that continued this one's conversation, if any
+   */
+  getFollowUp(executionId: string): ExecutionRecord | null {
+    return Array.from(this.executions.values())
+      .find(execution => execution.previousExecutionId === executionId) || null;
+  }
+
+  /**
+   * Get every execution of the conversation an execution belongs to, from
+   * the one that started it to the latest follow-up
+   */
+  getThread(executionId: string): ExecutionRecord[] {
+    let first = this.executions.get(executionId);
+    while (first?.previousExecutionId && this.executions.has(first.previousExecutionId)) {
+      first = this.executions.get(first.previousExecutionId);
+    }
+    if (!first) {
+      return [];
+    }
+
+    const thread = [first];
+    let followUp = this.getFollowUp(first.id);
+    while (followUp) {
+      thread.push(followUp);
+      followUp = this.getFollowUp(followUp.id);
+    }
+    return thread;
+  }
+
   /**
    * Get all execution history
    */
@@ -198,9 +488,57 @@ export class ExecutionHistoryProvider {
     const execution = this.executions.get(executionId);
     if (!execution) return '';
 
+    // Executions recorded before the execution event protocol kept the raw Anthropic chunks
     return execution.messages
-      .filter(msg => msg.type === 'content_block_delta' && msg.data.delta && msg.data.delta.text)
-      .map(msg => msg.data.delta.text)
+      .map(msg => {
+        if (msg.type === SSE_EVENT_MESSAGE_TYPE) {
+          return msg.data.event === 'text_delta' ? msg.data.data?.text || '' : '';
+        }
+        return msg.type === 'content_block_delta' ? msg.data.delta?.text || '' : '';
+      })
       .join('');
   }
+
+  private notifyStatusChange(execution: ExecutionRecord, previousStatus: ExecutionStatus): void {
+    for (const listener of this.statusListeners) {
+      try {
+        listener(execution, previousStatus);
+      } catch (error) {
+        console.error('❌ Execution status listener failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Add an execution to the lookup maps
+   */
+  private index(execution: ExecutionRecord): void {
+    this.executions.set(execution.id, execution);
+
+    // Add to prompt-specific list
+    if (!this.promptExecutions.has(execution.promptName)) {
+      this.promptExecutions.set(execution.promptName, []);
+    }
+    this.promptExecutions.get(execution.promptName)!.unshift(execution.id); // Add to beginning for latest-first
+  }
+
+  /**
+   * Remove an execution from the lookup maps
+   */
+  private unindex(executionId: string): void {
+    const execution = this.executions.get(executionId);
+    if (!execution) return;
+
+    this.executions.delete(executionId);
+
+    const promptIds = this.promptExecutions.get(execution.promptName);
+    if (promptIds) {
+      const remaining = promptIds.filter(id => id !== executionId);
+      if (remaining.length > 0) {
+        this.promptExecutions.set(execution.promptName, remaining);
+      } else {
+        this.promptExecutions.delete(execution.promptName);
+      }
+    }
+  }
 }
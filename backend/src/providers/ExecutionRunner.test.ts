@@ -0,0 +1,526 @@
+import { EventEmitter } from 'events';
+import type { Response } from 'express';
+
+import { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import {
+  ExecutionRunner,
+  getConcurrencyLimitsFromEnv,
+} from './ExecutionRunner.js';
+import { WorkspaceUnavailableError } from './WorkspaceManager.js';
+
+function createMockResponse() {
+  const res = new EventEmitter() as EventEmitter & {
+    writeHead: jest.Mock;
+    write: jest.Mock;
+    end: jest.Mock;
+    output: () => string;
+  };
+  const chunks: string[] = [];
+  res.writeHead = jest.fn();
+  res.write = jest.fn((chunk: string) => chunks.push(chunk));
+  res.end = jest.fn();
+  res.output = () => chunks.join('');
+  return res;
+}
+
+function sendSSEEvent(res: any, event: string, data: any) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+describe('ExecutionRunner', () => {
+  let history: ExecutionHistoryProvider;
+  let finishExecution: () => void;
+  let claudeService: { executePromptStream: jest.Mock };
+  let runner: ExecutionRunner;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+
+    claudeService = {
+      executePromptStream: jest.fn(
+        (_prompt, _parameters, _config, _auth, res, _user, options) => {
+          sendSSEEvent(res, 'status', { executionId: options.executionId });
+          return new Promise<void>((resolve) => {
+            finishExecution = () => {
+              sendSSEEvent(res, 'complete', {});
+              history.updateStatus(options.executionId, 'completed');
+              res.end();
+              resolve();
+            };
+          });
+        }
+      ),
+    };
+
+    runner = new ExecutionRunner(claudeService, history, {}, {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should create the execution record before the service runs', () => {
+    // Act
+    const executionId = runner.start({ name: 'test-prompt' }, { a: 1 });
+
+    // Assert
+    expect(history.getExecution(executionId)?.status).toBe('running');
+    expect(claudeService.executePromptStream).toHaveBeenCalledWith(
+      { name: 'test-prompt' },
+      { a: 1 },
+      {},
+      {},
+      expect.anything(),
+      'unknown',
+      { executionId, signal: expect.any(AbortSignal) }
+    );
+    expect(runner.isActive(executionId)).toBe(true);
+  });
+
+  it('should stamp the execution with the prompt version it runs', () => {
+    // Arrange
+    const promptVersions = { getCurrentVersion: jest.fn().mockReturnValue(3) };
+    runner = new ExecutionRunner(
+      claudeService,
+      history,
+      {},
+      {},
+      undefined,
+      null,
+      promptVersions
+    );
+
+    // Act
+    const executionId = runner.start({ name: 'test-prompt' }, {});
+
+    // Assert
+    expect(promptVersions.getCurrentVersion).toHaveBeenCalledWith(
+      'test-prompt'
+    );
+    expect(history.getExecution(executionId)?.promptVersion).toBe(3);
+  });
+
+  it('should refuse to start a run over budget', () => {
+    // Arrange
+    const budgets = {
+      checkBudget: jest.fn(() => {
+        throw new Error('over budget');
+      }),
+    };
+    runner = new ExecutionRunner(
+      claudeService,
+      history,
+      {},
+      {},
+      undefined,
+      null,
+      null,
+      budgets
+    );
+
+    // Act & Assert
+    expect(() =>
+      runner.start({ name: 'test-prompt' }, {}, 'user@example.com')
+    ).toThrow('over budget');
+    expect(budgets.checkBudget).toHaveBeenCalledWith(
+      'test-prompt',
+      'user@example.com'
+    );
+    expect(history.getAllHistory()).toEqual([]);
+    expect(claudeService.executePromptStream).not.toHaveBeenCalled();
+  });
+
+  it('should replay recorded events and then follow live output', async () => {
+    // Arrange
+    const executionId = runner.start({ name: 'test-prompt' }, {});
+    const res = createMockResponse();
+
+    // Act
+    runner.attach(executionId, res as unknown as Response);
+    finishExecution();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    expect(res.output()).toBe(
+      `event: status\ndata: ${JSON.stringify({ executionId })}\n\n` +
+        'event: complete\ndata: {}\n\n'
+    );
+    expect(res.end).toHaveBeenCalled();
+    expect(runner.isActive(executionId)).toBe(false);
+  });
+
+  it('should keep running when the attached client disconnects', async () => {
+    // Arrange
+    const executionId = runner.start({ name: 'test-prompt' }, {});
+    const res = createMockResponse();
+    runner.attach(executionId, res as unknown as Response);
+
+    // Act
+    res.emit('close');
+    finishExecution();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    expect(history.getExecution(executionId)?.status).toBe('completed');
+    expect(res.output()).not.toContain('event: complete');
+
+    const replay = createMockResponse();
+    runner.attach(executionId, replay as unknown as Response);
+    expect(replay.output()).toContain('event: complete');
+    expect(replay.end).toHaveBeenCalled();
+  });
+
+  it('should abort the service and mark the execution as cancelled', async () => {
+    // Arrange
+    claudeService.executePromptStream.mockImplementation(
+      (_prompt, _parameters, _config, _auth, res, _user, options) =>
+        new Promise<void>((resolve) => {
+          options.signal.addEventListener('abort', () => {
+            history.setError(options.executionId, new Error('aborted'));
+            sendSSEEvent(res, 'cancelled', {});
+            res.end();
+            resolve();
+          });
+        })
+    );
+    const executionId = runner.start({ name: 'test-prompt' }, {});
+
+    // Act
+    const cancelled = runner.cancel(executionId);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    expect(cancelled).toBe(true);
+    expect(history.getExecution(executionId)?.status).toBe('cancelled');
+    expect(history.getExecution(executionId)?.error).toBeNull();
+    expect(runner.isActive(executionId)).toBe(false);
+    expect(runner.cancel(executionId)).toBe(false);
+  });
+
+  it('should resolve waitForCompletion once the execution has finished', async () => {
+    // Arrange
+    const executionId = runner.start({ name: 'test-prompt' }, {});
+    const done = jest.fn();
+    runner.waitForCompletion(executionId).then(done);
+
+    // Act
+    await new Promise((resolve) => setImmediate(resolve));
+    const beforeFinish = done.mock.calls.length;
+    finishExecution();
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    expect(beforeFinish).toBe(0);
+    expect(done).toHaveBeenCalled();
+    expect(history.getExecution(executionId)?.status).toBe('completed');
+  });
+
+  it('should continue a finished conversation in the workspace of its first execution', async () => {
+    // Arrange
+    const workspaceManager = {
+      create: jest.fn((id: string) => ({
+        dir: `/workspaces/${id}`,
+        mcpConfigPath: `/workspaces/${id}/.mcp.json`,
+      })),
+      release: jest.fn().mockResolvedValue(undefined),
+      retain: jest.fn().mockReturnValue(true),
+    };
+    runner = new ExecutionRunner(
+      claudeService,
+      history,
+      {},
+      {},
+      undefined,
+      workspaceManager as any
+    );
+    const firstId = runner.start({ name: 'test-prompt' }, { a: 1 });
+    finishExecution();
+    await new Promise((resolve) => setImmediate(resolve));
+    history.setModel(firstId, 'claude-sonnet-4-20250514');
+    history.setSessionId(firstId, 'session-1');
+
+    // Act
+    const secondId = runner.followUp(
+      history.getExecution(firstId)!,
+      { name: 'test-prompt', model: 'sonnet' },
+      'Now add tests',
+      'alice@example.com'
+    );
+    finishExecution();
+    await new Promise((resolve) => setImmediate(resolve));
+    history.setSessionId(secondId, 'session-2');
+    const thirdId = runner.followUp(
+      history.getExecution(secondId)!,
+      { name: 'test-prompt' },
+      'And docs'
+    );
+
+    // Assert
+    expect(claudeService.executePromptStream).toHaveBeenNthCalledWith(
+      2,
+      { name: 'test-prompt', model: 'claude-sonnet-4-20250514' },
+      { a: 1 },
+      {},
+      {},
+      expect.anything(),
+      'alice@example.com',
+      expect.objectContaining({
+        executionId: secondId,
+        workspace: expect.objectContaining({ dir: `/workspaces/${firstId}` }),
+        followUp: {
+          message: 'Now add tests',
+          sessionId: 'session-1',
+          transcript: null,
+        },
+      })
+    );
+    expect(claudeService.executePromptStream.mock.calls[2][6]).toEqual(
+      expect.objectContaining({
+        workspace: expect.objectContaining({ dir: `/workspaces/${firstId}` }),
+        followUp: expect.objectContaining({ sessionId: 'session-2' }),
+      })
+    );
+    expect(history.getExecution(secondId)).toEqual(
+      expect.objectContaining({
+        previousExecutionId: firstId,
+        followUpMessage: 'Now add tests',
+      })
+    );
+    expect(
+      history.getThread(secondId).map((execution) => execution.id)
+    ).toEqual([firstId, secondId, thirdId]);
+    expect(workspaceManager.retain).toHaveBeenCalledWith(firstId);
+    expect(workspaceManager.release).toHaveBeenCalledWith(firstId);
+    expect(workspaceManager.release).not.toHaveBeenCalledWith(secondId);
+  });
+
+  it('should not resume a session whose workspace was deleted', async () => {
+    // Arrange
+    const workspaceManager = {
+      create: jest.fn(),
+      release: jest.fn().mockResolvedValue(undefined),
+      retain: jest.fn().mockReturnValue(false),
+    };
+    runner = new ExecutionRunner(
+      claudeService,
+      history,
+      {},
+      {},
+      undefined,
+      workspaceManager as any
+    );
+    const firstId = runner.start({ name: 'test-prompt' }, {});
+    finishExecution();
+    await new Promise((resolve) => setImmediate(resolve));
+    history.setSessionId(firstId, 'session-1');
+
+    // Act & Assert
+    expect(() =>
+      runner.followUp(
+        history.getExecution(firstId)!,
+        { name: 'test-prompt' },
+        'Now add tests'
+      )
+    ).toThrow(WorkspaceUnavailableError);
+    expect(history.getThread(firstId)).toHaveLength(1);
+  });
+
+  it('should return false when attaching to an unknown execution', () => {
+    // Act
+    const attached = runner.attach(
+      'missing',
+      createMockResponse() as unknown as Response
+    );
+
+    // Assert
+    expect(attached).toBe(false);
+  });
+
+  it('should record each streamed event once and read the text from them', async () => {
+    // Arrange
+    claudeService.executePromptStream.mockImplementation(
+      async (_prompt, _parameters, _config, _auth, res, _user, options) => {
+        sendSSEEvent(res, 'text_delta', { text: 'Hello ' });
+        sendSSEEvent(res, 'text_delta', { text: 'world' });
+        sendSSEEvent(res, 'complete', {});
+        history.updateStatus(options.executionId, 'completed');
+        res.end();
+      }
+    );
+
+    // Act
+    const executionId = runner.start({ name: 'test-prompt' }, {});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    const messages = history.getExecution(executionId)!.messages;
+    expect(messages.map((m) => [m.type, m.data.event])).toEqual([
+      ['sse_event', 'text_delta'],
+      ['sse_event', 'text_delta'],
+      ['sse_event', 'complete'],
+    ]);
+    expect(history.getExecutionText(executionId)).toBe('Hello world');
+  });
+});
+
+describe('ExecutionRunner queue', () => {
+  let history: ExecutionHistoryProvider;
+  let finishers: Map<string, () => void>;
+  let claudeService: { executePromptStream: jest.Mock };
+
+  function createRunner(
+    maxConcurrent: number | null,
+    perPrompt: number | null
+  ) {
+    return new ExecutionRunner(
+      claudeService,
+      history,
+      {},
+      {},
+      { maxConcurrent, maxConcurrentPerPrompt: perPrompt }
+    );
+  }
+
+  async function finish(executionId: string) {
+    finishers.get(executionId)!();
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+    finishers = new Map();
+
+    claudeService = {
+      executePromptStream: jest.fn(
+        (_prompt, _parameters, _config, _auth, res, _user, options) =>
+          new Promise<void>((resolve) => {
+            finishers.set(options.executionId, () => {
+              history.updateStatus(options.executionId, 'completed');
+              res.end();
+              resolve();
+            });
+          })
+      ),
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should queue executions beyond the global limit in FIFO order', async () => {
+    // Arrange
+    const runner = createRunner(1, null);
+
+    // Act
+    const first = runner.start({ name: 'a' }, {});
+    const second = runner.start({ name: 'b' }, {});
+    const third = runner.start({ name: 'c' }, {});
+
+    // Assert
+    expect(history.getExecution(first)?.status).toBe('running');
+    expect(history.getExecution(second)?.status).toBe('queued');
+    expect(runner.getQueueStatus().queued.map((q) => q.executionId)).toEqual([
+      second,
+      third,
+    ]);
+
+    await finish(first);
+    expect(history.getExecution(second)?.status).toBe('running');
+    expect(history.getExecution(third)?.status).toBe('queued');
+    expect(claudeService.executePromptStream).toHaveBeenCalledTimes(2);
+  });
+
+  it('should run every execution at once without a global limit', () => {
+    // Arrange
+    const runner = createRunner(null, null);
+
+    // Act
+    const started = ['a', 'b', 'c'].map((name) => runner.start({ name }, {}));
+
+    // Assert
+    for (const executionId of started) {
+      expect(history.getExecution(executionId)?.status).toBe('running');
+    }
+    expect(runner.getQueueStatus().queued).toEqual([]);
+  });
+
+  it('should send queue positions as status events', async () => {
+    // Arrange
+    const runner = createRunner(1, null);
+    const first = runner.start({ name: 'a' }, {});
+    runner.start({ name: 'a' }, {});
+    const third = runner.start({ name: 'a' }, {});
+
+    // Act
+    await finish(first);
+
+    // Assert
+    const positions = history
+      .getExecution(third)!
+      .messages.filter((m) => m.data.event === 'status')
+      .map((m) => m.data.data.queuePosition);
+    expect(positions).toEqual([2, 1]);
+  });
+
+  it('should let other prompts pass an execution blocked by its per-prompt limit', () => {
+    // Arrange
+    const runner = createRunner(2, 1);
+
+    // Act
+    runner.start({ name: 'a' }, {});
+    const blocked = runner.start({ name: 'a' }, {});
+    const other = runner.start({ name: 'b' }, {});
+
+    // Assert
+    expect(history.getExecution(blocked)?.status).toBe('queued');
+    expect(history.getExecution(other)?.status).toBe('running');
+  });
+
+  it('should cancel a queued execution without starting it', () => {
+    // Arrange
+    const runner = createRunner(1, null);
+    runner.start({ name: 'a' }, {});
+    const queued = runner.start({ name: 'a' }, {});
+
+    // Act
+    runner.cancel(queued);
+
+    // Assert
+    expect(history.getExecution(queued)?.status).toBe('cancelled');
+    expect(runner.getQueueStatus().queued).toEqual([]);
+    expect(runner.isActive(queued)).toBe(false);
+    expect(claudeService.executePromptStream).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getConcurrencyLimitsFromEnv', () => {
+  afterEach(() => {
+    delete process.env['MAX_CONCURRENT_EXECUTIONS'];
+    delete process.env['MAX_CONCURRENT_EXECUTIONS_PER_PROMPT'];
+  });
+
+  it('should not limit executions unless asked to', () => {
+    // Act & Assert
+    expect(getConcurrencyLimitsFromEnv()).toEqual({
+      maxConcurrent: null,
+      maxConcurrentPerPrompt: null,
+    });
+
+    process.env['MAX_CONCURRENT_EXECUTIONS'] = '4';
+    process.env['MAX_CONCURRENT_EXECUTIONS_PER_PROMPT'] = '1';
+    expect(getConcurrencyLimitsFromEnv()).toEqual({
+      maxConcurrent: 4,
+      maxConcurrentPerPrompt: 1,
+    });
+  });
+});
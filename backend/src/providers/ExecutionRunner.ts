@@ -0,0 +1,629 @@
+import type { Response } from 'express';
+
+import {
+  type ExecutionEventType,
+  formatExecutionEvent,
+} from '../../public/js/execution-events.js';
+import { isWorkflow } from '../../public/js/prompt-utils.js';
+import type {
+  ExecutionFollowUp,
+  ExecutionOptions,
+  Prompt,
+} from '../types/index.js';
+import {
+  type ExecutionEvent,
+  ExecutionEventSink,
+} from './ExecutionEventSink.js';
+import {
+  type ExecutionFollowUpOf,
+  type ExecutionHistoryProvider,
+  type ExecutionRecord,
+  SSE_EVENT_MESSAGE_TYPE,
+} from './ExecutionHistoryProvider.js';
+import {
+  type WorkspaceManager,
+  WorkspaceUnavailableError,
+} from './WorkspaceManager.js';
+
+export interface ClaudeExecutionService {
+  executePromptStream(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any,
+    res: any,
+    userEmail: string,
+    options?: ExecutionOptions
+  ): Promise<void>;
+}
+
+export interface PromptVersionSource {
+  getCurrentVersion(name: string): number | null;
+}
+
+export interface BudgetChecker {
+  checkBudget(promptName: string, userEmail: string): void;
+}
+
+export interface WorkflowStarter {
+  start(
+    workflow: Prompt,
+    parameters: Record<string, any>,
+    userEmail: string
+  ): string;
+}
+
+/**
+ * Work run by startTask in place of a Claude service
+ */
+export type ExecutionTask = (context: {
+  executionId: string;
+  sink: ExecutionEventSink;
+  signal: AbortSignal;
+}) => Promise<void>;
+
+interface ExecutionSubscriber {
+  onEvent: (event: ExecutionEvent) => void;
+  onEnd: () => void;
+}
+
+interface ActiveExecution {
+  executionId: string;
+  prompt: Prompt;
+  parameters: Record<string, any>;
+  userEmail: string;
+  sink: ExecutionEventSink;
+  subscribers: Set<ExecutionSubscriber>;
+  abortController: AbortController;
+  followUp: ExecutionFollowUp | null;
+  workspaceId: string; // Execution whose workspace this one runs in
+  queuedAt: number;
+  startedAt: number | null;
+  queuePosition: number | null;
+}
+
+export interface ConcurrencyLimits {
+  maxConcurrent: number | null; // null: unlimited
+  maxConcurrentPerPrompt: number | null;
+}
+
+/**
+ * Read the concurrency limits from MAX_CONCURRENT_EXECUTIONS and
+ * MAX_CONCURRENT_EXECUTIONS_PER_PROMPT. Both are unlimited unless set, so
+ * runs only queue where the queue was asked for.
+ */
+export function getConcurrencyLimitsFromEnv(): ConcurrencyLimits {
+  const maxConcurrent = parseInt(
+    process.env['MAX_CONCURRENT_EXECUTIONS'] || ''
+  );
+  const maxConcurrentPerPrompt = parseInt(
+    process.env['MAX_CONCURRENT_EXECUTIONS_PER_PROMPT'] || ''
+  );
+
+  return {
+    maxConcurrent: maxConcurrent > 0 ? maxConcurrent : null,
+    maxConcurrentPerPrompt:
+      maxConcurrentPerPrompt > 0 ? maxConcurrentPerPrompt : null,
+  };
+}
+
+/**
+ * Get the final output of an execution: the result its 'complete' event
+ * reported, or else the text it streamed. Executions recorded before the
+ * execution event protocol are read from their Claude Code events.
+ * @returns The output, null when there is none
+ */
+export function getExecutionOutput(
+  executionHistoryService: Pick<
+    ExecutionHistoryProvider,
+    'getExecution' | 'getExecutionText'
+  >,
+  executionId: string
+): string | null {
+  const record = executionHistoryService.getExecution(executionId);
+  if (!record) {
+    return null;
+  }
+
+  const events = record.messages
+    .filter((message) => message.type === SSE_EVENT_MESSAGE_TYPE)
+    .map((message) => message.data as ExecutionEvent);
+  const result = events
+    .filter(
+      (event) => event.event === 'complete' || event.event === 'result_success'
+    )
+    .pop();
+  const text = events
+    .map((event) =>
+      event.event === 'text_delta'
+        ? event.data?.text || ''
+        : event.event === 'content_block_delta'
+          ? event.data?.delta?.text || ''
+          : ''
+    )
+    .join('');
+
+  return (
+    result?.data?.result ||
+    text ||
+    executionHistoryService.getExecutionText(executionId) ||
+    null
+  );
+}
+
+/**
+ * Runs prompt executions independently of the HTTP request that started them.
+ *
+ * Every event a Claude service streams is recorded in the execution history
+ * (as 'sse_event' messages) and forwarded to the clients currently attached,
+ * so a client can disconnect and attach again later without losing output.
+ *
+ * Executions beyond the concurrency limits wait in a FIFO queue; queued
+ * clients receive 'status' events with their current queue position.
+ */
+export class ExecutionRunner {
+  private active: Map<string, ActiveExecution> = new Map();
+  private queue: ActiveExecution[] = [];
+  private running: Set<ActiveExecution> = new Set();
+  private workflowRunner: WorkflowStarter | null = null;
+
+  constructor(
+    private claudeService: ClaudeExecutionService,
+    private executionHistoryService: ExecutionHistoryProvider,
+    private configManager: any,
+    private authManager: any,
+    private limits: ConcurrencyLimits = getConcurrencyLimitsFromEnv(),
+    private workspaceManager: WorkspaceManager | null = null,
+    private promptVersions: PromptVersionSource | null = null,
+    private budgets: BudgetChecker | null = null
+  ) {}
+
+  /**
+   * Run workflows (prompts with steps) through the given runner
+   */
+  setWorkflowRunner(workflowRunner: WorkflowStarter): void {
+    this.workflowRunner = workflowRunner;
+  }
+
+  /**
+   * Queue a prompt execution and start it in the background once a slot is
+   * free. Workflows are handed to the workflow runner.
+   * @param parentExecutionId - Workflow execution this execution is a step of
+   * @returns The ID of the new execution record
+   * @throws BudgetExceededError if the user or prompt has used up its budget
+   */
+  start(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    userEmail: string = 'unknown',
+    parentExecutionId: string | null = null
+  ): string {
+    this.budgets?.checkBudget(prompt.name, userEmail);
+
+    if (isWorkflow(prompt)) {
+      if (!this.workflowRunner) {
+        throw new Error(
+          `Prompt '${prompt.name}' is a workflow, but workflows are not enabled`
+        );
+      }
+      return this.workflowRunner.start(prompt, parameters, userEmail);
+    }
+
+    const execution = this.register(
+      prompt,
+      parameters,
+      userEmail,
+      'queued',
+      parentExecutionId
+    );
+
+    this.queue.push(execution);
+    this.dispatch();
+
+    return execution.executionId;
+  }
+
+  /**
+   * Queue a message that continues the conversation of a finished execution.
+   *
+   * The message runs as a new execution of the same prompt and model: the
+   * Claude Code services resume the previous execution's session, the
+   * Anthropic SDK service replays its transcript. Every execution of a
+   * conversation runs in the workspace of the first one.
+   * @returns The ID of the new execution record
+   * @throws BudgetExceededError if the user or prompt has used up its budget
+   * @throws WorkspaceUnavailableError if the session to resume lost its workspace
+   */
+  followUp(
+    previous: ExecutionRecord,
+    prompt: Prompt,
+    message: string,
+    userEmail: string = 'unknown'
+  ): string {
+    this.budgets?.checkBudget(prompt.name, userEmail);
+
+    const [first] = this.executionHistoryService.getThread(previous.id);
+    const workspaceId = first?.id ?? previous.id;
+    // A resumed session expects the files it left behind
+    if (
+      previous.sessionId &&
+      this.workspaceManager &&
+      !this.workspaceManager.retain(workspaceId)
+    ) {
+      throw new WorkspaceUnavailableError(workspaceId);
+    }
+
+    const execution = this.register(
+      previous.model ? { ...prompt, model: previous.model } : prompt,
+      previous.parameters,
+      userEmail,
+      'queued',
+      null,
+      { previousExecutionId: previous.id, message }
+    );
+    execution.followUp = {
+      message,
+      sessionId: previous.sessionId ?? null,
+      transcript: previous.transcript ?? null,
+    };
+    execution.workspaceId = workspaceId;
+
+    this.queue.push(execution);
+    this.dispatch();
+
+    return execution.executionId;
+  }
+
+  /**
+   * Run a task as an execution of a prompt right away, without taking an
+   * execution slot. Used for workflows: the task only coordinates other
+   * executions, which do take slots, so it must not hold one itself.
+   * @returns The ID of the new execution record
+   */
+  startTask(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    userEmail: string,
+    task: ExecutionTask
+  ): string {
+    const execution = this.register(prompt, parameters, userEmail, 'running');
+    const { executionId } = execution;
+    execution.startedAt = Date.now();
+
+    let run: Promise<void>;
+    try {
+      run = task({
+        executionId,
+        sink: execution.sink,
+        signal: execution.abortController.signal,
+      });
+    } catch (error) {
+      run = Promise.reject(error);
+    }
+    this.track(execution, run);
+
+    return executionId;
+  }
+
+  private register(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    userEmail: string,
+    status: 'queued' | 'running',
+    parentExecutionId: string | null = null,
+    followUpOf: ExecutionFollowUpOf | null = null
+  ): ActiveExecution {
+    const executionId = this.executionHistoryService.createExecution(
+      prompt.name,
+      parameters,
+      userEmail,
+      status,
+      this.promptVersions?.getCurrentVersion(prompt.name) ?? null,
+      parentExecutionId,
+      followUpOf
+    );
+
+    const execution: ActiveExecution = {
+      executionId,
+      prompt,
+      parameters,
+      userEmail,
+      sink: new ExecutionEventSink(),
+      subscribers: new Set(),
+      abortController: new AbortController(),
+      followUp: null,
+      workspaceId: executionId,
+      queuedAt: Date.now(),
+      startedAt: null,
+      queuePosition: null,
+    };
+    this.active.set(executionId, execution);
+
+    execution.sink.on('event', (event: ExecutionEvent) => {
+      this.executionHistoryService.addMessage(
+        executionId,
+        SSE_EVENT_MESSAGE_TYPE,
+        event
+      );
+      for (const subscriber of execution.subscribers) {
+        subscriber.onEvent(event);
+      }
+    });
+
+    return execution;
+  }
+
+  /**
+   * Cancel an active execution.
+   *
+   * The record is marked as cancelled before the service is aborted so the
+   * error the aborted service reports does not overwrite the status.
+   * @returns false when the execution is not active
+   */
+  cancel(executionId: string): boolean {
+    const execution = this.active.get(executionId);
+    if (!execution) {
+      return false;
+    }
+
+    console.log(`🛑 Cancelling execution: ${executionId}`);
+    this.executionHistoryService.updateStatus(executionId, 'cancelled');
+
+    const queueIndex = this.queue.indexOf(execution);
+    if (queueIndex >= 0) {
+      // Never started, so there is no service to abort
+      this.queue.splice(queueIndex, 1);
+      this.sendEvent(execution, 'cancelled', {
+        message: 'Execution cancelled',
+        executionId,
+      });
+      this.finish(execution);
+      this.releaseWorkspace(execution);
+      this.notifyQueuePositions();
+    } else {
+      execution.abortController.abort();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get a snapshot of the running and queued executions
+   */
+  getQueueStatus() {
+    return {
+      limits: this.limits,
+      running: Array.from(this.running).map((execution) => ({
+        executionId: execution.executionId,
+        promptName: execution.prompt.name,
+        userEmail: execution.userEmail,
+        startedAt: new Date(execution.startedAt!).toISOString(),
+      })),
+      queued: this.queue.map((execution, index) => ({
+        executionId: execution.executionId,
+        promptName: execution.prompt.name,
+        userEmail: execution.userEmail,
+        position: index + 1,
+        queuedAt: new Date(execution.queuedAt).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Check whether an execution is still queued or being run by this runner
+   */
+  isActive(executionId: string): boolean {
+    return this.active.has(executionId);
+  }
+
+  /**
+   * Wait until an execution has finished; resolves immediately when it is
+   * not active
+   */
+  waitForCompletion(executionId: string): Promise<void> {
+    const execution = this.active.get(executionId);
+    if (!execution) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      execution.subscribers.add({ onEvent: () => {}, onEnd: resolve });
+    });
+  }
+
+  /**
+   * Stream an execution to an HTTP response as Server-Sent Events.
+   *
+   * Events already recorded in the execution history are replayed first; if
+   * the execution is still active the response then follows live output.
+   * Disconnecting only detaches the client, the execution keeps running.
+   * @returns false when the execution does not exist
+   */
+  attach(executionId: string, res: Response): boolean {
+    const record = this.executionHistoryService.getExecution(executionId);
+    if (!record) {
+      return false;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Cache-Control',
+    });
+
+    // Replay and subscribe synchronously so no live event can slip in between
+    for (const message of record.messages) {
+      if (message.type === SSE_EVENT_MESSAGE_TYPE) {
+        this.writeEvent(res, message.data);
+      }
+    }
+
+    const execution = this.active.get(executionId);
+    if (!execution) {
+      res.end();
+      return true;
+    }
+
+    const subscriber: ExecutionSubscriber = {
+      onEvent: (event) => this.writeEvent(res, event),
+      onEnd: () => res.end(),
+    };
+    execution.subscribers.add(subscriber);
+
+    res.on('close', () => {
+      execution.subscribers.delete(subscriber);
+    });
+
+    return true;
+  }
+
+  /**
+   * Start queued executions while the concurrency limits allow it.
+   *
+   * An execution blocked by its per-prompt limit does not hold up queued
+   * executions of other prompts; each prompt's executions still run in order.
+   */
+  private dispatch(): void {
+    for (const execution of [...this.queue]) {
+      const { maxConcurrent } = this.limits;
+      if (maxConcurrent && this.running.size >= maxConcurrent) {
+        break;
+      }
+      if (this.canStart(execution)) {
+        this.queue.splice(this.queue.indexOf(execution), 1);
+        this.launch(execution);
+      }
+    }
+
+    this.notifyQueuePositions();
+  }
+
+  private canStart(execution: ActiveExecution): boolean {
+    const { maxConcurrentPerPrompt } = this.limits;
+    if (!maxConcurrentPerPrompt) {
+      return true;
+    }
+
+    const runningForPrompt = Array.from(this.running).filter(
+      (running) => running.prompt.name === execution.prompt.name
+    ).length;
+    return runningForPrompt < maxConcurrentPerPrompt;
+  }
+
+  private launch(execution: ActiveExecution): void {
+    const { executionId } = execution;
+
+    execution.startedAt = Date.now();
+    execution.queuePosition = null;
+    this.running.add(execution);
+    this.executionHistoryService.updateStatus(executionId, 'running');
+
+    let run: Promise<void>;
+    try {
+      run = this.claudeService.executePromptStream(
+        execution.prompt,
+        execution.parameters,
+        this.configManager,
+        this.authManager,
+        execution.sink,
+        execution.userEmail,
+        {
+          executionId,
+          signal: execution.abortController.signal,
+          workspace: this.workspaceManager?.create(execution.workspaceId),
+          ...(execution.followUp ? { followUp: execution.followUp } : {}),
+        }
+      );
+    } catch (error) {
+      run = Promise.reject(error);
+    }
+    this.track(execution, run);
+
+    console.log(`🏃 Started background execution: ${executionId}`);
+  }
+
+  /**
+   * Record how a started execution ends and free what it holds
+   */
+  private track(execution: ActiveExecution, run: Promise<void>): void {
+    const { executionId } = execution;
+
+    run
+      .then(() => {
+        if (this.isStillRunning(executionId)) {
+          this.executionHistoryService.updateStatus(executionId, 'completed');
+        }
+      })
+      .catch((error: any) => {
+        console.error(`❌ Execution ${executionId} failed:`, error);
+        if (this.isStillRunning(executionId)) {
+          this.executionHistoryService.setError(executionId, error);
+        }
+      })
+      .finally(() => {
+        this.running.delete(execution);
+        this.finish(execution);
+        this.dispatch();
+        this.releaseWorkspace(execution);
+      });
+  }
+
+  private releaseWorkspace(execution: ActiveExecution): void {
+    const { workspaceId } = execution;
+    this.workspaceManager?.release(workspaceId).catch((error) => {
+      console.error(
+        `❌ Failed to release workspace of execution ${workspaceId}:`,
+        error
+      );
+    });
+  }
+
+  private finish(execution: ActiveExecution): void {
+    execution.sink.end();
+    this.active.delete(execution.executionId);
+    for (const subscriber of execution.subscribers) {
+      subscriber.onEnd();
+    }
+  }
+
+  /**
+   * Tell every queued execution whose position changed where it now stands
+   */
+  private notifyQueuePositions(): void {
+    this.queue.forEach((execution, index) => {
+      const position = index + 1;
+      if (execution.queuePosition === position) {
+        return;
+      }
+
+      execution.queuePosition = position;
+      this.sendEvent(execution, 'status', {
+        message: `Waiting for a free execution slot (position ${position} in queue)`,
+        executionId: execution.executionId,
+        queuePosition: position,
+      });
+    });
+  }
+
+  private sendEvent(
+    execution: ActiveExecution,
+    event: ExecutionEventType,
+    data: any
+  ): void {
+    execution.sink.write(formatExecutionEvent(event, data));
+  }
+
+  private isStillRunning(executionId: string): boolean {
+    return (
+      this.executionHistoryService.getExecution(executionId)?.status ===
+      'running'
+    );
+  }
+
+  private writeEvent(res: Response, event: ExecutionEvent): void {
+    res.write(`event: ${event.event}\n`);
+    res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+  }
+}
@@ -0,0 +1,86 @@
+import type { Prompt } from '../types/index.js';
+import type { ClaudeExecutionService } from './ExecutionRunner.js';
+
+/**
+ * What a provider can do with a prompt. Prompts that pick a provider with
+ * `provider` may only use what it supports.
+ */
+export interface LlmProviderCapabilities {
+  /** Connects the prompt's `mcp_servers` */
+  mcpServers: boolean;
+  /** Runs Claude Code's tools, so honours `allowed_tools`, `disallowed_tools`, `max_turns` and `permission_mode` */
+  builtInTools: boolean;
+  /** Pauses tool calls for a `tool_approval` policy */
+  toolApproval: boolean;
+  /** Continues finished executions with follow-up messages */
+  followUps: boolean;
+  /** Honours `temperature` and `max_tokens` */
+  samplingSettings: boolean;
+}
+
+export interface ProviderValidationResult {
+  serviceType: string;
+  isValid: boolean;
+  messages: string[];
+}
+
+/**
+ * A service that runs prompts: one of the Claude services, or a provider of
+ * another LLM. Providers stream the execution event protocol
+ * (public/js/execution-events.js) into `res` and record the execution in the
+ * execution history.
+ */
+export interface LlmProvider extends ClaudeExecutionService {
+  readonly capabilities: LlmProviderCapabilities;
+
+  /**
+   * Run a prompt without streaming (for testing/debugging)
+   * @returns The provider's response
+   */
+  executePrompt(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any
+  ): Promise<any>;
+
+  /**
+   * Check that the provider is configured and reachable
+   */
+  validateConfiguration(): Promise<ProviderValidationResult>;
+}
+
+const CAPABILITY_FIELDS: [keyof LlmProviderCapabilities, (keyof Prompt)[]][] = [
+  [
+    'builtInTools',
+    ['allowed_tools', 'disallowed_tools', 'max_turns', 'permission_mode'],
+  ],
+  ['toolApproval', ['tool_approval']],
+  ['samplingSettings', ['temperature', 'max_tokens']],
+];
+
+/**
+ * Check that a provider supports everything a prompt uses
+ * @returns The problem, or null when the provider can run the prompt
+ */
+export function getCapabilityError(
+  prompt: Prompt,
+  provider: string,
+  capabilities: LlmProviderCapabilities
+): string | null {
+  const unsupported: string[] = [];
+  if (!capabilities.mcpServers && (prompt.mcp_servers?.length || 0) > 0) {
+    unsupported.push('mcp_servers');
+  }
+  for (const [capability, fields] of CAPABILITY_FIELDS) {
+    if (!capabilities[capability]) {
+      unsupported.push(
+        ...fields.filter((field) => prompt[field] !== undefined)
+      );
+    }
+  }
+
+  return unsupported.length > 0
+    ? `Prompt '${prompt.name}' uses ${unsupported.join(', ')}, which provider '${provider}' does not support`
+    : null;
+}
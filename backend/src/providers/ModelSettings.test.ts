@@ -0,0 +1,107 @@
+import {
+  getDefaultModelSettingsFromEnv,
+  getModelSettings,
+  getRunOverrideAllowlistFromEnv,
+  getRunOverrideError,
+} from './ModelSettings.js';
+
+describe('getModelSettings', () => {
+  it('should let the prompt override the server defaults', () => {
+    // Act
+    const settings = getModelSettings(
+      { name: 'review-pr', model: 'opus', max_tokens: 8000 },
+      { model: 'sonnet', temperature: 0.5, systemPrompt: 'Be brief' }
+    );
+
+    // Assert
+    expect(settings).toEqual({
+      model: 'opus',
+      temperature: 0.5,
+      maxTokens: 8000,
+      systemPrompt: 'Be brief',
+    });
+  });
+});
+
+describe('getDefaultModelSettingsFromEnv', () => {
+  afterEach(() => {
+    delete process.env['CLAUDE_MODEL'];
+    delete process.env['CLAUDE_TEMPERATURE'];
+  });
+
+  it('should read the server defaults', () => {
+    // Arrange
+    process.env['CLAUDE_MODEL'] = 'claude-sonnet-4-20250514';
+    process.env['CLAUDE_TEMPERATURE'] = '0.3';
+
+    // Act & Assert
+    expect(getDefaultModelSettingsFromEnv()).toEqual({
+      model: 'claude-sonnet-4-20250514',
+      temperature: 0.3,
+    });
+  });
+
+  it('should reject a temperature out of range', () => {
+    // Arrange
+    process.env['CLAUDE_TEMPERATURE'] = '1.5';
+
+    // Act & Assert
+    expect(() => getDefaultModelSettingsFromEnv()).toThrow(
+      'Invalid CLAUDE_TEMPERATURE: 1.5. Must be a number from 0 to 1'
+    );
+  });
+});
+
+describe('run overrides', () => {
+  afterEach(() => {
+    delete process.env['RUN_OVERRIDE_MODELS'];
+    delete process.env['RUN_OVERRIDE_FIELDS'];
+  });
+
+  it('should allow model overrides once models are listed', () => {
+    // Arrange
+    process.env['RUN_OVERRIDE_MODELS'] = 'sonnet, opus';
+    process.env['RUN_OVERRIDE_FIELDS'] = 'temperature';
+
+    // Act & Assert
+    expect(getRunOverrideAllowlistFromEnv()).toEqual({
+      models: ['sonnet', 'opus'],
+      fields: ['temperature', 'model'],
+    });
+  });
+
+  it('should reject unknown fields in the allowlist', () => {
+    // Arrange
+    process.env['RUN_OVERRIDE_FIELDS'] = 'temperature,mcp_servers';
+
+    // Act & Assert
+    expect(() => getRunOverrideAllowlistFromEnv()).toThrow(
+      'Invalid RUN_OVERRIDE_FIELDS: mcp_servers'
+    );
+  });
+
+  it('should only accept overrides the allowlist permits', () => {
+    // Arrange
+    const allowlist = {
+      models: ['sonnet'],
+      fields: ['model' as const, 'temperature' as const],
+    };
+
+    // Act & Assert
+    expect(
+      getRunOverrideError({ model: 'sonnet', temperature: 0 }, allowlist)
+    ).toBeNull();
+    expect(getRunOverrideError({ model: 'opus' }, allowlist)).toBe(
+      'Model "opus" is not allowed; use any of sonnet'
+    );
+    expect(getRunOverrideError({ max_tokens: 100 }, allowlist)).toBe(
+      'options.max_tokens may not be overridden on this server'
+    );
+    expect(getRunOverrideError({ mcp_servers: ['jira'] }, allowlist)).toBe(
+      'options.mcp_servers is not a run option; use any of model, temperature, max_tokens, system_prompt'
+    );
+    expect(getRunOverrideError('opus', allowlist)).toBe(
+      'options must be an object'
+    );
+  });
+});
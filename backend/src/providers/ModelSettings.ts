@@ -0,0 +1,168 @@
+import type { Prompt } from '../types/index.js';
+
+/**
+ * Model of the Anthropic SDK service when neither the server nor the prompt
+ * sets one. The Claude Code services fall back to Claude Code's own default.
+ */
+export const DEFAULT_ANTHROPIC_MODEL = 'claude-3-5-sonnet-20241022';
+
+export const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Prompt fields a run may override, when the allowlist permits it
+ */
+export const RUN_OVERRIDE_FIELDS = [
+  'model',
+  'temperature',
+  'max_tokens',
+  'system_prompt',
+] as const;
+
+export type RunOverrideField = (typeof RUN_OVERRIDE_FIELDS)[number];
+
+export type RunOverrides = Partial<Pick<Prompt, RunOverrideField>>;
+
+export interface ModelSettings {
+  model?: string;
+  temperature?: number;
+  maxTokens?: number;
+  systemPrompt?: string;
+}
+
+export interface RunOverrideAllowlist {
+  models: string[]; // Models a run may switch to
+  fields: RunOverrideField[]; // Other fields a run may override
+}
+
+/**
+ * Read the server defaults from CLAUDE_MODEL, CLAUDE_TEMPERATURE,
+ * CLAUDE_MAX_TOKENS and CLAUDE_SYSTEM_PROMPT (all optional)
+ * @throws Error if a value is invalid
+ */
+export function getDefaultModelSettingsFromEnv(): ModelSettings {
+  const settings: ModelSettings = {};
+
+  const model = process.env['CLAUDE_MODEL'];
+  if (model) {
+    settings.model = model;
+  }
+
+  const temperature = process.env['CLAUDE_TEMPERATURE'];
+  if (temperature) {
+    settings.temperature = Number(temperature);
+    if (!isTemperature(settings.temperature)) {
+      throw new Error(
+        `Invalid CLAUDE_TEMPERATURE: ${temperature}. Must be a number from 0 to 1`
+      );
+    }
+  }
+
+  const maxTokens = process.env['CLAUDE_MAX_TOKENS'];
+  if (maxTokens) {
+    settings.maxTokens = Number(maxTokens);
+    if (!isPositiveInteger(settings.maxTokens)) {
+      throw new Error(
+        `Invalid CLAUDE_MAX_TOKENS: ${maxTokens}. Must be a positive integer`
+      );
+    }
+  }
+
+  const systemPrompt = process.env['CLAUDE_SYSTEM_PROMPT'];
+  if (systemPrompt) {
+    settings.systemPrompt = systemPrompt;
+  }
+
+  return settings;
+}
+
+/**
+ * Read what a run may override from RUN_OVERRIDE_MODELS and
+ * RUN_OVERRIDE_FIELDS (comma-separated). Nothing may be overridden by
+ * default; listing models allows the 'model' field.
+ * @throws Error if RUN_OVERRIDE_FIELDS names an unknown field
+ */
+export function getRunOverrideAllowlistFromEnv(): RunOverrideAllowlist {
+  const models = splitList(process.env['RUN_OVERRIDE_MODELS']);
+  const fields = splitList(process.env['RUN_OVERRIDE_FIELDS']);
+
+  const unknown = fields.filter(
+    (field) => !RUN_OVERRIDE_FIELDS.includes(field as RunOverrideField)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid RUN_OVERRIDE_FIELDS: ${unknown.join(', ')}. Must be any of ${RUN_OVERRIDE_FIELDS.join(', ')}`
+    );
+  }
+
+  return {
+    models,
+    fields: (models.length > 0 && !fields.includes('model')
+      ? [...fields, 'model']
+      : fields) as RunOverrideField[],
+  };
+}
+
+/**
+ * Merge a prompt's model settings over the server defaults
+ */
+export function getModelSettings(
+  prompt: Prompt,
+  defaults: ModelSettings
+): ModelSettings {
+  return {
+    ...defaults,
+    ...(prompt.model !== undefined ? { model: prompt.model } : {}),
+    ...(prompt.temperature !== undefined
+      ? { temperature: prompt.temperature }
+      : {}),
+    ...(prompt.max_tokens !== undefined
+      ? { maxTokens: prompt.max_tokens }
+      : {}),
+    ...(prompt.system_prompt !== undefined
+      ? { systemPrompt: prompt.system_prompt }
+      : {}),
+  };
+}
+
+/**
+ * Check the overrides sent with a run against the allowlist. Their values
+ * are checked like prompt fields, by PromptManager.validatePrompt.
+ * @returns Why the overrides are not allowed, null when they are
+ */
+export function getRunOverrideError(
+  overrides: unknown,
+  allowlist: RunOverrideAllowlist
+): string | null {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'options must be an object';
+  }
+
+  for (const [field, value] of Object.entries(overrides)) {
+    if (!RUN_OVERRIDE_FIELDS.includes(field as RunOverrideField)) {
+      return `options.${field} is not a run option; use any of ${RUN_OVERRIDE_FIELDS.join(', ')}`;
+    }
+    if (!allowlist.fields.includes(field as RunOverrideField)) {
+      return `options.${field} may not be overridden on this server`;
+    }
+    if (field === 'model' && !allowlist.models.includes(value as string)) {
+      return `Model ${JSON.stringify(value)} is not allowed; use any of ${allowlist.models.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+function isTemperature(value: number): boolean {
+  return Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+function isPositiveInteger(value: number): boolean {
+  return Number.isInteger(value) && value > 0;
+}
+
+function splitList(value: string | undefined): string[] {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+
+import { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import {
+  NotificationProvider,
+  formatSlackMessage,
+} from './NotificationProvider.js';
+
+describe('NotificationProvider', () => {
+  let fetchMock: jest.Mock;
+  let originalFetch: typeof fetch;
+
+  function okResponse(status = 200) {
+    return { ok: status < 300, status };
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    originalFetch = global.fetch;
+    fetchMock = jest.fn().mockResolvedValue(okResponse());
+    global.fetch = fetchMock as unknown as typeof fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('should send signed JSON notifications to subscribed targets only', async () => {
+    // Arrange
+    const provider = new NotificationProvider([
+      { url: 'https://example.com/all', secret: 'secret' },
+      { url: 'https://example.com/failures', events: ['execution.failed'] },
+    ]);
+
+    // Act
+    provider.notify('execution.completed', { executionId: 'e1' });
+    await provider.flush();
+
+    // Assert
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://example.com/all');
+    expect(JSON.parse(init.body)).toEqual(
+      expect.objectContaining({
+        event: 'execution.completed',
+        data: { executionId: 'e1' },
+      })
+    );
+    expect(init.headers['X-Notification-Event']).toBe('execution.completed');
+    expect(init.headers['X-Signature-256']).toBe(
+      'sha256=' +
+        crypto.createHmac('sha256', 'secret').update(init.body).digest('hex')
+    );
+  });
+
+  it('should retry failed deliveries with backoff', async () => {
+    // Arrange
+    fetchMock
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce(okResponse(503))
+      .mockResolvedValueOnce(okResponse());
+    const provider = new NotificationProvider(
+      [{ url: 'https://example.com/hook' }],
+      { maxAttempts: 3, baseDelayMs: 0 }
+    );
+
+    // Act
+    provider.notify('execution.started', {});
+    await provider.flush();
+
+    // Assert
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('should not retry when the target rejects the notification', async () => {
+    // Arrange
+    fetchMock.mockResolvedValue(okResponse(400));
+    const provider = new NotificationProvider(
+      [{ url: 'https://example.com/hook' }],
+      { maxAttempts: 3, baseDelayMs: 0 }
+    );
+
+    // Act
+    provider.notify('execution.started', {});
+    await provider.flush();
+
+    // Assert
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith(
+      expect.stringContaining('HTTP 400')
+    );
+  });
+
+  it('should send Slack messages to Slack targets', async () => {
+    // Arrange
+    const provider = new NotificationProvider([
+      { url: 'https://hooks.slack.com/services/x', format: 'slack' },
+    ]);
+
+    // Act
+    provider.notifyAuthorizationNeeded(
+      'create-issue',
+      ['jira', 'github'],
+      'user@example.com'
+    );
+    await provider.flush();
+
+    // Assert
+    const body = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(body.text).toMatch(
+      /^🔐 \*create-issue\* needs authorization for: jira, github/
+    );
+  });
+
+  it('should notify about execution status changes', async () => {
+    // Arrange
+    const history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+    const provider = new NotificationProvider([
+      { url: 'https://example.com/hook' },
+    ]);
+    provider.watchExecutions(history);
+    const executionId = history.createExecution(
+      'test-prompt',
+      {},
+      'user@example.com',
+      'queued'
+    );
+
+    // Act
+    history.updateStatus(executionId, 'running');
+    history.setError(executionId, new Error('boom'));
+    await provider.flush();
+
+    // Assert
+    const events = fetchMock.mock.calls.map(
+      ([, init]) => JSON.parse(init.body).event
+    );
+    expect(events).toEqual(['execution.started', 'execution.failed']);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).data).toEqual(
+      expect.objectContaining({
+        executionId,
+        promptName: 'test-prompt',
+        status: 'error',
+        error: 'boom',
+      })
+    );
+  });
+});
+
+describe('formatSlackMessage', () => {
+  it('should describe completed executions with their duration', () => {
+    // Act
+    const message = formatSlackMessage({
+      id: 'n1',
+      event: 'execution.completed',
+      timestamp: new Date().toISOString(),
+      data: {
+        promptName: 'daily-summary',
+        duration: 95000,
+        url: 'http://localhost:4200/prompts/daily-summary/activity',
+      },
+    });
+
+    // Assert
+    expect(message).toEqual({
+      text: '✅ *daily-summary* completed in 1m 35s (<http://localhost:4200/prompts/daily-summary/activity|view>)',
+    });
+  });
+});
@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+import { readJsonConfig } from '../config/jsonConfig.js';
+import type {
+  ExecutionHistoryProvider,
+  ExecutionRecord,
+  ExecutionStatus,
+} from './ExecutionHistoryProvider.js';
+
+export type NotificationEvent =
+  | 'execution.started'
+  | 'execution.completed'
+  | 'execution.failed'
+  | 'authorization.needed';
+
+export const NOTIFICATION_EVENTS: NotificationEvent[] = [
+  'execution.started',
+  'execution.completed',
+  'execution.failed',
+  'authorization.needed',
+];
+
+export interface NotificationTarget {
+  url: string;
+  format?: 'json' | 'slack';
+  secret?: string; // Signs the body as X-Signature-256: sha256=<hex HMAC>
+  events?: NotificationEvent[]; // Defaults to every event
+}
+
+export interface Notification {
+  id: string;
+  event: NotificationEvent;
+  timestamp: string;
+  data: Record<string, any>;
+}
+
+export interface RetryPolicy {
+  maxAttempts: number;
+  baseDelayMs: number;
+}
+
+const DEFAULT_RETRY_POLICY: RetryPolicy = { maxAttempts: 3, baseDelayMs: 1000 };
+
+const STATUS_EVENTS: Partial<Record<ExecutionStatus, NotificationEvent>> = {
+  running: 'execution.started',
+  completed: 'execution.completed',
+  error: 'execution.failed',
+};
+
+/**
+ * Load notification targets from NOTIFICATION_WEBHOOKS, either a JSON array
+ * or the path of a JSON file
+ */
+export async function loadNotificationTargetsFromEnv(): Promise<
+  NotificationTarget[]
+> {
+  const webhooksEnv = process.env['NOTIFICATION_WEBHOOKS'];
+  if (!webhooksEnv) {
+    return [];
+  }
+
+  const targets = await readJsonConfig(webhooksEnv, 'notification webhooks');
+
+  if (!Array.isArray(targets)) {
+    throw new Error('NOTIFICATION_WEBHOOKS must be an array');
+  }
+
+  for (const target of targets) {
+    if (!target.url) {
+      throw new Error('Notification webhook missing required field: url');
+    }
+    if (target.format && !['json', 'slack'].includes(target.format)) {
+      throw new Error(
+        `Invalid notification webhook format: ${target.format}. Must be 'json' or 'slack'`
+      );
+    }
+    for (const event of target.events || []) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        throw new Error(`Invalid notification event: ${event}`);
+      }
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Format a notification as a Slack incoming-webhook message
+ */
+export function formatSlackMessage(notification: Notification): {
+  text: string;
+} {
+  const { data } = notification;
+  const link = data['url'] ? ` (<${data['url']}|view>)` : '';
+
+  switch (notification.event) {
+    case 'execution.started':
+      return {
+        text: `🏃 *${data['promptName']}* started by ${data['userEmail']}${link}`,
+      };
+    case 'execution.completed':
+      return {
+        text: `✅ *${data['promptName']}* completed in ${formatDuration(data['duration'])}${link}`,
+      };
+    case 'execution.failed':
+      return {
+        text: `❌ *${data['promptName']}* failed: ${data['error'] || 'unknown error'}${link}`,
+      };
+    case 'authorization.needed':
+      return {
+        text: `🔐 *${data['promptName']}* needs authorization for: ${(data['unauthorizedServers'] || []).join(', ')}${link}`,
+      };
+  }
+}
+
+function formatDuration(durationMs: number | null | undefined): string {
+  if (durationMs === null || durationMs === undefined) {
+    return 'unknown time';
+  }
+  const seconds = Math.round(durationMs / 1000);
+  return seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Provider for sending execution notifications to webhooks.
+ *
+ * Each notification is POSTed to every target subscribed to its event, as
+ * JSON or as a Slack message. Deliveries that fail with a network error, a
+ * 429 or a 5xx response are retried with exponential backoff; they never
+ * block or fail the execution that triggered them.
+ */
+export class NotificationProvider {
+  private targets: NotificationTarget[];
+  private retry: RetryPolicy;
+  private pending: Set<Promise<void>> = new Set();
+
+  constructor(
+    targets: NotificationTarget[] = [],
+    retry: RetryPolicy = DEFAULT_RETRY_POLICY
+  ) {
+    this.targets = targets;
+    this.retry = retry;
+  }
+
+  /**
+   * Load the targets from NOTIFICATION_WEBHOOKS
+   */
+  async initialize(): Promise<void> {
+    this.targets = await loadNotificationTargetsFromEnv();
+    if (this.targets.length > 0) {
+      console.log(`✅ Loaded ${this.targets.length} notification webhooks`);
+    }
+  }
+
+  /**
+   * Send execution.started/completed/failed notifications whenever an
+   * execution in the given history changes status
+   */
+  watchExecutions(executionHistoryService: ExecutionHistoryProvider): void {
+    executionHistoryService.onStatusChange((execution) => {
+      const event = STATUS_EVENTS[execution.status];
+      if (event) {
+        this.notify(event, this.describeExecution(execution));
+      }
+    });
+  }
+
+  /**
+   * Send an authorization.needed notification for a prompt that could not run
+   */
+  notifyAuthorizationNeeded(
+    promptName: string,
+    unauthorizedServers: string[],
+    userEmail: string
+  ): void {
+    this.notify('authorization.needed', {
+      promptName,
+      unauthorizedServers,
+      userEmail,
+      url: process.env['BASE_URL'] || 'http://localhost:4200',
+    });
+  }
+
+  /**
+   * Send a notification to every subscribed target in the background
+   */
+  notify(event: NotificationEvent, data: Record<string, any>): void {
+    const targets = this.targets.filter(
+      (target) => !target.events || target.events.includes(event)
+    );
+    if (targets.length === 0) {
+      return;
+    }
+
+    const notification: Notification = {
+      id: uuidv4(),
+      event,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+
+    for (const target of targets) {
+      const delivery = this.deliver(target, notification).finally(() => {
+        this.pending.delete(delivery);
+      });
+      this.pending.add(delivery);
+    }
+  }
+
+  /**
+   * Wait for all deliveries in progress (including their retries)
+   */
+  async flush(): Promise<void> {
+    await Promise.all(this.pending);
+  }
+
+  private async deliver(
+    target: NotificationTarget,
+    notification: Notification
+  ): Promise<void> {
+    const body = JSON.stringify(
+      target.format === 'slack'
+        ? formatSlackMessage(notification)
+        : notification
+    );
+
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'X-Notification-Id': notification.id,
+      'X-Notification-Event': notification.event,
+    };
+    if (target.secret) {
+      headers['X-Signature-256'] =
+        'sha256=' +
+        crypto.createHmac('sha256', target.secret).update(body).digest('hex');
+    }
+
+    for (let attempt = 1; attempt <= this.retry.maxAttempts; attempt++) {
+      let failure: string;
+      try {
+        const response = await fetch(target.url, {
+          method: 'POST',
+          headers,
+          body,
+        });
+        if (response.ok) {
+          return;
+        }
+
+        failure = `HTTP ${response.status}`;
+        if (response.status !== 429 && response.status < 500) {
+          // The target rejected the notification, retrying will not help
+          attempt = this.retry.maxAttempts;
+        }
+      } catch (error: any) {
+        failure = error.message;
+      }
+
+      if (attempt >= this.retry.maxAttempts) {
+        console.error(
+          `❌ Failed to deliver ${notification.event} notification to ${target.url}: ${failure}`
+        );
+        return;
+      }
+
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.retry.baseDelayMs * 2 ** (attempt - 1))
+      );
+    }
+  }
+
+  private describeExecution(execution: ExecutionRecord): Record<string, any> {
+    const baseUrl = process.env['BASE_URL'] || 'http://localhost:4200';
+
+    return {
+      executionId: execution.id,
+      promptName: execution.promptName,
+      userEmail: execution.userEmail,
+      status: execution.status,
+      duration: execution.duration,
+      error: execution.error?.message || null,
+      url: `${baseUrl}/prompts/${encodeURIComponent(execution.promptName)}/activity`,
+    };
+  }
+}
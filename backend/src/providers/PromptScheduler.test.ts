@@ -0,0 +1,254 @@
+import { mergeParametersWithDefaults } from '../../public/js/prompt-utils.js';
+import { isServerAuthorizedForRun } from '../auth/authUtils.js';
+import { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import { PromptScheduler, SCHEDULER_USER_EMAIL } from './PromptScheduler.js';
+
+// Mock the prompt utils
+jest.mock('../../public/js/prompt-utils.js', () => ({
+  mergeParametersWithDefaults: jest.fn(),
+}));
+
+// Mock the auth utils
+jest.mock('../auth/authUtils.js', () => ({
+  isServerAuthorizedForRun: jest.fn(),
+}));
+
+describe('PromptScheduler', () => {
+  const prompt = {
+    name: 'jira-summary',
+    mcp_servers: ['jira'],
+    messages: [
+      {
+        role: 'user',
+        content: 'Summarize Jira for {{timeframe}}',
+        parameters: {
+          type: 'object',
+          properties: {
+            timeframe: { type: 'string', default: 'yesterday' },
+          },
+        },
+      },
+    ],
+    schedule: { cron: '0 9 * * *', parameters: { timeframe: 'last week' } },
+  };
+
+  let history: ExecutionHistoryProvider;
+  let executionRunner: {
+    start: jest.Mock;
+    isActive: jest.Mock;
+    waitForCompletion: jest.Mock;
+  };
+  let emailService: {
+    sendScheduleDigestEmail: jest.Mock;
+    sendAuthorizationNeededEmail: jest.Mock;
+  };
+  let scheduler: PromptScheduler;
+
+  const start = new Date(2025, 0, 1, 8, 0);
+  const nineAm = new Date(2025, 0, 1, 9, 0);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    (isServerAuthorizedForRun as jest.Mock).mockResolvedValue(true);
+    (mergeParametersWithDefaults as jest.Mock).mockImplementation(
+      (_prompt, parameters) => ({ project: 'ABC', ...parameters })
+    );
+
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+    executionRunner = {
+      start: jest.fn((p, parameters, userEmail) =>
+        history.createExecution(p.name, parameters, userEmail)
+      ),
+      isActive: jest.fn().mockReturnValue(false),
+      waitForCompletion: jest.fn().mockResolvedValue(undefined),
+    };
+    emailService = {
+      sendScheduleDigestEmail: jest.fn().mockResolvedValue(undefined),
+      sendAuthorizationNeededEmail: jest.fn().mockResolvedValue(undefined),
+    };
+
+    scheduler = new PromptScheduler(
+      {
+        getPrompts: () => [prompt, { name: 'manual', messages: [] }],
+        getPrompt: (name) => (name === prompt.name ? prompt : undefined),
+      },
+      { getMcpServer: jest.fn() },
+      {},
+      executionRunner as any,
+      history,
+      emailService as any,
+      null,
+      'team@example.com'
+    );
+    scheduler.initialize(start);
+  });
+
+  afterEach(() => {
+    scheduler.close();
+    jest.restoreAllMocks();
+  });
+
+  it('should only load prompts that declare a schedule', () => {
+    // Act
+    const schedules = scheduler.getSchedules();
+
+    // Assert
+    expect(schedules).toEqual([
+      expect.objectContaining({
+        promptName: 'jira-summary',
+        cron: '0 9 * * *',
+        paused: false,
+        nextRunAt: nineAm.toISOString(),
+        lastRun: null,
+      }),
+    ]);
+  });
+
+  it('should run due prompts as the system user with merged parameters', async () => {
+    // Act
+    const early = await scheduler.tick(new Date(2025, 0, 1, 8, 59));
+    const due = await scheduler.tick(nineAm);
+
+    // Assert
+    expect(early).toEqual([]);
+    expect(due).toHaveLength(1);
+    expect(mergeParametersWithDefaults).toHaveBeenCalledWith(prompt, {
+      timeframe: 'last week',
+    });
+    expect(executionRunner.start).toHaveBeenCalledWith(
+      prompt,
+      { timeframe: 'last week', project: 'ABC' },
+      SCHEDULER_USER_EMAIL
+    );
+    expect(scheduler.getSchedule('jira-summary')).toEqual(
+      expect.objectContaining({
+        nextRunAt: new Date(2025, 0, 2, 9, 0).toISOString(),
+        lastRun: expect.objectContaining({
+          executionId: due[0]!.executionId,
+          status: 'running',
+        }),
+      })
+    );
+  });
+
+  it('should email a digest with the result when the run finishes', async () => {
+    // Arrange
+    executionRunner.start.mockImplementation((p, parameters, userEmail) => {
+      const executionId = history.createExecution(
+        p.name,
+        parameters,
+        userEmail
+      );
+      history.addMessage(executionId, 'sse_event', {
+        event: 'complete',
+        data: { version: 1, message: 'Done', result: '3 issues closed' },
+      });
+      history.updateStatus(executionId, 'completed');
+      return executionId;
+    });
+
+    // Act
+    const [run] = await scheduler.tick(nineAm);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assert
+    expect(emailService.sendScheduleDigestEmail).toHaveBeenCalledWith(
+      'team@example.com',
+      {
+        promptName: 'jira-summary',
+        cron: '0 9 * * *',
+        executionId: run!.executionId,
+        status: 'completed',
+        result: '3 issues closed',
+        error: null,
+      }
+    );
+  });
+
+  it('should skip the run while the previous run is still active', async () => {
+    // Arrange
+    await scheduler.tick(nineAm);
+    executionRunner.isActive.mockReturnValue(true);
+
+    // Act
+    const [run] = await scheduler.tick(new Date(2025, 0, 2, 9, 0));
+
+    // Assert
+    expect(run!.executionId).toBeNull();
+    expect(run!.skippedReason).toMatch(/still in progress/);
+    expect(executionRunner.start).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip the run when an MCP server is not authorized', async () => {
+    // Arrange
+    (isServerAuthorizedForRun as jest.Mock).mockResolvedValue(false);
+
+    // Act
+    const [run] = await scheduler.tick(nineAm);
+
+    // Assert
+    expect(run!.skippedReason).toBe('Authorization required for: jira');
+    expect(executionRunner.start).not.toHaveBeenCalled();
+    expect(emailService.sendAuthorizationNeededEmail).toHaveBeenCalledWith(
+      'team@example.com',
+      ['jira']
+    );
+  });
+
+  it('should not run paused schedules and not catch up when resumed', async () => {
+    // Arrange
+    scheduler.pause('jira-summary');
+
+    // Act
+    const whilePaused = await scheduler.tick(nineAm);
+    const resumed = scheduler.resume('jira-summary', nineAm);
+
+    // Assert
+    expect(whilePaused).toEqual([]);
+    expect(resumed?.paused).toBe(false);
+    expect(resumed?.nextRunAt).toBe(new Date(2025, 0, 2, 9, 0).toISOString());
+  });
+
+  it('should keep the state of unchanged schedules when initialized again', () => {
+    // Arrange
+    scheduler.pause('jira-summary');
+
+    // Act
+    scheduler.initialize(nineAm);
+
+    // Assert
+    expect(scheduler.getSchedule('jira-summary')).toEqual(
+      expect.objectContaining({ paused: true, nextRunAt: null })
+    );
+  });
+
+  it('should return null for prompts without a schedule', () => {
+    // Act & Assert
+    expect(scheduler.pause('manual')).toBeNull();
+    expect(scheduler.resume('manual')).toBeNull();
+  });
+
+  it('should reject invalid cron expressions at load time', () => {
+    // Arrange
+    const invalid = new PromptScheduler(
+      {
+        getPrompts: () => [{ name: 'broken', schedule: { cron: 'daily' } }],
+        getPrompt: () => undefined,
+      },
+      {},
+      {},
+      executionRunner as any,
+      history
+    );
+
+    // Act & Assert
+    expect(() => invalid.initialize()).toThrow(
+      /Prompt 'broken' schedule: Invalid cron expression/
+    );
+  });
+});
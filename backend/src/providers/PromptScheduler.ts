@@ -0,0 +1,354 @@
+import {
+  formatValidationError,
+  validatePromptParameters,
+} from '../../public/js/parameter-validator.js';
+import { mergeParametersWithDefaults } from '../../public/js/prompt-utils.js';
+import { isServerAuthorizedForRun } from '../auth/authUtils.js';
+import type { Prompt } from '../types/index.js';
+import { CronExpression } from './CronExpression.js';
+import type { EmailProvider } from './EmailProvider.js';
+import type { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import { type ExecutionRunner, getExecutionOutput } from './ExecutionRunner.js';
+import type { NotificationProvider } from './NotificationProvider.js';
+import { BudgetExceededError } from './UsageTracker.js';
+
+/**
+ * User that scheduled executions are recorded under
+ */
+export const SCHEDULER_USER_EMAIL = 'scheduler@system';
+
+export interface ScheduledRun {
+  triggeredAt: string;
+  executionId: string | null;
+  skippedReason: string | null;
+}
+
+interface ScheduleEntry {
+  promptName: string;
+  cron: CronExpression;
+  parameters: Record<string, any>;
+  paused: boolean;
+  nextRunAt: Date | null;
+  lastRun: ScheduledRun | null;
+}
+
+export interface ScheduleStatus {
+  promptName: string;
+  cron: string;
+  parameters: Record<string, any>;
+  paused: boolean;
+  nextRunAt: string | null;
+  lastRun: (ScheduledRun & { status: string | null }) | null;
+}
+
+interface PromptSource {
+  getPrompts: () => Prompt[];
+  getPrompt: (name: string) => Prompt | undefined;
+}
+
+/**
+ * Runs prompts that declare a `schedule` in the PROMPTS configuration.
+ *
+ * Scheduled runs go through the execution runner as SCHEDULER_USER_EMAIL, so
+ * they are queued, recorded and cancellable like any other execution. A run
+ * is skipped when the previous run of the same prompt is still active or when
+ * one of the prompt's MCP servers is not authorized. When a digest recipient
+ * is configured, the outcome of every run is emailed to it.
+ */
+export class PromptScheduler {
+  private schedules: Map<string, ScheduleEntry> = new Map();
+  private timer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private promptManager: PromptSource,
+    private configManager: any,
+    private authManager: any,
+    private executionRunner: ExecutionRunner,
+    private executionHistoryService: ExecutionHistoryProvider,
+    private emailService: EmailProvider | null = null,
+    private notificationService: NotificationProvider | null = null,
+    private digestRecipient: string | null = process.env[
+      'SCHEDULE_DIGEST_EMAIL'
+    ] || null
+  ) {}
+
+  /**
+   * Load the schedules of all prompts and start the scheduler. Can be called
+   * again after the prompts are reloaded; unchanged schedules keep their
+   * paused state and last run.
+   * @throws Error if a prompt has an invalid schedule
+   */
+  initialize(now: Date = new Date()): void {
+    this.close();
+    const previous = new Map(this.schedules);
+    this.schedules.clear();
+
+    for (const prompt of this.promptManager.getPrompts()) {
+      if (!prompt.schedule) {
+        continue;
+      }
+
+      let cron: CronExpression;
+      try {
+        cron = new CronExpression(prompt.schedule.cron || '');
+      } catch (error: any) {
+        throw new Error(`Prompt '${prompt.name}' schedule: ${error.message}`);
+      }
+
+      const parameters = prompt.schedule.parameters || {};
+      const existing = previous.get(prompt.name);
+      if (
+        existing &&
+        existing.cron.toString() === cron.toString() &&
+        JSON.stringify(existing.parameters) === JSON.stringify(parameters)
+      ) {
+        this.schedules.set(prompt.name, existing);
+        continue;
+      }
+
+      const paused = prompt.schedule.enabled === false;
+      this.schedules.set(prompt.name, {
+        promptName: prompt.name,
+        cron,
+        parameters,
+        paused,
+        nextRunAt: paused ? null : cron.next(now),
+        lastRun: existing?.lastRun || null,
+      });
+    }
+
+    if (this.schedules.size > 0) {
+      console.log(`⏰ Scheduled ${this.schedules.size} prompts`);
+      this.scheduleTick();
+    }
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  close(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getSchedules(): ScheduleStatus[] {
+    return Array.from(this.schedules.values()).map((entry) =>
+      this.toStatus(entry)
+    );
+  }
+
+  getSchedule(promptName: string): ScheduleStatus | null {
+    const entry = this.schedules.get(promptName);
+    return entry ? this.toStatus(entry) : null;
+  }
+
+  /**
+   * Stop scheduling runs of a prompt until it is resumed
+   * @returns null when the prompt has no schedule
+   */
+  pause(promptName: string): ScheduleStatus | null {
+    const entry = this.schedules.get(promptName);
+    if (!entry) {
+      return null;
+    }
+
+    entry.paused = true;
+    entry.nextRunAt = null;
+    console.log(`⏸️  Paused schedule of prompt: ${promptName}`);
+    return this.toStatus(entry);
+  }
+
+  /**
+   * Resume a paused schedule; runs missed while paused are not caught up
+   * @returns null when the prompt has no schedule
+   */
+  resume(promptName: string, now: Date = new Date()): ScheduleStatus | null {
+    const entry = this.schedules.get(promptName);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.paused) {
+      entry.paused = false;
+      entry.nextRunAt = entry.cron.next(now);
+      console.log(`▶️  Resumed schedule of prompt: ${promptName}`);
+    }
+    return this.toStatus(entry);
+  }
+
+  /**
+   * Start every schedule that is due
+   * @returns The schedules that were triggered
+   */
+  async tick(now: Date = new Date()): Promise<ScheduledRun[]> {
+    const runs: ScheduledRun[] = [];
+
+    for (const entry of this.schedules.values()) {
+      if (entry.paused || !entry.nextRunAt || entry.nextRunAt > now) {
+        continue;
+      }
+
+      // Move on before running, so a tick that overlaps this one skips the entry
+      entry.nextRunAt = entry.cron.next(now);
+      entry.lastRun = await this.run(entry, now);
+      runs.push(entry.lastRun);
+    }
+
+    return runs;
+  }
+
+  private async run(entry: ScheduleEntry, now: Date): Promise<ScheduledRun> {
+    const triggeredAt = now.toISOString();
+    const skip = (reason: string): ScheduledRun => {
+      console.warn(
+        `⚠️  Skipped scheduled run of ${entry.promptName}: ${reason}`
+      );
+      return { triggeredAt, executionId: null, skippedReason: reason };
+    };
+
+    const prompt = this.promptManager.getPrompt(entry.promptName);
+    if (!prompt) {
+      return skip('Prompt no longer exists');
+    }
+
+    const previousId = entry.lastRun?.executionId;
+    if (previousId && this.executionRunner.isActive(previousId)) {
+      return skip(`Previous run ${previousId} is still in progress`);
+    }
+
+    const unauthorizedServers: string[] = [];
+    for (const serverName of prompt.mcp_servers || []) {
+      const isAuthorized = await isServerAuthorizedForRun(
+        serverName,
+        this.configManager.getMcpServer(serverName),
+        this.authManager
+      );
+      if (!isAuthorized) {
+        unauthorizedServers.push(serverName);
+      }
+    }
+    if (unauthorizedServers.length > 0) {
+      this.notificationService?.notifyAuthorizationNeeded(
+        entry.promptName,
+        unauthorizedServers,
+        SCHEDULER_USER_EMAIL
+      );
+      if (this.emailService && this.digestRecipient) {
+        this.emailService
+          .sendAuthorizationNeededEmail(
+            this.digestRecipient,
+            unauthorizedServers
+          )
+          .catch((error) => {
+            console.error('❌ Failed to send authorization email:', error);
+          });
+      }
+      return skip(
+        `Authorization required for: ${unauthorizedServers.join(', ')}`
+      );
+    }
+
+    const parameters = mergeParametersWithDefaults(prompt, entry.parameters);
+    const validationErrors = validatePromptParameters(prompt, parameters);
+    if (validationErrors.length > 0) {
+      return skip(
+        `Invalid parameters: ${validationErrors.map(formatValidationError).join('; ')}`
+      );
+    }
+
+    let executionId: string;
+    try {
+      executionId = this.executionRunner.start(
+        prompt,
+        parameters,
+        SCHEDULER_USER_EMAIL
+      );
+    } catch (error: any) {
+      if (error instanceof BudgetExceededError) {
+        return skip(error.message);
+      }
+      throw error;
+    }
+    console.log(
+      `⏰ Started scheduled run of ${entry.promptName}: ${executionId}`
+    );
+
+    if (this.emailService && this.digestRecipient) {
+      this.executionRunner
+        .waitForCompletion(executionId)
+        .then(() => this.sendDigest(entry, executionId))
+        .catch((error) => {
+          console.error(
+            `❌ Failed to send digest of execution ${executionId}:`,
+            error
+          );
+        });
+    }
+
+    return { triggeredAt, executionId, skippedReason: null };
+  }
+
+  private async sendDigest(
+    entry: ScheduleEntry,
+    executionId: string
+  ): Promise<void> {
+    const record = this.executionHistoryService.getExecution(executionId);
+    if (!record) {
+      return;
+    }
+
+    const result = getExecutionOutput(
+      this.executionHistoryService,
+      executionId
+    );
+
+    await this.emailService!.sendScheduleDigestEmail(this.digestRecipient!, {
+      promptName: entry.promptName,
+      cron: entry.cron.toString(),
+      executionId,
+      status: record.status,
+      result,
+      error: record.error?.message || null,
+    });
+  }
+
+  /**
+   * Check for due schedules at the start of every minute
+   */
+  private scheduleTick(): void {
+    const now = Date.now();
+    const delay = 60_000 - (now % 60_000);
+
+    this.timer = setTimeout(() => {
+      this.tick()
+        .catch((error) => {
+          console.error('❌ Scheduler tick failed:', error);
+        })
+        .finally(() => this.scheduleTick());
+    }, delay);
+    this.timer.unref();
+  }
+
+  private toStatus(entry: ScheduleEntry): ScheduleStatus {
+    const executionId = entry.lastRun?.executionId;
+
+    return {
+      promptName: entry.promptName,
+      cron: entry.cron.toString(),
+      parameters: entry.parameters,
+      paused: entry.paused,
+      nextRunAt: entry.nextRunAt?.toISOString() || null,
+      lastRun: entry.lastRun
+        ? {
+            ...entry.lastRun,
+            status: executionId
+              ? this.executionHistoryService.getExecution(executionId)
+                  ?.status || null
+              : null,
+          }
+        : null,
+    };
+  }
+}
@@ -0,0 +1,190 @@
+import type { LlmProviderCapabilities } from './LlmProvider.js';
+import { ProviderRegistry } from './ProviderRegistry.js';
+
+const capabilities: LlmProviderCapabilities = {
+  mcpServers: true,
+  builtInTools: true,
+  toolApproval: false,
+  followUps: true,
+  samplingSettings: false,
+};
+
+function createProvider() {
+  return {
+    capabilities,
+    executePromptStream: jest.fn().mockResolvedValue(undefined),
+    executePrompt: jest.fn().mockResolvedValue({ result: 'Done' }),
+    validateConfiguration: jest.fn().mockResolvedValue({
+      serviceType: 'claude-code',
+      isValid: true,
+      messages: [],
+    }),
+  };
+}
+
+describe('ProviderRegistry', () => {
+  let registry: ProviderRegistry;
+  let claude: ReturnType<typeof createProvider>;
+  let ollama: ReturnType<typeof createProvider>;
+  let createOllama: jest.Mock;
+
+  beforeEach(() => {
+    claude = createProvider();
+    ollama = createProvider();
+    createOllama = jest.fn(() => ollama);
+
+    registry = new ProviderRegistry();
+    registry.register('claudecode', {
+      type: 'claude-code',
+      capabilities,
+      create: () => claude,
+    });
+    registry.register('ollama', {
+      type: 'openai',
+      capabilities,
+      create: createOllama,
+    });
+    registry.setDefault('CLAUDECODE');
+  });
+
+  it('should run a prompt on the provider it picks, else on the default', async () => {
+    // Arrange
+    const res = { write: jest.fn(), end: jest.fn() };
+
+    // Act
+    await registry.executePromptStream(
+      { name: 'summarize', provider: 'ollama' },
+      {},
+      {},
+      {},
+      res,
+      'user@example.com'
+    );
+    await registry.executePromptStream(
+      { name: 'create-issue' },
+      {},
+      {},
+      {},
+      res,
+      'user@example.com'
+    );
+
+    // Assert
+    expect(ollama.executePromptStream).toHaveBeenCalledWith(
+      { name: 'summarize', provider: 'ollama' },
+      {},
+      {},
+      {},
+      res,
+      'user@example.com',
+      {}
+    );
+    expect(claude.executePromptStream).toHaveBeenCalledTimes(1);
+    expect(claude.executePromptStream.mock.calls[0][0]).toEqual({
+      name: 'create-issue',
+    });
+  });
+
+  it('should not run prompts that use what their provider does not support', async () => {
+    // Arrange
+    const res = { write: jest.fn(), end: jest.fn() };
+    const run = (prompt: any) =>
+      registry.executePromptStream(prompt, {}, {}, {}, res, 'user@example.com');
+
+    // Act & Assert
+    await expect(
+      run({ name: 'merge-pr', tool_approval: { tools: ['Bash'] } })
+    ).rejects.toThrow(
+      "Prompt 'merge-pr' uses tool_approval, which provider 'claudecode' does not support"
+    );
+    await expect(
+      run({ name: 'summarize', provider: 'ollama', temperature: 0.2 })
+    ).rejects.toThrow(
+      "Prompt 'summarize' uses temperature, which provider 'ollama' does not support"
+    );
+    expect(res.write).toHaveBeenCalledWith(
+      expect.stringContaining('event: error')
+    );
+    expect(claude.executePromptStream).not.toHaveBeenCalled();
+    expect(ollama.executePromptStream).not.toHaveBeenCalled();
+  });
+
+  it('should let the default provider ignore sampling settings', async () => {
+    // Act
+    await registry.executePrompt(
+      { name: 'create-issue', temperature: 0.2 },
+      {},
+      {},
+      {}
+    );
+
+    // Assert
+    expect(claude.executePrompt).toHaveBeenCalled();
+  });
+
+  it('should create each provider once, when it is first used', () => {
+    // Act & Assert
+    expect(createOllama).not.toHaveBeenCalled();
+    expect(registry.get('ollama')).toBe(ollama);
+    expect(registry.get('Ollama')).toBe(ollama);
+    expect(createOllama).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report a prompt whose provider is unknown on the stream', async () => {
+    // Arrange
+    const res = { write: jest.fn(), end: jest.fn() };
+
+    // Act
+    const run = registry.executePromptStream(
+      { name: 'summarize', provider: 'vllm' },
+      {},
+      {},
+      {},
+      res,
+      'user@example.com',
+      { executionId: 'exec-1' }
+    );
+
+    // Assert
+    await expect(run).rejects.toThrow(
+      "Unknown provider 'vllm'. Available providers: claudecode, ollama"
+    );
+    expect(res.write).toHaveBeenCalledWith(
+      expect.stringContaining('"executionId":"exec-1"')
+    );
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should report providers that cannot be created as invalid', async () => {
+    // Arrange
+    createOllama.mockImplementation(() => {
+      throw new Error('OLLAMA_HOST is required');
+    });
+
+    // Act
+    const result = await registry.validateConfiguration('ollama');
+
+    // Assert
+    expect(result).toEqual({
+      serviceType: 'openai',
+      isValid: false,
+      messages: ['❌ OLLAMA_HOST is required'],
+    });
+  });
+
+  it('should describe the providers without creating them', () => {
+    // Act & Assert
+    expect(registry.describe()).toEqual([
+      { name: 'claudecode', type: 'claude-code', default: true, capabilities },
+      { name: 'ollama', type: 'openai', default: false, capabilities },
+    ]);
+    expect(createOllama).not.toHaveBeenCalled();
+    expect(() =>
+      registry.register('Ollama', {
+        type: 'openai',
+        capabilities,
+        create: createOllama,
+      })
+    ).toThrow("Provider 'Ollama' is already registered");
+  });
+});
@@ -0,0 +1,215 @@
+import { formatExecutionEvent } from '../../public/js/execution-events.js';
+import type { ExecutionOptions, Prompt } from '../types/index.js';
+import type { ClaudeExecutionService } from './ExecutionRunner.js';
+import {
+  type LlmProvider,
+  type LlmProviderCapabilities,
+  type ProviderValidationResult,
+  getCapabilityError,
+} from './LlmProvider.js';
+
+export interface ProviderRegistration {
+  type: string; // Kind of service, e.g. 'claude-code-sdk' or 'openai'
+  capabilities: LlmProviderCapabilities;
+  create: () => LlmProvider;
+}
+
+export interface ProviderDescription {
+  name: string;
+  type: string;
+  default: boolean;
+  capabilities: LlmProviderCapabilities;
+}
+
+/**
+ * The LLM providers prompts can run on, by name. Runs a prompt on the
+ * provider it names in `provider`, else on the default provider.
+ *
+ * Providers are created when first used, so a provider that is not
+ * configured only fails the prompts that pick it.
+ */
+export class ProviderRegistry implements ClaudeExecutionService {
+  private registrations = new Map<string, ProviderRegistration>();
+  private providers = new Map<string, LlmProvider>();
+  private defaultName: string | null = null;
+
+  /**
+   * Add a provider. Names are case-insensitive.
+   * @throws Error if the name is taken
+   */
+  register(name: string, registration: ProviderRegistration): void {
+    const key = name.toLowerCase();
+    if (this.registrations.has(key)) {
+      throw new Error(`Provider '${name}' is already registered`);
+    }
+    this.registrations.set(key, registration);
+  }
+
+  /**
+   * Pick the provider of prompts that do not name one
+   * @throws Error if the provider is not registered
+   */
+  setDefault(name: string): void {
+    this.getRegistration(name);
+    this.defaultName = name.toLowerCase();
+  }
+
+  getDefaultName(): string {
+    if (!this.defaultName) {
+      throw new Error('No default provider is set');
+    }
+    return this.defaultName;
+  }
+
+  has(name: string): boolean {
+    return this.registrations.has(name.toLowerCase());
+  }
+
+  getNames(): string[] {
+    return [...this.registrations.keys()];
+  }
+
+  /**
+   * What a provider supports, without creating it
+   * @returns The capabilities, or null if the provider is not registered
+   */
+  getCapabilities(name: string): LlmProviderCapabilities | null {
+    return this.registrations.get(name.toLowerCase())?.capabilities || null;
+  }
+
+  /**
+   * Get a provider, creating it on first use
+   * @param name - Defaults to the default provider
+   * @throws Error if the provider is not registered or cannot be created
+   */
+  get(name: string = this.getDefaultName()): LlmProvider {
+    const key = name.toLowerCase();
+    let provider = this.providers.get(key);
+    if (!provider) {
+      provider = this.getRegistration(key).create();
+      this.providers.set(key, provider);
+    }
+    return provider;
+  }
+
+  /**
+   * Get the provider a prompt runs on
+   */
+  forPrompt(prompt: Prompt): LlmProvider {
+    return this.get(prompt.provider || this.getDefaultName());
+  }
+
+  /**
+   * Get the provider a prompt runs on, checking that it supports the prompt
+   * @throws Error if the provider is unknown or cannot run the prompt
+   */
+  private forRun(prompt: Prompt): LlmProvider {
+    const name = prompt.provider || this.getDefaultName();
+    const provider = this.get(name);
+
+    // The default provider may ignore sampling settings (Claude Code picks its own)
+    const capabilities = prompt.provider
+      ? provider.capabilities
+      : { ...provider.capabilities, samplingSettings: true };
+    const capabilityError = getCapabilityError(prompt, name, capabilities);
+    if (capabilityError) {
+      throw new Error(capabilityError);
+    }
+    return provider;
+  }
+
+  /**
+   * Execute a prompt with streaming response on the prompt's provider
+   */
+  async executePromptStream(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any,
+    res: any,
+    userEmail: string = 'unknown',
+    executionOptions: ExecutionOptions = {}
+  ): Promise<void> {
+    let provider: LlmProvider;
+    try {
+      provider = this.forRun(prompt);
+    } catch (error: any) {
+      res.write(
+        formatExecutionEvent('error', {
+          error: error.message,
+          executionId: executionOptions.executionId || null,
+        })
+      );
+      res.end();
+      throw error;
+    }
+
+    return provider.executePromptStream(
+      prompt,
+      parameters,
+      configManager,
+      authManager,
+      res,
+      userEmail,
+      executionOptions
+    );
+  }
+
+  /**
+   * Execute a prompt without streaming on the prompt's provider
+   */
+  async executePrompt(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any
+  ): Promise<any> {
+    return this.forRun(prompt).executePrompt(
+      prompt,
+      parameters,
+      configManager,
+      authManager
+    );
+  }
+
+  /**
+   * Validate the configuration of a provider
+   * @param name - Defaults to the default provider
+   */
+  async validateConfiguration(
+    name: string = this.getDefaultName()
+  ): Promise<ProviderValidationResult> {
+    const registration = this.getRegistration(name);
+    try {
+      return await this.get(name).validateConfiguration();
+    } catch (error: any) {
+      return {
+        serviceType: registration.type,
+        isValid: false,
+        messages: [`❌ ${error.message}`],
+      };
+    }
+  }
+
+  /**
+   * List the providers (for the system status)
+   */
+  describe(): ProviderDescription[] {
+    return [...this.registrations].map(([name, registration]) => ({
+      name,
+      type: registration.type,
+      default: name === this.defaultName,
+      capabilities: registration.capabilities,
+    }));
+  }
+
+  private getRegistration(name: string): ProviderRegistration {
+    const registration = this.registrations.get(name.toLowerCase());
+    if (!registration) {
+      throw new Error(
+        `Unknown provider '${name}'. Available providers: ${this.getNames().join(', ')}`
+      );
+    }
+    return registration;
+  }
+}
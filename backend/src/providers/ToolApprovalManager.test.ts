@@ -0,0 +1,74 @@
+import { ToolApprovalManager } from './ToolApprovalManager.js';
+
+describe('ToolApprovalManager', () => {
+  const request = {
+    executionId: 'exec-1',
+    toolUseId: 'toolu_1',
+    toolName: 'Bash',
+    input: { command: 'rm -rf build' },
+    rule: 'Bash',
+  };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should wait until a tool call is decided', async () => {
+    // Arrange
+    const manager = new ToolApprovalManager(60 * 1000);
+    const decision = manager.request(request);
+
+    // Act
+    const pending = manager.getPending('exec-1');
+    const decided = manager.decide('exec-1', 'toolu_1', {
+      approved: true,
+      decidedBy: 'user@example.com',
+    });
+
+    // Assert
+    expect(pending).toEqual([
+      expect.objectContaining({ toolUseId: 'toolu_1', toolName: 'Bash' }),
+    ]);
+    expect(decided).toEqual(expect.objectContaining({ toolUseId: 'toolu_1' }));
+    await expect(decision).resolves.toEqual({
+      approved: true,
+      decidedBy: 'user@example.com',
+    });
+    expect(manager.getPending('exec-1')).toEqual([]);
+    expect(
+      manager.decide('exec-1', 'toolu_1', { approved: true, decidedBy: 'x' })
+    ).toBeNull();
+  });
+
+  it('should deny a tool call nobody decides on in time', async () => {
+    // Arrange
+    jest.useFakeTimers();
+    const manager = new ToolApprovalManager(60 * 1000);
+    const decision = manager.request(request);
+
+    // Act
+    jest.advanceTimersByTime(60 * 1000);
+
+    // Assert
+    await expect(decision).resolves.toEqual(
+      expect.objectContaining({ approved: false, decidedBy: 'timeout' })
+    );
+    expect(manager.getPending('exec-1')).toEqual([]);
+  });
+
+  it('should deny a tool call when the execution is cancelled', async () => {
+    // Arrange
+    const manager = new ToolApprovalManager(60 * 1000);
+    const abortController = new AbortController();
+    const decision = manager.request(request, abortController.signal);
+
+    // Act
+    abortController.abort();
+
+    // Assert
+    await expect(decision).resolves.toEqual(
+      expect.objectContaining({ approved: false, decidedBy: 'cancelled' })
+    );
+    expect(manager.getPending('exec-1')).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+export interface ToolApprovalRequest {
+  executionId: string;
+  toolUseId: string;
+  toolName: string;
+  input: Record<string, unknown>;
+  rule: string; // The tool_approval entry the tool matched
+}
+
+export interface PendingToolApproval extends ToolApprovalRequest {
+  requestedAt: string;
+}
+
+export interface ToolApprovalDecision {
+  approved: boolean;
+  decidedBy: string; // Email of the user who decided, 'timeout' or 'cancelled'
+  message?: string;
+}
+
+interface PendingEntry {
+  approval: PendingToolApproval;
+  resolve: (decision: ToolApprovalDecision) => void;
+}
+
+/**
+ * Read how long a tool call may wait for approval from
+ * TOOL_APPROVAL_TIMEOUT_MINUTES (default 60)
+ */
+export function getApprovalTimeoutFromEnv(): number {
+  const minutes = parseInt(process.env['TOOL_APPROVAL_TIMEOUT_MINUTES'] || '');
+  return (minutes > 0 ? minutes : 60) * 60 * 1000;
+}
+
+/**
+ * Holds the tool calls that wait for a human to approve or deny them.
+ *
+ * A run asks for approval and waits on the returned promise; the API
+ * resolves it with a decision. Calls nobody decides on are denied after
+ * the timeout, so a forgotten run does not hold its execution slot forever.
+ */
+export class ToolApprovalManager {
+  private pending: Map<string, PendingEntry> = new Map();
+
+  constructor(private timeoutMs: number = getApprovalTimeoutFromEnv()) {}
+
+  /**
+   * Wait for a tool call to be approved or denied
+   * @param signal - Aborted when the execution is cancelled; denies the call
+   */
+  request(
+    request: ToolApprovalRequest,
+    signal?: AbortSignal
+  ): Promise<ToolApprovalDecision> {
+    const key = getKey(request.executionId, request.toolUseId);
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        settle({
+          approved: false,
+          decidedBy: 'timeout',
+          message: `Nobody approved ${request.toolName} within ${Math.round(this.timeoutMs / 60000)} minutes`,
+        });
+      }, this.timeoutMs);
+      timer.unref();
+
+      const onAbort = () =>
+        settle({
+          approved: false,
+          decidedBy: 'cancelled',
+          message: 'Execution cancelled',
+        });
+
+      const settle = (decision: ToolApprovalDecision) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        this.pending.delete(key);
+        resolve(decision);
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(key, {
+        approval: { ...request, requestedAt: new Date().toISOString() },
+        resolve: settle,
+      });
+    });
+  }
+
+  /**
+   * Approve or deny a waiting tool call
+   * @returns The approval that was decided, null when no such call is waiting
+   */
+  decide(
+    executionId: string,
+    toolUseId: string,
+    decision: ToolApprovalDecision
+  ): PendingToolApproval | null {
+    const entry = this.pending.get(getKey(executionId, toolUseId));
+    if (!entry) {
+      return null;
+    }
+
+    entry.resolve(decision);
+    return entry.approval;
+  }
+
+  /**
+   * Get the tool calls of an execution that wait for approval
+   */
+  getPending(executionId: string): PendingToolApproval[] {
+    return Array.from(this.pending.values())
+      .map((entry) => entry.approval)
+      .filter((approval) => approval.executionId === executionId);
+  }
+}
+
+function getKey(executionId: string, toolUseId: string): string {
+  return `${executionId}/${toolUseId}`;
+}
@@ -0,0 +1,141 @@
+import {
+  decideTool,
+  findToolPattern,
+  getToolFlags,
+  getToolPolicy,
+  matchesToolPattern,
+  needsToolCallback,
+} from './ToolPolicy.js';
+
+describe('matchesToolPattern', () => {
+  it('should match exact names, whole MCP servers and globs', () => {
+    // Act & Assert
+    expect(matchesToolPattern('Bash', 'Bash')).toBe(true);
+    expect(matchesToolPattern('Read', 'Bash')).toBe(false);
+    expect(
+      matchesToolPattern('mcp__github__create_pull_request', 'mcp__github')
+    ).toBe(true);
+    expect(matchesToolPattern('mcp__github2__get_issue', 'mcp__github')).toBe(
+      false
+    );
+    expect(
+      matchesToolPattern('mcp__github__get_issue', 'mcp__github__get_*')
+    ).toBe(true);
+    expect(
+      matchesToolPattern('mcp__github__create_issue', 'mcp__github__get_*')
+    ).toBe(false);
+    expect(matchesToolPattern('Write', '*')).toBe(true);
+  });
+
+  it('should return the first pattern a tool matches', () => {
+    // Act & Assert
+    expect(findToolPattern('Bash', ['mcp__jira', 'Bash'])).toBe('Bash');
+    expect(findToolPattern('Read', ['mcp__jira', 'Bash'])).toBeNull();
+  });
+});
+
+describe('getToolPolicy', () => {
+  it('should default to the basic tools and every tool of the MCP servers', () => {
+    // Act
+    const policy = getToolPolicy({ name: 'review-pr' }, ['github']);
+
+    // Assert
+    expect(policy).toEqual({
+      allowed: ['Read', 'Write', 'Bash', 'mcp__github'],
+      disallowed: [],
+      approval: [],
+      permissionMode: 'acceptEdits',
+      maxTurns: 10,
+    });
+    expect(needsToolCallback(policy)).toBe(false);
+  });
+
+  it('should take the tool lists and limits of the prompt', () => {
+    // Act
+    const policy = getToolPolicy(
+      {
+        name: 'review-pr',
+        allowed_tools: ['Read', 'mcp__github'],
+        disallowed_tools: ['mcp__github__delete_*'],
+        tool_approval: { tools: ['mcp__github__merge_pull_request'] },
+        max_turns: 25,
+      },
+      ['github']
+    );
+
+    // Assert
+    expect(policy).toEqual({
+      allowed: ['Read', 'mcp__github'],
+      disallowed: ['mcp__github__delete_*'],
+      approval: ['mcp__github__merge_pull_request'],
+      permissionMode: 'default',
+      maxTurns: 25,
+    });
+    expect(needsToolCallback(policy)).toBe(true);
+  });
+});
+
+describe('decideTool', () => {
+  const policy = getToolPolicy(
+    {
+      name: 'review-pr',
+      allowed_tools: ['Read', 'mcp__github'],
+      disallowed_tools: ['mcp__github__delete_*'],
+      tool_approval: { tools: ['mcp__github__merge_*'] },
+    },
+    ['github']
+  );
+
+  it('should deny disallowed tools before anything else', () => {
+    // Act & Assert
+    expect(decideTool(policy, 'mcp__github__delete_branch')).toBe('deny');
+    expect(decideTool(policy, 'mcp__github__merge_pull_request')).toBe(
+      'approve'
+    );
+    expect(decideTool(policy, 'mcp__github__get_issue')).toBe('allow');
+    expect(decideTool(policy, 'Bash')).toBe('deny');
+  });
+
+  it('should allow edits in acceptEdits mode only', () => {
+    // Arrange
+    const acceptEdits = getToolPolicy({ name: 'edit' }, []);
+    const ask = getToolPolicy({ name: 'edit', permission_mode: 'default' }, []);
+
+    // Act & Assert
+    expect(decideTool(acceptEdits, 'Edit')).toBe('allow');
+    expect(decideTool(ask, 'Edit')).toBe('deny');
+  });
+});
+
+describe('getToolFlags', () => {
+  const policy = getToolPolicy(
+    {
+      name: 'review-pr',
+      allowed_tools: ['Read', 'Grep*', 'mcp__github', 'mcp__jira__get_*'],
+      disallowed_tools: ['Bash', 'mcp__github__delete_*'],
+    },
+    ['github', 'jira']
+  );
+
+  it('should leave globs and the servers they touch to the callback', () => {
+    // Act
+    const flags = getToolFlags(policy, ['github', 'jira'], true);
+
+    // Assert
+    expect(flags).toEqual({
+      allowedTools: ['Read'],
+      disallowedTools: ['Bash'],
+    });
+  });
+
+  it('should expand globs conservatively without a callback', () => {
+    // Act
+    const flags = getToolFlags(policy, ['github', 'jira'], false);
+
+    // Assert
+    expect(flags).toEqual({
+      allowedTools: ['Read', 'Grep'],
+      disallowedTools: ['Bash', 'mcp__github'],
+    });
+  });
+});
@@ -0,0 +1,219 @@
+import type { Prompt, PromptPermissionMode } from '../types/index.js';
+
+/**
+ * Tools every run may use unless the prompt sets allowed_tools
+ */
+export const DEFAULT_TOOLS = ['Read', 'Write', 'Bash'];
+
+/**
+ * Tools acceptEdits mode allows without listing them
+ */
+export const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+/**
+ * Claude Code's built-in tools, used to expand glob patterns where they
+ * cannot be evaluated per call
+ */
+export const BUILT_IN_TOOLS = [
+  'Bash',
+  'Edit',
+  'Glob',
+  'Grep',
+  'LS',
+  'MultiEdit',
+  'NotebookEdit',
+  'NotebookRead',
+  'Read',
+  'Task',
+  'TodoWrite',
+  'WebFetch',
+  'WebSearch',
+  'Write',
+];
+
+export const DEFAULT_MAX_TURNS = 10;
+
+export interface ToolPolicy {
+  allowed: string[]; // Patterns of the tools a run may use without asking
+  disallowed: string[]; // Patterns of the tools a run may never use
+  approval: string[]; // Patterns of the tools whose calls wait for approval
+  permissionMode: PromptPermissionMode;
+  maxTurns: number;
+}
+
+export type ToolDecision = 'allow' | 'deny' | 'approve';
+
+export interface ToolFlags {
+  allowedTools: string[];
+  disallowedTools: string[];
+}
+
+/**
+ * Check whether a tool matches a tool pattern: the exact tool name,
+ * 'mcp__<server>' for every tool of an MCP server, or a glob where '*'
+ * matches any characters ('mcp__github__get_*', '*')
+ */
+export function matchesToolPattern(toolName: string, pattern: string): boolean {
+  if (isGlob(pattern)) {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(toolName);
+  }
+
+  return (
+    toolName === pattern ||
+    (isMcpServerPattern(pattern) && toolName.startsWith(`${pattern}__`))
+  );
+}
+
+/**
+ * Find the first pattern a tool matches
+ * @returns The matching pattern, null when there is none
+ */
+export function findToolPattern(
+  toolName: string,
+  patterns: string[]
+): string | null {
+  return (
+    patterns.find((pattern) => matchesToolPattern(toolName, pattern)) ?? null
+  );
+}
+
+/**
+ * Collect how a prompt may use tools, with the defaults for what it leaves out
+ * @param mcpServerNames - MCP servers the run has; their tools are allowed by default
+ */
+export function getToolPolicy(
+  prompt: Prompt,
+  mcpServerNames: string[]
+): ToolPolicy {
+  const approval = prompt.tool_approval?.tools || [];
+
+  return {
+    allowed: prompt.allowed_tools || [
+      ...DEFAULT_TOOLS,
+      ...mcpServerNames.map((name) => `mcp__${name}`),
+    ],
+    disallowed: prompt.disallowed_tools || [],
+    approval,
+    // Tools that need approval must be asked about, which acceptEdits skips for edits
+    permissionMode:
+      prompt.permission_mode ||
+      (approval.length > 0 ? 'default' : 'acceptEdits'),
+    maxTurns: prompt.max_turns || DEFAULT_MAX_TURNS,
+  };
+}
+
+/**
+ * Check whether a policy needs every tool call decided at runtime: Claude
+ * Code itself neither evaluates glob patterns nor asks for approval
+ */
+export function needsToolCallback(policy: ToolPolicy): boolean {
+  return (
+    policy.approval.length > 0 ||
+    [...policy.allowed, ...policy.disallowed].some(isGlob)
+  );
+}
+
+/**
+ * Decide about a single tool call. Disallowed tools are denied even when
+ * they need approval or are allowed.
+ */
+export function decideTool(policy: ToolPolicy, toolName: string): ToolDecision {
+  if (findToolPattern(toolName, policy.disallowed)) {
+    return 'deny';
+  }
+  if (findToolPattern(toolName, policy.approval)) {
+    return 'approve';
+  }
+
+  const allowed =
+    findToolPattern(toolName, policy.allowed) ||
+    (policy.permissionMode === 'acceptEdits' && EDIT_TOOLS.includes(toolName));
+  return allowed ? 'allow' : 'deny';
+}
+
+/**
+ * Build the --allowedTools and --disallowedTools lists for Claude Code.
+ *
+ * Claude Code only knows exact tool names and 'mcp__<server>', so a server
+ * is left out of the allowed tools when any of its tools needs approval or
+ * is disallowed. Without a runtime callback globs are expanded
+ * conservatively: built-in tools by name, and a disallowed MCP glob denies
+ * every tool of the servers it may cover, while an allowed MCP glob allows
+ * nothing.
+ * @param mcpServerNames - MCP servers the run has
+ * @param withCallback - Whether a canUseTool callback decides the tools left out
+ */
+export function getToolFlags(
+  policy: ToolPolicy,
+  mcpServerNames: string[],
+  withCallback: boolean
+): ToolFlags {
+  const expand = (patterns: string[], forDenial: boolean) =>
+    patterns.flatMap((pattern) => {
+      if (!isGlob(pattern)) {
+        return [pattern];
+      }
+      return withCallback ? [] : expandGlob(pattern, mcpServerNames, forDenial);
+    });
+
+  const disallowedTools = unique(expand(policy.disallowed, true));
+  const restricted = [...policy.disallowed, ...policy.approval];
+  const allowedTools = unique(expand(policy.allowed, false)).filter(
+    (tool) =>
+      !restricted.some(
+        (pattern) =>
+          matchesToolPattern(tool, pattern) || overlapsServer(tool, pattern)
+      )
+  );
+
+  return { allowedTools, disallowedTools };
+}
+
+function expandGlob(
+  pattern: string,
+  mcpServerNames: string[],
+  forDenial: boolean
+): string[] {
+  const builtIn = BUILT_IN_TOOLS.filter((tool) =>
+    matchesToolPattern(tool, pattern)
+  );
+  if (!forDenial) {
+    return builtIn;
+  }
+
+  const servers = mcpServerNames
+    .map((name) => `mcp__${name}`)
+    .filter((server) => overlapsServer(server, pattern));
+  return [...builtIn, ...servers];
+}
+
+/**
+ * Check whether a pattern may match tools of an 'mcp__<server>' entry
+ */
+function overlapsServer(entry: string, pattern: string): boolean {
+  if (!isMcpServerPattern(entry)) {
+    return false;
+  }
+
+  const prefix = `${entry}__`;
+  const literal = pattern.split('*')[0];
+  return isGlob(pattern)
+    ? prefix.startsWith(literal) || literal.startsWith(prefix)
+    : pattern.startsWith(prefix);
+}
+
+function isGlob(pattern: string): boolean {
+  return pattern.includes('*');
+}
+
+function isMcpServerPattern(pattern: string): boolean {
+  return pattern.startsWith('mcp__') && !pattern.slice(5).includes('__');
+}
+
+function unique(values: string[]): string[] {
+  return [...new Set(values)];
+}
@@ -0,0 +1,268 @@
+import { ACCESS_TOKEN_USER_EMAIL } from '../middleware/AuthMiddleware.js';
+import { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import {
+  BudgetExceededError,
+  UsageTracker,
+  addStreamUsage,
+  emptyUsage,
+  estimateCost,
+  getResultUsage,
+  getUsageBudgetsFromEnv,
+} from './UsageTracker.js';
+
+describe('usage of a run', () => {
+  it('should read the usage of a Claude Code result message', () => {
+    // Act
+    const usage = getResultUsage({
+      type: 'result',
+      subtype: 'success',
+      total_cost_usd: 0.12,
+      num_turns: 3,
+      usage: {
+        input_tokens: 100,
+        output_tokens: 50,
+        cache_creation_input_tokens: 10,
+        cache_read_input_tokens: 2000,
+      },
+    });
+
+    // Assert
+    expect(usage).toEqual({
+      inputTokens: 100,
+      outputTokens: 50,
+      cacheCreationInputTokens: 10,
+      cacheReadInputTokens: 2000,
+      costUsd: 0.12,
+      numTurns: 3,
+    });
+  });
+
+  it('should add up a message stream and estimate its cost', () => {
+    // Arrange
+    const chunks = [
+      {
+        type: 'message_start',
+        message: { usage: { input_tokens: 1000, output_tokens: 1 } },
+      },
+      { type: 'content_block_delta', delta: { text: 'Hi' } },
+      { type: 'message_delta', usage: { output_tokens: 200 } },
+    ];
+
+    // Act
+    const usage = chunks.reduce(addStreamUsage, emptyUsage());
+
+    // Assert
+    expect(usage).toEqual(
+      expect.objectContaining({
+        inputTokens: 1000,
+        outputTokens: 200,
+        numTurns: 1,
+      })
+    );
+    expect(
+      estimateCost(usage, 'claude-3-5-sonnet-20241022').costUsd
+    ).toBeCloseTo(0.006);
+    expect(estimateCost(usage, 'unknown-model').costUsd).toBeNull();
+  });
+});
+
+describe('UsageTracker', () => {
+  const now = new Date('2024-02-20T12:00:00Z');
+  let history: ExecutionHistoryProvider;
+
+  const run = (
+    promptName: string,
+    userEmail: string,
+    timestamp: string,
+    costUsd: number | null
+  ) => {
+    const executionId = history.createExecution(promptName, {}, userEmail);
+    history.getExecution(executionId)!.timestamp = timestamp;
+    history.setUsage(executionId, {
+      ...emptyUsage(),
+      inputTokens: 100,
+      outputTokens: 10,
+      costUsd,
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+
+    run('review-pr', 'alice@example.com', '2024-01-31T23:00:00Z', 5);
+    run('review-pr', 'alice@example.com', '2024-02-01T08:00:00Z', 2);
+    run('review-pr', 'bob@example.com', '2024-02-01T09:00:00Z', 3);
+    run('nightly-report', 'scheduler@system', '2024-02-15T02:00:00Z', null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should aggregate usage by prompt, user and day', () => {
+    // Arrange
+    const tracker = new UsageTracker(history, { users: {}, prompts: {} });
+
+    // Act
+    const report = tracker.getReport(
+      new Date('2024-02-01T00:00:00Z'),
+      now,
+      now
+    );
+
+    // Assert
+    expect(report.totals).toEqual({
+      executions: 3,
+      inputTokens: 300,
+      outputTokens: 30,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+      costUsd: 5,
+    });
+    expect(
+      report.byPrompt.map(({ promptName, costUsd }) => [promptName, costUsd])
+    ).toEqual([
+      ['review-pr', 5],
+      ['nightly-report', 0],
+    ]);
+    expect(
+      report.byUser.map(({ userEmail, costUsd }) => [userEmail, costUsd])
+    ).toEqual([
+      ['bob@example.com', 3],
+      ['alice@example.com', 2],
+      ['scheduler@system', 0],
+    ]);
+    expect(
+      report.byDay.map(({ day, executions }) => [day, executions])
+    ).toEqual([
+      ['2024-02-01', 2],
+      ['2024-02-15', 1],
+    ]);
+  });
+
+  it('should only count this month towards a budget', () => {
+    // Arrange
+    const tracker = new UsageTracker(history, {
+      users: { 'alice@example.com': 4 },
+      prompts: {},
+    });
+
+    // Act & Assert
+    expect(() =>
+      tracker.checkBudget('review-pr', 'alice@example.com', now)
+    ).not.toThrow();
+    expect(tracker.getBudgetStatus(now)).toEqual([
+      {
+        scope: 'user',
+        name: 'alice@example.com',
+        limitUsd: 4,
+        spentUsd: 2,
+        remainingUsd: 2,
+        exceeded: false,
+      },
+    ]);
+  });
+
+  it('should refuse runs of a user or prompt over budget', () => {
+    // Arrange
+    const tracker = new UsageTracker(history, {
+      users: { '*': 3 },
+      prompts: { 'review-pr': 10 },
+    });
+
+    // Act & Assert
+    expect(() =>
+      tracker.checkBudget('review-pr', 'alice@example.com', now)
+    ).not.toThrow();
+    expect(() =>
+      tracker.checkBudget('review-pr', 'bob@example.com', now)
+    ).toThrow(
+      new BudgetExceededError(
+        "The user 'bob@example.com' has used $3.00 of its $3.00 budget for this month",
+        {
+          scope: 'user',
+          name: 'bob@example.com',
+          limitUsd: 3,
+          spentUsd: 3,
+          remainingUsd: 0,
+          exceeded: true,
+        }
+      )
+    );
+  });
+
+  it('should refuse runs without a user while user budgets are set', () => {
+    // Arrange
+    const tracker = new UsageTracker(history, {
+      users: { 'alice@example.com': 3 },
+      prompts: { 'review-pr': 10 },
+    });
+    const promptsOnly = new UsageTracker(history, {
+      users: {},
+      prompts: { 'review-pr': 10 },
+    });
+
+    // Act & Assert
+    expect(() => tracker.checkBudget('review-pr', 'unknown', now)).toThrow(
+      'Runs need a signed-in user while user budgets are set'
+    );
+    expect(() => tracker.checkBudget('review-pr', '', now)).toThrow(
+      BudgetExceededError
+    );
+    expect(() =>
+      promptsOnly.checkBudget('review-pr', 'unknown', now)
+    ).not.toThrow();
+  });
+
+  it('should hold ACCESS_TOKEN runs to their own user budget', () => {
+    // Arrange
+    const tracker = new UsageTracker(history, {
+      users: { 'alice@example.com': 3 },
+      prompts: {},
+    });
+    const capped = new UsageTracker(history, {
+      users: { [ACCESS_TOKEN_USER_EMAIL]: 0 },
+      prompts: {},
+    });
+
+    // Act & Assert
+    expect(() =>
+      tracker.checkBudget('review-pr', ACCESS_TOKEN_USER_EMAIL, now)
+    ).not.toThrow();
+    expect(() =>
+      capped.checkBudget('review-pr', ACCESS_TOKEN_USER_EMAIL, now)
+    ).toThrow(`The user '${ACCESS_TOKEN_USER_EMAIL}' has used $0.00`);
+  });
+});
+
+describe('getUsageBudgetsFromEnv', () => {
+  afterEach(() => {
+    delete process.env['USAGE_BUDGETS'];
+  });
+
+  it('should read budgets from inline JSON', () => {
+    // Arrange
+    process.env['USAGE_BUDGETS'] =
+      '{"users": {"*": 20}, "prompts": {"nightly-report": 50}}';
+
+    // Act & Assert
+    expect(getUsageBudgetsFromEnv()).toEqual({
+      users: { '*': 20 },
+      prompts: { 'nightly-report': 50 },
+    });
+  });
+
+  it('should reject a budget that is not a number', () => {
+    // Arrange
+    process.env['USAGE_BUDGETS'] = '{"users": {"*": "20"}}';
+
+    // Act & Assert
+    expect(() => getUsageBudgetsFromEnv()).toThrow(
+      `USAGE_BUDGETS.users['*'] must be a number of USD, got "20"`
+    );
+  });
+});
@@ -0,0 +1,422 @@
+import { readJsonConfigSync } from '../config/jsonConfig.js';
+import type {
+  ExecutionHistoryProvider,
+  ExecutionRecord,
+  ExecutionUsage,
+} from './ExecutionHistoryProvider.js';
+
+/**
+ * Prices in USD per million tokens, used where the service does not report
+ * the cost of a run itself
+ */
+export const MODEL_PRICES: Record<
+  string,
+  { input: number; output: number; cacheWrite: number; cacheRead: number }
+> = {
+  'claude-3-5-haiku-20241022': {
+    input: 0.8,
+    output: 4,
+    cacheWrite: 1,
+    cacheRead: 0.08,
+  },
+  'claude-3-5-sonnet-20241022': {
+    input: 3,
+    output: 15,
+    cacheWrite: 3.75,
+    cacheRead: 0.3,
+  },
+  'claude-sonnet-4-20250514': {
+    input: 3,
+    output: 15,
+    cacheWrite: 3.75,
+    cacheRead: 0.3,
+  },
+  'claude-opus-4-20250514': {
+    input: 15,
+    output: 75,
+    cacheWrite: 18.75,
+    cacheRead: 1.5,
+  },
+  'claude-opus-4-1-20250805': {
+    input: 15,
+    output: 75,
+    cacheWrite: 18.75,
+    cacheRead: 1.5,
+  },
+};
+
+export interface UsageBudgets {
+  users: Record<string, number>; // Monthly USD budget per user email; '*' for every other user
+  prompts: Record<string, number>; // Monthly USD budget per prompt name; '*' for every other prompt
+}
+
+export interface UsageTotals {
+  executions: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheCreationInputTokens: number;
+  cacheReadInputTokens: number;
+  costUsd: number;
+}
+
+export interface BudgetStatus {
+  scope: 'user' | 'prompt';
+  name: string;
+  limitUsd: number;
+  spentUsd: number;
+  remainingUsd: number;
+  exceeded: boolean;
+}
+
+export interface UsageReport {
+  from: string;
+  to: string;
+  totals: UsageTotals;
+  byPrompt: (UsageTotals & { promptName: string })[];
+  byUser: (UsageTotals & { userEmail: string })[];
+  byDay: (UsageTotals & { day: string })[];
+  budgets: BudgetStatus[];
+}
+
+/**
+ * Thrown when a run would start although its user or prompt has used up
+ * its monthly budget
+ */
+export class BudgetExceededError extends Error {
+  constructor(
+    message: string,
+    public budget: BudgetStatus
+  ) {
+    super(message);
+    this.name = 'BudgetExceededError';
+  }
+}
+
+/**
+ * Read the usage of a Claude Code run from its 'result' message
+ */
+export function getResultUsage(result: any): ExecutionUsage {
+  const usage = result?.usage || {};
+
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+    costUsd:
+      typeof result?.total_cost_usd === 'number' ? result.total_cost_usd : null,
+    numTurns: typeof result?.num_turns === 'number' ? result.num_turns : null,
+  };
+}
+
+/**
+ * Add the usage of a Messages API stream event. 'message_start' carries the
+ * input tokens, 'message_delta' the output tokens so far.
+ */
+export function addStreamUsage(
+  usage: ExecutionUsage,
+  chunk: any
+): ExecutionUsage {
+  if (chunk?.type === 'message_start' && chunk.message?.usage) {
+    const start = chunk.message.usage;
+    return {
+      ...usage,
+      inputTokens: usage.inputTokens + (start.input_tokens || 0),
+      outputTokens: usage.outputTokens + (start.output_tokens || 0),
+      cacheCreationInputTokens:
+        usage.cacheCreationInputTokens +
+        (start.cache_creation_input_tokens || 0),
+      cacheReadInputTokens:
+        usage.cacheReadInputTokens + (start.cache_read_input_tokens || 0),
+      numTurns: (usage.numTurns || 0) + 1,
+    };
+  }
+  if (chunk?.type === 'message_delta' && chunk.usage) {
+    return { ...usage, outputTokens: chunk.usage.output_tokens || 0 };
+  }
+  return usage;
+}
+
+/**
+ * Price token counts with MODEL_PRICES
+ * @returns The usage with costUsd set, null when the model has no price
+ */
+export function estimateCost(
+  usage: ExecutionUsage,
+  model: string
+): ExecutionUsage {
+  const prices = MODEL_PRICES[model];
+  if (!prices) {
+    return { ...usage, costUsd: null };
+  }
+
+  const costUsd =
+    (usage.inputTokens * prices.input +
+      usage.outputTokens * prices.output +
+      usage.cacheCreationInputTokens * prices.cacheWrite +
+      usage.cacheReadInputTokens * prices.cacheRead) /
+    1_000_000;
+  return { ...usage, costUsd };
+}
+
+export function emptyUsage(): ExecutionUsage {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0,
+    costUsd: null,
+    numTurns: null,
+  };
+}
+
+/**
+ * Read monthly budgets from USAGE_BUDGETS: inline JSON or the path of a JSON
+ * file, e.g. {"users": {"*": 20}, "prompts": {"nightly-report": 50}}
+ * @throws Error if the budgets are invalid
+ */
+export function getUsageBudgetsFromEnv(): UsageBudgets {
+  const value = process.env['USAGE_BUDGETS'];
+  if (!value) {
+    return { users: {}, prompts: {} };
+  }
+
+  const data = readJsonConfigSync(value, 'USAGE_BUDGETS');
+
+  return {
+    users: validateBudgets(data?.users, 'users'),
+    prompts: validateBudgets(data?.prompts, 'prompts'),
+  };
+}
+
+/**
+ * Aggregates the token usage and cost recorded on execution records, and
+ * enforces monthly budgets (calendar months in UTC) from them.
+ *
+ * Usage is read from the execution history, so executions pruned by the
+ * retention policy no longer count.
+ */
+export class UsageTracker {
+  constructor(
+    private executionHistoryService: ExecutionHistoryProvider,
+    private budgets: UsageBudgets = getUsageBudgetsFromEnv()
+  ) {}
+
+  /**
+   * Aggregate usage by prompt, user and day
+   * @param from - Start of the report (inclusive)
+   * @param to - End of the report (exclusive)
+   */
+  getReport(from: Date, to: Date, now: Date = new Date()): UsageReport {
+    const executions = this.getExecutions(from, to);
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals: sumUsage(executions),
+      byPrompt: groupUsage(executions, (e) => e.promptName).map(
+        ([promptName, totals]) => ({ promptName, ...totals })
+      ),
+      byUser: groupUsage(executions, (e) => e.userEmail).map(
+        ([userEmail, totals]) => ({ userEmail, ...totals })
+      ),
+      byDay: groupUsage(executions, (e) => e.timestamp.slice(0, 10))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([day, totals]) => ({ day, ...totals })),
+      budgets: this.getBudgetStatus(now),
+    };
+  }
+
+  /**
+   * Get the spending of every budgeted user and prompt this month
+   */
+  getBudgetStatus(now: Date = new Date()): BudgetStatus[] {
+    const executions = this.getExecutions(startOfMonth(now), now);
+
+    return [
+      ...getStatus('user', this.budgets.users, executions, (e) => e.userEmail),
+      ...getStatus(
+        'prompt',
+        this.budgets.prompts,
+        executions,
+        (e) => e.promptName
+      ),
+    ];
+  }
+
+  /**
+   * Check that a run may start
+   * @throws BudgetExceededError if the user or the prompt has used up its
+   * budget for this month, or if user budgets are set and the run has no user
+   */
+  checkBudget(
+    promptName: string,
+    userEmail: string,
+    now: Date = new Date()
+  ): void {
+    // Runs without a user would share one budget, or escape user budgets altogether
+    if (
+      (!userEmail || userEmail === 'unknown') &&
+      Object.keys(this.budgets.users).length > 0
+    ) {
+      throw new BudgetExceededError(
+        'Runs need a signed-in user while user budgets are set',
+        {
+          scope: 'user',
+          name: userEmail || 'unknown',
+          limitUsd: 0,
+          spentUsd: 0,
+          remainingUsd: 0,
+          exceeded: true,
+        }
+      );
+    }
+
+    const userLimit = getLimit(this.budgets.users, userEmail);
+    const promptLimit = getLimit(this.budgets.prompts, promptName);
+    if (userLimit === null && promptLimit === null) {
+      return;
+    }
+
+    const executions = this.getExecutions(startOfMonth(now), now);
+    const budgets = [
+      ...(userLimit === null
+        ? []
+        : getStatus(
+            'user',
+            { [userEmail]: userLimit },
+            executions,
+            (e) => e.userEmail
+          )),
+      ...(promptLimit === null
+        ? []
+        : getStatus(
+            'prompt',
+            { [promptName]: promptLimit },
+            executions,
+            (e) => e.promptName
+          )),
+    ];
+
+    const exceeded = budgets.find((budget) => budget.exceeded);
+    if (exceeded) {
+      throw new BudgetExceededError(
+        `The ${exceeded.scope} '${exceeded.name}' has used $${exceeded.spentUsd.toFixed(2)} of its $${exceeded.limitUsd.toFixed(2)} budget for this month`,
+        exceeded
+      );
+    }
+  }
+
+  private getExecutions(from: Date, to: Date): ExecutionRecord[] {
+    const fromMs = from.getTime();
+    const toMs = to.getTime();
+
+    return this.executionHistoryService
+      .getAllHistory(Number.MAX_SAFE_INTEGER)
+      .filter((execution) => {
+        const time = new Date(execution.timestamp).getTime();
+        return time >= fromMs && time < toMs;
+      });
+  }
+}
+
+function validateBudgets(
+  value: unknown,
+  field: string
+): Record<string, number> {
+  if (value === undefined) {
+    return {};
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`USAGE_BUDGETS.${field} must be an object`);
+  }
+
+  for (const [name, limit] of Object.entries(value)) {
+    if (typeof limit !== 'number' || !(limit >= 0)) {
+      throw new Error(
+        `USAGE_BUDGETS.${field}['${name}'] must be a number of USD, got ${JSON.stringify(limit)}`
+      );
+    }
+  }
+  return value as Record<string, number>;
+}
+
+function getLimit(budgets: Record<string, number>, name: string) {
+  return budgets[name] ?? budgets['*'] ?? null;
+}
+
+function getStatus(
+  scope: BudgetStatus['scope'],
+  budgets: Record<string, number>,
+  executions: ExecutionRecord[],
+  getName: (execution: ExecutionRecord) => string
+): BudgetStatus[] {
+  const names = new Set(Object.keys(budgets).filter((name) => name !== '*'));
+  if (budgets['*'] !== undefined) {
+    executions.forEach((execution) => names.add(getName(execution)));
+  }
+
+  return Array.from(names).map((name) => {
+    const limitUsd = getLimit(budgets, name)!;
+    const spentUsd = sumUsage(
+      executions.filter((execution) => getName(execution) === name)
+    ).costUsd;
+    return {
+      scope,
+      name,
+      limitUsd,
+      spentUsd,
+      remainingUsd: Math.max(limitUsd - spentUsd, 0),
+      exceeded: spentUsd >= limitUsd,
+    };
+  });
+}
+
+function sumUsage(executions: ExecutionRecord[]): UsageTotals {
+  return executions.reduce(
+    (totals, execution) => {
+      const usage = execution.usage;
+      return {
+        executions: totals.executions + 1,
+        inputTokens: totals.inputTokens + (usage?.inputTokens || 0),
+        outputTokens: totals.outputTokens + (usage?.outputTokens || 0),
+        cacheCreationInputTokens:
+          totals.cacheCreationInputTokens +
+          (usage?.cacheCreationInputTokens || 0),
+        cacheReadInputTokens:
+          totals.cacheReadInputTokens + (usage?.cacheReadInputTokens || 0),
+        costUsd: totals.costUsd + (usage?.costUsd || 0),
+      };
+    },
+    {
+      executions: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheCreationInputTokens: 0,
+      cacheReadInputTokens: 0,
+      costUsd: 0,
+    }
+  );
+}
+
+/**
+ * Sum the usage of executions per key, most expensive first
+ */
+function groupUsage(
+  executions: ExecutionRecord[],
+  getKey: (execution: ExecutionRecord) => string
+): [string, UsageTotals][] {
+  const groups = new Map<string, ExecutionRecord[]>();
+  for (const execution of executions) {
+    const key = getKey(execution);
+    groups.set(key, [...(groups.get(key) || []), execution]);
+  }
+
+  return Array.from(groups.entries())
+    .map(([key, group]): [string, UsageTotals] => [key, sumUsage(group)])
+    .sort(([, a], [, b]) => b.costUsd - a.costUsd);
+}
+
+function startOfMonth(date: Date): Date {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
@@ -0,0 +1,233 @@
+import { formatExecutionEvent } from '../../public/js/execution-events.js';
+import { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import { ExecutionRunner } from './ExecutionRunner.js';
+import { WorkflowRunner, mapStepParameters } from './WorkflowRunner.js';
+
+describe('mapStepParameters', () => {
+  it('should render string values and pass other values on', () => {
+    // Act
+    const parameters = mapStepParameters(
+      { summary: 'Fix {{title}}', issue: '{{steps.issue.output}}', count: 2 },
+      { title: 'login', steps: { issue: { output: 'ABC-1' } } }
+    );
+
+    // Assert
+    expect(parameters).toEqual({
+      summary: 'Fix login',
+      issue: 'ABC-1',
+      count: 2,
+    });
+  });
+});
+
+describe('WorkflowRunner', () => {
+  const prompts: Record<string, any> = {
+    'create-issue': {
+      name: 'create-issue',
+      mcp_servers: ['jira'],
+      messages: [
+        {
+          role: 'user',
+          content: 'Create {{summary}}',
+          parameters: { required: ['summary'] },
+        },
+      ],
+    },
+    'clone-repo': {
+      name: 'clone-repo',
+      mcp_servers: ['github'],
+      messages: [
+        {
+          role: 'user',
+          content: 'Clone for {{issue}}',
+          parameters: { required: ['issue'] },
+        },
+      ],
+    },
+    'report-failure': {
+      name: 'report-failure',
+      mcp_servers: [],
+      messages: [{ role: 'user', content: 'Report' }],
+    },
+  };
+
+  let history: ExecutionHistoryProvider;
+  let claudeService: { executePromptStream: jest.Mock };
+  let executionRunner: ExecutionRunner;
+  let failingPrompts: Set<string>;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    failingPrompts = new Set();
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+
+    claudeService = {
+      executePromptStream: jest.fn(
+        async (prompt, parameters, _config, _auth, res, _user, options) => {
+          if (failingPrompts.has(prompt.name)) {
+            throw new Error(`${prompt.name} failed`);
+          }
+          res.write(
+            formatExecutionEvent('complete', {
+              message: 'Done',
+              result: `${prompt.name} output for ${JSON.stringify(parameters)}`,
+            })
+          );
+          history.updateStatus(options.executionId, 'completed');
+        }
+      ),
+    };
+
+    executionRunner = new ExecutionRunner(claudeService, history, {}, {});
+    executionRunner.setWorkflowRunner(
+      new WorkflowRunner(
+        { getPrompt: (name) => prompts[name] },
+        executionRunner,
+        history
+      )
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function runWorkflow(workflow: any, parameters = {}) {
+    const executionId = executionRunner.start(workflow, parameters, 'user');
+    await executionRunner.waitForCompletion(executionId);
+    return history.getExecution(executionId)!;
+  }
+
+  it('should run the steps as child executions and pass outputs on', async () => {
+    // Arrange
+    const workflow = {
+      name: 'triage',
+      mcp_servers: ['jira', 'github'],
+      steps: [
+        {
+          id: 'issue',
+          prompt: 'create-issue',
+          parameters: { summary: '{{title}}' },
+        },
+        {
+          id: 'clone',
+          prompt: 'clone-repo',
+          parameters: { issue: '{{steps.issue.output}}' },
+          mcp_servers: ['github'],
+        },
+      ],
+    };
+
+    // Act
+    const parent = await runWorkflow(workflow, { title: 'Login bug' });
+
+    // Assert
+    expect(parent.status).toBe('completed');
+    const children = history.getChildExecutions(parent.id);
+    expect(children.map((child) => child.promptName)).toEqual([
+      'create-issue',
+      'clone-repo',
+    ]);
+    expect(children[1]!.parameters).toEqual({
+      issue: 'create-issue output for {"summary":"Login bug"}',
+    });
+    expect(claudeService.executePromptStream.mock.calls[1][0]).toMatchObject({
+      name: 'clone-repo',
+      mcp_servers: ['github'],
+    });
+    expect(parent.response.steps).toEqual([
+      expect.objectContaining({ id: 'issue', status: 'completed' }),
+      expect.objectContaining({
+        id: 'clone',
+        status: 'completed',
+        executionId: children[1]!.id,
+      }),
+    ]);
+  });
+
+  it('should follow on_error when a step fails', async () => {
+    // Arrange
+    failingPrompts.add('create-issue');
+    const workflow = {
+      name: 'triage',
+      mcp_servers: [],
+      steps: [
+        {
+          id: 'issue',
+          prompt: 'create-issue',
+          parameters: { summary: 'Bug' },
+          on_error: 'report',
+        },
+        { id: 'clone', prompt: 'clone-repo', on_success: 'end' },
+        { id: 'report', prompt: 'report-failure' },
+      ],
+    };
+
+    // Act
+    const parent = await runWorkflow(workflow);
+
+    // Assert
+    expect(parent.status).toBe('completed');
+    expect(parent.response.steps).toEqual([
+      expect.objectContaining({
+        id: 'issue',
+        status: 'error',
+        error: 'create-issue failed',
+      }),
+      expect.objectContaining({ id: 'report', status: 'completed' }),
+    ]);
+  });
+
+  it('should fail the workflow when a step fails without on_error', async () => {
+    // Arrange
+    const workflow = {
+      name: 'triage',
+      mcp_servers: [],
+      steps: [{ id: 'clone', prompt: 'clone-repo' }],
+    };
+
+    // Act
+    const parent = await runWorkflow(workflow);
+
+    // Assert
+    expect(parent.status).toBe('error');
+    expect(parent.error?.message).toBe(
+      "Step 'clone' failed: Invalid parameters: Parameter 'issue' is required"
+    );
+    expect(claudeService.executePromptStream).not.toHaveBeenCalled();
+  });
+
+  it('should cancel the running step when the workflow is cancelled', async () => {
+    // Arrange
+    claudeService.executePromptStream.mockImplementation(
+      (_prompt, _parameters, _config, _auth, _res, _user, options) =>
+        new Promise<void>((_resolve, reject) => {
+          options.signal.addEventListener('abort', () =>
+            reject(new Error('aborted'))
+          );
+        })
+    );
+    const workflow = {
+      name: 'triage',
+      mcp_servers: [],
+      steps: [
+        { id: 'report', prompt: 'report-failure' },
+        { id: 'again', prompt: 'report-failure' },
+      ],
+    };
+    const executionId = executionRunner.start(workflow, {}, 'user');
+
+    // Act
+    executionRunner.cancel(executionId);
+    await executionRunner.waitForCompletion(executionId);
+
+    // Assert
+    expect(history.getExecution(executionId)?.status).toBe('cancelled');
+    const children = history.getChildExecutions(executionId);
+    expect(children.map((child) => child.status)).toEqual(['cancelled']);
+  });
+});
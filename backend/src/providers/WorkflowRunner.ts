@@ -0,0 +1,250 @@
+import {
+  type ExecutionEventType,
+  formatExecutionEvent,
+} from '../../public/js/execution-events.js';
+import {
+  formatValidationError,
+  validatePromptParameters,
+} from '../../public/js/parameter-validator.js';
+import {
+  isWorkflow,
+  mergeParametersWithDefaults,
+} from '../../public/js/prompt-utils.js';
+import { renderTemplate } from '../../public/js/template-engine.js';
+import type { Prompt, WorkflowStep } from '../types/index.js';
+import type { ExecutionEventSink } from './ExecutionEventSink.js';
+import type { ExecutionHistoryProvider } from './ExecutionHistoryProvider.js';
+import { type ExecutionRunner, getExecutionOutput } from './ExecutionRunner.js';
+import { BudgetExceededError } from './UsageTracker.js';
+
+export interface WorkflowStepResult {
+  id: string;
+  prompt: string;
+  executionId: string | null;
+  status: 'completed' | 'error' | 'cancelled';
+  output: string | null;
+  error: string | null;
+}
+
+interface PromptSource {
+  getPrompt: (name: string) => Prompt | undefined;
+}
+
+/**
+ * Map the parameters of a step. String values are templates rendered with
+ * the workflow parameters and the results of earlier steps, e.g.
+ * "{{steps.issue.output}}"; other values are passed on as they are.
+ */
+export function mapStepParameters(
+  mapping: Record<string, any>,
+  context: Record<string, any>
+): Record<string, any> {
+  return Object.fromEntries(
+    Object.entries(mapping).map(([name, value]) => [
+      name,
+      typeof value === 'string' ? renderTemplate(value, context) : value,
+    ])
+  );
+}
+
+/**
+ * Runs workflows: prompts whose `steps` chain other prompts. The execution
+ * runner hands workflows to it (see ExecutionRunner.setWorkflowRunner).
+ *
+ * A workflow run is one parent execution. Each step runs its prompt as a
+ * child execution through the execution runner, so steps are queued,
+ * recorded and cancellable like any other execution. After a step the
+ * workflow follows its on_success or on_error branch; without one it moves
+ * on to the next step, or fails when the step failed.
+ */
+export class WorkflowRunner {
+  constructor(
+    private promptManager: PromptSource,
+    private executionRunner: ExecutionRunner,
+    private executionHistoryService: ExecutionHistoryProvider
+  ) {}
+
+  /**
+   * Start a workflow in the background
+   * @returns The ID of the parent execution
+   */
+  start(
+    workflow: Prompt,
+    parameters: Record<string, any>,
+    userEmail: string = 'unknown'
+  ): string {
+    return this.executionRunner.startTask(
+      workflow,
+      parameters,
+      userEmail,
+      ({ executionId, sink, signal }) =>
+        this.run(workflow, parameters, userEmail, executionId, sink, signal)
+    );
+  }
+
+  private async run(
+    workflow: Prompt,
+    parameters: Record<string, any>,
+    userEmail: string,
+    executionId: string,
+    sink: ExecutionEventSink,
+    signal: AbortSignal
+  ): Promise<void> {
+    const steps = workflow.steps || [];
+    const results: Record<string, WorkflowStepResult> = {};
+    sendEvent(sink, 'status', {
+      message: `Starting workflow with ${steps.length} steps...`,
+      executionId,
+    });
+
+    try {
+      let index = 0;
+      while (index < steps.length) {
+        const step = steps[index]!;
+        sendEvent(sink, 'workflow_step_start', {
+          executionId,
+          stepId: step.id,
+          prompt: step.prompt,
+        });
+
+        const result = await this.runStep(
+          step,
+          { ...parameters, steps: results },
+          userEmail,
+          executionId,
+          signal
+        );
+        results[step.id] = result;
+        this.executionHistoryService.setResponse(executionId, {
+          steps: Object.values(results),
+        });
+        sendEvent(sink, 'workflow_step_complete', {
+          executionId,
+          stepId: result.id,
+          prompt: result.prompt,
+          stepExecutionId: result.executionId,
+          status: result.status,
+          output: result.output,
+          error: result.error,
+        });
+
+        if (signal.aborted) {
+          sendEvent(sink, 'cancelled', {
+            message: 'Execution cancelled',
+            executionId,
+          });
+          return;
+        }
+
+        const next =
+          result.status === 'completed' ? step.on_success : step.on_error;
+        if (result.status !== 'completed' && next === undefined) {
+          throw new Error(`Step '${step.id}' failed: ${result.error}`);
+        }
+        index =
+          next === undefined
+            ? index + 1
+            : next === 'end'
+              ? steps.length
+              : steps.findIndex((candidate) => candidate.id === next);
+      }
+    } catch (error: any) {
+      sendEvent(sink, 'error', { error: error.message, executionId });
+      throw error;
+    }
+
+    sendEvent(sink, 'complete', {
+      message: 'Workflow completed',
+      executionId,
+    });
+  }
+
+  private async runStep(
+    step: WorkflowStep,
+    context: Record<string, any>,
+    userEmail: string,
+    parentExecutionId: string,
+    signal: AbortSignal
+  ): Promise<WorkflowStepResult> {
+    const failed = (error: string): WorkflowStepResult => ({
+      id: step.id,
+      prompt: step.prompt,
+      executionId: null,
+      status: 'error',
+      output: null,
+      error,
+    });
+
+    const prompt = this.promptManager.getPrompt(step.prompt);
+    if (!prompt) {
+      return failed(`Prompt '${step.prompt}' does not exist`);
+    }
+    if (isWorkflow(prompt)) {
+      return failed(
+        `Prompt '${step.prompt}' is a workflow, workflows cannot run workflows`
+      );
+    }
+
+    const parameters = mergeParametersWithDefaults(
+      prompt,
+      mapStepParameters(step.parameters || {}, context)
+    );
+    const validationErrors = validatePromptParameters(prompt, parameters);
+    if (validationErrors.length > 0) {
+      return failed(
+        `Invalid parameters: ${validationErrors.map(formatValidationError).join('; ')}`
+      );
+    }
+
+    // The Claude service renders the messages, so outputs of earlier steps are only rendered once
+    let executionId: string;
+    try {
+      executionId = this.executionRunner.start(
+        { ...prompt, mcp_servers: step.mcp_servers || prompt.mcp_servers },
+        parameters,
+        userEmail,
+        parentExecutionId
+      );
+    } catch (error: any) {
+      if (error instanceof BudgetExceededError) {
+        return failed(error.message);
+      }
+      throw error;
+    }
+
+    const cancel = () => this.executionRunner.cancel(executionId);
+    signal.addEventListener('abort', cancel);
+    try {
+      await this.executionRunner.waitForCompletion(executionId);
+    } finally {
+      signal.removeEventListener('abort', cancel);
+    }
+
+    const record = this.executionHistoryService.getExecution(executionId);
+    const status =
+      record?.status === 'completed' || record?.status === 'cancelled'
+        ? record.status
+        : 'error';
+
+    return {
+      id: step.id,
+      prompt: step.prompt,
+      executionId,
+      status,
+      output:
+        status === 'completed'
+          ? getExecutionOutput(this.executionHistoryService, executionId)
+          : null,
+      error:
+        status === 'error' ? record?.error?.message || 'Step failed' : null,
+    };
+  }
+}
+
+function sendEvent(
+  sink: ExecutionEventSink,
+  event: ExecutionEventType,
+  data: any
+): void {
+  sink.write(formatExecutionEvent(event, data));
+}
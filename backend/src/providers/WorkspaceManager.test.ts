@@ -0,0 +1,149 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+import { WorkspaceManager } from './WorkspaceManager.js';
+
+describe('WorkspaceManager', () => {
+  let baseDir: string;
+
+  beforeEach(async () => {
+    baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(baseDir);
+  });
+
+  it('should give every execution its own directory and MCP config path', () => {
+    // Arrange
+    const manager = new WorkspaceManager(baseDir, {
+      retention: 'delete',
+      maxAgeMs: 60 * 1000,
+    });
+
+    // Act
+    const first = manager.create('exec-1');
+    const second = manager.create('exec-2');
+
+    // Assert
+    expect(first.dir).toBe(path.join(baseDir, 'exec-1'));
+    expect(first.mcpConfigPath).toBe(path.join(baseDir, 'exec-1', '.mcp.json'));
+    expect(second.dir).not.toBe(first.dir);
+    expect(fs.pathExistsSync(first.dir)).toBe(true);
+  });
+
+  it('should delete a released workspace unless the policy keeps it', async () => {
+    // Arrange
+    const deleting = new WorkspaceManager(baseDir, {
+      retention: 'delete',
+      maxAgeMs: 60 * 1000,
+    });
+    const keeping = new WorkspaceManager(baseDir, {
+      retention: 'keep',
+      maxAgeMs: 60 * 1000,
+    });
+    deleting.create('exec-1');
+    const kept = keeping.create('exec-2');
+    await fs.writeJson(kept.mcpConfigPath, { mcpServers: {} });
+
+    // Act
+    await deleting.release('exec-1');
+    await keeping.release('exec-2');
+
+    // Assert
+    expect(await deleting.getWorkspacePath('exec-1')).toBeNull();
+    expect(await keeping.getWorkspacePath('exec-2')).toBe(
+      path.join(baseDir, 'exec-2')
+    );
+    expect(fs.pathExistsSync(kept.mcpConfigPath)).toBe(false);
+  });
+
+  it('should keep a released workspace for a follow-up until it goes idle', async () => {
+    // Arrange
+    const manager = new WorkspaceManager(baseDir, {
+      retention: 'delete',
+      maxAgeMs: 60 * 1000,
+      idleMs: 20,
+    });
+    const continued = manager.create('exec-1');
+    manager.create('exec-2');
+    await fs.writeJson(continued.mcpConfigPath, { mcpServers: {} });
+
+    // Act
+    await manager.release('exec-1');
+    await manager.release('exec-2');
+    const retained = manager.retain('exec-1');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    // Assert
+    expect(retained).toBe(true);
+    expect(fs.pathExistsSync(continued.mcpConfigPath)).toBe(false);
+    expect(await manager.getWorkspacePath('exec-1')).toBe(continued.dir);
+    expect(await manager.getWorkspacePath('exec-2')).toBeNull();
+    expect(manager.retain('exec-2')).toBe(false);
+    manager.close();
+  });
+
+  it('should garbage-collect workspaces older than maxAgeMs', async () => {
+    // Arrange
+    const manager = new WorkspaceManager(baseDir, {
+      retention: 'keep',
+      maxAgeMs: 60 * 1000,
+    });
+    const old = manager.create('exec-old');
+    manager.create('exec-new');
+    const past = new Date(Date.now() - 120 * 1000);
+    await fs.utimes(old.dir, past, past);
+
+    // Act
+    const removed = await manager.collectGarbage();
+
+    // Assert
+    expect(removed).toEqual(['exec-old']);
+    expect(await manager.getWorkspacePath('exec-new')).not.toBeNull();
+  });
+
+  it('should reject execution IDs that escape the workspaces directory', async () => {
+    // Arrange
+    const manager = new WorkspaceManager(baseDir, {
+      retention: 'keep',
+      maxAgeMs: 60 * 1000,
+    });
+
+    // Act & Assert
+    expect(() => manager.create('../outside')).toThrow('Invalid execution ID');
+    expect(await manager.getWorkspacePath('../outside')).toBeNull();
+  });
+
+  it('should stream a workspace as a gzipped tarball without its MCP config', async () => {
+    // Arrange
+    const manager = new WorkspaceManager(baseDir, {
+      retention: 'keep',
+      maxAgeMs: 60 * 1000,
+    });
+    const workspace = manager.create('exec-1');
+    await fs.writeFile(path.join(workspace.dir, 'result.txt'), 'done');
+    await fs.writeJson(workspace.mcpConfigPath, {
+      mcpServers: { jira: { headers: { Authorization: 'Bearer secret' } } },
+    });
+
+    // Act
+    const chunks: Buffer[] = [];
+    for await (const chunk of manager.createArchiveStream('exec-1')) {
+      chunks.push(chunk);
+    }
+
+    // Assert
+    const archive = Buffer.concat(chunks);
+    expect(archive.length).toBeGreaterThan(0);
+    expect(archive.subarray(0, 2)).toEqual(Buffer.from([0x1f, 0x8b]));
+    const tarball = zlib.gunzipSync(archive).toString('latin1');
+    expect(tarball).toContain('result.txt');
+    expect(tarball).not.toContain('.mcp.json');
+    expect(tarball).not.toContain('Bearer secret');
+  });
+});
@@ -0,0 +1,268 @@
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import type { Readable } from 'stream';
+
+import type { ExecutionWorkspace } from '../types/index.js';
+
+export type WorkspaceRetention = 'delete' | 'keep';
+
+export interface WorkspacePolicy {
+  retention: WorkspaceRetention;
+  maxAgeMs: number;
+  idleMs?: number; // How long a deleted workspace waits for a follow-up
+}
+
+const GC_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_AGE_HOURS = 24;
+const DEFAULT_IDLE_MINUTES = 30;
+const EXECUTION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// Holds the MCP servers' credentials (OAuth tokens, env secrets)
+const MCP_CONFIG_FILE = '.mcp.json';
+
+/**
+ * Thrown when a follow-up would resume a session whose workspace was
+ * already deleted
+ */
+export class WorkspaceUnavailableError extends Error {
+  constructor(public executionId: string) {
+    super(
+      `The workspace of execution '${executionId}' was deleted after the conversation went idle`
+    );
+    this.name = 'WorkspaceUnavailableError';
+  }
+}
+
+/**
+ * Read the workspace policy from EXECUTION_WORKSPACES (delete | keep),
+ * EXECUTION_WORKSPACE_MAX_AGE_HOURS and EXECUTION_WORKSPACE_IDLE_MINUTES
+ */
+export function getWorkspacePolicyFromEnv(): WorkspacePolicy {
+  const retention = (
+    process.env['EXECUTION_WORKSPACES'] || 'delete'
+  ).toLowerCase();
+  if (retention !== 'delete' && retention !== 'keep') {
+    throw new Error(
+      `Invalid EXECUTION_WORKSPACES: ${retention}. Must be 'delete' or 'keep'`
+    );
+  }
+
+  const maxAgeHours = parseFloat(
+    process.env['EXECUTION_WORKSPACE_MAX_AGE_HOURS'] || ''
+  );
+  const idleMinutes = parseFloat(
+    process.env['EXECUTION_WORKSPACE_IDLE_MINUTES'] || ''
+  );
+
+  return {
+    retention,
+    maxAgeMs:
+      (maxAgeHours > 0 ? maxAgeHours : DEFAULT_MAX_AGE_HOURS) * 60 * 60 * 1000,
+    idleMs: (idleMinutes >= 0 ? idleMinutes : DEFAULT_IDLE_MINUTES) * 60 * 1000,
+  };
+}
+
+/**
+ * Get the directory that holds the execution workspaces
+ * (WORKING_DIR/workspaces, or the system temp directory when unset)
+ */
+export function getDefaultWorkspacesDir(): string {
+  const baseDir = process.env['WORKING_DIR']
+    ? path.resolve(process.env['WORKING_DIR'])
+    : os.tmpdir();
+  return path.join(baseDir, 'workspaces');
+}
+
+/**
+ * Manages the isolated working directories of Claude Code executions.
+ *
+ * Every execution gets its own directory (and .mcp.json) keyed by its
+ * executionId, so concurrent runs never share files. Depending on the policy
+ * a workspace is deleted once its execution finishes and no follow-up
+ * continued it for idleMs, or kept for download and garbage-collected once it
+ * is older than maxAgeMs.
+ */
+export class WorkspaceManager {
+  private baseDir: string;
+  private policy: WorkspacePolicy;
+  private gcTimer: NodeJS.Timeout | null = null;
+  private deletionTimers: Map<string, NodeJS.Timeout> = new Map();
+
+  constructor(
+    baseDir: string = getDefaultWorkspacesDir(),
+    policy: WorkspacePolicy = getWorkspacePolicyFromEnv()
+  ) {
+    this.baseDir = baseDir;
+    this.policy = policy;
+  }
+
+  /**
+   * Remove stale workspaces and start periodic garbage collection
+   */
+  async initialize(): Promise<void> {
+    await fs.ensureDir(this.baseDir);
+    await this.collectGarbage();
+
+    this.gcTimer = setInterval(() => {
+      this.collectGarbage().catch((error) => {
+        console.error('❌ Failed to garbage-collect workspaces:', error);
+      });
+    }, GC_INTERVAL_MS);
+    this.gcTimer.unref();
+
+    console.log(
+      `📂 Execution workspaces in ${this.baseDir} (${this.policy.retention} after completion)`
+    );
+  }
+
+  /**
+   * Stop the garbage collection and deletion timers
+   */
+  close(): void {
+    if (this.gcTimer) {
+      clearInterval(this.gcTimer);
+      this.gcTimer = null;
+    }
+    for (const timer of this.deletionTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.deletionTimers.clear();
+  }
+
+  /**
+   * Create the workspace of an execution
+   */
+  create(executionId: string): ExecutionWorkspace {
+    const dir = this.resolve(executionId);
+    fs.ensureDirSync(dir);
+
+    return {
+      dir,
+      mcpConfigPath: path.join(dir, MCP_CONFIG_FILE),
+    };
+  }
+
+  /**
+   * Called when an execution finishes; the workspace loses its MCP config,
+   * which holds credentials. Unless the policy keeps it, the workspace is
+   * deleted once no follow-up retained it for idleMs.
+   */
+  async release(executionId: string): Promise<void> {
+    const dir = this.resolve(executionId);
+    if (this.policy.retention === 'keep') {
+      await fs.remove(path.join(dir, MCP_CONFIG_FILE));
+      return;
+    }
+
+    const idleMs = this.policy.idleMs ?? 0;
+    if (idleMs <= 0) {
+      await fs.remove(dir);
+      return;
+    }
+
+    await fs.remove(path.join(dir, MCP_CONFIG_FILE));
+    this.cancelDeletion(executionId);
+    const timer = setTimeout(() => {
+      this.deletionTimers.delete(executionId);
+      fs.remove(dir).catch((error) => {
+        console.error(`❌ Failed to delete workspace ${dir}:`, error);
+      });
+    }, idleMs);
+    timer.unref();
+    this.deletionTimers.set(executionId, timer);
+  }
+
+  /**
+   * Keep a released workspace for a follow-up execution
+   * @returns false when the workspace no longer exists
+   */
+  retain(executionId: string): boolean {
+    this.cancelDeletion(executionId);
+    return fs.pathExistsSync(this.resolve(executionId));
+  }
+
+  /**
+   * Get the workspace directory of an execution, or null if it does not exist
+   */
+  async getWorkspacePath(executionId: string): Promise<string | null> {
+    if (!EXECUTION_ID_PATTERN.test(executionId)) {
+      return null;
+    }
+    const dir = this.resolve(executionId);
+    return (await fs.pathExists(dir)) ? dir : null;
+  }
+
+  /**
+   * Stream a workspace as a gzipped tarball, without its MCP config.
+   *
+   * The stream emits 'error' if tar cannot be started or fails.
+   */
+  createArchiveStream(executionId: string): Readable {
+    const dir = this.resolve(executionId);
+    const tar = spawn(
+      'tar',
+      ['-czf', '-', `--exclude=./${MCP_CONFIG_FILE}`, '-C', dir, '.'],
+      { stdio: ['ignore', 'pipe', 'pipe'] }
+    );
+
+    let stderr = '';
+    tar.stderr!.on('data', (data) => {
+      stderr += data.toString();
+    });
+    tar.on('error', (error) => {
+      tar.stdout!.destroy(error);
+    });
+    tar.on('close', (code) => {
+      if (code !== 0) {
+        tar.stdout!.destroy(
+          new Error(`tar exited with code ${code}: ${stderr.trim()}`)
+        );
+      }
+    });
+
+    return tar.stdout!;
+  }
+
+  /**
+   * Remove workspaces older than the policy's maxAgeMs
+   * @returns executionIds of the removed workspaces
+   */
+  async collectGarbage(): Promise<string[]> {
+    if (!(await fs.pathExists(this.baseDir))) {
+      return [];
+    }
+
+    const cutoff = Date.now() - this.policy.maxAgeMs;
+    const removed: string[] = [];
+
+    for (const entry of await fs.readdir(this.baseDir)) {
+      const dir = path.join(this.baseDir, entry);
+      const stats = await fs.stat(dir);
+      if (stats.isDirectory() && stats.mtimeMs < cutoff) {
+        await fs.remove(dir);
+        removed.push(entry);
+      }
+    }
+
+    if (removed.length > 0) {
+      console.log(`🧹 Removed ${removed.length} expired execution workspaces`);
+    }
+    return removed;
+  }
+
+  private cancelDeletion(executionId: string): void {
+    const timer = this.deletionTimers.get(executionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.deletionTimers.delete(executionId);
+    }
+  }
+
+  private resolve(executionId: string): string {
+    if (!EXECUTION_ID_PATTERN.test(executionId)) {
+      throw new Error(`Invalid execution ID: ${executionId}`);
+    }
+    return path.join(this.baseDir, executionId);
+  }
+}
@@ -1,15 +1,36 @@
 import { Anthropic } from '@anthropic-ai/sdk';
 import { Response } from 'express';
+import { type ExecutionEventType, formatExecutionEvent } from '../../../public/js/execution-events.js';
 import { processPrompt } from '../../../public/js/prompt-utils.js';
-import type { Prompt } from '../../types/index.js';
+import type { ExecutionOptions, Prompt, TranscriptMessage } from '../../types/index.js';
+import { fromAnthropicChunk } from '../ExecutionEvents.js';
 import type { ExecutionHistoryProvider } from '../ExecutionHistoryProvider.js';
+import type { LlmProviderCapabilities, ProviderValidationResult } from '../LlmProvider.js';
+import {
+  type ModelSettings,
+  DEFAULT_ANTHROPIC_MODEL,
+  DEFAULT_MAX_TOKENS,
+  getDefaultModelSettingsFromEnv,
+  getModelSettings
+} from '../ModelSettings.js';
+import { addStreamUsage, emptyUsage, estimateCost } from '../UsageTracker.js';
 
 /**
  * Service for interacting with Claude API using Anthropic SDK
  */
 export class ClaudeAnthropicSDK {
+  static readonly capabilities: LlmProviderCapabilities = {
+    mcpServers: true,
+    builtInTools: false,
+    toolApproval: false,
+    followUps: true,
+    samplingSettings: true
+  };
+
+  readonly capabilities = ClaudeAnthropicSDK.capabilities;
   private anthropic: Anthropic;
   private executionHistoryService: ExecutionHistoryProvider | null;
+  private modelDefaults: ModelSettings;
 
   constructor(executionHistoryService: ExecutionHistoryProvider | null = null) {
     if (!process.env.ANTHROPIC_API_KEY) {
@@ -21,6 +42,7 @@ export class ClaudeAnthropicSDK {
     });
     
     this.executionHistoryService = executionHistoryService;
+    this.modelDefaults = getDefaultModelSettingsFromEnv();
   }
 
   /**
@@ -30,6 +52,17 @@ export class ClaudeAnthropicSDK {
     this.executionHistoryService = executionHistoryService;
   }
 
+  /**
+   * Check the service configuration (the constructor already requires the API key)
+   */
+  async validateConfiguration(): Promise<ProviderValidationResult> {
+    return {
+      serviceType: 'anthropic',
+      isValid: true,
+      messages: ['✅ ANTHROPIC_API_KEY is configured']
+    };
+  }
+
   /**
    * Execute a prompt with streaming response
    */
@@ -39,13 +72,14 @@ export class ClaudeAnthropicSDK {
     configManager: any, 
     authManager: any, 
     res: Response, 
-    userEmail: string = 'unknown'
+    userEmail: string = 'unknown',
+    executionOptions: ExecutionOptions = {}
   ): Promise<void> {
-    let executionId: string | null = null;
+    let executionId: string | null = executionOptions.executionId || null;
     
     try {
-      // Create execution record
-      if (this.executionHistoryService) {
+      // Create execution record (unless the caller already created one)
+      if (this.executionHistoryService && !executionId) {
         executionId = this.executionHistoryService.createExecution(
           prompt.name,
           parameters,
@@ -53,11 +87,17 @@ export class ClaudeAnthropicSDK {
         );
       }
 
-      // Process prompt with parameter substitution
-      const processedPrompt = processPrompt(prompt, parameters);
+      // A follow-up replays the conversation so far instead of the prompt's messages
+      const { followUp } = executionOptions;
+      if (followUp && !followUp.transcript) {
+        throw new Error('The previous execution has no transcript to continue');
+      }
+      const messages: TranscriptMessage[] = followUp
+        ? [...followUp.transcript!, { role: 'user', content: followUp.message }]
+        : processPrompt(prompt, parameters).messages;
       
       // Prepare MCP servers configuration
-      const mcpServers = configManager.prepareMcpServersForClaude(
+      const mcpServers = await configManager.prepareMcpServersForClaude(
         prompt.mcp_servers, 
         authManager
       );
@@ -75,34 +115,61 @@ export class ClaudeAnthropicSDK {
       this.sendSSEEvent(res, 'status', { message: 'Starting prompt execution...', executionId });
 
       // Create Claude message
+      const settings = getModelSettings(prompt, this.modelDefaults);
+      const model = settings.model || DEFAULT_ANTHROPIC_MODEL;
       const response = await this.anthropic.beta.messages.create({
-        model: "claude-3-5-sonnet-20241022",
-        max_tokens: 4096,
-        system: this.buildSystemMessage(mcpServers),
-        messages: processedPrompt.messages,
+        ...this.buildSamplingParams(settings, model),
+        system: this.buildSystemMessage(mcpServers, settings.systemPrompt),
+        messages,
         mcp_servers: mcpServers,
         stream: true
       } as any, {
         headers: {
           "anthropic-beta": "mcp-client-2025-04-04"
-        }
+        },
+        signal: executionOptions.signal
       });
 
       // Stream the response
+      let usage = emptyUsage();
+      let reply = '';
       for await (const chunk of response as any) {
         this.handleStreamChunk(chunk, res, executionId);
+        usage = addStreamUsage(usage, chunk);
+        if (chunk.type === 'content_block_delta' && chunk.delta?.text) {
+          reply += chunk.delta.text;
+        }
       }
 
+      // Keep the conversation so a follow-up can replay it
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setTranscript(executionId, appendReply(messages, reply));
+      }
+
+      // The Messages API reports tokens only, so the cost is estimated
+      const executionUsage = estimateCost(usage, model);
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setUsage(executionId, executionUsage);
+      }
+      this.sendSSEEvent(res, 'usage', executionUsage);
+
       // Mark execution as completed
       if (this.executionHistoryService && executionId) {
         this.executionHistoryService.updateStatus(executionId, 'completed');
       }
 
       // Send completion event
-      this.sendSSEEvent(res, 'complete', { message: 'Prompt execution completed', executionId });
+      this.sendSSEEvent(res, 'complete', { message: 'Prompt execution completed', executionId, result: reply });
       res.end();
 
     } catch (error: any) {
+      if (executionOptions.signal?.aborted) {
+        console.log(`🛑 Execution ${executionId} was cancelled`);
+        this.sendSSEEvent(res, 'cancelled', { message: 'Execution cancelled', executionId });
+        res.end();
+        return;
+      }
+
       console.error('❌ Claude execution error:', error);
       
       // Record the error in execution history
@@ -127,103 +194,57 @@ export class ClaudeAnthropicSDK {
   /**
    * Build system message for Claude
    */
-  buildSystemMessage(mcpServers: any[]): string {
+  buildSystemMessage(mcpServers: any[], systemPrompt?: string): string {
     const serverNames = mcpServers.map(s => s.name).join(', ');
-    return `You have access to the following MCP services: ${serverNames}. Use these tools to help the user accomplish their goals.`;
+    const toolsMessage = `You have access to the following MCP services: ${serverNames}. Use these tools to help the user accomplish their goals.`;
+    return systemPrompt ? `${systemPrompt}\n\n${toolsMessage}` : toolsMessage;
+  }
+
+  /**
+   * Build the model, max_tokens and temperature of a request
+   */
+  buildSamplingParams(settings: ModelSettings, model: string): Record<string, any> {
+    return {
+      model,
+      max_tokens: settings.maxTokens || DEFAULT_MAX_TOKENS,
+      ...(settings.temperature !== undefined ? { temperature: settings.temperature } : {})
+    };
   }
 
   /**
    * Handle streaming chunks from Claude
    */
   handleStreamChunk(chunk: any, res: Response, executionId: string | null = null): void {
-    // Record the chunk in execution history
-    if (this.executionHistoryService && executionId) {
-      this.executionHistoryService.addMessage(executionId, chunk.type, chunk);
+    // Record the model that actually answered
+    if (this.executionHistoryService && executionId && chunk.type === 'message_start' && chunk.message?.model) {
+      this.executionHistoryService.setModel(executionId, chunk.message.model);
     }
 
-    switch (chunk.type) {
-      case 'message_start':
-        this.sendSSEEvent(res, 'message_start', {
-          message: chunk.message
-        });
-        break;
-        
-      case 'content_block_start':
-        this.sendSSEEvent(res, 'content_block_start', {
-          index: chunk.index,
-          content_block: chunk.content_block
-        });
-        break;
-        
-      case 'content_block_delta':
-        this.sendSSEEvent(res, 'content_block_delta', {
-          index: chunk.index,
-          delta: chunk.delta
+    for (const { event, data } of fromAnthropicChunk(chunk)) {
+      // Record tool usage and results in execution history
+      if (this.executionHistoryService && executionId && event === 'tool_use') {
+        this.executionHistoryService.addToolUse(executionId, {
+          server_name: data.serverName,
+          name: data.name,
+          input: data.input
         });
-        break;
-        
-      case 'content_block_stop':
-        this.sendSSEEvent(res, 'content_block_stop', {
-          index: chunk.index
-        });
-        break;
-        
-      case 'message_delta':
-        this.sendSSEEvent(res, 'message_delta', {
-          delta: chunk.delta
-        });
-        break;
-        
-      case 'message_stop':
-        this.sendSSEEvent(res, 'message_stop', {});
-        break;
-
-      case 'mcp_tool_use':
-        // Record tool usage in execution history
-        if (this.executionHistoryService && executionId) {
-          this.executionHistoryService.addToolUse(executionId, {
-            server_name: chunk.server_name,
-            name: chunk.name,
-            input: chunk.input
-          });
-        }
-        
-        this.sendSSEEvent(res, 'mcp_tool_use', {
-          server_name: chunk.server_name,
-          name: chunk.name,
-          input: chunk.input
+      } else if (this.executionHistoryService && executionId && event === 'tool_result') {
+        this.executionHistoryService.addToolResult(executionId, {
+          tool_use_id: data.toolUseId,
+          is_error: data.isError,
+          content: data.content
         });
-        break;
+      }
 
-      case 'mcp_tool_result':
-        // Record tool result in execution history
-        if (this.executionHistoryService && executionId) {
-          this.executionHistoryService.addToolResult(executionId, {
-            tool_use_id: chunk.tool_use_id,
-            is_error: chunk.is_error,
-            content: chunk.content
-          });
-        }
-        
-        this.sendSSEEvent(res, 'mcp_tool_result', {
-          tool_use_id: chunk.tool_use_id,
-          is_error: chunk.is_error,
-          content: chunk.content
-        });
-        break;
-        
-      default:
-        // Send unknown chunk types as-is for debugging
-        this.sendSSEEvent(res, 'unknown', chunk);
+      this.sendSSEEvent(res, event, data);
     }
   }
 
   /**
-   * Send Server-Sent Event
+   * Send an event of the execution event protocol
    */
-  sendSSEEvent(res: Response, event: string, data: any): void {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  sendSSEEvent(res: Response, event: ExecutionEventType, data: any): void {
+    res.write(formatExecutionEvent(event, data));
   }
 
   /**
@@ -236,15 +257,15 @@ export class ClaudeAnthropicSDK {
     authManager: any
   ): Promise<any> {
     const processedPrompt = processPrompt(prompt, parameters);
-    const mcpServers = configManager.prepareMcpServersForClaude(
+    const mcpServers = await configManager.prepareMcpServersForClaude(
       prompt.mcp_servers, 
       authManager
     );
 
+    const settings = getModelSettings(prompt, this.modelDefaults);
     const response = await this.anthropic.beta.messages.create({
-      model: "claude-3-5-sonnet-20241022",
-      max_tokens: 4096,
-      system: this.buildSystemMessage(mcpServers),
+      ...this.buildSamplingParams(settings, settings.model || DEFAULT_ANTHROPIC_MODEL),
+      system: this.buildSystemMessage(mcpServers, settings.systemPrompt),
       messages: processedPrompt.messages,
       mcp_servers: mcpServers
     } as any, {
@@ -256,3 +277,15 @@ export class ClaudeAnthropicSDK {
     return response;
   }
 }
+
+/**
+ * Add Claude's reply to the messages it answered, continuing a prefilled
+ * assistant message rather than following it with another one
+ */
+function appendReply(messages: TranscriptMessage[], reply: string): TranscriptMessage[] {
+  const last = messages[messages.length - 1];
+  if (last?.role === 'assistant') {
+    return [...messages.slice(0, -1), { role: 'assistant', content: last.content + reply }];
+  }
+  return [...messages, { role: 'assistant', content: reply }];
+}
@@ -1,11 +1,19 @@
-import { query, SDKMessage, Options, PermissionMode } from '@anthropic-ai/claude-code';
+import { query, SDKMessage, SDKUserMessage, Options, PermissionMode, CanUseTool } from '@anthropic-ai/claude-code';
 import { Response } from 'express';
+import { randomUUID } from 'crypto';
+import { type ExecutionEventType, formatExecutionEvent } from '../../../public/js/execution-events.js';
 import { processPrompt } from '../../../public/js/prompt-utils.js';
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
-import type { Prompt } from '../../types/index.js';
+import type { ExecutionOptions, ExecutionWorkspace, Prompt } from '../../types/index.js';
+import { fromClaudeCodeMessage } from '../ExecutionEvents.js';
 import type { ExecutionHistoryProvider } from '../ExecutionHistoryProvider.js';
+import type { LlmProviderCapabilities, ProviderValidationResult } from '../LlmProvider.js';
+import type { ToolApprovalManager } from '../ToolApprovalManager.js';
+import { type ToolPolicy, decideTool, findToolPattern, getToolFlags, getToolPolicy, needsToolCallback } from '../ToolPolicy.js';
+import { type ModelSettings, getDefaultModelSettingsFromEnv, getModelSettings } from '../ModelSettings.js';
+import { getResultUsage } from '../UsageTracker.js';
 
 interface McpServerConfig {
   type: 'stdio' | 'sse' | 'http';
@@ -39,6 +47,12 @@ interface ClaudeCodeSDKOptions {
   permissionMode: PermissionMode;
 }
 
+interface ToolUse {
+  id: string;
+  name: string;
+  input: Record<string, unknown>;
+}
+
 interface ClaudeCodeSDKMessage {
   type: string;
   subtype?: string;
@@ -53,6 +67,7 @@ interface ClaudeCodeSDKMessage {
   duration_ms?: number;
   total_cost_usd?: number;
   num_turns?: number;
+  usage?: any;
 }
 
 /**
@@ -60,12 +75,28 @@ interface ClaudeCodeSDKMessage {
  * Implements the same interface as ClaudeAnthropicSDK but uses the Claude Code SDK
  */
 export class ClaudeCodeSDKService {
+  static readonly capabilities: LlmProviderCapabilities = {
+    mcpServers: true,
+    builtInTools: true,
+    toolApproval: true,
+    followUps: true,
+    samplingSettings: false
+  };
+
+  readonly capabilities = ClaudeCodeSDKService.capabilities;
   private executionHistoryService: ExecutionHistoryProvider | null;
+  private toolApprovals: ToolApprovalManager | null;
+  private modelDefaults: ModelSettings;
   private tempDir: string;
   private mcpConfigPath: string;
 
-  constructor(executionHistoryService: ExecutionHistoryProvider | null = null) {
+  constructor(
+    executionHistoryService: ExecutionHistoryProvider | null = null,
+    toolApprovals: ToolApprovalManager | null = null
+  ) {
     this.executionHistoryService = executionHistoryService;
+    this.toolApprovals = toolApprovals;
+    this.modelDefaults = getDefaultModelSettingsFromEnv();
     
     // Use WORKING_DIR environment variable if set, otherwise fall back to temp directory
     let baseDir: string;
@@ -105,10 +136,28 @@ export class ClaudeCodeSDKService {
     this.executionHistoryService = executionHistoryService;
   }
 
+  /**
+   * Check the service configuration (the constructor already requires the API key)
+   */
+  async validateConfiguration(): Promise<ProviderValidationResult> {
+    return {
+      serviceType: 'claude-code-sdk',
+      isValid: true,
+      messages: [
+        '✅ ANTHROPIC_API_KEY is configured for Claude Code SDK',
+        '✅ Claude Code SDK package is available'
+      ]
+    };
+  }
+
   /**
    * Configure MCP servers for Claude Code SDK
    */
-  async configureMcpServers(mcpServers: McpServer[], authManager: any): Promise<string> {
+  async configureMcpServers(
+    mcpServers: McpServer[],
+    authManager: any,
+    mcpConfigPath: string = this.mcpConfigPath
+  ): Promise<string> {
     const mcpConfig: McpConfig = {
       mcpServers: {}
     };
@@ -140,10 +189,10 @@ export class ClaudeCodeSDKService {
     }
 
     // Write MCP configuration to temporary file
-    await fs.writeJson(this.mcpConfigPath, mcpConfig, { spaces: 2 });
+    await fs.writeJson(mcpConfigPath, mcpConfig, { spaces: 2 });
     
     console.log(`📝 Configured ${mcpServers.length} MCP servers for Claude Code SDK`);
-    return this.mcpConfigPath;
+    return mcpConfigPath;
   }
 
   /**
@@ -155,15 +204,20 @@ export class ClaudeCodeSDKService {
     configManager: any, 
     authManager: any, 
     res: Response, 
-    userEmail: string = 'unknown'
+    userEmail: string = 'unknown',
+    executionOptions: ExecutionOptions = {}
   ): Promise<void> {
-    let executionId: string | null = null;
+    let executionId: string | null = executionOptions.executionId || null;
+    const workspace: ExecutionWorkspace = executionOptions.workspace || {
+      dir: this.tempDir,
+      mcpConfigPath: this.mcpConfigPath
+    };
     
     try {
       console.log('🔍 [DEBUG] Starting executePromptStream with Claude Code SDK...');
       
-      // Create execution record
-      if (this.executionHistoryService) {
+      // Create execution record (unless the caller already created one)
+      if (this.executionHistoryService && !executionId) {
         executionId = this.executionHistoryService.createExecution(
           prompt.name,
           parameters,
@@ -179,7 +233,7 @@ export class ClaudeCodeSDKService {
       
       // Prepare MCP servers configuration
       console.log('🔍 [DEBUG] Preparing MCP servers...');
-      const mcpServers = configManager.prepareMcpServersForClaude(
+      const mcpServers = await configManager.prepareMcpServersForClaude(
         prompt.mcp_servers, 
         authManager
       );
@@ -187,7 +241,7 @@ export class ClaudeCodeSDKService {
 
       // Configure MCP servers for Claude Code SDK
       console.log('🔍 [DEBUG] Configuring MCP servers for Claude Code SDK...');
-      const mcpConfigPath = await this.configureMcpServers(mcpServers, authManager);
+      const mcpConfigPath = await this.configureMcpServers(mcpServers, authManager, workspace.mcpConfigPath);
 
       // Set up SSE headers
       console.log('🔍 [DEBUG] Setting up SSE headers...');
@@ -202,46 +256,82 @@ export class ClaudeCodeSDKService {
       // Send initial status
       this.sendSSEEvent(res, 'status', { message: 'Starting Claude Code SDK execution...', executionId });
 
-      // Build the prompt content for Claude Code SDK
+      // Build the prompt content for Claude Code SDK; a follow-up only sends the new message
       console.log('🔍 [DEBUG] Building prompt content...');
-      const promptContent = this.buildPromptContent(processedPrompt, mcpServers);
+      const { followUp } = executionOptions;
+      if (followUp && !followUp.sessionId) {
+        throw new Error('The previous execution has no Claude Code session to resume');
+      }
+      const promptContent = followUp ? followUp.message : this.buildPromptContent(processedPrompt, mcpServers);
       console.log('🔍 [DEBUG] Prompt content length:', promptContent.length);
       
+      // Abort the query on client disconnect or when the execution is cancelled
+      const abortController = new AbortController();
+      res.on('close', () => {
+        console.log('🔍 [DEBUG] Client disconnected, aborting Claude Code SDK query');
+        abortController.abort();
+      });
+      executionOptions.signal?.addEventListener('abort', () => abortController.abort(), { once: true });
+
       // Prepare Claude Code SDK options
+      const serverNames = mcpServers.map(server => server.name);
+      const policy = getToolPolicy(prompt, serverNames);
+      // bypassPermissions never asks canUseTool, so its globs are expanded up front
+      const withCallback = needsToolCallback(policy) && policy.permissionMode !== 'bypassPermissions';
       const options = {
-        maxTurns: 10,
-        cwd: this.tempDir,
+        maxTurns: policy.maxTurns,
+        cwd: workspace.dir,
         mcpConfig: mcpConfigPath,
         outputFormat: 'stream-json',
-        allowedTools: this.buildAllowedTools(mcpServers),
-        permissionMode: 'acceptEdits'
+        ...getToolFlags(policy, serverNames, withCallback),
+        permissionMode: policy.permissionMode,
+        ...this.buildModelOptions(prompt),
+        ...(followUp ? { resume: followUp.sessionId } : {}),
+        abortController
       } as any;
 
+      // Tools left out of allowedTools (globs, tools that need approval) are decided by canUseTool
+      const toolUses: ToolUse[] = [];
+      let promptInput: string | AsyncIterable<SDKUserMessage> = promptContent;
+      let finishPrompt = () => {};
+      if (withCallback) {
+        options.canUseTool = this.createToolApprover(
+          executionId,
+          res,
+          policy,
+          toolUses,
+          abortController.signal
+        );
+        // canUseTool needs streamed input, which must stay open until the result arrives
+        const promptDone = new Promise<void>(resolve => { finishPrompt = resolve; });
+        promptInput = streamPromptContent(promptContent, promptDone);
+      }
+
       console.log('🔍 [DEBUG] Claude Code SDK options:', options);
       console.log('🚀 Executing Claude Code SDK query...');
-      
-      // Execute Claude Code SDK query
-      const abortController = new AbortController();
-      
-      // Set up abort on client disconnect
-      res.on('close', () => {
-        console.log('🔍 [DEBUG] Client disconnected, aborting Claude Code SDK query');
-        abortController.abort();
-      });
 
       const messages: SDKMessage[] = [];
-      let messageStarted = false;
-
-      for await (const message of query({
-        prompt: promptContent,
-        options
-      })) {
-        messages.push(message);
-        this.handleClaudeCodeSDKMessage(message as any, res, executionId, messageStarted);
-        
-        if (message.type === 'assistant') {
-          messageStarted = true;
+      let result: string | undefined;
+
+      try {
+        for await (const message of query({
+          prompt: promptInput,
+          options
+        })) {
+          messages.push(message);
+          this.handleClaudeCodeSDKMessage(message as any, res, executionId);
+          
+          if (message.type === 'assistant') {
+            toolUses.push(...message.message.content.filter((content: any) => content.type === 'tool_use'));
+          } else if (message.type === 'result') {
+            if (message.subtype === 'success') {
+              result = message.result;
+            }
+            finishPrompt();
+          }
         }
+      } finally {
+        finishPrompt();
       }
 
       // Mark execution as completed
@@ -251,11 +341,18 @@ export class ClaudeCodeSDKService {
       }
 
       // Send completion event
-      this.sendSSEEvent(res, 'complete', { message: 'Claude Code SDK execution completed', executionId });
+      this.sendSSEEvent(res, 'complete', { message: 'Claude Code SDK execution completed', executionId, result });
       res.end();
       console.log('🔍 [DEBUG] executePromptStream completed successfully');
 
     } catch (error: any) {
+      if (executionOptions.signal?.aborted) {
+        console.log(`🛑 Execution ${executionId} was cancelled`);
+        this.sendSSEEvent(res, 'cancelled', { message: 'Execution cancelled', executionId });
+        res.end();
+        return;
+      }
+
       console.error('❌ Claude Code SDK execution error:', error);
       console.log('🔍 [DEBUG] Error in executePromptStream:', error.stack);
       
@@ -270,6 +367,18 @@ export class ClaudeCodeSDKService {
     }
   }
 
+  /**
+   * Build the model and system prompt options of a prompt. Claude Code picks
+   * its own temperature and max tokens, so those settings do not apply.
+   */
+  buildModelOptions(prompt: Prompt): Partial<Options> {
+    const settings = getModelSettings(prompt, this.modelDefaults);
+    return {
+      ...(settings.model ? { model: settings.model } : {}),
+      ...(settings.systemPrompt ? { appendSystemPrompt: settings.systemPrompt } : {})
+    };
+  }
+
   /**
    * Build prompt content from processed messages
    */
@@ -291,21 +400,44 @@ export class ClaudeCodeSDKService {
   }
 
   /**
-   * Build allowed tools list for Claude Code SDK
+   * Create the canUseTool callback of a run with a tool policy.
+   * Tools that need approval wait for POST /executions/:id/approvals/:toolUseId;
+   * the others are allowed or denied by the prompt's tool lists.
    */
-  buildAllowedTools(mcpServers: McpServer[]): string[] {
-    const allowedTools: string[] = [];
-    
-    // Add basic tools
-    allowedTools.push('Read', 'Write', 'Bash');
-    
-    // Add MCP tools
-    for (const server of mcpServers) {
-      // Allow all tools from each server
-      allowedTools.push(`mcp__${server.name}`);
-    }
-    
-    return allowedTools;
+  createToolApprover(
+    executionId: string | null,
+    res: Response,
+    policy: ToolPolicy,
+    toolUses: ToolUse[],
+    signal: AbortSignal
+  ): CanUseTool {
+    return async (toolName, input) => {
+      const toolDecision = decideTool(policy, toolName);
+      if (toolDecision === 'allow') {
+        return { behavior: 'allow', updatedInput: input };
+      }
+      if (toolDecision === 'deny') {
+        return { behavior: 'deny', message: `${toolName} is not allowed for this prompt` };
+      }
+      if (!this.toolApprovals || !executionId) {
+        return { behavior: 'deny', message: `${toolName} needs approval, but this run cannot be approved` };
+      }
+
+      const rule = findToolPattern(toolName, policy.approval)!;
+
+      // The permission request does not name the tool use; let the assistant message that has it be handled first
+      await new Promise(resolve => setImmediate(resolve));
+      const toolUseId = claimToolUse(toolUses, toolName, input) || `toolu_${randomUUID()}`;
+
+      this.sendSSEEvent(res, 'approval_required', { executionId, toolUseId, toolName, input, rule });
+      const decision = await this.toolApprovals.request({ executionId, toolUseId, toolName, input, rule }, signal);
+      this.sendSSEEvent(res, 'approval_resolved', { executionId, toolUseId, toolName, ...decision });
+
+      console.log(`${decision.approved ? '✅' : '🚫'} ${toolName} ${decision.approved ? 'approved' : 'denied'} by ${decision.decidedBy} (execution ${executionId})`);
+      return decision.approved
+        ? { behavior: 'allow', updatedInput: input }
+        : { behavior: 'deny', message: decision.message || `${toolName} was denied by ${decision.decidedBy}` };
+    };
   }
 
   /**
@@ -314,14 +446,8 @@ export class ClaudeCodeSDKService {
   handleClaudeCodeSDKMessage(
     message: ClaudeCodeSDKMessage, 
     res: Response, 
-    executionId: string | null, 
-    messageStarted: boolean
+    executionId: string | null
   ): void {
-    // Record in execution history
-    if (this.executionHistoryService && executionId) {
-      this.executionHistoryService.addMessage(executionId, 'claude_code_sdk_message', message);
-    }
-
     console.log('🔍 [DEBUG] Handling Claude Code SDK message:', message.type);
     
     // Add detailed logging for assistant messages with tool usage
@@ -336,97 +462,32 @@ export class ClaudeCodeSDKService {
       }
     }
 
-    switch (message.type) {
-      case 'system':
-        if (message.subtype === 'init') {
-          this.sendSSEEvent(res, 'system_init', {
-            sessionId: message.session_id,
-            cwd: message.cwd,
-            tools: message.tools,
-            mcpServers: message.mcp_servers,
-            model: message.model,
-            permissionMode: message.permissionMode
-          });
-        }
-        break;
-
-      case 'user':
-        this.sendSSEEvent(res, 'user_message', {
-          message: message.message,
-          sessionId: message.session_id
-        });
-        break;
-
-      case 'assistant':
-        if (!messageStarted) {
-          this.sendSSEEvent(res, 'message_start', {
-            message: message.message
-          });
-        }
+    // Record the model Claude Code resolved the requested one (or its default) to, and the session a follow-up can resume
+    if (this.executionHistoryService && executionId && message.type === 'system' && message.subtype === 'init') {
+      if (message.model) {
+        this.executionHistoryService.setModel(executionId, message.model);
+      }
+      if (message.session_id) {
+        this.executionHistoryService.setSessionId(executionId, message.session_id);
+      }
+    }
 
-        // Handle assistant message content
-        if (message.message && message.message.content) {
-          for (let i = 0; i < message.message.content.length; i++) {
-            const content = message.message.content[i];
-            
-            if (content.type === 'text') {
-              this.sendSSEEvent(res, 'content_block_start', {
-                index: i,
-                content_block: { type: 'text', text: '' }
-              });
-              
-              this.sendSSEEvent(res, 'content_block_delta', {
-                index: i,
-                delta: { type: 'text_delta', text: content.text }
-              });
-              
-              this.sendSSEEvent(res, 'content_block_stop', {
-                index: i
-              });
-            } else if (content.type === 'tool_use') {
-              // Record tool usage in execution history
-              if (this.executionHistoryService && executionId) {
-                this.executionHistoryService.addToolUse(executionId, {
-                  name: content.name,
-                  input: content.input,
-                  id: content.id
-                });
-              }
-              
-              this.sendSSEEvent(res, 'mcp_tool_use', {
-                name: content.name,
-                input: content.input,
-                id: content.id
-              });
-            }
-          }
-        }
+    // Record token usage and cost, which failed runs incur too
+    if (this.executionHistoryService && executionId && message.type === 'result') {
+      this.executionHistoryService.setUsage(executionId, getResultUsage(message));
+    }
 
-        this.sendSSEEvent(res, 'message_stop', {});
-        break;
-
-      case 'result':
-        if (message.subtype === 'success') {
-          this.sendSSEEvent(res, 'result_success', {
-            result: message.result,
-            sessionId: message.session_id,
-            duration: message.duration_ms,
-            cost: message.total_cost_usd,
-            turns: message.num_turns
-          });
-        } else {
-          this.sendSSEEvent(res, 'result_error', {
-            error: message.subtype,
-            sessionId: message.session_id,
-            duration: message.duration_ms,
-            turns: message.num_turns
-          });
-        }
-        break;
+    for (const { event, data } of fromClaudeCodeMessage(message)) {
+      // Record tool usage in execution history
+      if (this.executionHistoryService && executionId && event === 'tool_use') {
+        this.executionHistoryService.addToolUse(executionId, {
+          name: data.name,
+          input: data.input,
+          id: data.id
+        });
+      }
 
-      default:
-        // Send unknown message types as-is for debugging
-        this.sendSSEEvent(res, 'unknown', message);
+      this.sendSSEEvent(res, event, data);
     }
   }
 
@@ -447,11 +508,10 @@ export class ClaudeCodeSDKService {
   }
 
   /**
-   * Send Server-Sent Event
+   * Send an event of the execution event protocol
    */
-  sendSSEEvent(res: Response, event: string, data: any): void {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  sendSSEEvent(res: Response, event: ExecutionEventType, data: any): void {
+    res.write(formatExecutionEvent(event, data));
   }
 
   /**
@@ -464,7 +524,7 @@ export class ClaudeCodeSDKService {
     authManager: any
   ): Promise<any> {
     const processedPrompt = processPrompt(prompt, parameters);
-    const mcpServers = configManager.prepareMcpServersForClaude(
+    const mcpServers = await configManager.prepareMcpServersForClaude(
       prompt.mcp_servers, 
       authManager
     );
@@ -476,13 +536,17 @@ export class ClaudeCodeSDKService {
     const promptContent = this.buildPromptContent(processedPrompt, mcpServers);
 
     // Prepare Claude Code SDK options
+    const serverNames = mcpServers.map((server: McpServer) => server.name);
+    const policy = getToolPolicy(prompt, serverNames);
     const options = {
-      maxTurns: 10,
+      maxTurns: policy.maxTurns,
       cwd: this.tempDir,
       mcpConfig: mcpConfigPath,
       outputFormat: 'json',
-      allowedTools: this.buildAllowedTools(mcpServers),
-      permissionMode: 'acceptEdits'
+      // Without canUseTool nobody can approve tool calls, so tools that need approval are denied
+      ...getToolFlags(policy, serverNames, false),
+      permissionMode: policy.permissionMode,
+      ...this.buildModelOptions(prompt)
     } as any;
 
     try {
@@ -530,3 +594,30 @@ export class ClaudeCodeSDKService {
     }
   }
 }
+
+/**
+ * Stream the prompt as a single user message, keeping the input open until done resolves
+ */
+async function* streamPromptContent(content: string, done: Promise<void>): AsyncIterable<SDKUserMessage> {
+  yield {
+    type: 'user',
+    message: { role: 'user', content },
+    parent_tool_use_id: null,
+    session_id: ''
+  };
+  await done;
+}
+
+/**
+ * Take the first recorded tool use with this name and input
+ * @returns Its ID, null when there is none
+ */
+function claimToolUse(toolUses: ToolUse[], toolName: string, input: Record<string, unknown>): string | null {
+  const index = toolUses.findIndex(toolUse =>
+    toolUse.name === toolName && JSON.stringify(toolUse.input) === JSON.stringify(input)
+  );
+  if (index < 0) {
+    return null;
+  }
+  return toolUses.splice(index, 1)[0].id;
+}
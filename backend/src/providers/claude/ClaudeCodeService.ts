@@ -4,9 +4,15 @@ import path from 'path';
 import os from 'os';
 import { promisify } from 'util';
 import { Response } from 'express';
+import { type ExecutionEventType, formatExecutionEvent } from '../../../public/js/execution-events.js';
 import { processPrompt } from '../../../public/js/prompt-utils.js';
-import type { Prompt } from '../../types/index.js';
+import type { ExecutionOptions, ExecutionWorkspace, Prompt } from '../../types/index.js';
+import { type ExecutionEventInit, fromClaudeCodeMessage } from '../ExecutionEvents.js';
 import type { ExecutionHistoryProvider } from '../ExecutionHistoryProvider.js';
+import type { LlmProviderCapabilities, ProviderValidationResult } from '../LlmProvider.js';
+import { getToolFlags, getToolPolicy } from '../ToolPolicy.js';
+import { type ModelSettings, getDefaultModelSettingsFromEnv, getModelSettings } from '../ModelSettings.js';
+import { getResultUsage } from '../UsageTracker.js';
 
 const execAsync = promisify(exec);
 
@@ -39,13 +45,24 @@ interface McpConfig {
  * Implements the same interface as ClaudeAnthropicSDK but uses `claude` CLI commands
  */
 export class ClaudeCodeService {
+  static readonly capabilities: LlmProviderCapabilities = {
+    mcpServers: true,
+    builtInTools: true,
+    toolApproval: false,
+    followUps: true,
+    samplingSettings: false
+  };
+
+  readonly capabilities = ClaudeCodeService.capabilities;
   private executionHistoryService: ExecutionHistoryProvider | null;
+  private modelDefaults: ModelSettings;
   private tempDir: string;
   private mcpConfigPath: string;
   private claudeCommandCache: string | null;
 
   constructor(executionHistoryService: ExecutionHistoryProvider | null = null) {
     this.executionHistoryService = executionHistoryService;
+    this.modelDefaults = getDefaultModelSettingsFromEnv();
     
     // Use WORKING_DIR environment variable if set, otherwise fall back to temp directory
     let baseDir: string;
@@ -140,10 +157,33 @@ export class ClaudeCodeService {
     this.executionHistoryService = executionHistoryService;
   }
 
+  /**
+   * Check that the Claude Code CLI is installed
+   */
+  async validateConfiguration(): Promise<ProviderValidationResult> {
+    try {
+      await this.validateCLI();
+      return { serviceType: 'claude-code', isValid: true, messages: ['✅ Claude Code CLI is available'] };
+    } catch (error) {
+      return {
+        serviceType: 'claude-code',
+        isValid: false,
+        messages: [
+          '❌ Claude Code CLI is not installed or not in PATH',
+          '   Install from: https://docs.anthropic.com/en/docs/claude-code/quickstart'
+        ]
+      };
+    }
+  }
+
   /**
    * Configure MCP servers dynamically for Claude Code
    */
-  async configureMcpServers(mcpServers: McpServer[], authManager: any): Promise<string> {
+  async configureMcpServers(
+    mcpServers: McpServer[],
+    authManager: any,
+    mcpConfigPath: string = this.mcpConfigPath
+  ): Promise<string> {
     const mcpConfig: McpConfig = {
       mcpServers: {}
     };
@@ -181,10 +221,10 @@ export class ClaudeCodeService {
     }
 
     // Write MCP configuration to temporary file
-    await fs.writeJson(this.mcpConfigPath, mcpConfig, { spaces: 2 });
+    await fs.writeJson(mcpConfigPath, mcpConfig, { spaces: 2 });
     
     console.log(`📝 Configured ${mcpServers.length} MCP servers for Claude Code`);
-    return this.mcpConfigPath;
+    return mcpConfigPath;
   }
 
   /**
@@ -196,15 +236,20 @@ export class ClaudeCodeService {
     configManager: any, 
     authManager: any, 
     res: Response, 
-    userEmail: string = 'unknown'
+    userEmail: string = 'unknown',
+    executionOptions: ExecutionOptions = {}
   ): Promise<void> {
-    let executionId: string | null = null;
+    let executionId: string | null = executionOptions.executionId || null;
+    const workspace: ExecutionWorkspace = executionOptions.workspace || {
+      dir: this.tempDir,
+      mcpConfigPath: this.mcpConfigPath
+    };
     
     try {
       console.log('🔍 [DEBUG] Starting executePromptStream...');
       
-      // Create execution record
-      if (this.executionHistoryService) {
+      // Create execution record (unless the caller already created one)
+      if (this.executionHistoryService && !executionId) {
         executionId = this.executionHistoryService.createExecution(
           prompt.name,
           parameters,
@@ -220,7 +265,7 @@ export class ClaudeCodeService {
       
       // Prepare MCP servers configuration
       console.log('🔍 [DEBUG] Preparing MCP servers...');
-      const mcpServers = configManager.prepareMcpServersForClaude(
+      const mcpServers = await configManager.prepareMcpServersForClaude(
         prompt.mcp_servers, 
         authManager
       );
@@ -228,7 +273,7 @@ export class ClaudeCodeService {
 
       // Configure MCP servers for Claude Code
       console.log('🔍 [DEBUG] Configuring MCP servers for Claude Code...');
-      await this.configureMcpServers(mcpServers, authManager);
+      await this.configureMcpServers(mcpServers, authManager, workspace.mcpConfigPath);
 
       // Set up SSE headers
       console.log('🔍 [DEBUG] Setting up SSE headers...');
@@ -243,15 +288,23 @@ export class ClaudeCodeService {
       // Send initial status
       this.sendSSEEvent(res, 'status', { message: 'Starting Claude Code execution...', executionId });
 
-      // Build the prompt content for Claude Code
+      // Build the prompt content for Claude Code; a follow-up only sends the new message
       console.log('🔍 [DEBUG] Building prompt content...');
-      const promptContent = this.buildPromptContent(processedPrompt, mcpServers);
+      const { followUp } = executionOptions;
+      if (followUp && !followUp.sessionId) {
+        throw new Error('The previous execution has no Claude Code session to resume');
+      }
+      const promptContent = followUp ? followUp.message : this.buildPromptContent(processedPrompt, mcpServers);
       console.log('🔍 [DEBUG] Prompt content length:', promptContent.length);
       console.log('🔍 [DEBUG] Prompt content preview:', promptContent.substring(0, 200) + '...');
       
       // Execute Claude Code CLI
       console.log('🔍 [DEBUG] About to execute Claude Code CLI...');
-      await this.executeClaude(promptContent, res, executionId);
+      const runArgs = this.buildRunArgs(prompt, mcpServers);
+      if (followUp) {
+        runArgs.push('--resume', followUp.sessionId!);
+      }
+      const result = await this.executeClaude(promptContent, res, executionId, executionOptions.signal, workspace, runArgs);
 
       // Mark execution as completed
       console.log('🔍 [DEBUG] Claude execution completed, updating status...');
@@ -260,11 +313,18 @@ export class ClaudeCodeService {
       }
 
       // Send completion event
-      this.sendSSEEvent(res, 'complete', { message: 'Claude Code execution completed', executionId });
+      this.sendSSEEvent(res, 'complete', { message: 'Claude Code execution completed', executionId, result });
       res.end();
       console.log('🔍 [DEBUG] executePromptStream completed successfully');
 
     } catch (error: any) {
+      if (executionOptions.signal?.aborted) {
+        console.log(`🛑 Execution ${executionId} was cancelled`);
+        this.sendSSEEvent(res, 'cancelled', { message: 'Execution cancelled', executionId });
+        res.end();
+        return;
+      }
+
       console.error('❌ Claude Code execution error:', error);
       console.log('🔍 [DEBUG] Error in executePromptStream:', error.stack);
       
@@ -299,12 +359,61 @@ export class ClaudeCodeService {
     return content.trim();
   }
 
+  /**
+   * Build the CLI flags for a prompt's turn limit, model, system prompt and tool lists.
+   * Prompts that set no tool lists and no permission mode keep skipping permission prompts.
+   * The CLI cannot decide tool calls one by one, so globs are expanded conservatively.
+   */
+  buildRunArgs(prompt: Prompt, mcpServers: McpServer[], skipPermissions: boolean = true): string[] {
+    const serverNames = mcpServers.map(server => server.name);
+    const policy = getToolPolicy(prompt, serverNames);
+    const args = ['--max-turns', String(policy.maxTurns)]; // Limit turns for safety
+
+    // Claude Code picks its own temperature and max tokens
+    const settings = getModelSettings(prompt, this.modelDefaults);
+    if (settings.model) {
+      args.push('--model', settings.model);
+    }
+    if (settings.systemPrompt) {
+      args.push('--append-system-prompt', settings.systemPrompt);
+    }
+
+    if (!prompt.allowed_tools && !prompt.disallowed_tools && !prompt.permission_mode) {
+      if (skipPermissions) {
+        args.push('--dangerously-skip-permissions'); // Skip permission prompts for tools
+      }
+      return args;
+    }
+
+    const { allowedTools, disallowedTools } = getToolFlags(policy, serverNames, false);
+    args.push('--permission-mode', policy.permissionMode);
+    if (allowedTools.length > 0) {
+      args.push('--allowedTools', allowedTools.join(','));
+    }
+    if (disallowedTools.length > 0) {
+      args.push('--disallowedTools', disallowedTools.join(','));
+    }
+    return args;
+  }
+
   /**
    * Execute Claude Code CLI with streaming output
+   * Resolves with the final result Claude Code reported, if any
    */
-  async executeClaude(promptContent: string, res: Response, executionId: string | null): Promise<void> {
+  async executeClaude(
+    promptContent: string,
+    res: Response,
+    executionId: string | null,
+    signal?: AbortSignal,
+    workspace: ExecutionWorkspace = { dir: this.tempDir, mcpConfigPath: this.mcpConfigPath },
+    runArgs: string[] = ['--max-turns', '10', '--dangerously-skip-permissions']
+  ): Promise<string | undefined> {
     return new Promise(async (resolve, reject) => {
       try {
+        if (signal?.aborted) {
+          throw new Error('Claude Code execution was cancelled');
+        }
+
         console.log('🔍 [DEBUG] Starting executeClaude...');
         const claudeCmd = await this.getClaudeCommand();
         console.log('🔍 [DEBUG] Claude command path:', claudeCmd);
@@ -318,12 +427,12 @@ export class ClaudeCodeService {
         }
         
         // Verify temp directory and MCP config exist
-        if (!await fs.pathExists(this.tempDir)) {
-          throw new Error(`Temp directory does not exist: ${this.tempDir}`);
+        if (!await fs.pathExists(workspace.dir)) {
+          throw new Error(`Temp directory does not exist: ${workspace.dir}`);
         }
-        if (!await fs.pathExists(this.mcpConfigPath)) {
+        if (!await fs.pathExists(workspace.mcpConfigPath)) {
           console.warn('🔍 [DEBUG] MCP config file does not exist, creating empty config');
-          await fs.writeJson(this.mcpConfigPath, { mcpServers: {} });
+          await fs.writeJson(workspace.mcpConfigPath, { mcpServers: {} });
         }
         
         // Prepare Claude Code command - use stdin for prompt content
@@ -331,29 +440,41 @@ export class ClaudeCodeService {
           '-p', // Print mode
           '--output-format', 'stream-json', // Streaming JSON output
           '--verbose', // Verbose for better debugging
-          '--max-turns', '10', // Limit turns for safety
-          '--dangerously-skip-permissions', // Skip permission prompts for tools
+          ...runArgs, // Turn limit, model and tool permissions of the prompt
           // Note: promptContent will be passed via stdin, not as argument
         ];
 
         // Set working directory to our temp directory with MCP config
         const options = {
-          cwd: this.tempDir,
+          cwd: workspace.dir,
           env: {
             ...process.env,
             // Ensure MCP config is found
-            MCP_CONFIG_PATH: this.mcpConfigPath
+            MCP_CONFIG_PATH: workspace.mcpConfigPath
           }
         };
 
         console.log('🔍 [DEBUG] Command args:', args);
-        console.log('🔍 [DEBUG] Working directory:', this.tempDir);
-        console.log('🔍 [DEBUG] MCP config path:', this.mcpConfigPath);
+        console.log('🔍 [DEBUG] Working directory:', workspace.dir);
+        console.log('🔍 [DEBUG] MCP config path:', workspace.mcpConfigPath);
         console.log('🔍 [DEBUG] Prompt content length:', promptContent.length);
         console.log(`🚀 Executing Claude Code: ${claudeCmd} ${args.join(' ')}`);
         
         const claudeProcess = spawn(claudeCmd, args, options);
         console.log('🔍 [DEBUG] Process spawned, PID:', claudeProcess.pid);
+
+        // Kill the process when the execution is cancelled
+        const onAbort = () => {
+          console.log('🛑 Cancelling Claude Code process, PID:', claudeProcess.pid);
+          claudeProcess.kill('SIGTERM');
+          setTimeout(() => {
+            if (claudeProcess.exitCode === null && claudeProcess.signalCode === null) {
+              claudeProcess.kill('SIGKILL');
+            }
+          }, 5000).unref();
+          reject(new Error('Claude Code execution was cancelled'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
         
         // Write prompt content to stdin
         console.log('🔍 [DEBUG] Writing prompt to stdin...');
@@ -378,9 +499,8 @@ export class ClaudeCodeService {
         });
       
         let accumulatedData = '';
-        let messageStarted = false;
         let dataReceived = false;
-        let contentBlockStarted = false;
+        let result: string | undefined;
         let timeout: NodeJS.Timeout;
 
         claudeProcess.stdout!.on('data', (data) => {
@@ -414,29 +534,9 @@ export class ClaudeCodeService {
                 if (jsonData.type || jsonData.role || jsonData.message) {
                   this.handleClaudeCodeOutput(jsonData, res, executionId);
                   processedAsJson = true;
-                  
-                  // Track if we've started receiving message content - check for various content types
-                  if (jsonData.type === 'assistant' || 
-                      jsonData.type === 'result' || 
-                      jsonData.type === 'content' || 
-                      jsonData.type === 'text' || 
-                      jsonData.type === 'message_delta' ||
-                      (jsonData.role === 'assistant' && jsonData.content)) {
-                    if (!messageStarted) {
-                      console.log('🔍 [DEBUG] Starting message output via JSON...');
-                      messageStarted = true;
-                      this.sendSSEEvent(res, 'message_start', {
-                        message: { role: 'assistant', content: [] }
-                      });
-                    }
-                    if (!contentBlockStarted) {
-                      console.log('🔍 [DEBUG] Starting content block...');
-                      contentBlockStarted = true;
-                      this.sendSSEEvent(res, 'content_block_start', {
-                        index: 0,
-                        content_block: { type: 'text', text: '' }
-                      });
-                    }
+
+                  if (jsonData.type === 'result' && jsonData.subtype === 'success') {
+                    result = jsonData.result;
                   }
                 }
                 
@@ -448,23 +548,7 @@ export class ClaudeCodeService {
               // Only process as plain text if it wasn't successfully processed as JSON
               if (!processedAsJson && line.trim()) {
                 console.log('🔍 [DEBUG] Processing as plain text:', JSON.stringify(line));
-                this.handlePlainTextOutput(line, res, executionId, messageStarted);
-                
-                if (!messageStarted) {
-                  console.log('🔍 [DEBUG] Starting plain text message output...');
-                  messageStarted = true;
-                  this.sendSSEEvent(res, 'message_start', {
-                    message: { role: 'assistant', content: [] }
-                  });
-                }
-                if (!contentBlockStarted) {
-                  console.log('🔍 [DEBUG] Starting content block for plain text...');
-                  contentBlockStarted = true;
-                  this.sendSSEEvent(res, 'content_block_start', {
-                    index: 0,
-                    content_block: { type: 'text', text: '' }
-                  });
-                }
+                this.handlePlainTextOutput(line, res, executionId);
               }
             }
           }
@@ -488,32 +572,23 @@ export class ClaudeCodeService {
           
           // Send as a status update rather than error to keep stream alive
           this.sendSSEEvent(res, 'status', { 
-            message: `Claude Code: ${errorMsg.trim()}`,
-            type: 'stderr'
+            message: `Claude Code: ${errorMsg.trim()}`
           });
         });
 
         claudeProcess.on('close', (code) => {
           console.log('🔍 [DEBUG] Process closed with code:', code);
           console.log('🔍 [DEBUG] Data received:', dataReceived);
-          console.log('🔍 [DEBUG] Message started:', messageStarted);
-          console.log('🔍 [DEBUG] Content block started:', contentBlockStarted);
           
           // Clear timeout if it exists
           if (timeout) {
             clearTimeout(timeout);
           }
-          
-          if (contentBlockStarted) {
-            this.sendSSEEvent(res, 'content_block_stop', { index: 0 });
-          }
-          if (messageStarted) {
-            this.sendSSEEvent(res, 'message_stop', {});
-          }
+          signal?.removeEventListener('abort', onAbort);
           
           if (code === 0) {
             console.log('🔍 [DEBUG] Resolving promise with success');
-            resolve();
+            resolve(result);
           } else {
             console.log('🔍 [DEBUG] Rejecting promise with error code:', code);
             const errorMessage = `Claude Code process exited with code ${code}`;
@@ -567,31 +642,39 @@ export class ClaudeCodeService {
    * Handle structured JSON output from Claude Code
    */
   handleClaudeCodeOutput(jsonData: any, res: Response, executionId: string | null): void {
-    // Record in execution history
-    if (this.executionHistoryService && executionId) {
-      this.executionHistoryService.addMessage(executionId, 'claude_code_output', jsonData);
-    }
-
-    // Map Claude Code output to Claude API format
     switch (jsonData.type) {
+      case 'system':
+        // Record the model Claude Code resolved the requested one (or its default) to
+        if (this.executionHistoryService && executionId && jsonData.subtype === 'init' && jsonData.model) {
+          this.executionHistoryService.setModel(executionId, jsonData.model);
+        }
+
+        // Record the session so a follow-up can resume it
+        if (this.executionHistoryService && executionId && jsonData.subtype === 'init' && jsonData.session_id) {
+          this.executionHistoryService.setSessionId(executionId, jsonData.session_id);
+        }
+
+        this.sendEvents(res, executionId, fromClaudeCodeMessage(jsonData));
+        break;
+
+      case 'result':
+        // Record token usage and cost, which failed runs incur too
+        if (this.executionHistoryService && executionId) {
+          this.executionHistoryService.setUsage(executionId, getResultUsage(jsonData));
+        }
+
+        // The result repeats the assistant's text, so it only goes into the 'complete' event
+        this.sendEvents(res, executionId, fromClaudeCodeMessage(jsonData));
+        break;
+
       case 'assistant':
-        // Handle assistant message response
-        if (jsonData.message && jsonData.message.content) {
-          for (const contentBlock of jsonData.message.content) {
-            if (contentBlock.type === 'text' && contentBlock.text) {
-              this.sendSSEEvent(res, 'content_block_delta', {
-                index: 0,
-                delta: { type: 'text_delta', text: contentBlock.text }
-              });
-            }
-          }
+      case 'user':
+        if (Array.isArray(jsonData.message?.content)) {
+          this.sendEvents(res, executionId, fromClaudeCodeMessage(jsonData));
         }
         // Handle direct content property
-        else if (jsonData.content) {
-          this.sendSSEEvent(res, 'content_block_delta', {
-            index: 0,
-            delta: { type: 'text_delta', text: jsonData.content }
-          });
+        else if (typeof jsonData.content === 'string') {
+          this.sendSSEEvent(res, 'text_delta', { text: jsonData.content });
         }
         break;
         
@@ -600,70 +683,37 @@ export class ClaudeCodeService {
         // Handle direct content/text responses
         const textContent = jsonData.content || jsonData.text;
         if (textContent) {
-          this.sendSSEEvent(res, 'content_block_delta', {
-            index: 0,
-            delta: { type: 'text_delta', text: textContent }
-          });
+          this.sendSSEEvent(res, 'text_delta', { text: textContent });
         }
         break;
         
-      case 'system':
-        // Handle system messages (like init) - don't send as content
-        this.sendSSEEvent(res, 'status', {
-          message: `Claude Code System: ${jsonData.subtype || jsonData.message || 'message'}`,
-          type: 'system'
-        });
-        break;
-        
-      case 'result':
-        // Handle final result - DON'T send as content since it duplicates the assistant message
-        // Just send as a status update for debugging/completion info
-        this.sendSSEEvent(res, 'status', {
-          message: `Claude Code completed in ${jsonData.duration_ms}ms (${jsonData.num_turns} turns)`,
-          type: 'result',
-          duration_ms: jsonData.duration_ms,
-          num_turns: jsonData.num_turns,
-          is_error: jsonData.is_error
-        });
-        break;
-        
       case 'tool_use':
-        // Record tool usage
-        if (this.executionHistoryService && executionId) {
-          this.executionHistoryService.addToolUse(executionId, {
-            server_name: jsonData.server || 'unknown',
+        this.sendEvents(res, executionId, [{
+          event: 'tool_use',
+          data: {
+            id: jsonData.id ?? null,
             name: jsonData.name || jsonData.tool,
-            input: jsonData.input || jsonData.arguments
-          });
-        }
-        
-        this.sendSSEEvent(res, 'mcp_tool_use', {
-          server_name: jsonData.server || 'unknown',
-          name: jsonData.name || jsonData.tool,
-          input: jsonData.input || jsonData.arguments
-        });
+            input: jsonData.input || jsonData.arguments,
+            serverName: jsonData.server || 'unknown'
+          }
+        }]);
         break;
         
       case 'tool_result':
-        // Record tool result
-        if (this.executionHistoryService && executionId) {
-          this.executionHistoryService.addToolResult(executionId, {
-            tool_use_id: jsonData.tool_use_id || 'unknown',
-            is_error: jsonData.is_error || false,
-            content: jsonData.content || jsonData.result
-          });
-        }
-        
-        this.sendSSEEvent(res, 'mcp_tool_result', {
-          tool_use_id: jsonData.tool_use_id || 'unknown',
-          is_error: jsonData.is_error || false,
-          content: jsonData.content || jsonData.result
-        });
+        this.sendEvents(res, executionId, [{
+          event: 'tool_result',
+          data: {
+            toolUseId: jsonData.tool_use_id ?? null,
+            content: jsonData.content || jsonData.result,
+            isError: !!jsonData.is_error
+          }
+        }]);
         break;
         
       case 'error':
         this.sendSSEEvent(res, 'error', {
-          error: jsonData.message || jsonData.error || 'Unknown error'
+          error: jsonData.message || jsonData.error || 'Unknown error',
+          executionId
         });
         break;
         
@@ -672,44 +722,50 @@ export class ClaudeCodeService {
         if (jsonData.role === 'assistant' && jsonData.content) {
           // Handle assistant response with content
           if (Array.isArray(jsonData.content)) {
-            for (const contentBlock of jsonData.content) {
-              if (contentBlock.type === 'text' && contentBlock.text) {
-                this.sendSSEEvent(res, 'content_block_delta', {
-                  index: 0,
-                  delta: { type: 'text_delta', text: contentBlock.text }
-                });
-              }
-            }
+            this.sendEvents(res, executionId, fromClaudeCodeMessage({ type: 'assistant', message: jsonData }));
           } else if (typeof jsonData.content === 'string') {
-            this.sendSSEEvent(res, 'content_block_delta', {
-              index: 0,
-              delta: { type: 'text_delta', text: jsonData.content }
-            });
+            this.sendSSEEvent(res, 'text_delta', { text: jsonData.content });
           }
         } else {
           // Send unknown types as status updates (not content)
           this.sendSSEEvent(res, 'status', {
-            message: `Claude Code Unknown: ${JSON.stringify(jsonData).substring(0, 200)}...`,
-            type: 'unknown'
+            message: `Claude Code Unknown: ${JSON.stringify(jsonData).substring(0, 200)}...`
           });
         }
     }
   }
 
   /**
-   * Handle plain text output from Claude Code
+   * Send mapped events, recording tool calls and their results in execution history
    */
-  handlePlainTextOutput(text: string, res: Response, executionId: string | null, messageStarted: boolean): void {
-    // Record in execution history
-    if (this.executionHistoryService && executionId) {
-      this.executionHistoryService.addMessage(executionId, 'text_output', { text });
+  sendEvents(res: Response, executionId: string | null, events: ExecutionEventInit[]): void {
+    for (const { event, data } of events) {
+      if (this.executionHistoryService && executionId) {
+        if (event === 'tool_use') {
+          this.executionHistoryService.addToolUse(executionId, {
+            ...(data.serverName ? { server_name: data.serverName } : {}),
+            name: data.name,
+            input: data.input,
+            id: data.id
+          });
+        } else if (event === 'tool_result') {
+          this.executionHistoryService.addToolResult(executionId, {
+            tool_use_id: data.toolUseId ?? 'unknown',
+            is_error: data.isError,
+            content: data.content
+          });
+        }
+      }
+
+      this.sendSSEEvent(res, event, data);
     }
+  }
 
-    // Send as content delta
-    this.sendSSEEvent(res, 'content_block_delta', {
-      index: 0,
-      delta: { type: 'text_delta', text: text + '\n' }
-    });
+  /**
+   * Handle plain text output from Claude Code
+   */
+  handlePlainTextOutput(text: string, res: Response, executionId: string | null): void {
+    this.sendSSEEvent(res, 'text_delta', { text: text + '\n' });
   }
 
   /**
@@ -729,11 +785,10 @@ export class ClaudeCodeService {
   }
 
   /**
-   * Send Server-Sent Event
+   * Send an event of the execution event protocol
    */
-  sendSSEEvent(res: Response, event: string, data: any): void {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  sendSSEEvent(res: Response, event: ExecutionEventType, data: any): void {
+    res.write(formatExecutionEvent(event, data));
   }
 
   /**
@@ -746,7 +801,7 @@ export class ClaudeCodeService {
     authManager: any
   ): Promise<any> {
     const processedPrompt = processPrompt(prompt, parameters);
-    const mcpServers = configManager.prepareMcpServersForClaude(
+    const mcpServers = await configManager.prepareMcpServersForClaude(
       prompt.mcp_servers, 
       authManager
     );
@@ -761,7 +816,7 @@ export class ClaudeCodeService {
     const args = [
       '-p', // Print mode
       '--output-format', 'json', // JSON output
-      '--max-turns', '10',
+      ...this.buildRunArgs(prompt, mcpServers, false),
       promptContent
     ];
 
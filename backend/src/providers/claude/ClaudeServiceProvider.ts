@@ -1,121 +1,62 @@
 import { ClaudeAnthropicSDK } from './ClaudeAnthropicSDK.js';
 import { ClaudeCodeService } from './ClaudeCodeService.js';
 import { ClaudeCodeSDKService } from './ClaudeCodeSDKService.js';
-
-interface ValidationResult {
-  serviceType: string;
-  isValid: boolean;
-  messages: string[];
-}
-
-// Union type for Claude service instances
-type ClaudeServiceInstance = ClaudeAnthropicSDK | ClaudeCodeService | ClaudeCodeSDKService;
+import { MockClaudeService } from './MockClaudeService.js';
+import { OpenAICompatibleService, getOpenAIProvidersFromEnv } from '../openai/OpenAICompatibleService.js';
+import { ProviderRegistry } from '../ProviderRegistry.js';
+import type { ToolApprovalManager } from '../ToolApprovalManager.js';
 
 /**
- * Provider for creating Claude service instances
- * Switches between Claude SDK, Claude Code CLI, and Claude Code SDK based on CLAUDE_SERVICE environment variable
+ * Builds the registry of the providers prompts can run on: the Claude
+ * services (claudecodesdk, claudecode, anthropic and mock) and the
+ * OpenAI-compatible providers of LLM_PROVIDERS and OPENAI_API_KEY.
+ * CLAUDE_SERVICE picks the default provider.
  */
 export class ClaudeServiceProvider {
   /**
-   * Create a Claude service instance based on configuration
+   * Create the provider registry, and the default provider
    * @param executionHistoryService - Optional execution history service
-   * @returns The appropriate Claude service
+   * @param toolApprovals - Optional holder of tool calls waiting for approval (Claude Code SDK only)
+   * @throws Error if the default provider cannot be created
    */
-  static create(executionHistoryService: any = null): ClaudeServiceInstance {
-    const claudeService = process.env.CLAUDE_SERVICE || 'CLAUDECODESDK';
-    
-    switch (claudeService.toUpperCase()) {
-      case 'CLAUDECODESDK':
-        console.log('🔧 Using Claude Code TypeScript SDK service');
-        return new ClaudeCodeSDKService(executionHistoryService);
-      
-      case 'CLAUDECODE':
-        console.log('🔧 Using Claude Code CLI service');
-        return new ClaudeCodeService(executionHistoryService);
-      
-      case 'ANTHROPIC':
-      default:
-        console.log('🔧 Using Claude Anthropic SDK service');
-        return new ClaudeAnthropicSDK(executionHistoryService);
-    }
-  }
+  static createRegistry(executionHistoryService: any = null, toolApprovals: ToolApprovalManager | null = null): ProviderRegistry {
+    const registry = new ProviderRegistry();
 
-  /**
-   * Get the current service type being used
-   * @returns 'claude-code-sdk', 'claude-code', or 'anthropic'
-   */
-  static getServiceType(): string {
-    const claudeService = process.env.CLAUDE_SERVICE || 'ANTHROPIC';
-    
-    switch (claudeService.toUpperCase()) {
-      case 'CLAUDECODESDK':
-        return 'claude-code-sdk';
-      case 'CLAUDECODE':
-        return 'claude-code';
-      case 'ANTHROPIC':
-      default:
-        return 'anthropic';
+    registry.register('claudecodesdk', {
+      type: 'claude-code-sdk',
+      capabilities: ClaudeCodeSDKService.capabilities,
+      create: () => new ClaudeCodeSDKService(executionHistoryService, toolApprovals)
+    });
+    registry.register('claudecode', {
+      type: 'claude-code',
+      capabilities: ClaudeCodeService.capabilities,
+      create: () => new ClaudeCodeService(executionHistoryService)
+    });
+    registry.register('anthropic', {
+      type: 'anthropic',
+      capabilities: ClaudeAnthropicSDK.capabilities,
+      create: () => new ClaudeAnthropicSDK(executionHistoryService)
+    });
+    registry.register('mock', {
+      type: 'mock',
+      capabilities: MockClaudeService.capabilities,
+      create: () => new MockClaudeService(executionHistoryService)
+    });
+    for (const config of getOpenAIProvidersFromEnv()) {
+      registry.register(config.name, {
+        type: 'openai',
+        capabilities: OpenAICompatibleService.capabilities,
+        create: () => new OpenAICompatibleService(config, executionHistoryService)
+      });
     }
-  }
 
-  /**
-   * Validate the current service configuration
-   * @returns Validation result with status and messages
-   */
-  static async validateConfiguration(): Promise<ValidationResult> {
-    const serviceType = ClaudeServiceProvider.getServiceType();
-    const result: ValidationResult = {
-      serviceType,
-      isValid: false,
-      messages: []
-    };
-
-    if (serviceType === 'claude-code') {
-      // Check if Claude Code CLI is available (inline check)
-      try {
-        const { exec } = await import('child_process');
-        const { promisify } = await import('util');
-        const execAsync = promisify(exec);
-        
-        // Try local installation first (node_modules)
-        try {
-          await execAsync('./node_modules/.bin/claude --version');
-          result.isValid = true;
-          result.messages.push('✅ Claude Code CLI is available');
-        } catch (localError) {
-          // Fall back to global installation
-          try {
-            await execAsync('claude --version');
-            result.isValid = true;
-            result.messages.push('✅ Claude Code CLI is available');
-          } catch (globalError) {
-            result.messages.push('❌ Claude Code CLI is not installed or not in PATH');
-            result.messages.push('   Install from: https://docs.anthropic.com/en/docs/claude-code/quickstart');
-          }
-        }
-      } catch (error) {
-        result.messages.push('❌ Claude Code CLI is not installed or not in PATH');
-        result.messages.push('   Install from: https://docs.anthropic.com/en/docs/claude-code/quickstart');
-      }
-    } else if (serviceType === 'claude-code-sdk') {
-      // Validate Claude Code SDK configuration
-      if (process.env.ANTHROPIC_API_KEY) {
-        result.isValid = true;
-        result.messages.push('✅ ANTHROPIC_API_KEY is configured for Claude Code SDK');
-        result.messages.push('✅ Claude Code SDK package is available');
-      } else {
-        result.messages.push('❌ ANTHROPIC_API_KEY environment variable is required for Claude Code SDK');
-      }
-    } else {
-      // Validate Claude Anthropic SDK configuration
-      if (process.env.ANTHROPIC_API_KEY) {
-        result.isValid = true;
-        result.messages.push('✅ ANTHROPIC_API_KEY is configured');
-      } else {
-        result.messages.push('❌ ANTHROPIC_API_KEY environment variable is required');
-      }
-    }
+    // Unknown values fall back to the Anthropic SDK service, as they always have
+    const claudeService = process.env.CLAUDE_SERVICE || 'CLAUDECODESDK';
+    registry.setDefault(registry.has(claudeService) ? claudeService : 'anthropic');
+    console.log(`🔧 Using ${registry.getDefaultName()} as the default LLM provider (available: ${registry.getNames().join(', ')})`);
 
-    return result;
+    // Fail at startup rather than at the first run
+    registry.get();
+    return registry;
   }
 }
@@ -0,0 +1,404 @@
+import { Response } from 'express';
+import fs from 'fs-extra';
+import path from 'path';
+
+import {
+  type ExecutionEventType,
+  formatExecutionEvent,
+} from '../../../public/js/execution-events.js';
+import { processPrompt } from '../../../public/js/prompt-utils.js';
+import { renderTemplate } from '../../../public/js/template-engine.js';
+import type {
+  ExecutionOptions,
+  Prompt,
+  TranscriptMessage,
+} from '../../types/index.js';
+import type { ExecutionHistoryProvider } from '../ExecutionHistoryProvider.js';
+import type {
+  LlmProviderCapabilities,
+  ProviderValidationResult,
+} from '../LlmProvider.js';
+import {
+  getDefaultModelSettingsFromEnv,
+  getModelSettings,
+} from '../ModelSettings.js';
+import { getResultUsage } from '../UsageTracker.js';
+
+export const DEFAULT_MOCK_TRANSCRIPTS_DIR = './examples/mock-transcripts';
+
+/**
+ * One step of a scripted transcript
+ */
+export type MockTranscriptStep =
+  | { type: 'text'; text: string }
+  | { type: 'thinking'; text: string }
+  | {
+      type: 'tool_use';
+      id?: string;
+      name: string;
+      input?: unknown;
+      server_name?: string;
+    }
+  | {
+      type: 'tool_result';
+      tool_use_id?: string;
+      content: unknown;
+      is_error?: boolean;
+    }
+  | { type: 'delay'; ms: number }
+  | { type: 'error'; message: string };
+
+/**
+ * A scripted transcript, read from `<prompt name>.json` or `default.json`
+ */
+export interface MockTranscript {
+  /** Model reported as answering; defaults to the prompt's model, or 'mock' */
+  model?: string;
+  /** Pause before every step, in milliseconds */
+  delay_ms?: number;
+  steps: MockTranscriptStep[];
+  /** Final answer; defaults to the text of the steps */
+  result?: string;
+  /** Token counts in Messages API form, e.g. { "input_tokens": 120 } */
+  usage?: Record<string, number>;
+  cost_usd?: number;
+  num_turns?: number;
+}
+
+/**
+ * Claude service that replays scripted transcripts instead of calling Claude
+ *
+ * Streams text, thinking, tool calls, tool results, delays and injected errors
+ * through the same executePromptStream interface and execution history as the
+ * real services, so prompts, streaming and history can be developed and tested
+ * without an API key or network access. Text steps are templates rendered with
+ * the run's parameters. Tool policies are not enforced; nothing is executed.
+ */
+export class MockClaudeService {
+  static readonly capabilities: LlmProviderCapabilities = {
+    mcpServers: true,
+    builtInTools: true,
+    toolApproval: false,
+    followUps: true,
+    samplingSettings: true,
+  };
+
+  readonly capabilities = MockClaudeService.capabilities;
+  private executionHistoryService: ExecutionHistoryProvider | null;
+  private transcriptsDir: string;
+
+  constructor(
+    executionHistoryService: ExecutionHistoryProvider | null = null,
+    transcriptsDir: string = process.env['MOCK_TRANSCRIPTS_DIR'] ||
+      DEFAULT_MOCK_TRANSCRIPTS_DIR
+  ) {
+    this.executionHistoryService = executionHistoryService;
+    this.transcriptsDir = transcriptsDir;
+  }
+
+  /**
+   * Set the execution history service (used during app initialization)
+   */
+  setExecutionHistoryService(
+    executionHistoryService: ExecutionHistoryProvider
+  ): void {
+    this.executionHistoryService = executionHistoryService;
+  }
+
+  /**
+   * Check that the transcripts directory exists
+   */
+  async validateConfiguration(): Promise<ProviderValidationResult> {
+    if (!fs.existsSync(this.transcriptsDir)) {
+      return {
+        serviceType: 'mock',
+        isValid: false,
+        messages: [
+          `❌ Mock transcript directory ${this.transcriptsDir} does not exist (set MOCK_TRANSCRIPTS_DIR)`,
+        ],
+      };
+    }
+    return {
+      serviceType: 'mock',
+      isValid: true,
+      messages: [
+        `✅ Mock transcripts are read from ${this.transcriptsDir}`,
+        '⚠️  Claude is not called; executions replay scripted transcripts',
+      ],
+    };
+  }
+
+  /**
+   * Replay the transcript of a prompt as a streaming response
+   */
+  async executePromptStream(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any,
+    res: Response,
+    userEmail: string = 'unknown',
+    executionOptions: ExecutionOptions = {}
+  ): Promise<void> {
+    let executionId: string | null = executionOptions.executionId || null;
+    const { signal } = executionOptions;
+
+    try {
+      // Create execution record (unless the caller already created one)
+      if (this.executionHistoryService && !executionId) {
+        executionId = this.executionHistoryService.createExecution(
+          prompt.name,
+          parameters,
+          userEmail
+        );
+      }
+
+      // A follow-up replays the prompt's transcript again, after the conversation so far
+      const { followUp } = executionOptions;
+      const messages: TranscriptMessage[] = followUp
+        ? [
+            ...(followUp.transcript || []),
+            { role: 'user', content: followUp.message },
+          ]
+        : processPrompt(prompt, parameters).messages;
+
+      const transcript = await this.loadTranscript(prompt.name);
+
+      // Set up SSE headers
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control',
+      });
+
+      const model =
+        transcript.model ||
+        getModelSettings(prompt, getDefaultModelSettingsFromEnv()).model ||
+        'mock';
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setModel(executionId, model);
+      }
+      this.sendSSEEvent(res, 'status', {
+        message: 'Replaying mock transcript...',
+        executionId,
+        model,
+      });
+
+      let reply = '';
+      for (const step of transcript.steps) {
+        await sleep(transcript.delay_ms || 0, signal);
+        if (signal?.aborted) {
+          throw new Error('Mock execution was cancelled');
+        }
+        reply += await this.replayStep(
+          step,
+          parameters,
+          res,
+          executionId,
+          signal
+        );
+      }
+      if (signal?.aborted) {
+        throw new Error('Mock execution was cancelled');
+      }
+
+      // Keep the conversation so a follow-up can continue it
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setTranscript(executionId, [
+          ...messages,
+          { role: 'assistant', content: reply },
+        ]);
+      }
+
+      const usage = getResultUsage({
+        usage: transcript.usage,
+        total_cost_usd: transcript.cost_usd ?? 0,
+        num_turns: transcript.num_turns,
+      });
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setUsage(executionId, usage);
+      }
+      this.sendSSEEvent(res, 'usage', usage);
+
+      // Mark execution as completed
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.updateStatus(executionId, 'completed');
+      }
+
+      this.sendSSEEvent(res, 'complete', {
+        message: 'Mock execution completed',
+        executionId,
+        result: transcript.result ?? reply,
+      });
+      res.end();
+    } catch (error: any) {
+      if (signal?.aborted) {
+        console.log(`🛑 Execution ${executionId} was cancelled`);
+        this.sendSSEEvent(res, 'cancelled', {
+          message: 'Execution cancelled',
+          executionId,
+        });
+        res.end();
+        return;
+      }
+
+      console.error('❌ Mock execution error:', error.message);
+
+      // Record the error in execution history
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setError(executionId, error);
+      }
+
+      this.sendSSEEvent(res, 'error', { error: error.message, executionId });
+      res.end();
+      throw error;
+    }
+  }
+
+  /**
+   * Replay the transcript of a prompt without streaming (for testing/debugging)
+   * @returns The model and the reply the transcript scripts
+   */
+  async executePrompt(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any
+  ): Promise<any> {
+    const transcript = await this.loadTranscript(prompt.name);
+
+    let reply = '';
+    for (const step of transcript.steps) {
+      if (step.type === 'error') {
+        throw new Error(step.message);
+      }
+      if (step.type === 'text') {
+        reply += renderTemplate(step.text, parameters);
+      }
+    }
+
+    return {
+      model:
+        transcript.model ||
+        getModelSettings(prompt, getDefaultModelSettingsFromEnv()).model ||
+        'mock',
+      result: transcript.result ?? reply,
+    };
+  }
+
+  /**
+   * Read the transcript of a prompt, falling back to default.json
+   */
+  async loadTranscript(promptName: string): Promise<MockTranscript> {
+    const candidates = [`${promptName}.json`, 'default.json'].map((file) =>
+      path.join(this.transcriptsDir, file)
+    );
+    const file = candidates.find((candidate) => fs.existsSync(candidate));
+    if (!file) {
+      throw new Error(
+        `No mock transcript for prompt '${promptName}' in ${this.transcriptsDir}`
+      );
+    }
+
+    const transcript = await fs.readJson(file);
+    if (!Array.isArray(transcript?.steps)) {
+      throw new Error(`Mock transcript ${file} must have a "steps" array`);
+    }
+    return transcript;
+  }
+
+  /**
+   * Stream one step of a transcript
+   * @returns The text the step adds to the reply
+   */
+  async replayStep(
+    step: MockTranscriptStep,
+    parameters: Record<string, any>,
+    res: Response,
+    executionId: string | null,
+    signal?: AbortSignal
+  ): Promise<string> {
+    switch (step.type) {
+      case 'text': {
+        const text = renderTemplate(step.text, parameters);
+        this.sendSSEEvent(res, 'text_delta', { text });
+        return text;
+      }
+
+      case 'thinking':
+        this.sendSSEEvent(res, 'thinking', { text: step.text });
+        return '';
+
+      case 'tool_use':
+        if (this.executionHistoryService && executionId) {
+          this.executionHistoryService.addToolUse(executionId, {
+            ...(step.server_name ? { server_name: step.server_name } : {}),
+            name: step.name,
+            input: step.input,
+            id: step.id,
+          });
+        }
+        this.sendSSEEvent(res, 'tool_use', {
+          id: step.id ?? null,
+          name: step.name,
+          input: step.input ?? {},
+          ...(step.server_name ? { serverName: step.server_name } : {}),
+        });
+        return '';
+
+      case 'tool_result':
+        if (this.executionHistoryService && executionId) {
+          this.executionHistoryService.addToolResult(executionId, {
+            tool_use_id: step.tool_use_id ?? 'unknown',
+            is_error: !!step.is_error,
+            content: step.content,
+          });
+        }
+        this.sendSSEEvent(res, 'tool_result', {
+          toolUseId: step.tool_use_id ?? null,
+          content: step.content,
+          isError: !!step.is_error,
+        });
+        return '';
+
+      case 'delay':
+        await sleep(step.ms, signal);
+        return '';
+
+      case 'error':
+        throw new Error(step.message);
+
+      default:
+        throw new Error(
+          `Unknown mock transcript step type: ${(step as any).type}`
+        );
+    }
+  }
+
+  /**
+   * Send an event of the execution event protocol
+   */
+  sendSSEEvent(res: Response, event: ExecutionEventType, data: any): void {
+    res.write(formatExecutionEvent(event, data));
+  }
+}
+
+/**
+ * Wait, returning early when the execution is cancelled
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  if (ms <= 0 || signal?.aborted) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
@@ -0,0 +1,84 @@
+import path from 'path';
+
+import type { ExecutionRecord } from '../ExecutionHistoryProvider.js';
+import { InMemoryExecutionHistoryStore } from './InMemoryExecutionHistoryStore.js';
+import { JsonlExecutionHistoryStore } from './JsonlExecutionHistoryStore.js';
+
+/**
+ * Array fields of an execution record that grow while a prompt streams
+ */
+export type ExecutionListField = 'messages' | 'toolUses' | 'toolResults';
+
+/**
+ * Storage backend used by ExecutionHistoryProvider.
+ *
+ * The provider keeps its own in-memory index for reads; a store only has to
+ * persist the individual mutations and hand the records back on startup.
+ */
+export interface ExecutionHistoryStore {
+  readonly type: string;
+
+  /**
+   * Load every persisted execution record
+   */
+  load(): Promise<ExecutionRecord[]>;
+
+  /**
+   * Persist a complete execution record (insert or replace)
+   */
+  put(record: ExecutionRecord): void;
+
+  /**
+   * Persist a partial update of top-level execution fields
+   */
+  patch(executionId: string, fields: Partial<ExecutionRecord>): void;
+
+  /**
+   * Persist an entry appended to one of the streamed list fields
+   */
+  push(executionId: string, field: ExecutionListField, entry: any): void;
+
+  /**
+   * Remove execution records
+   */
+  delete(executionIds: string[]): void;
+
+  /**
+   * Rewrite the store so it only holds the records returned by getRecords,
+   * which is called once every earlier write has been persisted
+   */
+  compact(getRecords: () => ExecutionRecord[]): Promise<void>;
+
+  /**
+   * Wait until all pending writes have been persisted
+   */
+  flush(): Promise<void>;
+}
+
+/**
+ * Create the execution history store configured by EXECUTION_HISTORY_STORE
+ * @returns 'memory' (default) or 'jsonl' store
+ */
+export function createExecutionHistoryStore(): ExecutionHistoryStore {
+  const storeType = process.env['EXECUTION_HISTORY_STORE'] || 'memory';
+
+  switch (storeType.toLowerCase()) {
+    case 'jsonl': {
+      const filePath = path.resolve(
+        process.env['EXECUTION_HISTORY_PATH'] ||
+          './data/execution-history.jsonl'
+      );
+      console.log(`🗄️  Using JSONL execution history store: ${filePath}`);
+      return new JsonlExecutionHistoryStore(filePath);
+    }
+
+    case 'memory':
+      console.log('🗄️  Using in-memory execution history store');
+      return new InMemoryExecutionHistoryStore();
+
+    default:
+      throw new Error(
+        `Invalid EXECUTION_HISTORY_STORE: ${storeType}. Must be 'memory' or 'jsonl'`
+      );
+  }
+}
@@ -0,0 +1,29 @@
+import type { ExecutionRecord } from '../ExecutionHistoryProvider.js';
+import type {
+  ExecutionHistoryStore,
+  ExecutionListField,
+} from './ExecutionHistoryStore.js';
+
+/**
+ * Store that persists nothing - history lives only in the provider's memory
+ * and is lost when the server restarts
+ */
+export class InMemoryExecutionHistoryStore implements ExecutionHistoryStore {
+  readonly type = 'memory';
+
+  async load(): Promise<ExecutionRecord[]> {
+    return [];
+  }
+
+  put(record: ExecutionRecord): void {}
+
+  patch(executionId: string, fields: Partial<ExecutionRecord>): void {}
+
+  push(executionId: string, field: ExecutionListField, entry: any): void {}
+
+  delete(executionIds: string[]): void {}
+
+  async compact(getRecords: () => ExecutionRecord[]): Promise<void> {}
+
+  async flush(): Promise<void> {}
+}
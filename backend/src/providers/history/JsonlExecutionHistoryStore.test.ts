@@ -0,0 +1,211 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+import { ExecutionHistoryProvider } from '../ExecutionHistoryProvider.js';
+import { JsonlExecutionHistoryStore } from './JsonlExecutionHistoryStore.js';
+
+describe('JsonlExecutionHistoryStore', () => {
+  let tempDir: string;
+  let filePath: string;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'execution-history-'));
+    filePath = path.join(tempDir, 'history.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  it('should restore executions with streamed messages, tool uses and tool results', async () => {
+    // Arrange
+    const provider = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: null }
+    );
+    await provider.initialize();
+
+    const executionId = provider.createExecution(
+      'test-prompt',
+      { a: 1 },
+      'user@example.com'
+    );
+    provider.addMessage(executionId, 'content_block_delta', {
+      delta: { text: 'Hello' },
+    });
+    provider.addToolUse(executionId, { name: 'search', input: { q: 'x' } });
+    provider.addToolResult(executionId, { tool_use_id: 't1', content: 'ok' });
+    provider.updateStatus(executionId, 'completed');
+    await provider.close();
+
+    // Act
+    const restored = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: null }
+    );
+    await restored.initialize();
+    await restored.close();
+
+    // Assert
+    const execution = restored.getExecution(executionId);
+    expect(execution).toMatchObject({
+      promptName: 'test-prompt',
+      parameters: { a: 1 },
+      status: 'completed',
+      toolUses: [expect.objectContaining({ name: 'search' })],
+      toolResults: [expect.objectContaining({ tool_use_id: 't1' })],
+    });
+    expect(restored.getExecutionText(executionId)).toBe('Hello');
+    expect(restored.getPromptHistory('test-prompt')).toHaveLength(1);
+  });
+
+  it('should mark executions that were running during a restart as errors', async () => {
+    // Arrange
+    const provider = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: null }
+    );
+    await provider.initialize();
+    const executionId = provider.createExecution(
+      'test-prompt',
+      {},
+      'user@example.com'
+    );
+    await provider.close();
+
+    // Act
+    const restored = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: null }
+    );
+    await restored.initialize();
+    await restored.close();
+
+    // Assert
+    expect(restored.getExecution(executionId)?.status).toBe('error');
+    expect(restored.getExecution(executionId)?.error?.type).toBe(
+      'InterruptedError'
+    );
+  });
+
+  it('should prune the oldest finished executions beyond maxRecords', async () => {
+    // Arrange
+    const provider = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: 2 }
+    );
+    await provider.initialize();
+
+    const ids: string[] = [];
+    for (let i = 0; i < 3; i++) {
+      const id = provider.createExecution(
+        'test-prompt',
+        {},
+        'user@example.com'
+      );
+      provider.getExecution(id)!.startTime = 1000 + i;
+      provider.updateStatus(id, 'completed');
+      ids.push(id);
+    }
+
+    // Act
+    const removed = await provider.applyRetention();
+    await provider.close();
+
+    // Assert
+    expect(removed).toEqual([ids[0]]);
+    expect(provider.getPromptHistory('test-prompt').map((e) => e.id)).toEqual([
+      ids[2],
+      ids[1],
+    ]);
+
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+  });
+
+  it('should prune finished executions older than maxAgeMs', async () => {
+    // Arrange
+    const provider = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: 60 * 1000, maxRecords: null }
+    );
+    await provider.initialize();
+
+    const oldId = provider.createExecution(
+      'test-prompt',
+      {},
+      'user@example.com'
+    );
+    provider.getExecution(oldId)!.startTime = Date.now() - 120 * 1000;
+    provider.updateStatus(oldId, 'completed');
+    const runningId = provider.createExecution(
+      'test-prompt',
+      {},
+      'user@example.com'
+    );
+    provider.getExecution(runningId)!.startTime = Date.now() - 120 * 1000;
+
+    // Act
+    const removed = await provider.applyRetention();
+    await provider.close();
+
+    // Assert
+    expect(removed).toEqual([oldId]);
+    expect(provider.getExecution(runningId)).not.toBeNull();
+  });
+
+  it('should keep executions created while the log is compacted', async () => {
+    // Arrange
+    const provider = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: null }
+    );
+    await provider.initialize();
+
+    // Act
+    const firstId = provider.createExecution(
+      'test-prompt',
+      {},
+      'a@example.com'
+    );
+    const compaction = provider.applyRetention(true);
+    const secondId = provider.createExecution(
+      'test-prompt',
+      {},
+      'b@example.com'
+    );
+    await compaction;
+    await provider.close();
+
+    // Assert
+    const restored = new ExecutionHistoryProvider(
+      new JsonlExecutionHistoryStore(filePath),
+      { maxAgeMs: null, maxRecords: null }
+    );
+    await restored.initialize();
+    await restored.close();
+    expect(restored.getExecution(firstId)).not.toBeNull();
+    expect(restored.getExecution(secondId)).not.toBeNull();
+    const lines = (await fs.readFile(filePath, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2);
+  });
+
+  it('should skip a truncated trailing line', async () => {
+    // Arrange
+    const store = new JsonlExecutionHistoryStore(filePath);
+    await fs.writeFile(
+      filePath,
+      '{"op":"put","record":{"id":"1","promptName":"p","messages":[]}}\n{"op":"pu'
+    );
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // Act
+    const records = await store.load();
+
+    // Assert
+    expect(records.map((r) => r.id)).toEqual(['1']);
+  });
+});
@@ -0,0 +1,183 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+import type { ExecutionRecord } from '../ExecutionHistoryProvider.js';
+import type {
+  ExecutionHistoryStore,
+  ExecutionListField,
+} from './ExecutionHistoryStore.js';
+
+type JsonlOperation =
+  | { op: 'put'; record: ExecutionRecord }
+  | { op: 'patch'; id: string; fields: Partial<ExecutionRecord> }
+  | { op: 'push'; id: string; field: ExecutionListField; entry: any }
+  | { op: 'delete'; ids: string[] };
+
+/**
+ * Append-only JSONL store for execution history.
+ *
+ * Every mutation is written as one line; loading replays the log. The log is
+ * rewritten with one `put` line per record whenever the provider compacts it
+ * (on startup and after retention pruning).
+ */
+export class JsonlExecutionHistoryStore implements ExecutionHistoryStore {
+  readonly type = 'jsonl';
+
+  private filePath: string;
+  private pendingLines: string[] = [];
+  private writeChain: Promise<void> = Promise.resolve();
+  private writeScheduled = false;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+  }
+
+  async load(): Promise<ExecutionRecord[]> {
+    await fs.ensureDir(path.dirname(this.filePath));
+
+    if (!(await fs.pathExists(this.filePath))) {
+      return [];
+    }
+
+    const content = await fs.readFile(this.filePath, 'utf8');
+    const records = new Map<string, ExecutionRecord>();
+    let skipped = 0;
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let operation: JsonlOperation;
+      try {
+        operation = JSON.parse(line);
+      } catch (error) {
+        // A crash in the middle of a write can leave a truncated last line
+        skipped++;
+        continue;
+      }
+
+      this.applyOperation(records, operation);
+    }
+
+    if (skipped > 0) {
+      console.warn(
+        `⚠️  Skipped ${skipped} unreadable line(s) in ${this.filePath}`
+      );
+    }
+
+    return Array.from(records.values());
+  }
+
+  put(record: ExecutionRecord): void {
+    this.enqueue({ op: 'put', record });
+  }
+
+  patch(executionId: string, fields: Partial<ExecutionRecord>): void {
+    this.enqueue({ op: 'patch', id: executionId, fields });
+  }
+
+  push(executionId: string, field: ExecutionListField, entry: any): void {
+    this.enqueue({ op: 'push', id: executionId, field, entry });
+  }
+
+  delete(executionIds: string[]): void {
+    if (executionIds.length === 0) return;
+    this.enqueue({ op: 'delete', ids: executionIds });
+  }
+
+  async compact(getRecords: () => ExecutionRecord[]): Promise<void> {
+    const compaction = this.writeChain.then(async () => {
+      // The snapshot holds every mutation made so far, so the queued lines are
+      // superseded; lines queued from here on are appended after it
+      const supersededLines = this.pendingLines;
+      this.pendingLines = [];
+      const content = getRecords()
+        .map((record) => JSON.stringify({ op: 'put', record }))
+        .join('\n');
+
+      try {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, content ? `${content}\n` : '', 'utf8');
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        this.pendingLines = [...supersededLines, ...this.pendingLines];
+        throw error;
+      }
+    });
+
+    // Keep the chain usable for later appends even if compaction fails
+    this.writeChain = compaction.catch(() => {});
+    await compaction;
+  }
+
+  async flush(): Promise<void> {
+    this.writePending();
+    await this.writeChain;
+  }
+
+  /**
+   * Queue an operation; lines queued in the same tick are written together
+   */
+  private enqueue(operation: JsonlOperation): void {
+    this.pendingLines.push(JSON.stringify(operation));
+
+    if (!this.writeScheduled) {
+      this.writeScheduled = true;
+      setImmediate(() => this.writePending());
+    }
+  }
+
+  private writePending(): void {
+    this.writeScheduled = false;
+    if (this.pendingLines.length === 0) return;
+
+    // Lines are taken when the append runs, so a compaction queued before it
+    // can supersede them
+    this.writeChain = this.writeChain
+      .then(() => {
+        if (this.pendingLines.length === 0) return;
+
+        const data = this.pendingLines.join('\n') + '\n';
+        this.pendingLines = [];
+        return fs.appendFile(this.filePath, data, 'utf8');
+      })
+      .catch((error: any) => {
+        console.error(
+          `❌ Failed to write execution history to ${this.filePath}:`,
+          error.message
+        );
+      });
+  }
+
+  private applyOperation(
+    records: Map<string, ExecutionRecord>,
+    operation: JsonlOperation
+  ): void {
+    switch (operation.op) {
+      case 'put':
+        records.set(operation.record.id, operation.record);
+        break;
+
+      case 'patch': {
+        const record = records.get(operation.id);
+        if (record) {
+          Object.assign(record, operation.fields);
+        }
+        break;
+      }
+
+      case 'push': {
+        const record = records.get(operation.id);
+        if (record) {
+          (record[operation.field] as any[]).push(operation.entry);
+        }
+        break;
+      }
+
+      case 'delete':
+        for (const id of operation.ids) {
+          records.delete(id);
+        }
+        break;
+    }
+  }
+}
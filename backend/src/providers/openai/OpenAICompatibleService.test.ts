@@ -0,0 +1,251 @@
+import { ExecutionHistoryProvider } from '../ExecutionHistoryProvider.js';
+import {
+  OpenAICompatibleService,
+  getOpenAIProvidersFromEnv,
+} from './OpenAICompatibleService.js';
+
+function streamResponse(chunks: any[]) {
+  const body = [...chunks.map((chunk) => JSON.stringify(chunk)), '[DONE]']
+    .map((data) => `data: ${data}\n\n`)
+    .join('');
+  const encoded = new TextEncoder().encode(body);
+  return new Response(
+    new ReadableStream({
+      start(controller) {
+        // Split a chunk across reads, as the network may
+        controller.enqueue(encoded.slice(0, 25));
+        controller.enqueue(encoded.slice(25));
+        controller.close();
+      },
+    }),
+    { status: 200, headers: { 'Content-Type': 'text/event-stream' } }
+  );
+}
+
+function createResponse() {
+  const writes: string[] = [];
+  return {
+    writes,
+    writeHead: jest.fn(),
+    write: jest.fn((data: string) => writes.push(data)),
+    end: jest.fn(),
+  };
+}
+
+function parseEvents(writes: string[]) {
+  return writes.map((frame) => {
+    const [eventLine, dataLine] = frame.trim().split('\n');
+    return {
+      event: eventLine!.replace('event: ', ''),
+      data: JSON.parse(dataLine!.replace('data: ', '')),
+    };
+  });
+}
+
+describe('OpenAICompatibleService', () => {
+  const prompt = {
+    name: 'summarize',
+    provider: 'ollama',
+    mcp_servers: [],
+    messages: [{ role: 'user', content: 'Summarize: {{text}}' }],
+    temperature: 0.2,
+    system_prompt: 'Be brief',
+  };
+  let history: ExecutionHistoryProvider;
+  let service: OpenAICompatibleService;
+  let fetchMock: jest.SpyInstance;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+    service = new OpenAICompatibleService(
+      {
+        name: 'ollama',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.2',
+        prices: { input: 1, output: 2 },
+      },
+      history
+    );
+    fetchMock = jest.spyOn(globalThis, 'fetch');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should stream the completion and record the execution', async () => {
+    // Arrange
+    fetchMock.mockResolvedValue(
+      streamResponse([
+        {
+          model: 'llama3.2:latest',
+          choices: [{ delta: { reasoning_content: 'Short it is.' } }],
+        },
+        {
+          model: 'llama3.2:latest',
+          choices: [{ delta: { content: 'Login ' } }],
+        },
+        {
+          model: 'llama3.2:latest',
+          choices: [{ delta: { content: 'fails' } }],
+        },
+        {
+          model: 'llama3.2:latest',
+          choices: [],
+          usage: { prompt_tokens: 1000, completion_tokens: 500 },
+        },
+      ])
+    );
+    const res = createResponse();
+
+    // Act
+    await service.executePromptStream(
+      prompt,
+      { text: 'Users cannot log in' },
+      {},
+      {},
+      res as any,
+      'user@example.com'
+    );
+
+    // Assert
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'llama3.2',
+      messages: [
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'Summarize: Users cannot log in' },
+      ],
+      temperature: 0.2,
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+
+    const events = parseEvents(res.writes);
+    expect(events.map((event) => event.event)).toEqual([
+      'status',
+      'thinking',
+      'text_delta',
+      'text_delta',
+      'usage',
+      'complete',
+    ]);
+    const { executionId, result } = events[5]!.data;
+    expect(result).toBe('Login fails');
+    expect(history.getExecution(executionId)).toMatchObject({
+      status: 'completed',
+      model: 'llama3.2:latest',
+      usage: { inputTokens: 1000, outputTokens: 500, costUsd: 0.002 },
+      transcript: [
+        { role: 'user', content: 'Summarize: Users cannot log in' },
+        { role: 'assistant', content: 'Login fails' },
+      ],
+    });
+    // The execution runner records the streamed events; the raw chunks are not kept
+    expect(history.getExecution(executionId)!.messages).toEqual([]);
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should fail the execution when the server rejects the request', async () => {
+    // Arrange
+    fetchMock.mockResolvedValue(
+      new Response('model "llama9" not found', {
+        status: 404,
+        statusText: 'Not Found',
+      })
+    );
+    const res = createResponse();
+
+    // Act
+    const run = service.executePromptStream(
+      { ...prompt, model: 'llama9' },
+      {},
+      {},
+      {},
+      res as any
+    );
+
+    // Assert
+    await expect(run).rejects.toThrow(
+      'ollama returned 404 Not Found: model "llama9" not found'
+    );
+    const events = parseEvents(res.writes);
+    const { executionId } = events[events.length - 1]!.data;
+    expect(events[events.length - 1]!.event).toBe('error');
+    expect(history.getExecution(executionId)!.status).toBe('error');
+  });
+});
+
+describe('getOpenAIProvidersFromEnv', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env };
+    delete process.env['OPENAI_API_KEY'];
+    delete process.env['OPENAI_BASE_URL'];
+    delete process.env['OPENAI_MODEL'];
+  });
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  it('should read LLM_PROVIDERS and add OpenAI when its key is set', () => {
+    // Arrange
+    process.env['LLM_PROVIDERS'] = JSON.stringify([
+      {
+        name: 'local-llama',
+        type: 'openai',
+        base_url: 'http://localhost:11434/v1/',
+        model: 'llama3.2',
+        prices: { input: 0, output: 0 },
+      },
+    ]);
+    process.env['LLM_PROVIDER_LOCAL_LLAMA_API_KEY'] = 'ollama';
+    process.env['OPENAI_API_KEY'] = 'sk-test';
+
+    // Act & Assert
+    expect(getOpenAIProvidersFromEnv()).toEqual([
+      {
+        name: 'local-llama',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.2',
+        apiKey: 'ollama',
+        prices: { input: 0, output: 0 },
+      },
+      {
+        name: 'openai',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        apiKey: 'sk-test',
+      },
+    ]);
+  });
+
+  it('should reject invalid providers', () => {
+    // Arrange
+    const withProviders = (providers: unknown) => {
+      process.env['LLM_PROVIDERS'] = JSON.stringify(providers);
+      return () => getOpenAIProvidersFromEnv();
+    };
+
+    // Act & Assert
+    expect(withProviders({ name: 'ollama' })).toThrow(
+      'LLM_PROVIDERS must be an array'
+    );
+    expect(
+      withProviders([{ name: 'ollama', base_url: 'http://localhost' }])
+    ).toThrow("LLM provider 'ollama' is missing required field: model");
+    expect(
+      withProviders([
+        { name: 'gemini', type: 'google', base_url: 'x', model: 'y' },
+      ])
+    ).toThrow("Invalid LLM provider type for 'gemini': google");
+  });
+});
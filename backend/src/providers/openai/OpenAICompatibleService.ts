@@ -0,0 +1,468 @@
+import { Response } from 'express';
+
+import {
+  type ExecutionEventType,
+  formatExecutionEvent,
+} from '../../../public/js/execution-events.js';
+import { processPrompt } from '../../../public/js/prompt-utils.js';
+import { readJsonConfigSync } from '../../config/jsonConfig.js';
+import type {
+  ExecutionOptions,
+  Prompt,
+  TranscriptMessage,
+} from '../../types/index.js';
+import type {
+  ExecutionHistoryProvider,
+  ExecutionUsage,
+} from '../ExecutionHistoryProvider.js';
+import type {
+  LlmProviderCapabilities,
+  ProviderValidationResult,
+} from '../LlmProvider.js';
+import {
+  type ModelSettings,
+  getDefaultModelSettingsFromEnv,
+  getModelSettings,
+} from '../ModelSettings.js';
+import { emptyUsage, estimateCost } from '../UsageTracker.js';
+
+export interface OpenAICompatibleConfig {
+  name: string; // Name of the provider, as prompts refer to it
+  baseUrl: string; // e.g. https://api.openai.com/v1 or http://localhost:11434/v1
+  model: string; // Used when the prompt sets no model
+  apiKey?: string;
+  prices?: { input: number; output: number }; // USD per million tokens
+}
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Read the OpenAI-compatible providers from LLM_PROVIDERS: inline JSON or the
+ * path of a JSON file, e.g.
+ * [{"name": "ollama", "type": "openai", "base_url": "http://localhost:11434/v1", "model": "llama3.2"}].
+ * An entry's API key may also be set in LLM_PROVIDER_<NAME>_API_KEY.
+ * Setting OPENAI_API_KEY or OPENAI_BASE_URL adds a provider named 'openai'.
+ * @throws Error if an entry is invalid
+ */
+export function getOpenAIProvidersFromEnv(): OpenAICompatibleConfig[] {
+  const configs: OpenAICompatibleConfig[] = [];
+
+  const value = process.env['LLM_PROVIDERS'];
+  if (value) {
+    const entries = readJsonConfigSync(value, 'LLM_PROVIDERS');
+    if (!Array.isArray(entries)) {
+      throw new Error('LLM_PROVIDERS must be an array');
+    }
+    configs.push(...entries.map(parseProviderEntry));
+  }
+
+  const openaiKey = process.env['OPENAI_API_KEY'];
+  const openaiBaseUrl = process.env['OPENAI_BASE_URL'];
+  if (
+    (openaiKey || openaiBaseUrl) &&
+    !configs.some((config) => config.name.toLowerCase() === 'openai')
+  ) {
+    configs.push({
+      name: 'openai',
+      baseUrl: trimSlash(openaiBaseUrl || DEFAULT_OPENAI_BASE_URL),
+      model: process.env['OPENAI_MODEL'] || DEFAULT_OPENAI_MODEL,
+      ...(openaiKey ? { apiKey: openaiKey } : {}),
+    });
+  }
+
+  return configs;
+}
+
+function parseProviderEntry(entry: any): OpenAICompatibleConfig {
+  if (typeof entry?.name !== 'string' || !/^[\w-]+$/.test(entry.name)) {
+    throw new Error(
+      'LLM provider name is required and may only contain letters, digits, _ and -'
+    );
+  }
+  const { name } = entry;
+  if ((entry.type ?? 'openai') !== 'openai') {
+    throw new Error(
+      `Invalid LLM provider type for '${name}': ${entry.type}. Must be 'openai'`
+    );
+  }
+  if (typeof entry.base_url !== 'string' || !entry.base_url) {
+    throw new Error(
+      `LLM provider '${name}' is missing required field: base_url`
+    );
+  }
+  if (typeof entry.model !== 'string' || !entry.model) {
+    throw new Error(`LLM provider '${name}' is missing required field: model`);
+  }
+  if (
+    entry.prices !== undefined &&
+    !(isPrice(entry.prices?.input) && isPrice(entry.prices?.output))
+  ) {
+    throw new Error(
+      `Invalid prices for LLM provider '${name}'. Must be {"input": <USD per million tokens>, "output": <USD per million tokens>}`
+    );
+  }
+
+  const apiKey =
+    process.env[
+      `LLM_PROVIDER_${name.toUpperCase().replace(/-/g, '_')}_API_KEY`
+    ] || entry.api_key;
+  return {
+    name,
+    baseUrl: trimSlash(entry.base_url),
+    model: entry.model,
+    ...(apiKey ? { apiKey } : {}),
+    ...(entry.prices ? { prices: entry.prices } : {}),
+  };
+}
+
+function isPrice(value: unknown): boolean {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function trimSlash(url: string): string {
+  return url.replace(/\/+$/, '');
+}
+
+/**
+ * Runs prompts against an OpenAI-compatible chat completions API: OpenAI
+ * itself, or servers such as Ollama, vLLM and LM Studio.
+ *
+ * The model answers from the prompt's messages alone; it is given no MCP
+ * servers or tools.
+ */
+export class OpenAICompatibleService {
+  static readonly capabilities: LlmProviderCapabilities = {
+    mcpServers: false,
+    builtInTools: false,
+    toolApproval: false,
+    followUps: true,
+    samplingSettings: true,
+  };
+
+  readonly capabilities = OpenAICompatibleService.capabilities;
+  private executionHistoryService: ExecutionHistoryProvider | null;
+  private modelDefaults: ModelSettings;
+
+  constructor(
+    private config: OpenAICompatibleConfig,
+    executionHistoryService: ExecutionHistoryProvider | null = null
+  ) {
+    this.executionHistoryService = executionHistoryService;
+    // CLAUDE_MODEL names a Claude model, so the provider's own model replaces it
+    this.modelDefaults = {
+      ...getDefaultModelSettingsFromEnv(),
+      model: config.model,
+    };
+  }
+
+  /**
+   * Set the execution history service (used during app initialization)
+   */
+  setExecutionHistoryService(
+    executionHistoryService: ExecutionHistoryProvider
+  ): void {
+    this.executionHistoryService = executionHistoryService;
+  }
+
+  /**
+   * Check that the server answers and accepts the API key
+   */
+  async validateConfiguration(): Promise<ProviderValidationResult> {
+    const result: ProviderValidationResult = {
+      serviceType: 'openai',
+      isValid: false,
+      messages: [],
+    };
+
+    try {
+      const response = await fetch(`${this.config.baseUrl}/models`, {
+        headers: this.buildHeaders(),
+        signal: AbortSignal.timeout(5000),
+      });
+      if (response.ok) {
+        result.isValid = true;
+        result.messages.push(
+          `✅ ${this.config.baseUrl} is reachable (model ${this.config.model})`
+        );
+      } else {
+        result.messages.push(
+          `❌ ${this.config.baseUrl}/models returned ${response.status} ${response.statusText}`
+        );
+      }
+    } catch (error: any) {
+      result.messages.push(
+        `❌ ${this.config.baseUrl} is not reachable: ${error.message}`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Execute a prompt with streaming response
+   */
+  async executePromptStream(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any,
+    res: Response,
+    userEmail: string = 'unknown',
+    executionOptions: ExecutionOptions = {}
+  ): Promise<void> {
+    let executionId: string | null = executionOptions.executionId || null;
+
+    try {
+      // Create execution record (unless the caller already created one)
+      if (this.executionHistoryService && !executionId) {
+        executionId = this.executionHistoryService.createExecution(
+          prompt.name,
+          parameters,
+          userEmail
+        );
+      }
+
+      // A follow-up replays the conversation so far instead of the prompt's messages
+      const { followUp } = executionOptions;
+      if (followUp && !followUp.transcript) {
+        throw new Error('The previous execution has no transcript to continue');
+      }
+      const messages: TranscriptMessage[] = followUp
+        ? [...followUp.transcript!, { role: 'user', content: followUp.message }]
+        : processPrompt(prompt, parameters).messages;
+
+      // Set up SSE headers
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Cache-Control',
+      });
+
+      const settings = getModelSettings(prompt, this.modelDefaults);
+      const model = settings.model || this.config.model;
+      this.sendSSEEvent(res, 'status', {
+        message: `Starting prompt execution with ${this.config.name}...`,
+        executionId,
+        model,
+      });
+
+      const response = await this.createCompletion(
+        messages,
+        settings,
+        model,
+        true,
+        executionOptions.signal
+      );
+
+      let usage = emptyUsage();
+      let reply = '';
+      let answeredBy: string | null = null;
+      for await (const chunk of readChunks(response)) {
+        // Record the model that actually answered
+        if (!answeredBy && chunk.model) {
+          answeredBy = chunk.model as string;
+          if (this.executionHistoryService && executionId) {
+            this.executionHistoryService.setModel(executionId, answeredBy);
+          }
+        }
+
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta?.reasoning_content) {
+          this.sendSSEEvent(res, 'thinking', { text: delta.reasoning_content });
+        }
+        if (delta?.content) {
+          reply += delta.content;
+          this.sendSSEEvent(res, 'text_delta', { text: delta.content });
+        }
+
+        // Sent with the last chunk, as requested with stream_options
+        if (chunk.usage) {
+          usage = {
+            ...usage,
+            inputTokens: chunk.usage.prompt_tokens || 0,
+            outputTokens: chunk.usage.completion_tokens || 0,
+          };
+        }
+      }
+
+      // Keep the conversation so a follow-up can replay it
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setTranscript(executionId, [
+          ...messages,
+          { role: 'assistant', content: reply },
+        ]);
+      }
+
+      const executionUsage = this.getCost(usage, answeredBy || model);
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setUsage(executionId, executionUsage);
+      }
+      this.sendSSEEvent(res, 'usage', executionUsage);
+
+      // Mark execution as completed
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.updateStatus(executionId, 'completed');
+      }
+
+      this.sendSSEEvent(res, 'complete', {
+        message: 'Prompt execution completed',
+        executionId,
+        result: reply,
+      });
+      res.end();
+    } catch (error: any) {
+      if (executionOptions.signal?.aborted) {
+        console.log(`🛑 Execution ${executionId} was cancelled`);
+        this.sendSSEEvent(res, 'cancelled', {
+          message: 'Execution cancelled',
+          executionId,
+        });
+        res.end();
+        return;
+      }
+
+      console.error(`❌ ${this.config.name} execution error:`, error.message);
+
+      // Record the error in execution history
+      if (this.executionHistoryService && executionId) {
+        this.executionHistoryService.setError(executionId, error);
+      }
+
+      this.sendSSEEvent(res, 'error', { error: error.message, executionId });
+      res.end();
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a prompt without streaming (for testing/debugging)
+   */
+  async executePrompt(
+    prompt: Prompt,
+    parameters: Record<string, any>,
+    configManager: any,
+    authManager: any
+  ): Promise<any> {
+    const settings = getModelSettings(prompt, this.modelDefaults);
+    const response = await this.createCompletion(
+      processPrompt(prompt, parameters).messages,
+      settings,
+      settings.model || this.config.model,
+      false
+    );
+    return response.json();
+  }
+
+  /**
+   * Send a chat completions request
+   * @throws Error if the server rejects the request
+   */
+  async createCompletion(
+    messages: TranscriptMessage[],
+    settings: ModelSettings,
+    model: string,
+    stream: boolean,
+    signal?: AbortSignal
+  ): Promise<globalThis.Response> {
+    const response = await fetch(`${this.config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        ...this.buildHeaders(),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model,
+        messages: settings.systemPrompt
+          ? [{ role: 'system', content: settings.systemPrompt }, ...messages]
+          : messages,
+        ...(settings.temperature !== undefined
+          ? { temperature: settings.temperature }
+          : {}),
+        ...(settings.maxTokens !== undefined
+          ? { max_tokens: settings.maxTokens }
+          : {}),
+        ...(stream
+          ? { stream: true, stream_options: { include_usage: true } }
+          : {}),
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(
+        `${this.config.name} returned ${response.status} ${response.statusText}${body ? `: ${body}` : ''}`
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Price the usage from the configured prices, else from the known Claude prices
+   */
+  getCost(usage: ExecutionUsage, model: string): ExecutionUsage {
+    const { prices } = this.config;
+    if (!prices) {
+      return estimateCost(usage, model);
+    }
+    return {
+      ...usage,
+      costUsd:
+        (usage.inputTokens * prices.input +
+          usage.outputTokens * prices.output) /
+        1_000_000,
+    };
+  }
+
+  buildHeaders(): Record<string, string> {
+    return this.config.apiKey
+      ? { Authorization: `Bearer ${this.config.apiKey}` }
+      : {};
+  }
+
+  /**
+   * Send an event of the execution event protocol
+   */
+  sendSSEEvent(res: Response, event: ExecutionEventType, data: any): void {
+    res.write(formatExecutionEvent(event, data));
+  }
+}
+
+/**
+ * Read the chunks of a streamed chat completion: Server-Sent Events whose
+ * data is a JSON chunk, ending with [DONE]
+ */
+async function* readChunks(response: globalThis.Response): AsyncGenerator<any> {
+  if (!response.body) {
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop()!;
+    for (const line of lines) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      const data = line.slice('data:'.length).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+      yield JSON.parse(data);
+    }
+
+    if (done) {
+      return;
+    }
+  }
+}
@@ -298,8 +298,9 @@ export class LegacyWebUIService {
       
       // Get the response text from execution messages
       const responseText = item.messages
-        ?.filter(msg => msg.type === 'content_block_delta' && msg.data.delta?.text)
-        .map(msg => msg.data.delta.text)
+        ?.map(msg => msg.type === 'sse_event'
+          ? (msg.data.event === 'text_delta' ? msg.data.data?.text || '' : '')
+          : (msg.type === 'content_block_delta' ? msg.data.delta?.text || '' : ''))
         .join('') || '';
       
       // Format duration
@@ -1,5 +1,6 @@
 import type { Request, Response } from 'express';
 import type { ApiResponse } from '../types/index.js';
+import type { BudgetExceededError } from '../providers/UsageTracker.js';
 import { 
   validateGitCredentials, 
   getGitCredentialDetails, 
@@ -16,7 +17,32 @@ export interface Dependencies {
   authManager?: any;
   executionHistoryService?: any;
   claudeService?: any;
+  executionRunner?: any;
+  workspaceManager?: any;
+  promptScheduler?: any;
   emailService?: any;
+  notificationService?: any;
+  configReloader?: any;
+}
+
+export interface AuthenticationDeps {
+  authMiddleware?: {
+    authenticate: (req: Request, res: Response, next: () => void) => void;
+  };
+}
+
+// Helper function to run a route handler only once the request is authenticated
+// (sets req.user; without an auth middleware the handler runs directly)
+export function authenticated(
+  deps: AuthenticationDeps,
+  handler: (req: Request, res: Response) => any
+): (req: Request, res: Response) => void {
+  return (req: Request, res: Response) => {
+    if (!deps.authMiddleware) {
+      return handler(req, res);
+    }
+    deps.authMiddleware.authenticate(req, res, () => handler(req, res));
+  };
 }
 
 // Helper function to handle errors consistently
@@ -32,6 +58,16 @@ export function handleError(res: Response, error: any, statusCode = 500): void {
   res.status(statusCode).json(errorResponse);
 }
 
+// Helper function to reject a run whose user or prompt has used up its budget
+export function sendBudgetExceeded(res: Response, error: BudgetExceededError): void {
+  res.status(429).json({
+    error: 'Budget Exceeded',
+    message: error.message,
+    budget: error.budget,
+    timestamp: new Date().toISOString()
+  });
+}
+
 // Helper function to check if request is from browser (for redirects vs JSON)
 export function isBrowserRequest(req: Request): boolean {
   return !req.xhr && 
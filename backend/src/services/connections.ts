@@ -157,6 +157,10 @@ export interface GetMcpServerStatusDeps {
   authManager: {
     isAuthorized: (serverName: string) => boolean;
     getTokens: (serverName: string) => any;
+    needsReauthorization?: (serverName: string) => boolean;
+    getRefreshError?: (
+      serverName: string
+    ) => { message: string; timestamp: string } | null;
   };
 }
 
@@ -192,7 +196,9 @@ export function getMcpServerStatus(deps: GetMcpServerStatusDeps) {
               ? new Date(tokens.expires_at).toISOString()
               : null,
             hasRefreshToken: !!tokens?.refresh_token,
-            needsReauthorization: false,
+            needsReauthorization:
+              authManager.needsReauthorization?.(mcpName) || false,
+            refreshError: authManager.getRefreshError?.(mcpName) || null,
           },
         },
         timestamp: new Date().toISOString(),
@@ -1,11 +1,41 @@
 import type { Request, Response } from 'express';
-import { getPromptActivity, type PromptActivityDeps } from './execution-history.js';
+
+import { WorkspaceUnavailableError } from '../providers/WorkspaceManager.js';
+import {
+  cancelExecution,
+  type CancelExecutionDeps,
+  type FollowUpDeps,
+  getPromptActivity,
+  type PromptActivityDeps,
+  sendFollowUp,
+  setupExecutionHistoryRoutes,
+} from './execution-history.js';
 
 // Mock the common module
 jest.mock('./common.js', () => ({
   handleError: jest.fn(),
+  authenticated: jest.requireActual('./common.js').authenticated,
 }));
 
+// Collect the handlers the execution history routes register, by "METHOD path"
+function getRoutes(deps: any): Record<string, any> {
+  const routes: Record<string, any> = {};
+  const app: any = {};
+  for (const method of ['get', 'post']) {
+    app[method] = (path: string, handler: any) => {
+      routes[`${method.toUpperCase()} ${path}`] = handler;
+    };
+  }
+  setupExecutionHistoryRoutes(app, deps);
+  return routes;
+}
+
+const rejectingAuthMiddleware = () => ({
+  authenticate: jest.fn((_req, res) =>
+    res.status(401).json({ error: 'Unauthorized' })
+  ),
+});
+
 describe('getPromptActivity', () => {
   let mockReq: Partial<Request>;
   let mockRes: Partial<Response>;
@@ -77,6 +107,29 @@ describe('getPromptActivity', () => {
     });
   });
 
+  it('should attach the step executions of workflow executions', () => {
+    // Arrange
+    const step = { id: 'step-1', status: 'completed', parentExecutionId: '1' };
+
+    mockDeps.promptManager.getPrompt = jest.fn().mockReturnValue({ name: 'test-prompt' });
+    mockDeps.executionHistoryService.getPromptHistory = jest.fn().mockReturnValue([
+      { id: '1', status: 'completed' },
+      { id: '2', status: 'completed' }
+    ]);
+    mockDeps.executionHistoryService.getChildExecutions = jest.fn((id) => (id === '1' ? [step] : []));
+
+    // Act
+    getPromptActivity(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      executions: [
+        { id: '1', status: 'completed', children: [step] },
+        { id: '2', status: 'completed' }
+      ]
+    }));
+  });
+
   it('should handle pagination with limit and offset', () => {
     // Arrange
     mockReq.query = { limit: '20', offset: '10' };
@@ -243,3 +296,252 @@ describe('getPromptActivity', () => {
     expect(response.pagination.hasMore).toBe(true); // 5 + 10 < 20
   });
 });
+
+describe('cancelExecution', () => {
+  let mockReq: Partial<Request>;
+  let mockRes: Partial<Response>;
+  let mockDeps: CancelExecutionDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: { executionId: 'exec-1' },
+      query: {},
+      body: {},
+      headers: {},
+    };
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      executionHistoryService: {
+        getExecution: jest
+          .fn()
+          .mockReturnValue({ id: 'exec-1', status: 'running' }),
+      },
+      executionRunner: {
+        cancel: jest.fn().mockReturnValue(true),
+      },
+    };
+  });
+
+  it('should cancel a running execution', () => {
+    // Act
+    cancelExecution(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.executionRunner.cancel).toHaveBeenCalledWith('exec-1');
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: { executionId: 'exec-1', status: 'cancelled' },
+      })
+    );
+  });
+
+  it('should return 409 when the execution is not running', () => {
+    // Arrange
+    mockDeps.executionHistoryService.getExecution = jest
+      .fn()
+      .mockReturnValue({ id: 'exec-1', status: 'completed' });
+    mockDeps.executionRunner.cancel = jest.fn().mockReturnValue(false);
+
+    // Act
+    cancelExecution(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+  });
+
+  it('should return 404 when the execution does not exist', () => {
+    // Arrange
+    mockDeps.executionHistoryService.getExecution = jest
+      .fn()
+      .mockReturnValue(null);
+
+    // Act
+    cancelExecution(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockDeps.executionRunner.cancel).not.toHaveBeenCalled();
+  });
+
+  it('should only cancel executions for authenticated requests', () => {
+    // Arrange
+    const authMiddleware = rejectingAuthMiddleware();
+    const routes = getRoutes({ ...mockDeps, authMiddleware });
+
+    // Act
+    routes['POST /executions/:executionId/cancel'](mockReq, mockRes);
+
+    // Assert
+    expect(authMiddleware.authenticate).toHaveBeenCalledTimes(1);
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.executionRunner.cancel).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendFollowUp', () => {
+  let mockReq: Partial<Request>;
+  let mockRes: Partial<Response>;
+  let mockDeps: FollowUpDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: { executionId: 'exec-1' },
+      query: { detach: 'true' },
+      body: { message: 'Now add tests' },
+      headers: {},
+      user: {
+        email: 'alice@example.com',
+        sessionId: 's',
+        isAuthenticated: true,
+      },
+    };
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPrompt: jest.fn().mockReturnValue({ name: 'review-pr' }),
+      },
+      executionHistoryService: {
+        getExecution: jest.fn().mockReturnValue({
+          id: 'exec-1',
+          promptName: 'review-pr',
+          status: 'completed',
+          sessionId: 'session-1',
+        }),
+        getFollowUp: jest.fn().mockReturnValue(null),
+      },
+      executionRunner: {
+        isActive: jest.fn().mockReturnValue(false),
+        followUp: jest.fn().mockReturnValue('exec-2'),
+        attach: jest.fn(),
+      },
+    };
+  });
+
+  it('should continue the conversation as a new execution', () => {
+    // Act
+    sendFollowUp(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.executionRunner.followUp).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'exec-1' }),
+      { name: 'review-pr' },
+      'Now add tests',
+      'alice@example.com'
+    );
+    expect(mockRes.status).toHaveBeenCalledWith(202);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: {
+          executionId: 'exec-2',
+          previousExecutionId: 'exec-1',
+          status: 'running',
+          streamUrl: '/executions/exec-2/stream',
+        },
+      })
+    );
+  });
+
+  it('should only continue a conversation from its latest finished execution', () => {
+    // Arrange
+    const running = jest.fn().mockReturnValue(true);
+    const continued = jest.fn().mockReturnValue({ id: 'exec-2' });
+
+    // Act
+    sendFollowUp({
+      ...mockDeps,
+      executionRunner: { ...mockDeps.executionRunner, isActive: running },
+    })(mockReq as Request, mockRes as Response);
+    sendFollowUp({
+      ...mockDeps,
+      executionHistoryService: {
+        ...mockDeps.executionHistoryService,
+        getFollowUp: continued,
+      },
+    })(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledTimes(2);
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(mockDeps.executionRunner.followUp).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 for an execution without a conversation', () => {
+    // Arrange
+    mockDeps.executionHistoryService.getExecution = jest
+      .fn()
+      .mockReturnValue({ id: 'exec-1', promptName: 'review-pr' });
+
+    // Act
+    sendFollowUp(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: "Execution 'exec-1' has no conversation to continue",
+      })
+    );
+  });
+
+  it('should return 400 without a message', () => {
+    // Arrange
+    mockReq.body = { message: '  ' };
+
+    // Act
+    sendFollowUp(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockDeps.executionRunner.followUp).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when the workspace of the conversation was deleted', () => {
+    // Arrange
+    mockDeps.executionRunner.followUp = jest.fn(() => {
+      throw new WorkspaceUnavailableError('exec-1');
+    });
+
+    // Act
+    sendFollowUp(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: expect.stringContaining(
+          "The workspace of execution 'exec-1' was deleted"
+        ),
+      })
+    );
+  });
+
+  it('should only continue conversations for authenticated requests', () => {
+    // Arrange
+    const authMiddleware = rejectingAuthMiddleware();
+    const routes = getRoutes({ ...mockDeps, authMiddleware });
+
+    // Act
+    routes['POST /executions/:executionId/messages'](mockReq, mockRes);
+
+    // Assert
+    expect(authMiddleware.authenticate).toHaveBeenCalledTimes(1);
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.executionRunner.followUp).not.toHaveBeenCalled();
+  });
+});
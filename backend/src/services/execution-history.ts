@@ -1,7 +1,16 @@
 import type { Express, Request, Response } from 'express';
+import type { Readable } from 'stream';
 
-import type { ApiResponse } from '../types/index.js';
-import { handleError } from './common.js';
+import { getExecutionOutput } from '../providers/ExecutionRunner.js';
+import { BudgetExceededError } from '../providers/UsageTracker.js';
+import { WorkspaceUnavailableError } from '../providers/WorkspaceManager.js';
+import type { ApiResponse, Prompt } from '../types/index.js';
+import {
+  type AuthenticationDeps,
+  authenticated,
+  handleError,
+  sendBudgetExceeded,
+} from './common.js';
 
 // === EXECUTION HISTORY ===
 
@@ -52,9 +61,54 @@ export interface PromptActivityDeps {
   };
   executionHistoryService: {
     getPromptHistory: (promptName: string, limit: number) => any[];
+    getChildExecutions?: (parentExecutionId: string) => any[];
+    // Needed together to list the conversations of the executions
+    getThread?: (executionId: string) => any[];
+    getExecution?: (executionId: string) => any;
+    getExecutionText?: (executionId: string) => string;
   };
 }
 
+/**
+ * Attach the step executions of a workflow execution as `children`
+ */
+function withChildren(
+  execution: any,
+  executionHistoryService: {
+    getChildExecutions?: (parentExecutionId: string) => any[];
+  }
+) {
+  const children =
+    executionHistoryService.getChildExecutions?.(execution.id) || [];
+  return children.length > 0 ? { ...execution, children } : execution;
+}
+
+/**
+ * Attach the final output of an execution and, when it started a
+ * conversation, the executions that continued it as `followUps`
+ */
+function withConversation(
+  execution: any,
+  executionHistoryService: PromptActivityDeps['executionHistoryService']
+) {
+  if (!executionHistoryService.getThread) {
+    return execution;
+  }
+
+  const withOutput = (record: any) => ({
+    ...record,
+    output: getExecutionOutput(
+      executionHistoryService as Parameters<typeof getExecutionOutput>[0],
+      record.id
+    ),
+  });
+
+  const followUps = executionHistoryService.getThread(execution.id).slice(1);
+  return followUps.length > 0
+    ? { ...withOutput(execution), followUps: followUps.map(withOutput) }
+    : withOutput(execution);
+}
+
 export function getPromptActivity(deps: PromptActivityDeps) {
   const { promptManager, executionHistoryService } = deps;
 
@@ -73,11 +127,17 @@ export function getPromptActivity(deps: PromptActivityDeps) {
         });
       }
 
-      // Get execution history using the correct method name
-      const allExecutions =
+      // Follow-ups are listed with the execution that started their conversation
+      const allExecutions = (
         executionHistoryService.getPromptHistory(promptName, limit + offset) ||
-        [];
-      const executions = allExecutions.slice(offset, offset + limit);
+        []
+      ).filter((execution) => !execution.previousExecutionId);
+      const executions = allExecutions
+        .slice(offset, offset + limit)
+        .map((execution) => withChildren(execution, executionHistoryService))
+        .map((execution) =>
+          withConversation(execution, executionHistoryService)
+        );
       const total = allExecutions.length;
 
       const response = {
@@ -104,6 +164,7 @@ export function getPromptActivity(deps: PromptActivityDeps) {
 export interface ExecutionDetailsDeps {
   executionHistoryService: {
     getExecution: (executionId: string) => any;
+    getChildExecutions?: (parentExecutionId: string) => any[];
   };
 }
 
@@ -125,7 +186,7 @@ export function getExecutionDetails(deps: ExecutionDetailsDeps) {
 
       const response: ApiResponse = {
         success: true,
-        data: execution,
+        data: withChildren(execution, executionHistoryService),
         timestamp: new Date().toISOString(),
       };
 
@@ -136,6 +197,267 @@ export function getExecutionDetails(deps: ExecutionDetailsDeps) {
   };
 }
 
+export interface ExecutionStreamDeps {
+  executionRunner: {
+    attach: (executionId: string, res: Response) => boolean;
+  };
+}
+
+export function streamExecution(deps: ExecutionStreamDeps) {
+  const { executionRunner } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { executionId } = req.params;
+
+      // Replays recorded events, then follows live output while the execution runs
+      if (!executionRunner.attach(executionId, res)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Execution '${executionId}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export interface CancelExecutionDeps {
+  executionHistoryService: {
+    getExecution: (executionId: string) => any;
+  };
+  executionRunner: {
+    cancel: (executionId: string) => boolean;
+  };
+}
+
+export function cancelExecution(deps: CancelExecutionDeps) {
+  const { executionHistoryService, executionRunner } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { executionId } = req.params;
+
+      const execution = executionHistoryService.getExecution(executionId);
+      if (!execution) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Execution '${executionId}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!executionRunner.cancel(executionId)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Execution '${executionId}' is not running (status: ${execution.status})`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: {
+          executionId,
+          status: 'cancelled',
+        },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export interface FollowUpDeps {
+  promptManager: {
+    getPrompt: (name: string) => Prompt | null;
+  };
+  executionHistoryService: {
+    getExecution: (executionId: string) => any;
+    getFollowUp: (executionId: string) => any;
+  };
+  executionRunner: {
+    isActive: (executionId: string) => boolean;
+    followUp: (
+      previous: any,
+      prompt: Prompt,
+      message: string,
+      userEmail: string
+    ) => string;
+    attach: (executionId: string, res: Response) => boolean;
+  };
+}
+
+export function sendFollowUp(deps: FollowUpDeps) {
+  const { promptManager, executionHistoryService, executionRunner } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { executionId } = req.params;
+      const { message } = req.body;
+
+      const execution = executionHistoryService.getExecution(executionId);
+      if (!execution) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Execution '${executionId}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'message must be a non-empty string',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (executionRunner.isActive(executionId)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Execution '${executionId}' has not finished yet`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      // A conversation goes on from its latest execution only
+      const followUp = executionHistoryService.getFollowUp(executionId);
+      if (followUp) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Execution '${executionId}' was already continued by execution '${followUp.id}'`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!execution.sessionId && !execution.transcript) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Execution '${executionId}' has no conversation to continue`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const prompt = promptManager.getPrompt(execution.promptName);
+      if (!prompt) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Prompt '${execution.promptName}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const followUpId = executionRunner.followUp(
+        execution,
+        prompt,
+        message,
+        req.user?.email || 'unknown'
+      );
+
+      // Detached follow-ups return immediately; clients attach to the stream later
+      if (req.query['detach'] === 'true' || req.body.detach === true) {
+        const response: ApiResponse = {
+          success: true,
+          data: {
+            executionId: followUpId,
+            previousExecutionId: executionId,
+            status: 'running',
+            streamUrl: `/executions/${followUpId}/stream`,
+          },
+          timestamp: new Date().toISOString(),
+        };
+        return res.status(202).json(response);
+      }
+
+      executionRunner.attach(followUpId, res);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return sendBudgetExceeded(res, error);
+      }
+      if (error instanceof WorkspaceUnavailableError) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `${error.message}; start a new execution instead`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      handleError(res, error);
+    }
+  };
+}
+
+export interface ExecutionWorkspaceDeps {
+  executionHistoryService: {
+    getExecution: (executionId: string) => any;
+  };
+  executionRunner: {
+    isActive: (executionId: string) => boolean;
+  };
+  workspaceManager: {
+    getWorkspacePath: (executionId: string) => Promise<string | null>;
+    createArchiveStream: (executionId: string) => Readable;
+  };
+}
+
+export function downloadExecutionWorkspace(deps: ExecutionWorkspaceDeps) {
+  const { executionHistoryService, executionRunner, workspaceManager } = deps;
+
+  return async (req: Request, res: Response) => {
+    try {
+      const { executionId } = req.params;
+
+      const execution = executionHistoryService.getExecution(executionId);
+      if (!execution) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Execution '${executionId}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (executionRunner.isActive(executionId)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Execution '${executionId}' has not finished yet`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!(await workspaceManager.getWorkspacePath(executionId))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `The workspace of execution '${executionId}' is not available (set EXECUTION_WORKSPACES=keep to keep workspaces)`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const archive = workspaceManager.createArchiveStream(executionId);
+      archive.on('error', (error) => {
+        if (res.headersSent) {
+          res.destroy(error);
+        } else {
+          handleError(res, error);
+        }
+      });
+
+      res.setHeader('Content-Type', 'application/gzip');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="workspace-${executionId}.tar.gz"`
+      );
+      archive.pipe(res);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
 /**
  * Wire up execution history routes to the Express app
  * @param app - Express application instance
@@ -143,7 +465,14 @@ export function getExecutionDetails(deps: ExecutionDetailsDeps) {
  */
 export function setupExecutionHistoryRoutes(
   app: Express,
-  deps: ExecutionHistoryDeps & PromptActivityDeps & ExecutionDetailsDeps
+  deps: ExecutionHistoryDeps &
+    PromptActivityDeps &
+    ExecutionDetailsDeps &
+    ExecutionStreamDeps &
+    CancelExecutionDeps &
+    FollowUpDeps &
+    ExecutionWorkspaceDeps &
+    AuthenticationDeps
 ) {
   // GET /executions - Get recent execution history across all prompts
   app.get('/executions', getExecutionHistory(deps));
@@ -153,4 +482,25 @@ export function setupExecutionHistoryRoutes(
 
   // GET /executions/:executionId - Get details of a specific execution
   app.get('/executions/:executionId', getExecutionDetails(deps));
+
+  // GET /executions/:executionId/stream - Replay and follow an execution's events
+  app.get('/executions/:executionId/stream', streamExecution(deps));
+
+  // POST /executions/:executionId/cancel - Stop a running execution
+  app.post(
+    '/executions/:executionId/cancel',
+    authenticated(deps, cancelExecution(deps))
+  );
+
+  // POST /executions/:executionId/messages - Continue a finished execution's conversation
+  app.post(
+    '/executions/:executionId/messages',
+    authenticated(deps, sendFollowUp(deps))
+  );
+
+  // GET /executions/:executionId/workspace - Download a finished execution's workspace
+  app.get(
+    '/executions/:executionId/workspace',
+    authenticated(deps, downloadExecutionWorkspace(deps))
+  );
 }
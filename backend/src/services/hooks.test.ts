@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import type { Request, Response } from 'express';
+
+import { isServerAuthorizedForRun } from '../auth/authUtils.js';
+import {
+  type PromptHookDeps,
+  WEBHOOK_USER_EMAIL,
+  mapPayloadToParameters,
+  triggerPromptHook,
+  verifyHubSignature,
+} from './hooks.js';
+
+// Mock the common module
+jest.mock('./common.js', () => ({
+  handleError: jest.fn(),
+}));
+
+// Mock the prompt utils
+jest.mock('../../public/js/prompt-utils.js', () => ({
+  mergeParametersWithDefaults: jest.fn((_prompt, parameters) => parameters),
+}));
+
+// Mock the auth utils
+jest.mock('../auth/authUtils.js', () => ({
+  isServerAuthorizedForRun: jest.fn(),
+}));
+
+function sign(secret: string, body: string): string {
+  return (
+    'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+  );
+}
+
+describe('verifyHubSignature', () => {
+  it('should accept a valid signature and reject anything else', () => {
+    // Arrange
+    const body = Buffer.from('{"a":1}');
+    const signature = sign('secret', '{"a":1}');
+
+    // Act & Assert
+    expect(verifyHubSignature('secret', body, signature)).toBe(true);
+    expect(verifyHubSignature('other', body, signature)).toBe(false);
+    expect(verifyHubSignature('secret', body, 'sha256=abc')).toBe(false);
+    expect(verifyHubSignature('secret', body, undefined)).toBe(false);
+  });
+});
+
+describe('mapPayloadToParameters', () => {
+  it('should map nested payload fields onto parameters', () => {
+    // Arrange
+    const payload = {
+      issue: { key: 'ABC-1', fields: { labels: ['bug'] } },
+      commits: [{ id: 'c1' }],
+    };
+
+    // Act
+    const parameters = mapPayloadToParameters(payload, {
+      issueKey: 'issue.key',
+      labels: 'issue.fields.labels',
+      firstCommit: 'commits.0.id',
+      missing: 'issue.fields.summary',
+    });
+
+    // Assert
+    expect(parameters).toEqual({
+      issueKey: 'ABC-1',
+      labels: '["bug"]',
+      firstCommit: 'c1',
+    });
+  });
+});
+
+describe('triggerPromptHook', () => {
+  const payload = { issue: { key: 'ABC-1' } };
+  const rawBody = JSON.stringify(payload);
+
+  let mockReq: Partial<Request>;
+  let mockRes: Partial<Response>;
+  let mockDeps: PromptHookDeps;
+  let headers: Record<string, string>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    (isServerAuthorizedForRun as jest.Mock).mockResolvedValue(true);
+
+    headers = { 'x-hub-signature-256': sign('hook-secret', rawBody) };
+    mockReq = {
+      params: { promptName: 'triage-issue' },
+      body: payload,
+      rawBody: Buffer.from(rawBody),
+      get: jest.fn((name: string) => headers[name.toLowerCase()]) as any,
+    };
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPrompt: jest.fn().mockReturnValue({
+          name: 'triage-issue',
+          mcp_servers: ['jira'],
+          messages: [
+            {
+              role: 'user',
+              content: 'Triage {{issueKey}}',
+              parameters: { required: ['issueKey'] },
+            },
+          ],
+          webhook: {
+            secret: 'hook-secret',
+            parameters: { issueKey: 'issue.key' },
+          },
+        }),
+        savePendingPrompt: jest.fn().mockReturnValue({ id: 'pending-1' }),
+      },
+      configManager: {
+        getMcpServer: jest.fn(),
+      },
+      authManager: {},
+      executionRunner: {
+        start: jest.fn().mockReturnValue('execution-1'),
+      },
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should start a background execution with the mapped parameters', async () => {
+    // Act
+    await triggerPromptHook(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.executionRunner.start).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'triage-issue' }),
+      { issueKey: 'ABC-1' },
+      WEBHOOK_USER_EMAIL
+    );
+    expect(mockRes.status).toHaveBeenCalledWith(202);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: {
+          executionId: 'execution-1',
+          status: 'running',
+          streamUrl: '/executions/execution-1/stream',
+        },
+      })
+    );
+  });
+
+  it('should return 401 when the signature does not match', async () => {
+    // Arrange
+    headers['x-hub-signature-256'] = sign('wrong-secret', rawBody);
+
+    // Act
+    await triggerPromptHook(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.executionRunner.start).not.toHaveBeenCalled();
+  });
+
+  it('should prefer the secret from the environment', async () => {
+    // Arrange
+    process.env['WEBHOOK_triage-issue_secret'] = 'env-secret';
+    headers['x-hub-signature-256'] = sign('env-secret', rawBody);
+
+    // Act
+    await triggerPromptHook(mockDeps)(mockReq as Request, mockRes as Response);
+    delete process.env['WEBHOOK_triage-issue_secret'];
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(202);
+  });
+
+  it('should return 404 for prompts without a webhook', async () => {
+    // Arrange
+    mockDeps.promptManager.getPrompt = jest
+      .fn()
+      .mockReturnValue({ name: 'triage-issue' });
+
+    // Act
+    await triggerPromptHook(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+  });
+
+  it('should return 400 when a required parameter is not in the payload', async () => {
+    // Arrange
+    const body = '{}';
+    mockReq.body = {};
+    mockReq.rawBody = Buffer.from(body);
+    headers['x-hub-signature-256'] = sign('hook-secret', body);
+
+    // Act
+    await triggerPromptHook(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        error: 'Bad Request',
+        details: {
+          fields: [
+            { field: 'issueKey', message: 'is required', keyword: 'required' },
+          ],
+        },
+      })
+    );
+  });
+
+  it('should save a pending prompt when an MCP server is not authorized', async () => {
+    // Arrange
+    (isServerAuthorizedForRun as jest.Mock).mockResolvedValue(false);
+    mockDeps.notificationService = { notifyAuthorizationNeeded: jest.fn() };
+
+    // Act
+    await triggerPromptHook(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.promptManager.savePendingPrompt).toHaveBeenCalledWith(
+      'triage-issue',
+      { issueKey: 'ABC-1' },
+      WEBHOOK_USER_EMAIL,
+      ['jira']
+    );
+    expect(
+      mockDeps.notificationService.notifyAuthorizationNeeded
+    ).toHaveBeenCalledWith('triage-issue', ['jira'], WEBHOOK_USER_EMAIL);
+    expect(mockRes.status).toHaveBeenCalledWith(202);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: {
+          status: 'pending',
+          pendingPromptId: 'pending-1',
+          unauthorizedServers: ['jira'],
+        },
+      })
+    );
+    expect(mockDeps.executionRunner.start).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import type { Express, Request, Response } from 'express';
+
+import { validatePromptParameters } from '../../public/js/parameter-validator.js';
+import { mergeParametersWithDefaults } from '../../public/js/prompt-utils.js';
+import { isServerAuthorizedForRun } from '../auth/authUtils.js';
+import { BudgetExceededError } from '../providers/UsageTracker.js';
+import type { ApiResponse } from '../types/index.js';
+import { handleError, sendBudgetExceeded } from './common.js';
+
+// === INBOUND WEBHOOKS ===
+
+/**
+ * User that webhook-triggered executions are recorded under
+ */
+export const WEBHOOK_USER_EMAIL = 'webhook@system';
+
+export const SIGNATURE_HEADER = 'x-hub-signature-256';
+
+/**
+ * Get the secret of a prompt's webhook. The WEBHOOK_<promptName>_secret
+ * environment variable overrides `webhook.secret` from the prompt config.
+ */
+export function getWebhookSecret(prompt: any): string | null {
+  return (
+    process.env[`WEBHOOK_${prompt.name}_secret`] ||
+    prompt.webhook?.secret ||
+    null
+  );
+}
+
+/**
+ * Verify a GitHub style `sha256=<hex HMAC of the raw body>` signature
+ */
+export function verifyHubSignature(
+  secret: string,
+  rawBody: Buffer,
+  signature: string | undefined
+): boolean {
+  if (!signature?.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    'sha256=' +
+      crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+  );
+  const received = Buffer.from(signature);
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Map payload fields onto prompt parameters.
+ * @param mapping - Parameter name to dot-separated payload path (e.g. "issue.fields.summary")
+ */
+export function mapPayloadToParameters(
+  payload: any,
+  mapping: Record<string, string> = {}
+): Record<string, any> {
+  const parameters: Record<string, any> = {};
+
+  for (const [parameterName, fieldPath] of Object.entries(mapping)) {
+    const value = fieldPath
+      .split('.')
+      .reduce(
+        (current, key) =>
+          current !== null && typeof current === 'object'
+            ? current[key]
+            : undefined,
+        payload
+      );
+
+    if (value !== undefined) {
+      parameters[parameterName] =
+        typeof value === 'object' ? JSON.stringify(value) : value;
+    }
+  }
+
+  return parameters;
+}
+
+export interface PromptHookDeps {
+  promptManager: {
+    getPrompt: (name: string) => any;
+    savePendingPrompt: (
+      name: string,
+      parameters: any,
+      userEmail?: string,
+      unauthorizedServers?: string[]
+    ) => any;
+  };
+  configManager: {
+    getMcpServer: (name: string) => any;
+  };
+  authManager: any; // Keep flexible for isServerAuthorizedForRun function
+  executionRunner: {
+    start: (prompt: any, parameters: any, userEmail: string) => string;
+  };
+  notificationService?: {
+    notifyAuthorizationNeeded: (
+      promptName: string,
+      unauthorizedServers: string[],
+      userEmail: string
+    ) => void;
+  };
+}
+
+export function triggerPromptHook(deps: PromptHookDeps) {
+  const {
+    promptManager,
+    configManager,
+    authManager,
+    executionRunner,
+    notificationService,
+  } = deps;
+
+  return async (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+
+      const prompt = promptManager.getPrompt(promptName);
+      if (!prompt?.webhook) {
+        res.status(404).json({
+          error: 'Not Found',
+          message: `Prompt '${promptName}' has no webhook`,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      const secret = getWebhookSecret(prompt);
+      if (!secret) {
+        res.status(403).json({
+          error: 'Forbidden',
+          message: `The webhook of prompt '${promptName}' has no secret configured`,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      if (
+        !req.rawBody ||
+        !verifyHubSignature(
+          secret,
+          req.rawBody,
+          req.get(SIGNATURE_HEADER) || undefined
+        )
+      ) {
+        res.status(401).json({
+          error: 'Unauthorized',
+          message: `Missing or invalid ${SIGNATURE_HEADER} header`,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      // GitHub sends a ping when a webhook is created
+      if (req.get('x-github-event') === 'ping') {
+        res.json({
+          success: true,
+          data: { status: 'pong' },
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      const parameters = mergeParametersWithDefaults(
+        prompt,
+        mapPayloadToParameters(req.body, prompt.webhook.parameters)
+      );
+
+      const validationErrors = validatePromptParameters(prompt, parameters);
+      if (validationErrors.length > 0) {
+        const response: ApiResponse = {
+          error: 'Bad Request',
+          message: 'Payload does not provide valid prompt parameters',
+          details: { fields: validationErrors },
+          timestamp: new Date().toISOString(),
+        };
+        res.status(400).json(response);
+        return;
+      }
+
+      const unauthorizedServers: string[] = [];
+      for (const mcpServerName of prompt.mcp_servers || []) {
+        const mcpServer = configManager.getMcpServer(mcpServerName);
+        const isAuthorized = await isServerAuthorizedForRun(
+          mcpServerName,
+          mcpServer,
+          authManager
+        );
+        if (!isAuthorized) {
+          unauthorizedServers.push(mcpServerName);
+        }
+      }
+
+      if (unauthorizedServers.length > 0) {
+        // Run later, once the servers are authorized
+        const pending = promptManager.savePendingPrompt(
+          promptName,
+          parameters,
+          WEBHOOK_USER_EMAIL,
+          unauthorizedServers
+        );
+        notificationService?.notifyAuthorizationNeeded(
+          promptName,
+          unauthorizedServers,
+          WEBHOOK_USER_EMAIL
+        );
+
+        const response: ApiResponse = {
+          success: true,
+          data: {
+            status: 'pending',
+            pendingPromptId: pending.id,
+            unauthorizedServers,
+          },
+          timestamp: new Date().toISOString(),
+        };
+        res.status(202).json(response);
+        return;
+      }
+
+      const executionId = executionRunner.start(
+        prompt,
+        parameters,
+        WEBHOOK_USER_EMAIL
+      );
+      console.log(`🪝 Webhook started prompt ${promptName}: ${executionId}`);
+
+      const response: ApiResponse = {
+        success: true,
+        data: {
+          executionId,
+          status: 'running',
+          streamUrl: `/executions/${executionId}/stream`,
+        },
+        timestamp: new Date().toISOString(),
+      };
+      res.status(202).json(response);
+    } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        return sendBudgetExceeded(res, error);
+      }
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Wire up inbound webhook routes to the Express app
+ * @param app - Express application instance
+ * @param deps - Dependencies for dependency injection
+ */
+export function setupHookRoutes(app: Express, deps: PromptHookDeps) {
+  // POST /hooks/:promptName - Start a prompt from a signed webhook payload
+  app.post('/hooks/:promptName', triggerPromptHook(deps));
+}
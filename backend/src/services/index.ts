@@ -4,6 +4,12 @@ import { setupPromptRoutes } from './prompts.js';
 import { setupConnectionRoutes } from './connections.js';
 import { setupSystemRoutes } from './system.js';
 import { setupExecutionHistoryRoutes } from './execution-history.js';
+import { setupPendingPromptRoutes } from './pending-prompts.js';
+import { setupScheduleRoutes } from './schedules.js';
+import { setupHookRoutes } from './hooks.js';
+import { setupPromptVersionRoutes } from './prompt-versions.js';
+import { setupToolApprovalRoutes } from './tool-approvals.js';
+import { setupUsageRoutes } from './usage.js';
 
 // Re-export all functions from the modular services
 export { getUserInfo, setupUserRoutes } from './user.js';
@@ -11,8 +17,18 @@ export {
   getPrompts, 
   getPrompt, 
   executePrompt,
+  createPrompt,
+  updatePrompt,
+  deletePrompt,
   setupPromptRoutes 
 } from './prompts.js';
+export { 
+  getPromptVersions, 
+  getPromptVersion,
+  diffPromptVersions,
+  restorePromptVersion,
+  setupPromptVersionRoutes 
+} from './prompt-versions.js';
 export { 
   getConnections, 
   authorizeMcpServer, 
@@ -24,18 +40,51 @@ export {
   getSystemHealth, 
   getSystemStatus, 
   getSystemConfig,
+  reloadConfiguration,
   setupSystemRoutes 
 } from './system.js';
 export { 
   getExecutionHistory, 
   getPromptActivity,
+  getExecutionDetails,
+  streamExecution,
+  cancelExecution,
+  downloadExecutionWorkspace,
   setupExecutionHistoryRoutes 
 } from './execution-history.js';
+export { 
+  getToolApprovals, 
+  decideToolApproval,
+  setupToolApprovalRoutes 
+} from './tool-approvals.js';
+export { 
+  getUsage, 
+  setupUsageRoutes 
+} from './usage.js';
+export { 
+  getPendingPrompts, 
+  deletePendingPrompt,
+  resumeReadyPrompts,
+  setupPendingPromptRoutes 
+} from './pending-prompts.js';
+export { 
+  getSchedules, 
+  pauseSchedule,
+  resumeSchedule,
+  setupScheduleRoutes 
+} from './schedules.js';
+export { 
+  triggerPromptHook, 
+  verifyHubSignature,
+  mapPayloadToParameters,
+  setupHookRoutes 
+} from './hooks.js';
 
 // Re-export common types and utilities for convenience
 export type { Dependencies } from './common.js';
 export { 
   handleError, 
+  sendBudgetExceeded,
   isBrowserRequest,
   checkConnectionAvailability,
   getConnectionDescription,
@@ -52,7 +101,13 @@ export {
 export function setupAllWebClientRoutes(app: any, deps: any = {}) {
   setupUserRoutes(app, deps);
   setupPromptRoutes(app, deps);
+  setupPromptVersionRoutes(app, deps);
   setupConnectionRoutes(app, deps); 
   setupSystemRoutes(app, deps);
   setupExecutionHistoryRoutes(app, deps);
+  setupToolApprovalRoutes(app, deps);
+  setupUsageRoutes(app, deps);
+  setupPendingPromptRoutes(app, deps);
+  setupScheduleRoutes(app, deps);
+  setupHookRoutes(app, deps);
 }
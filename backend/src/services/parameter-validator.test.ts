@@ -0,0 +1,156 @@
+import {
+  validateAgainstSchema,
+  validatePromptParameters,
+} from '../../public/js/parameter-validator.js';
+import { validateParameters } from '../../public/js/prompt-utils.js';
+
+describe('validateAgainstSchema', () => {
+  it('should validate enums, string lengths and patterns', () => {
+    // Arrange
+    const schema = {
+      type: 'object',
+      properties: {
+        issueType: { type: 'string', enum: ['Task', 'Bug'] },
+        projectKey: { type: 'string', pattern: '^[A-Z]+$', maxLength: 5 },
+      },
+    };
+
+    // Act
+    const errors = validateAgainstSchema(schema, {
+      issueType: 'Epic',
+      projectKey: 'abcdef',
+    });
+
+    // Assert
+    expect(errors).toEqual([
+      {
+        field: 'issueType',
+        message: 'must be one of: "Task", "Bug"',
+        keyword: 'enum',
+      },
+      {
+        field: 'projectKey',
+        message: 'must be at most 5 characters long',
+        keyword: 'maxLength',
+      },
+      {
+        field: 'projectKey',
+        message: 'must match the pattern ^[A-Z]+$',
+        keyword: 'pattern',
+      },
+    ]);
+  });
+
+  it('should validate number ranges and accept numeric strings', () => {
+    // Arrange
+    const schema = { type: 'integer', minimum: 1, maximum: 30 };
+
+    // Act & Assert
+    expect(validateAgainstSchema(schema, '7', 'days')).toEqual([]);
+    expect(validateAgainstSchema(schema, 31, 'days')).toEqual([
+      {
+        field: 'days',
+        message: 'must be less than or equal to 30',
+        keyword: 'maximum',
+      },
+    ]);
+    expect(validateAgainstSchema(schema, 1.5, 'days')).toEqual([
+      { field: 'days', message: 'must be an integer', keyword: 'type' },
+    ]);
+  });
+
+  it('should validate array items and nested objects with field paths', () => {
+    // Arrange
+    const schema = {
+      type: 'object',
+      properties: {
+        labels: {
+          type: 'array',
+          minItems: 1,
+          uniqueItems: true,
+          items: { type: 'string' },
+        },
+        assignee: {
+          type: 'object',
+          required: ['email'],
+          additionalProperties: false,
+          properties: { email: { type: 'string' } },
+        },
+      },
+    };
+
+    // Act
+    const errors = validateAgainstSchema(schema, {
+      labels: ['bug', 3, 'bug'],
+      assignee: { name: 'Sam' },
+    });
+
+    // Assert
+    expect(errors.map((error) => [error.field, error.keyword])).toEqual([
+      ['labels', 'uniqueItems'],
+      ['labels[1]', 'type'],
+      ['assignee.email', 'required'],
+      ['assignee.name', 'additionalProperties'],
+    ]);
+  });
+});
+
+describe('validatePromptParameters', () => {
+  const prompt = {
+    messages: [
+      {
+        parameters: {
+          type: 'object',
+          properties: { summary: { type: 'string', minLength: 3 } },
+          required: ['summary'],
+        },
+      },
+      {
+        parameters: {
+          properties: { summary: { type: 'string', minLength: 3 } },
+          required: ['summary'],
+        },
+      },
+      { role: 'user', content: 'No parameters' },
+    ],
+  };
+
+  it('should treat empty strings as missing required parameters', () => {
+    // Act
+    const errors = validatePromptParameters(prompt, { summary: '' });
+
+    // Assert
+    expect(errors).toEqual([
+      { field: 'summary', message: 'is required', keyword: 'required' },
+    ]);
+  });
+
+  it('should report each failing field once across messages', () => {
+    // Act
+    const errors = validatePromptParameters(prompt, { summary: 'ab' });
+
+    // Assert
+    expect(errors).toHaveLength(1);
+    expect(validateParameters(prompt, { summary: 'ab' })).toEqual([
+      "Parameter 'summary' must be at least 3 characters long",
+    ]);
+  });
+
+  it('should accept valid parameters', () => {
+    // Act & Assert
+    expect(validatePromptParameters(prompt, { summary: 'Valid' })).toEqual([]);
+  });
+
+  it('should validate the top-level parameters of workflows', () => {
+    // Arrange
+    const workflow = {
+      parameters: { properties: { title: { type: 'string' } } },
+      steps: [],
+    };
+
+    // Act & Assert
+    expect(validatePromptParameters(workflow, { title: 1 })).toEqual([
+      { field: 'title', message: 'must be a string', keyword: 'type' },
+    ]);
+  });
+});
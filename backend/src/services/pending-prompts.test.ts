@@ -0,0 +1,175 @@
+import type { Request, Response } from 'express';
+
+import {
+  type PendingPromptsDeps,
+  type ResumePendingPromptsDeps,
+  deletePendingPrompt,
+  resumeReadyPrompts,
+  setupPendingPromptRoutes,
+} from './pending-prompts.js';
+
+// Mock the common module
+jest.mock('./common.js', () => ({
+  handleError: jest.fn(),
+  authenticated: jest.requireActual('./common.js').authenticated,
+}));
+
+// Mock the auth utils
+jest.mock('../auth/authUtils.js', () => ({
+  isServerAuthorized: jest.fn(),
+}));
+
+describe('deletePendingPrompt', () => {
+  let mockReq: Partial<Request>;
+  let mockRes: Partial<Response>;
+  let mockDeps: PendingPromptsDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: { id: 'pending-1' },
+      body: {},
+      headers: {},
+      query: {},
+    };
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPrompt: jest.fn(),
+        getPendingPrompts: jest.fn().mockReturnValue([]),
+        removePendingPrompt: jest.fn(),
+      },
+      configManager: {
+        getMcpServer: jest.fn(),
+      },
+      authManager: {},
+    };
+  });
+
+  it('should remove the pending prompt', () => {
+    // Arrange
+    mockDeps.promptManager.removePendingPrompt = jest
+      .fn()
+      .mockReturnValue(true);
+
+    // Act
+    deletePendingPrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.promptManager.removePendingPrompt).toHaveBeenCalledWith(
+      'pending-1'
+    );
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, data: { id: 'pending-1' } })
+    );
+  });
+
+  it('should return 404 when the pending prompt does not exist', () => {
+    // Arrange
+    mockDeps.promptManager.removePendingPrompt = jest
+      .fn()
+      .mockReturnValue(false);
+
+    // Act
+    deletePendingPrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({ error: 'Not Found' })
+    );
+  });
+
+  it('should only cancel pending prompts for authenticated requests', () => {
+    // Arrange
+    const routes: Record<string, any> = {};
+    const app: any = {};
+    for (const method of ['get', 'delete']) {
+      app[method] = (path: string, handler: any) => {
+        routes[`${method.toUpperCase()} ${path}`] = handler;
+      };
+    }
+    const authMiddleware = {
+      authenticate: jest.fn((_req, res) =>
+        res.status(401).json({ error: 'Unauthorized' })
+      ),
+    };
+    setupPendingPromptRoutes(app, { ...mockDeps, authMiddleware });
+
+    // Act
+    routes['DELETE /pending-prompts/:id'](mockReq, mockRes);
+
+    // Assert
+    expect(authMiddleware.authenticate).toHaveBeenCalledTimes(1);
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.promptManager.removePendingPrompt).not.toHaveBeenCalled();
+  });
+});
+
+describe('resumeReadyPrompts', () => {
+  let mockDeps: ResumePendingPromptsDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const pending = {
+      id: 'pending-1',
+      promptName: 'create-issue',
+      parameters: { title: 'Bug' },
+      userEmail: 'user@example.com',
+      timestamp: new Date().toISOString(),
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPrompt: jest.fn().mockReturnValue({ name: 'create-issue' }),
+        getReadyPrompts: jest.fn().mockReturnValue([pending]),
+        removePendingPrompt: jest.fn().mockReturnValue(true),
+      },
+      configManager: {},
+      authManager: {},
+      executionRunner: {
+        start: jest.fn().mockReturnValue('execution-1'),
+      },
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run ready prompts in the background and dequeue them', () => {
+    // Act
+    const started = resumeReadyPrompts(mockDeps);
+
+    // Assert
+    expect(started.map((p) => p.id)).toEqual(['pending-1']);
+    expect(mockDeps.promptManager.removePendingPrompt).toHaveBeenCalledWith(
+      'pending-1'
+    );
+    expect(mockDeps.executionRunner.start).toHaveBeenCalledWith(
+      { name: 'create-issue' },
+      { title: 'Bug' },
+      'user@example.com'
+    );
+  });
+
+  it('should not run anything when no pending prompt is ready', () => {
+    // Arrange
+    mockDeps.promptManager.getReadyPrompts = jest.fn().mockReturnValue([]);
+
+    // Act
+    const started = resumeReadyPrompts(mockDeps);
+
+    // Assert
+    expect(started).toEqual([]);
+    expect(mockDeps.executionRunner.start).not.toHaveBeenCalled();
+  });
+});
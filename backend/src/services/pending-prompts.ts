@@ -0,0 +1,176 @@
+import type { Express, Request, Response } from 'express';
+
+import { isServerAuthorized } from '../auth/authUtils.js';
+import type { RunOverrides } from '../providers/ModelSettings.js';
+import type { ApiResponse } from '../types/index.js';
+import {
+  type AuthenticationDeps,
+  authenticated,
+  handleError,
+} from './common.js';
+
+// === PENDING PROMPTS ===
+
+export interface PendingPrompt {
+  id: string;
+  promptName: string;
+  parameters: Record<string, any>;
+  userEmail?: string;
+  unauthorizedServers?: string[];
+  options?: RunOverrides | null; // Model settings the run overrode
+  timestamp: string;
+}
+
+export interface PendingPromptsDeps {
+  promptManager: {
+    getPrompt: (name: string) => any;
+    getPendingPrompts: () => PendingPrompt[];
+    removePendingPrompt: (id: string) => boolean;
+  };
+  configManager: {
+    getMcpServer: (name: string) => any;
+  };
+  authManager: any; // Keep flexible for isServerAuthorized function
+}
+
+export function getPendingPrompts(deps: PendingPromptsDeps) {
+  const { promptManager, configManager, authManager } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const pendingPrompts = promptManager
+        .getPendingPrompts()
+        .map((pending) => {
+          const prompt = promptManager.getPrompt(pending.promptName);
+          const waitingFor = (prompt?.mcp_servers || []).filter(
+            (serverName: string) =>
+              !isServerAuthorized(
+                serverName,
+                configManager.getMcpServer(serverName),
+                authManager
+              )
+          );
+
+          return {
+            ...pending,
+            waitingFor,
+          };
+        });
+
+      const response: ApiResponse = {
+        success: true,
+        data: { pendingPrompts },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function deletePendingPrompt(deps: PendingPromptsDeps) {
+  const { promptManager } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { id } = req.params;
+
+      if (!promptManager.removePendingPrompt(id)) {
+        res.status(404).json({
+          error: 'Not Found',
+          message: `Pending prompt '${id}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: { id },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export interface ResumePendingPromptsDeps {
+  promptManager: {
+    getPrompt: (name: string) => any;
+    getReadyPrompts: (authManager: any, configManager: any) => PendingPrompt[];
+    removePendingPrompt: (id: string) => boolean;
+  };
+  configManager: any;
+  authManager: any;
+  executionRunner: {
+    start: (prompt: any, parameters: any, userEmail: string) => string;
+  };
+}
+
+/**
+ * Run every pending prompt whose MCP servers are now all authorized.
+ *
+ * The runs happen in the background through the execution runner; clients
+ * can follow them from execution history.
+ * @returns The pending prompts that were started
+ */
+export function resumeReadyPrompts(
+  deps: ResumePendingPromptsDeps
+): PendingPrompt[] {
+  const { promptManager, configManager, authManager, executionRunner } = deps;
+
+  const readyPrompts = promptManager.getReadyPrompts(
+    authManager,
+    configManager
+  );
+
+  for (const pending of readyPrompts) {
+    promptManager.removePendingPrompt(pending.id);
+
+    const prompt = promptManager.getPrompt(pending.promptName);
+    if (!prompt) {
+      continue;
+    }
+
+    console.log(`▶️  Resuming pending prompt: ${pending.promptName}`);
+
+    try {
+      executionRunner.start(
+        pending.options ? { ...prompt, ...pending.options } : prompt,
+        pending.parameters,
+        pending.userEmail || 'unknown'
+      );
+    } catch (error: any) {
+      // One prompt over budget must not keep the others from resuming
+      console.warn(
+        `⚠️  Could not resume pending prompt ${pending.promptName}: ${error.message}`
+      );
+    }
+  }
+
+  return readyPrompts;
+}
+
+/**
+ * Wire up pending prompt routes to the Express app
+ * @param app - Express application instance
+ * @param deps - Dependencies for dependency injection
+ */
+export function setupPendingPromptRoutes(
+  app: Express,
+  deps: PendingPromptsDeps & AuthenticationDeps
+) {
+  // GET /pending-prompts - List prompts waiting for MCP server authorization
+  app.get('/pending-prompts', getPendingPrompts(deps));
+
+  // DELETE /pending-prompts/:id - Cancel a pending prompt
+  app.delete(
+    '/pending-prompts/:id',
+    authenticated(deps, deletePendingPrompt(deps))
+  );
+}
@@ -0,0 +1,211 @@
+import type { Request, Response } from 'express';
+
+import {
+  type PromptVersionsDeps,
+  diffPromptVersions,
+  getPromptVersions,
+  restorePromptVersion,
+  setupPromptVersionRoutes,
+} from './prompt-versions.js';
+
+// Mock the common module
+jest.mock('./common.js', () => ({
+  authenticated: jest.requireActual('./common.js').authenticated,
+  handleError: jest.fn(),
+}));
+
+describe('prompt versions', () => {
+  const createVersion = (version: number, content: string) => ({
+    version,
+    createdAt: '2024-01-15T10:30:00Z',
+    prompt: {
+      name: 'review-pr',
+      mcp_servers: ['github'],
+      messages: [{ role: 'user', content }],
+    },
+  });
+  const versions = [createVersion(1, 'Review'), createVersion(2, 'Review it')];
+
+  let mockRes: Partial<Response>;
+  let mockDeps: PromptVersionsDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPromptVersions: jest.fn((name) =>
+          name === 'review-pr' ? versions : []
+        ),
+        getPromptVersion: jest.fn((_name, version) => versions[version - 1]),
+        getCurrentVersion: jest.fn((name) => (name === 'review-pr' ? 2 : null)),
+        diffPromptVersions: jest.fn((promptName, from, to) => ({
+          promptName,
+          from,
+          to,
+          changes: [],
+        })),
+        validatePrompt: jest.fn(),
+        getPrompt: jest.fn().mockReturnValue(versions[1]!.prompt),
+        isPromptEditable: jest.fn().mockReturnValue(true),
+        restorePromptVersion: jest.fn().mockResolvedValue({
+          ...createVersion(3, 'Review'),
+          restoredFrom: 1,
+        }),
+      },
+      configManager: {
+        getMcpServer: jest.fn((name) =>
+          name === 'github' ? { name } : undefined
+        ),
+      },
+      promptScheduler: {
+        initialize: jest.fn(),
+      },
+    };
+  });
+
+  it('should list the versions newest first', () => {
+    // Arrange
+    const mockReq: Partial<Request> = { params: { promptName: 'review-pr' } };
+
+    // Act
+    getPromptVersions(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: {
+          promptName: 'review-pr',
+          currentVersion: 2,
+          versions: [versions[1], versions[0]],
+        },
+      })
+    );
+  });
+
+  it('should return 404 for prompts without versions', () => {
+    // Arrange
+    const mockReq: Partial<Request> = { params: { promptName: 'unknown' } };
+
+    // Act
+    getPromptVersions(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+  });
+
+  it('should diff the current version against the one before by default', () => {
+    // Arrange
+    const mockReq: Partial<Request> = {
+      params: { promptName: 'review-pr' },
+      query: {},
+    };
+
+    // Act
+    diffPromptVersions(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.promptManager.diffPromptVersions).toHaveBeenCalledWith(
+      'review-pr',
+      1,
+      2
+    );
+  });
+
+  it('should reject versions that are not numbers', () => {
+    // Arrange
+    const mockReq: Partial<Request> = {
+      params: { promptName: 'review-pr' },
+      query: { from: 'latest' },
+    };
+
+    // Act
+    diffPromptVersions(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockDeps.promptManager.diffPromptVersions).not.toHaveBeenCalled();
+  });
+
+  it('should restore a version and reload the schedules', async () => {
+    // Arrange
+    const mockReq: Partial<Request> = {
+      params: { promptName: 'review-pr', version: '1' },
+    };
+
+    // Act
+    await restorePromptVersion(mockDeps)(
+      mockReq as Request,
+      mockRes as Response
+    );
+
+    // Assert
+    expect(mockDeps.promptManager.restorePromptVersion).toHaveBeenCalledWith(
+      'review-pr',
+      1
+    );
+    expect(mockDeps.promptScheduler?.initialize).toHaveBeenCalled();
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({ version: 3, restoredFrom: 1 }),
+      })
+    );
+  });
+
+  it('should return 409 when restoring a configured prompt', async () => {
+    // Arrange
+    (mockDeps.promptManager.isPromptEditable as jest.Mock).mockReturnValue(
+      false
+    );
+    const mockReq: Partial<Request> = {
+      params: { promptName: 'review-pr', version: '1' },
+    };
+
+    // Act
+    await restorePromptVersion(mockDeps)(
+      mockReq as Request,
+      mockRes as Response
+    );
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(mockDeps.promptManager.restorePromptVersion).not.toHaveBeenCalled();
+  });
+
+  it('should only restore a version for authenticated requests', async () => {
+    // Arrange
+    const routes: Record<string, any> = {};
+    const app: any = {
+      get: jest.fn(),
+      post: (path: string, handler: any) => {
+        routes[path] = handler;
+      },
+    };
+    const authMiddleware = {
+      authenticate: jest.fn((_req, res) =>
+        res.status(401).json({ error: 'Unauthorized' })
+      ),
+    };
+    setupPromptVersionRoutes(app, { ...mockDeps, authMiddleware } as any);
+    const mockReq: Partial<Request> = {
+      params: { promptName: 'review-pr', version: '1' },
+    };
+
+    // Act
+    await routes['/prompts/:promptName/versions/:version/restore'](
+      mockReq,
+      mockRes
+    );
+
+    // Assert
+    expect(authMiddleware.authenticate).toHaveBeenCalled();
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.promptManager.restorePromptVersion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,235 @@
+import type { Express, Request, Response } from 'express';
+
+import type { ApiResponse } from '../types/index.js';
+import {
+  type AuthenticationDeps,
+  authenticated,
+  handleError,
+} from './common.js';
+import { getPromptBodyError, sendPromptNotEditable } from './prompts.js';
+
+// === PROMPT VERSIONS ===
+
+export interface PromptVersionsDeps {
+  promptManager: {
+    getPromptVersions: (name: string) => any[];
+    getPromptVersion: (name: string, version: number) => any;
+    getCurrentVersion: (name: string) => number | null;
+    diffPromptVersions: (name: string, from: number, to: number) => any;
+    validatePrompt: (prompt: any) => void;
+    getPrompt: (name: string) => any;
+    isPromptEditable: (name: string) => boolean;
+    restorePromptVersion: (name: string, version: number) => Promise<any>;
+  };
+  configManager: {
+    getMcpServer: (name: string) => any;
+  };
+  promptScheduler?: {
+    initialize: () => void;
+  };
+}
+
+function parseVersion(value: unknown): number | null {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+function sendNotFound(res: Response, message: string) {
+  res.status(404).json({
+    error: 'Not Found',
+    message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+function sendBadRequest(res: Response, message: string) {
+  res.status(400).json({
+    error: 'Bad Request',
+    message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+export function getPromptVersions(deps: PromptVersionsDeps) {
+  const { promptManager } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+
+      const versions = promptManager.getPromptVersions(promptName);
+      if (versions.length === 0) {
+        return sendNotFound(res, `Prompt '${promptName}' has no versions`);
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: {
+          promptName,
+          currentVersion: promptManager.getCurrentVersion(promptName),
+          versions: [...versions].reverse(),
+        },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function getPromptVersion(deps: PromptVersionsDeps) {
+  const { promptManager } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+      const version = parseVersion(req.params['version']);
+
+      const entry =
+        version && promptManager.getPromptVersion(promptName, version);
+      if (!entry) {
+        return sendNotFound(
+          res,
+          `Prompt '${promptName}' has no version ${req.params['version']}`
+        );
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: entry,
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Compare two versions: ?from defaults to the version before ?to, and ?to
+ * to the current version
+ */
+export function diffPromptVersions(deps: PromptVersionsDeps) {
+  const { promptManager } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+
+      const currentVersion = promptManager.getCurrentVersion(promptName);
+      if (!currentVersion) {
+        return sendNotFound(res, `Prompt '${promptName}' has no versions`);
+      }
+
+      const to =
+        req.query['to'] === undefined
+          ? currentVersion
+          : parseVersion(req.query['to']);
+      const from =
+        req.query['from'] === undefined && to
+          ? to - 1
+          : parseVersion(req.query['from']);
+      if (!from || !to) {
+        return sendBadRequest(
+          res,
+          'from and to must be version numbers of this prompt'
+        );
+      }
+
+      const diff = promptManager.diffPromptVersions(promptName, from, to);
+      if (!diff) {
+        return sendNotFound(
+          res,
+          `Prompt '${promptName}' has no version ${from} or ${to}`
+        );
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: diff,
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function restorePromptVersion(deps: PromptVersionsDeps) {
+  const { promptManager, promptScheduler } = deps;
+
+  return async (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+      const version = parseVersion(req.params['version']);
+
+      const entry =
+        version && promptManager.getPromptVersion(promptName, version);
+      if (!version || !entry) {
+        return sendNotFound(
+          res,
+          `Prompt '${promptName}' has no version ${req.params['version']}`
+        );
+      }
+      if (
+        promptManager.getPrompt(promptName) &&
+        !promptManager.isPromptEditable(promptName)
+      ) {
+        return sendPromptNotEditable(res, promptName);
+      }
+
+      // The version may use MCP servers that have been removed since
+      const bodyError = getPromptBodyError(entry.prompt, deps);
+      if (bodyError) {
+        return sendBadRequest(res, bodyError);
+      }
+
+      const restored = await promptManager.restorePromptVersion(
+        promptName,
+        version
+      );
+      promptScheduler?.initialize();
+
+      const response: ApiResponse = {
+        success: true,
+        data: restored,
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Wire up prompt version routes to the Express app
+ * @param app - Express application instance
+ * @param deps - Dependencies for dependency injection
+ */
+export function setupPromptVersionRoutes(
+  app: Express,
+  deps: PromptVersionsDeps & AuthenticationDeps
+) {
+  // GET /prompts/:promptName/versions - List the versions of a prompt, newest first
+  app.get('/prompts/:promptName/versions', getPromptVersions(deps));
+
+  // GET /prompts/:promptName/versions/diff - Compare two versions of a prompt
+  app.get('/prompts/:promptName/versions/diff', diffPromptVersions(deps));
+
+  // GET /prompts/:promptName/versions/:version - Get one version of a prompt
+  app.get('/prompts/:promptName/versions/:version', getPromptVersion(deps));
+
+  // POST /prompts/:promptName/versions/:version/restore - Make a version current again
+  app.post(
+    '/prompts/:promptName/versions/:version/restore',
+    authenticated(deps, restorePromptVersion(deps))
+  );
+}
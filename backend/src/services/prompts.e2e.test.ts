@@ -0,0 +1,292 @@
+import express from 'express';
+import fs from 'fs-extra';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+import os from 'os';
+import path from 'path';
+
+import { ExecutionHistoryProvider } from '../providers/ExecutionHistoryProvider.js';
+import { ExecutionRunner } from '../providers/ExecutionRunner.js';
+import { MockClaudeService } from '../providers/claude/MockClaudeService.js';
+import {
+  cancelExecution,
+  getExecutionDetails,
+  getPromptActivity,
+  sendFollowUp,
+  streamExecution,
+} from './execution-history.js';
+import { executePrompt } from './prompts.js';
+
+// Runs prompts through the HTTP routes, the execution runner and history
+// against the mock Claude service, without network access
+
+const prompts: Record<string, any> = {
+  'create-issue': {
+    name: 'create-issue',
+    messages: [{ role: 'user', content: 'Create an issue: {{summary}}' }],
+  },
+  'flaky-build': {
+    name: 'flaky-build',
+    messages: [{ role: 'user', content: 'Run the build' }],
+  },
+  'long-task': {
+    name: 'long-task',
+    messages: [{ role: 'user', content: 'Take your time' }],
+  },
+};
+
+const transcripts: Record<string, any> = {
+  'create-issue': {
+    model: 'claude-sonnet-4-20250514',
+    steps: [
+      { type: 'thinking', text: 'I should use the Jira tools.' },
+      { type: 'text', text: 'Creating "{{summary}}". ' },
+      {
+        type: 'tool_use',
+        id: 'toolu_1',
+        name: 'create_issue',
+        server_name: 'jira',
+        input: { summary: 'Login bug' },
+      },
+      { type: 'tool_result', tool_use_id: 'toolu_1', content: 'PROJ-123' },
+      { type: 'text', text: 'Created PROJ-123.' },
+    ],
+    usage: { input_tokens: 100, output_tokens: 20 },
+    cost_usd: 0.01,
+  },
+  'flaky-build': {
+    steps: [
+      { type: 'text', text: 'Building...' },
+      { type: 'error', message: 'Build server did not respond' },
+    ],
+  },
+  'long-task': {
+    steps: [
+      { type: 'text', text: 'Working...' },
+      { type: 'delay', ms: 10000 },
+      { type: 'text', text: 'Done.' },
+    ],
+  },
+};
+
+function parseEvents(body: string) {
+  return body
+    .split('\n\n')
+    .filter((frame) => frame.trim())
+    .map((frame) => {
+      const [eventLine, dataLine] = frame.split('\n');
+      return {
+        event: eventLine!.replace('event: ', ''),
+        data: JSON.parse(dataLine!.replace('data: ', '')),
+      };
+    });
+}
+
+describe('prompt execution with the mock Claude service', () => {
+  let transcriptsDir: string;
+  let history: ExecutionHistoryProvider;
+  let executionRunner: ExecutionRunner;
+  let server: Server;
+  let baseUrl: string;
+
+  beforeAll(async () => {
+    transcriptsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mock-claude-'));
+    for (const [name, transcript] of Object.entries(transcripts)) {
+      await fs.writeJson(path.join(transcriptsDir, `${name}.json`), transcript);
+    }
+  });
+
+  afterAll(async () => {
+    await fs.remove(transcriptsDir);
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    history = new ExecutionHistoryProvider(undefined, {
+      maxAgeMs: null,
+      maxRecords: null,
+    });
+    const configManager = {
+      getMcpServer: () => null,
+      prepareMcpServersForClaude: () => [],
+    };
+    executionRunner = new ExecutionRunner(
+      new MockClaudeService(history, transcriptsDir),
+      history,
+      configManager,
+      {},
+      { maxConcurrent: 2, maxConcurrentPerPrompt: null }
+    );
+    const promptManager = {
+      getPrompt: (name: string) => prompts[name] || null,
+      savePendingPrompt: jest.fn(),
+    };
+    const deps = {
+      promptManager,
+      configManager,
+      authManager: {},
+      executionRunner,
+      executionHistoryService: history,
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.post('/prompts/:promptName/run', executePrompt(deps));
+    app.get('/prompts/:promptName/activity', getPromptActivity(deps));
+    app.get('/executions/:executionId', getExecutionDetails(deps));
+    app.get('/executions/:executionId/stream', streamExecution(deps));
+    app.post('/executions/:executionId/cancel', cancelExecution(deps));
+    app.post('/executions/:executionId/messages', sendFollowUp(deps));
+
+    await new Promise<void>((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => resolve());
+    });
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  function post(url: string, body: any) {
+    return fetch(`${baseUrl}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it('should stream the transcript and record the execution', async () => {
+    // Act
+    const response = await post('/prompts/create-issue/run', {
+      parameters: { summary: 'Login bug' },
+    });
+    const events = parseEvents(await response.text());
+
+    // Assert
+    expect(response.headers.get('content-type')).toBe('text/event-stream');
+    expect(events.map((event) => event.event)).toEqual([
+      'status',
+      'thinking',
+      'text_delta',
+      'tool_use',
+      'tool_result',
+      'text_delta',
+      'usage',
+      'complete',
+    ]);
+    expect(events.every((event) => event.data.version === 1)).toBe(true);
+    const complete = events[events.length - 1]!.data;
+    expect(complete.result).toBe('Creating "Login bug". Created PROJ-123.');
+
+    const details = await fetch(
+      `${baseUrl}/executions/${complete.executionId}`
+    ).then((res) => res.json());
+    expect(details.data).toMatchObject({
+      promptName: 'create-issue',
+      status: 'completed',
+      model: 'claude-sonnet-4-20250514',
+      usage: { inputTokens: 100, outputTokens: 20, costUsd: 0.01 },
+    });
+    expect(details.data.toolUses).toEqual([
+      expect.objectContaining({ name: 'create_issue', server_name: 'jira' }),
+    ]);
+    expect(details.data.toolResults).toEqual([
+      expect.objectContaining({ tool_use_id: 'toolu_1', content: 'PROJ-123' }),
+    ]);
+  });
+
+  it('should replay a finished execution to clients that attach later', async () => {
+    // Arrange
+    const started = await post('/prompts/create-issue/run?detach=true', {
+      parameters: { summary: 'Login bug' },
+    }).then((res) => res.json());
+    await executionRunner.waitForCompletion(started.data.executionId);
+
+    // Act
+    const events = parseEvents(
+      await fetch(`${baseUrl}${started.data.streamUrl}`).then((res) =>
+        res.text()
+      )
+    );
+
+    // Assert
+    expect(events.map((event) => event.event)).toContain('tool_result');
+    expect(events[events.length - 1]!.event).toBe('complete');
+  });
+
+  it('should fail the execution at an injected error', async () => {
+    // Act
+    const events = parseEvents(
+      await post('/prompts/flaky-build/run', {}).then((res) => res.text())
+    );
+
+    // Assert
+    expect(events.map((event) => event.event)).toEqual([
+      'status',
+      'text_delta',
+      'error',
+    ]);
+    const { error, executionId } = events[2]!.data;
+    expect(error).toBe('Build server did not respond');
+    expect(history.getExecution(executionId)).toMatchObject({
+      status: 'error',
+      error: { message: 'Build server did not respond' },
+    });
+  });
+
+  it('should cancel an execution during a delay', async () => {
+    // Arrange
+    const started = await post('/prompts/long-task/run?detach=true', {}).then(
+      (res) => res.json()
+    );
+    const { executionId } = started.data;
+
+    // Act
+    await post(`/executions/${executionId}/cancel`, {});
+    await executionRunner.waitForCompletion(executionId);
+
+    // Assert
+    expect(history.getExecution(executionId)!.status).toBe('cancelled');
+    const events = parseEvents(
+      await fetch(`${baseUrl}/executions/${executionId}/stream`).then((res) =>
+        res.text()
+      )
+    );
+    expect(events[events.length - 1]!.event).toBe('cancelled');
+  });
+
+  it('should continue a finished conversation with a follow-up', async () => {
+    // Arrange
+    const first = parseEvents(
+      await post('/prompts/create-issue/run', {
+        parameters: { summary: 'Login bug' },
+      }).then((res) => res.text())
+    );
+    const { executionId } = first[first.length - 1]!.data;
+
+    // Act
+    const followUp = parseEvents(
+      await post(`/executions/${executionId}/messages`, {
+        message: 'Now link it to the epic',
+      }).then((res) => res.text())
+    );
+
+    // Assert
+    expect(followUp[followUp.length - 1]!.event).toBe('complete');
+    const activity = await fetch(
+      `${baseUrl}/prompts/create-issue/activity`
+    ).then((res) => res.json());
+    expect(activity.executions).toHaveLength(1);
+    expect(activity.executions[0].followUps).toEqual([
+      expect.objectContaining({
+        previousExecutionId: executionId,
+        followUpMessage: 'Now link it to the epic',
+        status: 'completed',
+      }),
+    ]);
+  });
+});
@@ -1,8 +1,18 @@
 import type { Request, Response } from 'express';
-import { getPrompts, type GetPromptsDeps } from './prompts.js';
+import {
+  createPrompt,
+  executePrompt,
+  getPrompts,
+  setupPromptRoutes,
+  updatePrompt,
+  type ExecutePromptDeps,
+  type GetPromptsDeps,
+  type ManagePromptDeps
+} from './prompts.js';
 
 // Mock the common module
 jest.mock('./common.js', () => ({
+  authenticated: jest.requireActual('./common.js').authenticated,
   handleError: jest.fn(),
   checkConnectionAvailability: jest.fn(),
   getConnectionDescription: jest.fn(),
@@ -11,13 +21,12 @@ jest.mock('./common.js', () => ({
 
 // Mock the prompt utils
 jest.mock('../../public/js/prompt-utils.js', () => ({
-  mergeParametersWithDefaults: jest.fn(),
-  processPrompt: jest.fn(),
+  mergeParametersWithDefaults: jest.fn((_prompt, parameters) => parameters),
 }));
 
 // Mock the auth utils
 jest.mock('../auth/authUtils.js', () => ({
-  isServerAuthorized: jest.fn(),
+  isServerAuthorizedForRun: jest.fn(),
 }));
 
 describe('getPrompts', () => {
@@ -102,7 +111,8 @@ describe('getPrompts', () => {
           ],
           parameters: {},
           canRun: true,
-          connections: []
+          connections: [],
+          editable: false
         }
       ]
     });
@@ -121,4 +131,244 @@ describe('getPrompts', () => {
     // Assert
     expect(commonModule.handleError).toHaveBeenCalledWith(mockRes, expect.any(Error));
   });
-});
\ No newline at end of file
+});
+
+describe('executePrompt', () => {
+  let mockReq: Partial<Request>;
+  let mockRes: Partial<Response>;
+  let mockDeps: ExecutePromptDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: { promptName: 'create-issue' },
+      body: { parameters: { summary: 'ab', priority: 'Urgent' } }
+    };
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis()
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPrompt: jest.fn().mockReturnValue({
+          name: 'create-issue',
+          mcp_servers: [],
+          messages: [
+            {
+              role: 'user',
+              content: '{{summary}}',
+              parameters: {
+                type: 'object',
+                properties: {
+                  summary: { type: 'string', minLength: 3 },
+                  priority: { type: 'string', enum: ['Low', 'High'] }
+                },
+                required: ['summary']
+              }
+            }
+          ]
+        }),
+        savePendingPrompt: jest.fn()
+      },
+      configManager: {
+        getMcpServer: jest.fn()
+      },
+      authManager: {},
+      executionRunner: {
+        start: jest.fn(),
+        attach: jest.fn()
+      }
+    };
+  });
+
+  it('should return 400 with the failing fields when parameters are invalid', async () => {
+    // Act
+    await executePrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Bad Request',
+      message: 'Invalid prompt parameters',
+      details: {
+        fields: [
+          { field: 'summary', message: 'must be at least 3 characters long', keyword: 'minLength' },
+          { field: 'priority', message: 'must be one of: "Low", "High"', keyword: 'enum' }
+        ]
+      }
+    }));
+    expect(mockDeps.executionRunner.start).not.toHaveBeenCalled();
+  });
+
+  it('should run with the model settings a run overrides', async () => {
+    // Arrange
+    mockReq.body = {
+      parameters: { summary: 'abc' },
+      options: { model: 'claude-opus-4-1-20250805', temperature: 0.2 }
+    };
+    mockDeps.runOverrides = { models: ['claude-opus-4-1-20250805'], fields: ['model', 'temperature'] };
+
+    // Act
+    await executePrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.executionRunner.start).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'create-issue', model: 'claude-opus-4-1-20250805', temperature: 0.2 }),
+      { summary: 'abc' },
+      'unknown'
+    );
+  });
+
+  it('should leave template syntax in parameter values as it is', async () => {
+    // Arrange
+    const { processPrompt } = jest.requireActual('../../public/js/prompt-utils.js');
+    const summary = '<h1>{{ title }}</h1> {{#if x}}';
+    mockReq.body = { parameters: { summary } };
+
+    // Act
+    await executePrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    const [prompt, parameters] = (mockDeps.executionRunner.start as jest.Mock).mock.calls[0];
+    expect(prompt.messages[0].content).toBe('{{summary}}');
+    expect(processPrompt(prompt, parameters).messages[0].content).toBe(summary);
+  });
+
+  it('should return 400 for overrides outside the allowlist', async () => {
+    // Arrange
+    mockReq.body = {
+      parameters: { summary: 'abc' },
+      options: { model: 'claude-opus-4-1-20250805', system_prompt: 'Be brief' }
+    };
+    mockDeps.runOverrides = { models: ['claude-opus-4-1-20250805'], fields: ['model'] };
+
+    // Act
+    await executePrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Bad Request',
+      message: 'options.system_prompt may not be overridden on this server'
+    }));
+    expect(mockDeps.executionRunner.start).not.toHaveBeenCalled();
+  });
+});
+
+describe('createPrompt and updatePrompt', () => {
+  const newPrompt = {
+    name: 'review-pr',
+    mcp_servers: ['github'],
+    messages: [{ role: 'user', content: 'Review the pull request' }]
+  };
+
+  let mockRes: Partial<Response>;
+  let mockDeps: ManagePromptDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis()
+    };
+
+    mockDeps = {
+      promptManager: {
+        getPrompt: jest.fn((name) => (name === 'configured' ? { name } : undefined)),
+        validatePrompt: jest.fn(),
+        isPromptEditable: jest.fn().mockReturnValue(false),
+        createPrompt: jest.fn(async (prompt) => prompt),
+        updatePrompt: jest.fn(),
+        deletePrompt: jest.fn()
+      },
+      configManager: {
+        getMcpServer: jest.fn((name) => (name === 'github' ? { name } : undefined))
+      },
+      promptScheduler: {
+        initialize: jest.fn()
+      }
+    };
+  });
+
+  it('should create a prompt and reload the schedules', async () => {
+    // Arrange
+    const mockReq: Partial<Request> = { params: {}, body: newPrompt };
+
+    // Act
+    await createPrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.promptManager.createPrompt).toHaveBeenCalledWith(newPrompt);
+    expect(mockDeps.promptScheduler?.initialize).toHaveBeenCalled();
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      success: true,
+      data: newPrompt
+    }));
+  });
+
+  it('should return 400 for prompts that use unknown MCP servers', async () => {
+    // Arrange
+    const mockReq: Partial<Request> = {
+      params: {},
+      body: { ...newPrompt, mcp_servers: ['github', 'gitlab'] }
+    };
+
+    // Act
+    await createPrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Unknown MCP servers: gitlab'
+    }));
+    expect(mockDeps.promptManager.createPrompt).not.toHaveBeenCalled();
+  });
+
+  it('should return 409 when updating a prompt from the PROMPTS configuration', async () => {
+    // Arrange
+    const mockReq: Partial<Request> = {
+      params: { promptName: 'configured' },
+      body: { ...newPrompt, name: 'configured' }
+    };
+
+    // Act
+    await updatePrompt(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(409);
+    expect(mockDeps.promptManager.updatePrompt).not.toHaveBeenCalled();
+  });
+
+  it('should only create, replace and delete prompts for authenticated requests', async () => {
+    // Arrange
+    const routes: Record<string, any> = {};
+    const app: any = {};
+    for (const method of ['get', 'post', 'put', 'delete']) {
+      app[method] = (path: string, handler: any) => {
+        routes[`${method.toUpperCase()} ${path}`] = handler;
+      };
+    }
+    const authMiddleware = {
+      authenticate: jest.fn((_req, res) => res.status(401).json({ error: 'Unauthorized' }))
+    };
+    setupPromptRoutes(app, { ...mockDeps, authMiddleware } as any);
+    const mockReq: Partial<Request> = { params: { promptName: 'review-pr' }, body: newPrompt };
+
+    // Act
+    for (const route of ['POST /prompts', 'PUT /prompts/:promptName', 'DELETE /prompts/:promptName']) {
+      await routes[route](mockReq, mockRes);
+    }
+
+    // Assert
+    expect(authMiddleware.authenticate).toHaveBeenCalledTimes(3);
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.promptManager.createPrompt).not.toHaveBeenCalled();
+    expect(mockDeps.promptManager.updatePrompt).not.toHaveBeenCalled();
+    expect(mockDeps.promptManager.deletePrompt).not.toHaveBeenCalled();
+  });
+});
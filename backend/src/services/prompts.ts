@@ -1,21 +1,29 @@
 import type { Express, Request, Response } from 'express';
 
+import { formatExecutionEvent } from '../../public/js/execution-events.js';
+import { validatePromptParameters } from '../../public/js/parameter-validator.js';
+import { mergeParametersWithDefaults } from '../../public/js/prompt-utils.js';
+import { isServerAuthorizedForRun } from '../auth/authUtils.js';
 import {
-  mergeParametersWithDefaults,
-  processPrompt,
-} from '../../public/js/prompt-utils.js';
-import { isServerAuthorized } from '../auth/authUtils.js';
+  type RunOverrideAllowlist,
+  getRunOverrideError,
+} from '../providers/ModelSettings.js';
+import { BudgetExceededError } from '../providers/UsageTracker.js';
 import type { ApiResponse, Connection, Prompt } from '../types/index.js';
 import {
+  type AuthenticationDeps,
+  authenticated,
   checkConnectionAvailability,
   getConnectionDescription,
   getConnectionMethod,
   handleError,
+  sendBudgetExceeded,
 } from './common.js';
 
 export interface GetPromptsDeps {
   promptManager: {
     getPrompts: () => any[];
+    isPromptEditable?: (name: string) => boolean;
   };
   configManager: {
     getMcpServers: () => any[];
@@ -100,9 +108,11 @@ export function getPrompts(deps: GetPromptsDeps) {
           name: prompt.name,
           description: prompt.description,
           messages: prompt.messages,
+          steps: prompt.steps,
           parameters: prompt.parameters,
           canRun,
           connections,
+          editable: promptManager.isPromptEditable?.(prompt.name) || false,
         };
       });
 
@@ -117,6 +127,8 @@ export function getPrompts(deps: GetPromptsDeps) {
 export interface GetPromptDeps {
   promptManager: {
     getPrompt: (name: string) => any;
+    isPromptEditable?: (name: string) => boolean;
+    getCurrentVersion?: (name: string) => number | null;
   };
   configManager: {
     getMcpServers: () => any[];
@@ -168,6 +180,8 @@ export function getPrompt(deps: GetPromptDeps) {
         ...prompt,
         canRun,
         connections,
+        editable: promptManager.isPromptEditable?.(promptName) || false,
+        version: promptManager.getCurrentVersion?.(promptName) ?? null,
       };
 
       res.json(promptWithConnections);
@@ -180,21 +194,22 @@ export function getPrompt(deps: GetPromptDeps) {
 export interface ExecutePromptDeps {
   promptManager: {
     getPrompt: (name: string) => any;
-    savePendingPrompt: (name: string, parameters: any) => void;
+    validatePrompt?: (prompt: any) => void;
+    savePendingPrompt: (
+      name: string,
+      parameters: any,
+      userEmail?: string,
+      unauthorizedServers?: string[],
+      options?: any
+    ) => any;
   };
   configManager: {
     getMcpServer: (name: string) => any;
   };
-  authManager: any; // Keep flexible for isServerAuthorized function
-  claudeService: {
-    executePromptStream: (
-      prompt: any,
-      parameters: any,
-      configManager: any,
-      authManager: any,
-      res: Response,
-      userEmail: string
-    ) => Promise<void>;
+  authManager: any; // Keep flexible for isServerAuthorizedForRun function
+  executionRunner: {
+    start: (prompt: any, parameters: any, userEmail: string) => string;
+    attach: (executionId: string, res: Response) => boolean;
   };
   emailService?: {
     sendAuthorizationNeededEmail?: (
@@ -202,6 +217,22 @@ export interface ExecutePromptDeps {
       servers: string[]
     ) => Promise<void>;
   };
+  notificationService?: {
+    notifyAuthorizationNeeded: (
+      promptName: string,
+      unauthorizedServers: string[],
+      userEmail: string
+    ) => void;
+  };
+  runOverrides?: RunOverrideAllowlist; // What a run may override; nothing by default
+}
+
+function sendBadRequest(res: Response, message: string) {
+  res.status(400).json({
+    error: 'Bad Request',
+    message,
+    timestamp: new Date().toISOString(),
+  });
 }
 
 export function executePrompt(deps: ExecutePromptDeps) {
@@ -209,8 +240,10 @@ export function executePrompt(deps: ExecutePromptDeps) {
     promptManager,
     configManager,
     authManager,
-    claudeService,
+    executionRunner,
     emailService,
+    notificationService,
+    runOverrides = { models: [], fields: [] },
   } = deps;
 
   return async (req: Request, res: Response) => {
@@ -225,8 +258,31 @@ export function executePrompt(deps: ExecutePromptDeps) {
       } // Merge request parameters with defaults from prompt schema (match legacy behavior)
       const parameters = mergeParametersWithDefaults(prompt, requestParameters);
 
-      // Process the prompt to substitute parameters into the template (THIS WAS MISSING!)
-      const processedPrompt = processPrompt(prompt, parameters);
+      // Validate the merged parameters against each message's JSON Schema
+      const validationErrors = validatePromptParameters(prompt, parameters);
+      if (validationErrors.length > 0) {
+        const response: ApiResponse = {
+          error: 'Bad Request',
+          message: 'Invalid prompt parameters',
+          details: { fields: validationErrors },
+          timestamp: new Date().toISOString(),
+        };
+        return res.status(400).json(response);
+      }
+
+      // Model settings of this run override the prompt's, as far as the allowlist permits
+      const options = req.body.options;
+      if (options !== undefined) {
+        const overrideError = getRunOverrideError(options, runOverrides);
+        if (overrideError) {
+          return sendBadRequest(res, overrideError);
+        }
+        try {
+          promptManager.validatePrompt?.({ ...prompt, ...options });
+        } catch (error: any) {
+          return sendBadRequest(res, error.message);
+        }
+      }
 
       // Check if all required MCP servers are authorized (match legacy behavior)
       const unauthorizedServers: string[] = [];
@@ -235,7 +291,7 @@ export function executePrompt(deps: ExecutePromptDeps) {
           const mcpServer = configManager.getMcpServer(mcpServerName);
 
           // Use the same authUtils function as legacy endpoint
-          const isAuthorized = isServerAuthorized(
+          const isAuthorized = await isServerAuthorizedForRun(
             mcpServerName,
             mcpServer,
             authManager
@@ -247,8 +303,19 @@ export function executePrompt(deps: ExecutePromptDeps) {
       }
 
       if (unauthorizedServers.length > 0) {
-        // Save prompt for later execution (match legacy behavior)
-        promptManager.savePendingPrompt(promptName, parameters);
+        // Save prompt for later execution; it resumes once the servers are authorized
+        promptManager.savePendingPrompt(
+          promptName,
+          parameters,
+          req.user?.email || 'unknown',
+          unauthorizedServers,
+          options || null
+        );
+        notificationService?.notifyAuthorizationNeeded(
+          promptName,
+          unauthorizedServers,
+          req.user?.email || 'unknown'
+        );
 
         // Send email notification (match legacy behavior)
         if (emailService?.sendAuthorizationNeededEmail) {
@@ -266,18 +333,32 @@ export function executePrompt(deps: ExecutePromptDeps) {
         });
       }
 
-      // Execute prompt via Claude service (match legacy behavior - let Claude service handle SSE headers)
+      // Execute prompt in the background so it survives client disconnects
       const userEmail = req.user?.email || 'unknown';
 
-      if (claudeService?.executePromptStream) {
-        await claudeService.executePromptStream(
-          processedPrompt, // Use the processed prompt with parameters substituted
+      if (executionRunner) {
+        const executionId = executionRunner.start(
+          // The service renders the messages; parameter values are not templates themselves
+          options ? { ...prompt, ...options } : prompt,
           parameters,
-          configManager,
-          authManager,
-          res,
           userEmail
         );
+
+        // Detached runs return immediately; clients attach to the stream later
+        if (req.query['detach'] === 'true' || req.body.detach === true) {
+          const response: ApiResponse = {
+            success: true,
+            data: {
+              executionId,
+              status: 'running',
+              streamUrl: `/executions/${executionId}/stream`,
+            },
+            timestamp: new Date().toISOString(),
+          };
+          return res.status(202).json(response);
+        }
+
+        executionRunner.attach(executionId, res);
       } else {
         // Fallback if claude service not available - only set headers if claude service unavailable
         res.writeHead(200, {
@@ -289,24 +370,17 @@ export function executePrompt(deps: ExecutePromptDeps) {
         });
 
         res.write(
-          `data: ${JSON.stringify({
-            type: 'output',
-            content: 'Claude service not available',
-            timestamp: new Date().toISOString(),
-          })}\n\n`
-        );
-
-        res.write(
-          `data: ${JSON.stringify({
-            type: 'complete',
-            success: false,
-            timestamp: new Date().toISOString(),
-          })}\n\n`
+          formatExecutionEvent('error', {
+            error: 'Claude service not available',
+          })
         );
 
         res.end();
       }
     } catch (error: any) {
+      if (error instanceof BudgetExceededError) {
+        return sendBudgetExceeded(res, error);
+      }
       console.error('❌ Prompt execution error:', error);
 
       if (!res.headersSent) {
@@ -318,6 +392,186 @@ export function executePrompt(deps: ExecutePromptDeps) {
   };
 }
 
+export interface ManagePromptDeps {
+  promptManager: {
+    getPrompt: (name: string) => any;
+    validatePrompt: (prompt: any) => void;
+    isPromptEditable: (name: string) => boolean;
+    createPrompt: (prompt: any) => Promise<any>;
+    updatePrompt: (name: string, prompt: any) => Promise<any>;
+    deletePrompt: (name: string) => Promise<void>;
+  };
+  configManager: {
+    getMcpServer: (name: string) => any;
+  };
+  promptScheduler?: {
+    initialize: () => void;
+  };
+}
+
+/**
+ * Check a prompt sent to the API
+ * @returns The problem with the prompt, or null when it is valid
+ */
+export function getPromptBodyError(
+  prompt: any,
+  deps: {
+    promptManager: { validatePrompt: (prompt: any) => void };
+    configManager: { getMcpServer: (name: string) => any };
+  }
+): string | null {
+  if (!prompt || typeof prompt !== 'object' || Array.isArray(prompt)) {
+    return 'Request body must be a prompt object';
+  }
+  if (typeof prompt.name !== 'string' || !/^[\w.-]+$/.test(prompt.name)) {
+    return "Prompt name may only contain letters, numbers, '_', '-' and '.'";
+  }
+
+  try {
+    deps.promptManager.validatePrompt(prompt);
+  } catch (error: any) {
+    return error.message;
+  }
+
+  const unknownServers = prompt.mcp_servers.filter(
+    (serverName: string) => !deps.configManager.getMcpServer(serverName)
+  );
+  if (unknownServers.length > 0) {
+    return `Unknown MCP servers: ${unknownServers.join(', ')}`;
+  }
+
+  return null;
+}
+
+export function sendPromptNotEditable(res: Response, promptName: string) {
+  const response: ApiResponse = {
+    error: 'Conflict',
+    message: `Prompt '${promptName}' is defined by the PROMPTS configuration and cannot be changed through the API`,
+    timestamp: new Date().toISOString(),
+  };
+  res.status(409).json(response);
+}
+
+function sendInvalidPrompt(res: Response, message: string) {
+  const response: ApiResponse = {
+    error: 'Bad Request',
+    message,
+    timestamp: new Date().toISOString(),
+  };
+  res.status(400).json(response);
+}
+
+export function createPrompt(deps: ManagePromptDeps) {
+  const { promptManager, promptScheduler } = deps;
+
+  return async (req: Request, res: Response) => {
+    try {
+      const prompt = req.body;
+
+      const bodyError = getPromptBodyError(prompt, deps);
+      if (bodyError) {
+        return sendInvalidPrompt(res, bodyError);
+      }
+
+      if (promptManager.getPrompt(prompt.name)) {
+        const response: ApiResponse = {
+          error: 'Conflict',
+          message: `Prompt '${prompt.name}' already exists`,
+          timestamp: new Date().toISOString(),
+        };
+        return res.status(409).json(response);
+      }
+
+      const created = await promptManager.createPrompt(prompt);
+      promptScheduler?.initialize();
+
+      const response: ApiResponse = {
+        success: true,
+        data: created,
+        timestamp: new Date().toISOString(),
+      };
+      res.status(201).json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function updatePrompt(deps: ManagePromptDeps) {
+  const { promptManager, promptScheduler } = deps;
+
+  return async (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+      const prompt = { ...req.body, name: req.body?.name ?? promptName };
+
+      if (!promptManager.getPrompt(promptName)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Prompt '${promptName}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (!promptManager.isPromptEditable(promptName)) {
+        return sendPromptNotEditable(res, promptName);
+      }
+      if (prompt.name !== promptName) {
+        return sendInvalidPrompt(res, 'Prompts cannot be renamed');
+      }
+
+      const bodyError = getPromptBodyError(prompt, deps);
+      if (bodyError) {
+        return sendInvalidPrompt(res, bodyError);
+      }
+
+      const updated = await promptManager.updatePrompt(promptName, prompt);
+      promptScheduler?.initialize();
+
+      const response: ApiResponse = {
+        success: true,
+        data: updated,
+        timestamp: new Date().toISOString(),
+      };
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function deletePrompt(deps: ManagePromptDeps) {
+  const { promptManager, promptScheduler } = deps;
+
+  return async (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+
+      if (!promptManager.getPrompt(promptName)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Prompt '${promptName}' does not exist`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (!promptManager.isPromptEditable(promptName)) {
+        return sendPromptNotEditable(res, promptName);
+      }
+
+      await promptManager.deletePrompt(promptName);
+      promptScheduler?.initialize();
+
+      const response: ApiResponse = {
+        success: true,
+        data: { name: promptName },
+        timestamp: new Date().toISOString(),
+      };
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
 /**
  * Debug endpoint to test body parsing
  */
@@ -347,16 +601,32 @@ export function debugBody(deps: {} = {}) {
  */
 export function setupPromptRoutes(
   app: Express,
-  deps: GetPromptsDeps & GetPromptDeps & ExecutePromptDeps
+  deps: GetPromptsDeps &
+    GetPromptDeps &
+    ExecutePromptDeps &
+    ManagePromptDeps &
+    AuthenticationDeps
 ) {
   // GET /prompts - Get all available prompts with their authorization status
   app.get('/prompts', getPrompts(deps));
 
+  // POST /prompts - Create a prompt in the prompt store
+  app.post('/prompts', authenticated(deps, createPrompt(deps)));
+
   // GET /prompts/:promptName - Get details for a specific prompt
   app.get('/prompts/:promptName', getPrompt(deps));
 
+  // PUT /prompts/:promptName - Replace a stored prompt
+  app.put('/prompts/:promptName', authenticated(deps, updatePrompt(deps)));
+
+  // DELETE /prompts/:promptName - Delete a stored prompt
+  app.delete('/prompts/:promptName', authenticated(deps, deletePrompt(deps)));
+
   // POST /prompts/:promptName/run - Execute a prompt with streaming response
-  app.post('/prompts/:promptName/run', executePrompt(deps));
+  app.post(
+    '/prompts/:promptName/run',
+    authenticated(deps, executePrompt(deps))
+  );
 
   // POST /debug/body - Debug endpoint to test body parsing
   app.post('/debug/body', debugBody(deps));
@@ -0,0 +1,77 @@
+import type { Request, Response } from 'express';
+
+import {
+  type SchedulesDeps,
+  pauseSchedule,
+  setupScheduleRoutes,
+} from './schedules.js';
+
+describe('pauseSchedule', () => {
+  let mockReq: Partial<Request>;
+  let mockRes: Partial<Response>;
+  let mockDeps: SchedulesDeps;
+
+  beforeEach(() => {
+    mockReq = { params: { promptName: 'jira-status-summary' } };
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      promptScheduler: {
+        getSchedules: jest.fn().mockReturnValue([]),
+        pause: jest
+          .fn()
+          .mockReturnValue({ promptName: 'jira-status-summary', paused: true }),
+        resume: jest.fn().mockReturnValue(null),
+      },
+    };
+  });
+
+  it('should return the paused schedule', () => {
+    // Act
+    pauseSchedule(mockDeps)(mockReq as Request, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.promptScheduler.pause).toHaveBeenCalledWith(
+      'jira-status-summary'
+    );
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: {
+          schedule: { promptName: 'jira-status-summary', paused: true },
+        },
+      })
+    );
+  });
+
+  it('should only pause and resume schedules for authenticated requests', () => {
+    // Arrange
+    const routes: Record<string, any> = {};
+    const app: any = {
+      get: jest.fn(),
+      post: (path: string, handler: any) => {
+        routes[path] = handler;
+      },
+    };
+    const authMiddleware = {
+      authenticate: jest.fn((_req, res) =>
+        res.status(401).json({ error: 'Unauthorized' })
+      ),
+    };
+    setupScheduleRoutes(app, { ...mockDeps, authMiddleware });
+
+    // Act
+    routes['/schedules/:promptName/pause'](mockReq, mockRes);
+    routes['/schedules/:promptName/resume'](mockReq, mockRes);
+
+    // Assert
+    expect(authMiddleware.authenticate).toHaveBeenCalledTimes(2);
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.promptScheduler.pause).not.toHaveBeenCalled();
+    expect(mockDeps.promptScheduler.resume).not.toHaveBeenCalled();
+  });
+});
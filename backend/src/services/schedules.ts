@@ -0,0 +1,102 @@
+import type { Express, Request, Response } from 'express';
+
+import type { ApiResponse } from '../types/index.js';
+import {
+  type AuthenticationDeps,
+  authenticated,
+  handleError,
+} from './common.js';
+
+// === SCHEDULES ===
+
+export interface SchedulesDeps {
+  promptScheduler: {
+    getSchedules: () => any[];
+    pause: (promptName: string) => any | null;
+    resume: (promptName: string) => any | null;
+  };
+}
+
+export function getSchedules(deps: SchedulesDeps) {
+  const { promptScheduler } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const response: ApiResponse = {
+        success: true,
+        data: { schedules: promptScheduler.getSchedules() },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+function updateSchedule(
+  deps: SchedulesDeps,
+  action: 'pause' | 'resume'
+): (req: Request, res: Response) => void {
+  const { promptScheduler } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { promptName } = req.params;
+
+      const schedule = promptScheduler[action](promptName);
+      if (!schedule) {
+        res.status(404).json({
+          error: 'Not Found',
+          message: `Prompt '${promptName}' has no schedule`,
+          timestamp: new Date().toISOString(),
+        });
+        return;
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: { schedule },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function pauseSchedule(deps: SchedulesDeps) {
+  return updateSchedule(deps, 'pause');
+}
+
+export function resumeSchedule(deps: SchedulesDeps) {
+  return updateSchedule(deps, 'resume');
+}
+
+/**
+ * Wire up schedule routes to the Express app
+ * @param app - Express application instance
+ * @param deps - Dependencies for dependency injection
+ */
+export function setupScheduleRoutes(
+  app: Express,
+  deps: SchedulesDeps & AuthenticationDeps
+) {
+  // GET /schedules - List scheduled prompts with their next and last runs
+  app.get('/schedules', getSchedules(deps));
+
+  // POST /schedules/:promptName/pause - Stop scheduling runs of a prompt
+  app.post(
+    '/schedules/:promptName/pause',
+    authenticated(deps, pauseSchedule(deps))
+  );
+
+  // POST /schedules/:promptName/resume - Resume a paused schedule
+  app.post(
+    '/schedules/:promptName/resume',
+    authenticated(deps, resumeSchedule(deps))
+  );
+}
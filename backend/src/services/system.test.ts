@@ -0,0 +1,85 @@
+import type { Request, Response } from 'express';
+
+import {
+  type ReloadConfigurationDeps,
+  reloadConfiguration,
+  setupSystemRoutes,
+} from './system.js';
+
+describe('reloadConfiguration', () => {
+  let mockRes: Partial<Response>;
+  let mockDeps: ReloadConfigurationDeps;
+
+  beforeEach(() => {
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      configReloader: {
+        reload: jest.fn().mockResolvedValue({
+          prompts: { added: ['review-pr'], removed: [], changed: [] },
+          mcpServers: { added: [], removed: [], changed: [] },
+        }),
+      },
+    };
+  });
+
+  it('should report what the reload changed', async () => {
+    // Act
+    await reloadConfiguration(mockDeps)({} as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: expect.objectContaining({
+          prompts: { added: ['review-pr'], removed: [], changed: [] },
+        }),
+      })
+    );
+  });
+
+  it('should keep the configuration when it is invalid', async () => {
+    // Arrange
+    (mockDeps.configReloader.reload as jest.Mock).mockRejectedValue(
+      new Error('Invalid JSON in PROMPTS')
+    );
+
+    // Act
+    await reloadConfiguration(mockDeps)({} as Request, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'Configuration was not reloaded: Invalid JSON in PROMPTS',
+      })
+    );
+  });
+
+  it('should only reload for authenticated requests', async () => {
+    // Arrange
+    const routes: Record<string, any> = {};
+    const app: any = {
+      get: jest.fn(),
+      post: (path: string, handler: any) => {
+        routes[path] = handler;
+      },
+    };
+    const authMiddleware = {
+      authenticate: jest.fn((_req, res) =>
+        res.status(401).json({ error: 'Unauthorized' })
+      ),
+    };
+    setupSystemRoutes(app, { ...mockDeps, authMiddleware } as any);
+
+    // Act
+    await routes['/system/reload']({}, mockRes);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.configReloader.reload).not.toHaveBeenCalled();
+  });
+});
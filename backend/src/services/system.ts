@@ -1,7 +1,12 @@
 import type { Express, Request, Response } from 'express';
 
+import type { ReloadResult } from '../providers/ConfigReloader.js';
 import type { ApiResponse } from '../types/index.js';
-import { handleError } from './common.js';
+import {
+  type AuthenticationDeps,
+  authenticated,
+  handleError,
+} from './common.js';
 
 // === SYSTEM INFORMATION ===
 
@@ -33,10 +38,13 @@ interface GetSystemStatusDeps {
   };
   claudeService?: any;
   authService?: any;
+  executionRunner?: {
+    getQueueStatus: () => any;
+  };
 }
 
 export function getSystemStatus(deps: GetSystemStatusDeps) {
-  const { configManager, claudeService, authService } = deps;
+  const { configManager, claudeService, authService, executionRunner } = deps;
 
   return (req: Request, res: Response): void => {
     try {
@@ -51,6 +59,7 @@ export function getSystemStatus(deps: GetSystemStatusDeps) {
             available: !!claudeService,
             capabilities: ['streaming', 'mcp-servers', 'git-integration'],
           },
+          providers: claudeService?.describe?.() || [],
           authentication: {
             method: 'session',
             emailLoginEnabled: !!authService,
@@ -58,6 +67,7 @@ export function getSystemStatus(deps: GetSystemStatusDeps) {
           },
           mcpServersConfigured: mcpServers.length,
           promptsLoaded: prompts.length,
+          executionQueue: executionRunner?.getQueueStatus() || null,
           uptime: Math.floor(process.uptime()),
         },
         timestamp: new Date().toISOString(),
@@ -104,6 +114,38 @@ export function getSystemConfig(deps: GetSystemConfigDeps) {
   };
 }
 
+export interface ReloadConfigurationDeps {
+  configReloader: {
+    reload: () => Promise<ReloadResult>;
+  };
+}
+
+export function reloadConfiguration(deps: ReloadConfigurationDeps) {
+  const { configReloader } = deps;
+
+  return async (req: Request, res: Response): Promise<void> => {
+    try {
+      const result = await configReloader.reload();
+
+      const response: ApiResponse = {
+        success: true,
+        data: result,
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error: any) {
+      // The last good configuration stays active
+      const response: ApiResponse = {
+        error: 'Bad Request',
+        message: `Configuration was not reloaded: ${error.message}`,
+        timestamp: new Date().toISOString(),
+      };
+      res.status(400).json(response);
+    }
+  };
+}
+
 /**
  * Wire up system-related routes to the Express app
  * @param app - Express application instance
@@ -111,7 +153,10 @@ export function getSystemConfig(deps: GetSystemConfigDeps) {
  */
 export function setupSystemRoutes(
   app: Express,
-  deps: GetSystemStatusDeps & GetSystemConfigDeps
+  deps: GetSystemStatusDeps &
+    GetSystemConfigDeps &
+    ReloadConfigurationDeps &
+    AuthenticationDeps
 ) {
   // GET /system/health - Health check endpoint
   app.get('/system/health', getSystemHealth());
@@ -121,4 +166,7 @@ export function setupSystemRoutes(
 
   // GET /system/config - Get configuration information (non-sensitive)
   app.get('/system/config', getSystemConfig(deps));
+
+  // POST /system/reload - Reload PROMPTS and MCP_SERVERS
+  app.post('/system/reload', authenticated(deps, reloadConfiguration(deps)));
 }
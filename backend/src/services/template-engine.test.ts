@@ -0,0 +1,112 @@
+import { processPrompt } from '../../public/js/prompt-utils.js';
+import {
+  TemplateError,
+  getTemplateVariables,
+  renderTemplate,
+} from '../../public/js/template-engine.js';
+
+describe('renderTemplate', () => {
+  it('should render dotted paths and filters', () => {
+    // Arrange
+    const parameters = {
+      repo: { owner: 'bitovi', name: 'agent' },
+      labels: ['bug', 'ui'],
+      priority: '',
+    };
+
+    // Act
+    const output = renderTemplate(
+      '{{repo.owner}}/{{ repo.name | upper }} {{labels | json}} {{labels.1}} {{priority | default:"Medium"}} {{missing}}',
+      parameters
+    );
+
+    // Assert
+    expect(output).toBe('bitovi/AGENT ["bug","ui"] ui Medium ');
+  });
+
+  it('should render if and each blocks', () => {
+    // Arrange
+    const template =
+      '{{#if draft}}Draft{{else}}Ready{{/if}}:' +
+      '{{#each files as file}} {{@index}}={{file.path}}{{#if file.new}}*{{/if}}{{else}} none{{/each}}';
+
+    // Act & Assert
+    expect(
+      renderTemplate(template, {
+        draft: false,
+        files: [{ path: 'a.ts', new: true }, { path: 'b.ts' }],
+      })
+    ).toBe('Ready: 0=a.ts* 1=b.ts');
+    expect(renderTemplate(template, { draft: true, files: [] })).toBe(
+      'Draft: none'
+    );
+    expect(
+      renderTemplate('{{#each tags}}[{{this}}]{{/each}}', { tags: ['x', 'y'] })
+    ).toBe('[x][y]');
+  });
+
+  it('should output escaped braces literally', () => {
+    // Act & Assert
+    expect(renderTemplate('\\{{name}} is {{name}}', { name: 'Ada' })).toBe(
+      '{{name}} is Ada'
+    );
+  });
+
+  it('should output braces that open no tag literally', () => {
+    // Act & Assert
+    expect(renderTemplate('Hi {{name}}, then {{ alone', { name: 'Ada' })).toBe(
+      'Hi Ada, then {{ alone'
+    );
+    expect(renderTemplate('const x = {{')).toBe('const x = {{');
+  });
+
+  it('should not expose prototypes or functions', () => {
+    // Act & Assert
+    expect(
+      renderTemplate('{{tags.constructor}}{{tags.length}}{{__proto__}}', {
+        tags: ['bug', 'ui'],
+      })
+    ).toBe('2');
+    expect(renderTemplate('{{fn}}', { fn: () => 'called' })).toBe('');
+  });
+
+  it('should report syntax errors with their line', () => {
+    // Act & Assert
+    expect(() => renderTemplate('Line 1\n{{#if draft}}unclosed')).toThrow(
+      new TemplateError('Unclosed {{#if}}', 2)
+    );
+    expect(() => renderTemplate('{{name | shout}}')).toThrow(
+      'Unknown filter "shout" (line 1)'
+    );
+    expect(() => renderTemplate('{{/each}}')).toThrow('Unexpected {{/each}}');
+  });
+});
+
+describe('getTemplateVariables', () => {
+  it('should list parameters without loop variables', () => {
+    // Act
+    const variables = getTemplateVariables(
+      '{{#each repo.files as file}}{{file.path}} {{this}} {{@index}} {{prefix}}{{/each}}{{#if draft}}{{repo.owner}}{{/if}}'
+    );
+
+    // Assert
+    expect(variables).toEqual(['repo', 'prefix', 'draft']);
+  });
+});
+
+describe('processPrompt', () => {
+  it('should render every message template', () => {
+    // Arrange
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const prompt = {
+      name: 'greet',
+      messages: [{ role: 'user', content: 'Hi {{ name | default:"there" }}' }],
+    };
+
+    // Act
+    const processed = processPrompt(prompt, {});
+
+    // Assert
+    expect(processed.messages).toEqual([{ role: 'user', content: 'Hi there' }]);
+  });
+});
@@ -0,0 +1,215 @@
+import express, { type Request, type Response } from 'express';
+import type { Server } from 'http';
+import type { AddressInfo } from 'net';
+
+import { AuthMiddleware } from '../middleware/AuthMiddleware.js';
+import {
+  type ToolApprovalDeps,
+  decideToolApproval,
+  getToolApprovals,
+  setupToolApprovalRoutes,
+} from './tool-approvals.js';
+
+// Mock the common module
+jest.mock('./common.js', () => ({
+  ...jest.requireActual('./common.js'),
+  handleError: jest.fn(),
+}));
+
+describe('tool approvals', () => {
+  const approval = {
+    executionId: 'exec-1',
+    toolUseId: 'toolu_1',
+    toolName: 'Bash',
+    input: { command: 'npm publish' },
+    rule: 'Bash',
+    requestedAt: '2024-01-15T10:30:00Z',
+  };
+
+  let mockRes: Partial<Response>;
+  let mockDeps: ToolApprovalDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      executionHistoryService: {
+        getExecution: jest.fn((id) => (id === 'exec-1' ? { id } : null)),
+      },
+      toolApprovals: {
+        getPending: jest.fn().mockReturnValue([approval]),
+        decide: jest.fn((_executionId, toolUseId) =>
+          toolUseId === 'toolu_1' ? approval : null
+        ),
+      },
+    };
+  });
+
+  it('should list the tool calls waiting for approval', () => {
+    // Arrange
+    const req = { params: { executionId: 'exec-1' } } as unknown as Request;
+
+    // Act
+    getToolApprovals(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: { executionId: 'exec-1', approvals: [approval] },
+      })
+    );
+  });
+
+  it('should approve a tool call on behalf of the signed-in user', () => {
+    // Arrange
+    const req = {
+      params: { executionId: 'exec-1', toolUseId: 'toolu_1' },
+      body: { decision: 'approve' },
+      user: { email: 'user@example.com' },
+    } as unknown as Request;
+
+    // Act
+    decideToolApproval(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.toolApprovals.decide).toHaveBeenCalledWith(
+      'exec-1',
+      'toolu_1',
+      { approved: true, decidedBy: 'user@example.com' }
+    );
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        data: expect.objectContaining({
+          toolUseId: 'toolu_1',
+          decision: 'approve',
+          decidedBy: 'user@example.com',
+        }),
+      })
+    );
+  });
+
+  it('should pass the reason of a denial on to Claude', () => {
+    // Arrange
+    const req = {
+      params: { executionId: 'exec-1', toolUseId: 'toolu_1' },
+      body: { decision: 'deny', message: 'Do not publish from CI' },
+      user: { email: 'user@example.com' },
+    } as unknown as Request;
+
+    // Act
+    decideToolApproval(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.toolApprovals.decide).toHaveBeenCalledWith(
+      'exec-1',
+      'toolu_1',
+      {
+        approved: false,
+        decidedBy: 'user@example.com',
+        message: 'Do not publish from CI',
+      }
+    );
+  });
+
+  it('should return 400 for an unknown decision', () => {
+    // Arrange
+    const req = {
+      params: { executionId: 'exec-1', toolUseId: 'toolu_1' },
+      body: { decision: 'maybe' },
+      user: { email: 'user@example.com' },
+    } as unknown as Request;
+
+    // Act
+    decideToolApproval(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockDeps.toolApprovals.decide).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 when no such tool call is waiting', () => {
+    // Arrange
+    const req = {
+      params: { executionId: 'exec-1', toolUseId: 'toolu_2' },
+      body: { decision: 'approve' },
+      user: { email: 'user@example.com' },
+    } as unknown as Request;
+
+    // Act
+    decideToolApproval(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+  });
+
+  it('should return 404 for an unknown execution', () => {
+    // Arrange
+    const req = {
+      params: { executionId: 'missing', toolUseId: 'toolu_1' },
+      body: { decision: 'approve' },
+      user: { email: 'user@example.com' },
+    } as unknown as Request;
+
+    // Act
+    decideToolApproval(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(404);
+    expect(mockDeps.toolApprovals.decide).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a decision without a signed-in user', () => {
+    // Arrange
+    const req = {
+      params: { executionId: 'exec-1', toolUseId: 'toolu_1' },
+      body: { decision: 'approve' },
+    } as unknown as Request;
+
+    // Act
+    decideToolApproval(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockDeps.toolApprovals.decide).not.toHaveBeenCalled();
+  });
+
+  it('should refuse an unauthenticated POST to the approval route', async () => {
+    // Arrange
+    const app = express();
+    app.use(express.json());
+    setupToolApprovalRoutes(app, {
+      ...mockDeps,
+      authMiddleware: new AuthMiddleware({ getSession: () => null }),
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const server: Server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const { port } = server.address() as AddressInfo;
+
+    try {
+      // Act
+      const response = await fetch(
+        `http://127.0.0.1:${port}/executions/exec-1/approvals/toolu_1`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ decision: 'approve' }),
+        }
+      );
+
+      // Assert
+      expect(response.status).toBe(401);
+      expect(mockDeps.toolApprovals.decide).not.toHaveBeenCalled();
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      jest.restoreAllMocks();
+    }
+  });
+});
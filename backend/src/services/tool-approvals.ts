@@ -0,0 +1,152 @@
+import type { Express, Request, Response } from 'express';
+
+import type {
+  PendingToolApproval,
+  ToolApprovalDecision,
+} from '../providers/ToolApprovalManager.js';
+import type { ApiResponse } from '../types/index.js';
+import {
+  type AuthenticationDeps,
+  authenticated,
+  handleError,
+} from './common.js';
+
+// === TOOL APPROVALS ===
+
+export interface ToolApprovalDeps {
+  executionHistoryService: {
+    getExecution: (executionId: string) => any;
+  };
+  toolApprovals: {
+    getPending: (executionId: string) => PendingToolApproval[];
+    decide: (
+      executionId: string,
+      toolUseId: string,
+      decision: ToolApprovalDecision
+    ) => PendingToolApproval | null;
+  };
+}
+
+function sendExecutionNotFound(res: Response, executionId: string) {
+  res.status(404).json({
+    error: 'Not Found',
+    message: `Execution '${executionId}' does not exist`,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+export function getToolApprovals(deps: ToolApprovalDeps) {
+  const { executionHistoryService, toolApprovals } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { executionId } = req.params;
+
+      if (!executionHistoryService.getExecution(executionId)) {
+        return sendExecutionNotFound(res, executionId);
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: {
+          executionId,
+          approvals: toolApprovals.getPending(executionId),
+        },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+export function decideToolApproval(deps: ToolApprovalDeps) {
+  const { executionHistoryService, toolApprovals } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const { executionId, toolUseId } = req.params;
+      const { decision, message } = req.body || {};
+
+      // Every decision is made by someone who can be named in the audit trail
+      const decidedBy = req.user?.email;
+      if (!decidedBy) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Sign in to approve or deny tool calls',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (decision !== 'approve' && decision !== 'deny') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'decision must be "approve" or "deny"',
+          timestamp: new Date().toISOString(),
+        });
+      }
+      if (message !== undefined && typeof message !== 'string') {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'message must be a string',
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      if (!executionHistoryService.getExecution(executionId)) {
+        return sendExecutionNotFound(res, executionId);
+      }
+
+      const approval = toolApprovals.decide(executionId, toolUseId, {
+        approved: decision === 'approve',
+        decidedBy,
+        ...(message ? { message } : {}),
+      });
+      if (!approval) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Execution '${executionId}' has no tool call '${toolUseId}' waiting for approval`,
+          timestamp: new Date().toISOString(),
+        });
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: {
+          ...approval,
+          decision,
+          decidedBy,
+        },
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Wire up tool approval routes to the Express app
+ * @param app - Express application instance
+ * @param deps - Dependencies for dependency injection
+ */
+export function setupToolApprovalRoutes(
+  app: Express,
+  deps: ToolApprovalDeps & AuthenticationDeps
+) {
+  // GET /executions/:executionId/approvals - List the tool calls waiting for approval
+  app.get(
+    '/executions/:executionId/approvals',
+    authenticated(deps, getToolApprovals(deps))
+  );
+
+  // POST /executions/:executionId/approvals/:toolUseId - Approve or deny a tool call
+  app.post(
+    '/executions/:executionId/approvals/:toolUseId',
+    authenticated(deps, decideToolApproval(deps))
+  );
+}
@@ -0,0 +1,82 @@
+import type { Request, Response } from 'express';
+
+import { type UsageDeps, getUsage } from './usage.js';
+
+// Mock the common module
+jest.mock('./common.js', () => ({
+  handleError: jest.fn(),
+}));
+
+describe('getUsage', () => {
+  let mockRes: Partial<Response>;
+  let mockDeps: UsageDeps;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRes = {
+      json: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+    };
+
+    mockDeps = {
+      usageTracker: {
+        getReport: jest.fn().mockReturnValue({ totals: { costUsd: 1 } }),
+      },
+    };
+  });
+
+  it('should report on whole days when given dates', () => {
+    // Arrange
+    const req = {
+      query: { from: '2024-01-01', to: '2024-01-31' },
+    } as unknown as Request;
+
+    // Act
+    getUsage(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    expect(mockDeps.usageTracker.getReport).toHaveBeenCalledWith(
+      new Date('2024-01-01T00:00:00Z'),
+      new Date('2024-02-01T00:00:00Z')
+    );
+    expect(mockRes.json).toHaveBeenCalledWith(
+      expect.objectContaining({
+        success: true,
+        data: { totals: { costUsd: 1 } },
+      })
+    );
+  });
+
+  it('should default to the current month', () => {
+    // Arrange
+    const req = { query: {} } as unknown as Request;
+
+    // Act
+    getUsage(mockDeps)(req, mockRes as Response);
+
+    // Assert
+    const [from, to] = (mockDeps.usageTracker.getReport as jest.Mock).mock
+      .calls[0];
+    expect(from.getUTCDate()).toBe(1);
+    expect(from.getUTCHours()).toBe(0);
+    expect(to.getTime()).toBeGreaterThan(from.getTime());
+  });
+
+  it('should return 400 for an invalid range', () => {
+    // Arrange
+    const invalid = { query: { from: 'last week' } } as unknown as Request;
+    const reversed = {
+      query: { from: '2024-02-01', to: '2024-01-01' },
+    } as unknown as Request;
+
+    // Act
+    getUsage(mockDeps)(invalid, mockRes as Response);
+    getUsage(mockDeps)(reversed, mockRes as Response);
+
+    // Assert
+    expect(mockRes.status).toHaveBeenCalledTimes(2);
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockDeps.usageTracker.getReport).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+import type { Express, Request, Response } from 'express';
+
+import type { UsageReport } from '../providers/UsageTracker.js';
+import type { ApiResponse } from '../types/index.js';
+import { handleError } from './common.js';
+
+// === USAGE ===
+
+export interface UsageDeps {
+  usageTracker: {
+    getReport: (from: Date, to: Date) => UsageReport;
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a report boundary: an ISO timestamp, or a date (YYYY-MM-DD) that
+ * stands for the start of that day, or for its end when it ends the report
+ * @returns The boundary, null when the value is not a date
+ */
+function parseBoundary(value: string, isEnd: boolean): Date | null {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return isEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(date.getTime() + DAY_MS)
+    : date;
+}
+
+function sendBadRequest(res: Response, message: string) {
+  res.status(400).json({
+    error: 'Bad Request',
+    message,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+export function getUsage(deps: UsageDeps) {
+  const { usageTracker } = deps;
+
+  return (req: Request, res: Response) => {
+    try {
+      const now = new Date();
+      const fromParam = req.query['from'] as string | undefined;
+      const toParam = req.query['to'] as string | undefined;
+
+      const from = fromParam
+        ? parseBoundary(fromParam, false)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const to = toParam ? parseBoundary(toParam, true) : now;
+
+      if (!from || !to) {
+        return sendBadRequest(
+          res,
+          'from and to must be dates (YYYY-MM-DD) or ISO timestamps'
+        );
+      }
+      if (from >= to) {
+        return sendBadRequest(res, 'from must be before to');
+      }
+
+      const response: ApiResponse = {
+        success: true,
+        data: usageTracker.getReport(from, to),
+        timestamp: new Date().toISOString(),
+      };
+
+      res.json(response);
+    } catch (error) {
+      handleError(res, error);
+    }
+  };
+}
+
+/**
+ * Wire up usage routes to the Express app
+ * @param app - Express application instance
+ * @param deps - Dependencies for dependency injection
+ */
+export function setupUsageRoutes(app: Express, deps: UsageDeps) {
+  // GET /usage - Token usage and cost by prompt, user and day, with budgets
+  app.get('/usage', getUsage(deps));
+}
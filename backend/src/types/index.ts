@@ -26,10 +26,55 @@ export interface Prompt {
     role: string;
     content: string;
   }>;
-  parameters?: Record<string, PromptParameter>;
+  parameters?: Record<string, any>; // JSON Schema of the parameters of a workflow
+  steps?: WorkflowStep[]; // Set for workflows, which run these steps instead of messages
   mcp_servers?: string[];
   connections?: Connection[];
   canRun?: boolean;
+  editable?: boolean; // Stored through the API rather than the PROMPTS configuration
+  schedule?: PromptSchedule;
+  webhook?: PromptWebhook;
+  tool_approval?: ToolApprovalPolicy;
+  // Tool patterns: a tool name, 'mcp__<server>' or a glob such as 'mcp__github__get_*'
+  allowed_tools?: string[]; // Replaces Read, Write, Bash and every tool of the MCP servers
+  disallowed_tools?: string[]; // Never allowed, even when allowed_tools or tool_approval match
+  max_turns?: number; // Defaults to 10
+  permission_mode?: PromptPermissionMode; // Defaults to acceptEdits, or default with tool_approval
+  model?: string; // Claude model alias or name, e.g. 'sonnet'; defaults to CLAUDE_MODEL
+  temperature?: number; // 0 to 1, Anthropic SDK service only; defaults to CLAUDE_TEMPERATURE
+  max_tokens?: number; // Anthropic SDK service only; defaults to CLAUDE_MAX_TOKENS, else 4096
+  system_prompt?: string; // Added to the system prompt; defaults to CLAUDE_SYSTEM_PROMPT
+  provider?: string; // LLM provider to run on, e.g. 'ollama'; defaults to CLAUDE_SERVICE
+}
+
+export type PromptPermissionMode =
+  | 'default'
+  | 'acceptEdits'
+  | 'bypassPermissions'
+  | 'plan';
+
+export interface WorkflowStep {
+  id: string;
+  prompt: string; // Name of the prompt the step runs
+  parameters?: Record<string, any>; // Strings are templates over the workflow parameters and steps.<id>.output
+  mcp_servers?: string[]; // Defaults to the MCP servers of the step's prompt
+  on_success?: string; // Step to continue with, or 'end'; defaults to the next step
+  on_error?: string; // Step to continue with, or 'end'; by default the workflow fails
+}
+
+export interface PromptSchedule {
+  cron: string; // 5-field cron expression, evaluated in server local time
+  parameters?: Record<string, any>; // Fixed parameters for every scheduled run
+  enabled?: boolean; // false starts the schedule paused
+}
+
+export interface PromptWebhook {
+  secret?: string; // HMAC secret, overridden by WEBHOOK_<promptName>_secret
+  parameters?: Record<string, string>; // Parameter name to dot-separated payload path
+}
+
+export interface ToolApprovalPolicy {
+  tools: string[]; // Tool patterns, see allowed_tools
 }
 
 export interface User {
@@ -43,14 +88,39 @@ export interface ApiResponse<T = any> {
   data?: T;
   error?: string;
   message?: string;
+  details?: Record<string, any>;
   timestamp?: string;
 }
 
+export interface ExecutionWorkspace {
+  dir: string;
+  mcpConfigPath: string;
+}
+
+export interface TranscriptMessage {
+  role: string;
+  content: string;
+}
+
+export interface ExecutionFollowUp {
+  message: string; // What the user sent after the previous execution finished
+  sessionId: string | null; // Claude Code session of the previous execution
+  transcript: TranscriptMessage[] | null; // Conversation of the previous execution (Anthropic SDK service)
+}
+
+export interface ExecutionOptions {
+  executionId?: string; // Execution record created by the caller (ExecutionRunner)
+  signal?: AbortSignal; // Aborted when the execution is cancelled
+  workspace?: ExecutionWorkspace; // Isolated working directory for this execution
+  followUp?: ExecutionFollowUp; // Continue a conversation instead of sending the prompt's messages
+}
+
 // Express request extension for user info
 declare global {
   namespace Express {
     interface Request {
       user?: User;
+      rawBody?: Buffer; // Unparsed JSON body, used to verify webhook signatures
     }
   }
 }
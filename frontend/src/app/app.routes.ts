@@ -31,6 +31,20 @@ export const routes: Routes = [
         loadComponent: () =>
           import('./pages/dashboard/dashboard').then((m) => m.Dashboard),
       },
+      {
+        path: 'prompts/new',
+        loadComponent: () =>
+          import('./pages/prompt-editor/prompt-editor').then(
+            (m) => m.PromptEditor
+          ),
+      },
+      {
+        path: 'prompts/:promptName/edit',
+        loadComponent: () =>
+          import('./pages/prompt-editor/prompt-editor').then(
+            (m) => m.PromptEditor
+          ),
+      },
       {
         path: 'prompts/:promptName/activity',
         loadComponent: () =>
@@ -0,0 +1,19 @@
+export interface PendingPromptResponse {
+  success: boolean;
+  data: Data;
+  timestamp: string;
+}
+
+export interface Data {
+  pendingPrompts: PendingPrompt[];
+}
+
+export interface PendingPrompt {
+  id: string;
+  promptName: string;
+  parameters: Record<string, unknown>;
+  userEmail?: string;
+  unauthorizedServers?: string[];
+  waitingFor: string[];
+  timestamp: string;
+}
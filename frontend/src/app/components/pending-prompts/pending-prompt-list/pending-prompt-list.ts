@@ -0,0 +1,40 @@
+import { CommonModule } from '@angular/common';
+import { Component, inject } from '@angular/core';
+
+import {
+  FaIconLibrary,
+  FontAwesomeModule,
+} from '@fortawesome/angular-fontawesome';
+import {
+  faClock,
+  faRotateRight,
+  faXmark,
+} from '@fortawesome/free-solid-svg-icons';
+
+import { PendingPromptService } from '../../../services/pending-prompt.service';
+import { PendingPrompt } from '../models/pending-prompt-model';
+
+@Component({
+  selector: 'app-pending-prompt-list',
+  imports: [FontAwesomeModule, CommonModule],
+  templateUrl: './pending-prompt-list.html',
+  styleUrl: './pending-prompt-list.scss',
+})
+export class PendingPromptList {
+  #pendingPromptService = inject(PendingPromptService);
+
+  pendingPrompts = this.#pendingPromptService.pendingPrompts.asReadonly();
+  loading = this.#pendingPromptService.loading.asReadonly();
+
+  constructor(library: FaIconLibrary) {
+    library.addIcons(...[faClock, faRotateRight, faXmark]);
+  }
+
+  refresh() {
+    this.#pendingPromptService.refresh();
+  }
+
+  cancel(pendingPrompt: PendingPrompt) {
+    this.#pendingPromptService.cancel(pendingPrompt);
+  }
+}
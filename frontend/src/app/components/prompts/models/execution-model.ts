@@ -0,0 +1,58 @@
+import type { ExecutionEventPayloads } from '@shared/execution-events';
+
+export type ExecutionStatus =
+  | 'queued'
+  | 'running'
+  | 'completed'
+  | 'error'
+  | 'cancelled';
+
+export interface PromptActivityResponse {
+  prompt: {
+    name: string;
+    description?: string;
+  };
+  executions: Execution[];
+  pagination: {
+    total: number;
+    limit: number;
+    offset: number;
+    hasMore: boolean;
+  };
+}
+
+export interface Execution {
+  id: string;
+  promptName: string;
+  parameters: Record<string, unknown>;
+  userEmail: string;
+  timestamp: string;
+  status: ExecutionStatus;
+  duration: number | null;
+  error: {
+    message: string;
+    type: string;
+  } | null;
+  usage?: ExecutionUsage | null;
+  model?: string | null;
+  // Set on the step executions a workflow started
+  parentExecutionId?: string;
+  children?: Execution[];
+  // A follow-up continues the conversation of its previous execution
+  previousExecutionId?: string | null;
+  followUpMessage?: string | null;
+  sessionId?: string | null;
+  transcript?: { role: string; content: string }[] | null;
+  // Added by the activity endpoint; follow-ups are listed under the first execution
+  output?: string | null;
+  followUps?: Execution[];
+}
+
+export type ExecutionUsage = ExecutionEventPayloads['usage'];
+
+// Events of an execution's stream, as defined by the backend's event protocol
+export type {
+  ExecutionEventPayloads,
+  ExecutionEventType,
+  ExecutionStreamEvent,
+} from '@shared/execution-events';
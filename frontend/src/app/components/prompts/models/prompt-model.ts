@@ -4,10 +4,44 @@ export interface PromptResponse {
 
 export interface Prompt {
   name: string;
-  messages: Message[];
+  description?: string;
+  // Workflows have steps and top-level parameters instead of messages
+  messages?: Message[];
+  steps?: WorkflowStep[];
+  parameters?: Parameters;
   mcp_servers?: any[];
   canRun: boolean;
   connections: Connection[];
+  editable?: boolean;
+}
+
+export interface WorkflowStep {
+  id: string;
+  prompt: string;
+  parameters?: Record<string, string>;
+  mcp_servers?: string[];
+  on_success?: string;
+  on_error?: string;
+}
+
+// A prompt as it is created or updated through the API
+export interface PromptDefinition {
+  name: string;
+  description?: string;
+  mcp_servers: string[];
+  messages: PromptMessageDefinition[];
+}
+
+export interface PromptMessageDefinition {
+  role: string;
+  content: string;
+  parameters?: Record<string, any>;
+}
+
+export interface PromptSaveResponse {
+  success: boolean;
+  data: PromptDefinition;
+  timestamp: string;
 }
 
 export interface Message {
@@ -0,0 +1,135 @@
+import { ChangeDetectionStrategy, Component, model } from '@angular/core';
+import { FormsModule } from '@angular/forms';
+
+export type ParameterType = 'string' | 'number' | 'integer' | 'boolean';
+
+export interface ParameterField {
+  name: string;
+  type: ParameterType;
+  description: string;
+  required: boolean;
+  defaultValue: string;
+  // Comma-separated allowed values
+  enumValues: string;
+}
+
+export const PARAMETER_TYPES: ParameterType[] = [
+  'string',
+  'number',
+  'integer',
+  'boolean',
+];
+
+/**
+ * Convert a message `parameters` JSON Schema into editable fields
+ */
+export function toParameterFields(
+  schema: Record<string, any> | undefined
+): ParameterField[] {
+  const required: string[] = schema?.['required'] || [];
+
+  return Object.entries(schema?.['properties'] || {}).map(
+    ([name, property]: [string, any]) => ({
+      name,
+      type: PARAMETER_TYPES.includes(property.type) ? property.type : 'string',
+      description: property.description || '',
+      required: required.includes(name),
+      defaultValue:
+        property.default === undefined ? '' : String(property.default),
+      enumValues: (property.enum || []).join(', '),
+    })
+  );
+}
+
+/**
+ * Convert editable fields into a message `parameters` JSON Schema
+ * @returns The schema, or undefined when there are no fields
+ */
+export function toParameterSchema(
+  fields: ParameterField[]
+): Record<string, any> | undefined {
+  const named = fields.filter((field) => field.name.trim());
+  if (named.length === 0) {
+    return undefined;
+  }
+
+  const properties: Record<string, any> = {};
+  for (const field of named) {
+    const property: Record<string, any> = { type: field.type };
+    if (field.description) {
+      property['description'] = field.description;
+    }
+    const enumValues = field.enumValues
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (enumValues.length > 0) {
+      property['enum'] = enumValues.map((value) => toValue(field.type, value));
+    }
+    if (field.defaultValue !== '') {
+      property['default'] = toValue(field.type, field.defaultValue);
+    }
+    properties[field.name.trim()] = property;
+  }
+
+  const required = named
+    .filter((field) => field.required)
+    .map((field) => field.name.trim());
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+  };
+}
+
+function toValue(
+  type: ParameterType,
+  value: string
+): string | number | boolean {
+  if (type === 'boolean') {
+    return value === 'true';
+  }
+  if ((type === 'number' || type === 'integer') && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  return value;
+}
+
+@Component({
+  selector: 'app-parameter-schema-builder',
+  imports: [FormsModule],
+  templateUrl: './parameter-schema-builder.html',
+  styleUrl: './parameter-schema-builder.scss',
+  changeDetection: ChangeDetectionStrategy.OnPush,
+})
+export class ParameterSchemaBuilder {
+  fields = model.required<ParameterField[]>();
+
+  types = PARAMETER_TYPES;
+
+  add(): void {
+    this.fields.update((fields) => [
+      ...fields,
+      {
+        name: '',
+        type: 'string',
+        description: '',
+        required: false,
+        defaultValue: '',
+        enumValues: '',
+      },
+    ]);
+  }
+
+  remove(index: number): void {
+    this.fields.update((fields) => fields.filter((_, i) => i !== index));
+  }
+
+  change(index: number, patch: Partial<ParameterField>): void {
+    this.fields.update((fields) =>
+      fields.map((field, i) => (i === index ? { ...field, ...patch } : field))
+    );
+  }
+}
@@ -0,0 +1,149 @@
+import { httpResource } from '@angular/common/http';
+import {
+  ChangeDetectionStrategy,
+  Component,
+  computed,
+  inject,
+  input,
+  linkedSignal,
+} from '@angular/core';
+import { FormsModule } from '@angular/forms';
+import { Router } from '@angular/router';
+
+import { PromptService } from '../../../services/prompt.service';
+import { ConnectionResponse } from '../../connections/models/connection-model';
+import { Prompt, PromptDefinition } from '../models/prompt-model';
+import {
+  ParameterField,
+  ParameterSchemaBuilder,
+  toParameterFields,
+  toParameterSchema,
+} from '../parameter-schema-builder/parameter-schema-builder';
+
+interface MessageDraft {
+  role: string;
+  content: string;
+  fields: ParameterField[];
+}
+
+interface PromptDraft {
+  name: string;
+  description: string;
+  mcpServers: string[];
+  messages: MessageDraft[];
+}
+
+@Component({
+  selector: 'app-prompt-form',
+  imports: [FormsModule, ParameterSchemaBuilder],
+  templateUrl: './prompt-form.html',
+  styleUrl: './prompt-form.scss',
+  changeDetection: ChangeDetectionStrategy.OnPush,
+})
+export class PromptForm {
+  #promptService = inject(PromptService);
+  #router = inject(Router);
+
+  // The prompt to edit; a new prompt is created when undefined
+  prompt = input<Prompt | undefined>();
+
+  roles = ['user', 'assistant', 'system'];
+
+  saving = this.#promptService.saving.asReadonly();
+  error = this.#promptService.error.asReadonly();
+
+  connectionsRef = httpResource<ConnectionResponse>(() => '/api/connections');
+
+  mcpServers = computed(() =>
+    (this.connectionsRef.value()?.data.connections || [])
+      .filter((connection) => connection.type === 'mcp-server')
+      .map((connection) => connection.name)
+  );
+
+  draft = linkedSignal<PromptDraft>(() => {
+    const prompt = this.prompt();
+
+    return {
+      name: prompt?.name || '',
+      description: prompt?.description || '',
+      mcpServers: prompt?.mcp_servers || [],
+      messages: prompt?.messages?.map((message) => ({
+        role: message.role,
+        content: message.content,
+        fields: toParameterFields(message.parameters),
+      })) || [{ role: 'user', content: '', fields: [] }],
+    };
+  });
+
+  isNew = computed(() => !this.prompt());
+
+  patch(patch: Partial<PromptDraft>): void {
+    this.draft.update((draft) => ({ ...draft, ...patch }));
+  }
+
+  patchMessage(index: number, patch: Partial<MessageDraft>): void {
+    this.patch({
+      messages: this.draft().messages.map((message, i) =>
+        i === index ? { ...message, ...patch } : message
+      ),
+    });
+  }
+
+  addMessage(): void {
+    this.patch({
+      messages: [
+        ...this.draft().messages,
+        { role: 'user', content: '', fields: [] },
+      ],
+    });
+  }
+
+  removeMessage(index: number): void {
+    this.patch({
+      messages: this.draft().messages.filter((_, i) => i !== index),
+    });
+  }
+
+  toggleMcpServer(name: string, selected: boolean): void {
+    const mcpServers = this.draft().mcpServers.filter(
+      (server) => server !== name
+    );
+    this.patch({ mcpServers: selected ? [...mcpServers, name] : mcpServers });
+  }
+
+  save(): void {
+    const draft = this.draft();
+    const prompt: PromptDefinition = {
+      name: draft.name.trim(),
+      ...(draft.description ? { description: draft.description } : {}),
+      mcp_servers: draft.mcpServers,
+      messages: draft.messages.map((message) => {
+        const parameters = toParameterSchema(message.fields);
+        return {
+          role: message.role,
+          content: message.content,
+          ...(parameters ? { parameters } : {}),
+        };
+      }),
+    };
+
+    const request = this.isNew()
+      ? this.#promptService.create(prompt)
+      : this.#promptService.update(this.prompt()!.name, prompt);
+
+    request.subscribe((saved) => {
+      this.#router.navigate(['/prompts', saved.name, 'activity']);
+    });
+  }
+
+  delete(): void {
+    const prompt = this.prompt();
+    if (!prompt || !confirm(`Delete the prompt '${prompt.name}'?`)) {
+      return;
+    }
+
+    this.#promptService.delete(prompt.name).subscribe(() => {
+      this.#router.navigate(['/dashboard']);
+    });
+  }
+}
@@ -0,0 +1,117 @@
+import { CommonModule } from '@angular/common';
+import { httpResource } from '@angular/common/http';
+import {
+  Component,
+  computed,
+  effect,
+  inject,
+  input,
+  signal,
+} from '@angular/core';
+
+import {
+  FaIconLibrary,
+  FontAwesomeModule,
+} from '@fortawesome/angular-fontawesome';
+import {
+  faClockRotateLeft,
+  faPaperPlane,
+  faStop,
+} from '@fortawesome/free-solid-svg-icons';
+
+import { ExecutionService } from '../../../../services/execution.service';
+import {
+  Execution,
+  PromptActivityResponse,
+} from '../../models/execution-model';
+
+const REFRESH_INTERVAL_MS = 5000;
+
+@Component({
+  selector: 'app-prompt-execution-list',
+  imports: [FontAwesomeModule, CommonModule],
+  templateUrl: './prompt-execution-list.html',
+  styleUrl: './prompt-execution-list.scss',
+})
+export class PromptExecutionList {
+  #executionService = inject(ExecutionService);
+
+  promptName = input<string | null>();
+
+  #activityRef = httpResource<PromptActivityResponse>(() => {
+    if (!this.promptName()) {
+      return undefined;
+    }
+
+    return `/api/prompts/${this.promptName()}/activity`;
+  });
+
+  executions = computed(() => this.#activityRef.value()?.executions || []);
+  error = this.#executionService.error.asReadonly();
+
+  // Follow-up messages being typed, by the ID of the conversation's first execution
+  drafts = signal<Partial<Record<string, string>>>({});
+
+  constructor(library: FaIconLibrary) {
+    library.addIcons(...[faClockRotateLeft, faPaperPlane, faStop]);
+
+    // Keep refreshing while an execution or follow-up is still queued or running
+    effect((onCleanup) => {
+      const pending = this.executions().some(
+        (e) => isPending(e) || e.followUps?.some(isPending)
+      );
+      if (!pending) {
+        return;
+      }
+
+      const timer = setTimeout(
+        () => this.#activityRef.reload(),
+        REFRESH_INTERVAL_MS
+      );
+      onCleanup(() => clearTimeout(timer));
+    });
+  }
+
+  /**
+   * The execution a new follow-up continues: the conversation's latest one
+   */
+  latest(execution: Execution): Execution {
+    return execution.followUps?.at(-1) || execution;
+  }
+
+  canContinue(execution: Execution): boolean {
+    const latest = this.latest(execution);
+    return (
+      !isPending(latest) && !!(latest.sessionId || latest.transcript?.length)
+    );
+  }
+
+  onDraftInput(execution: Execution, event: Event) {
+    const message = (event.target as HTMLTextAreaElement).value;
+    this.drafts.update((drafts) => ({ ...drafts, [execution.id]: message }));
+  }
+
+  send(execution: Execution) {
+    const message = this.drafts()[execution.id]?.trim();
+    if (!message) {
+      return;
+    }
+
+    this.#executionService
+      .sendMessage(this.latest(execution).id, message)
+      .subscribe(() => {
+        this.drafts.update((drafts) => ({ ...drafts, [execution.id]: '' }));
+        this.#activityRef.reload();
+      });
+  }
+
+  stop(execution: Execution) {
+    this.#executionService.cancel(execution.id).subscribe(() => {
+      this.#activityRef.reload();
+    });
+  }
+}
+
+function isPending(execution: Execution): boolean {
+  return execution.status === 'queued' || execution.status === 'running';
+}
@@ -1,10 +1,14 @@
-import { Component, computed, input } from '@angular/core';
+import { Component, computed, input, linkedSignal } from '@angular/core';
 
 import {
   FaIconLibrary,
   FontAwesomeModule,
 } from '@fortawesome/angular-fontawesome';
 import { faCirclePlay, faEye } from '@fortawesome/free-regular-svg-icons';
+import {
+  ParameterValidationError,
+  validatePromptParameters,
+} from '@shared/parameter-validator';
 
 import { Prompt } from '../../models/prompt-model';
 
@@ -20,9 +24,15 @@ export class PromptExecutor {
   parameters = computed(() => {
     const exampleParams: Record<string, any> = {};
 
-    this.prompt()?.messages.forEach((message: any) => {
-      if (message.parameters?.properties) {
-        Object.entries(message.parameters.properties).forEach(
+    const prompt = this.prompt();
+    // A workflow declares its parameters once instead of per message
+    const schemas = prompt?.steps
+      ? [prompt.parameters]
+      : prompt?.messages?.map((message) => message.parameters);
+
+    schemas?.forEach((schema: any) => {
+      if (schema?.properties) {
+        Object.entries(schema.properties).forEach(
           ([name, prop]: [string, any]) => {
             if (prop.default !== undefined) {
               exampleParams[name] = prop.default;
@@ -47,7 +57,39 @@ export class PromptExecutor {
     return exampleParams;
   });
 
+  parametersText = linkedSignal(() =>
+    JSON.stringify(this.parameters(), null, 2)
+  );
+
+  // Same validation the backend runs before executing the prompt
+  validationErrors = computed<ParameterValidationError[]>(() => {
+    const prompt = this.prompt();
+    if (!prompt) {
+      return [];
+    }
+
+    let parameters: unknown;
+    try {
+      parameters = JSON.parse(this.parametersText() || '{}');
+    } catch {
+      return [{ field: '', message: 'Invalid JSON', keyword: 'json' }];
+    }
+    if (
+      !parameters ||
+      typeof parameters !== 'object' ||
+      Array.isArray(parameters)
+    ) {
+      return [{ field: '', message: 'Must be a JSON object', keyword: 'type' }];
+    }
+
+    return validatePromptParameters(prompt, parameters as Record<string, any>);
+  });
+
   constructor(private readonly library: FaIconLibrary) {
     this.library.addIcons(faEye, faCirclePlay);
   }
+
+  onParametersInput(event: Event): void {
+    this.parametersText.set((event.target as HTMLTextAreaElement).value);
+  }
 }
@@ -7,12 +7,13 @@ import { map } from 'rxjs';
 
 import { Prompt } from '../models/prompt-model';
 import { PromptDetails } from './prompt-details/prompt-details';
+import { PromptExecutionList } from './prompt-execution-list/prompt-execution-list';
 import { PromptExecutor } from './prompt-executor/prompt-executor';
 import { PromptHeader } from './prompt-header/prompt-header';
 
 @Component({
   selector: 'app-prompt',
-  imports: [PromptHeader, PromptDetails, PromptExecutor],
+  imports: [PromptHeader, PromptDetails, PromptExecutor, PromptExecutionList],
   templateUrl: './prompt.html',
   styleUrl: './prompt.scss',
 })
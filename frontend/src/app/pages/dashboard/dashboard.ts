@@ -1,11 +1,12 @@
 import { Component } from '@angular/core';
 
 import { ConnectionList } from '../../components/connections/connection-list/connection-list';
+import { PendingPromptList } from '../../components/pending-prompts/pending-prompt-list/pending-prompt-list';
 import { PromptList } from '../../components/prompts/prompt-list/prompt-list';
 
 @Component({
   selector: 'app-dashboard',
-  imports: [PromptList, ConnectionList],
+  imports: [PromptList, PendingPromptList, ConnectionList],
   templateUrl: './dashboard.html',
   styleUrl: './dashboard.scss',
 })
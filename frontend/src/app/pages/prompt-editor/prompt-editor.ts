@@ -0,0 +1,33 @@
+import { httpResource } from '@angular/common/http';
+import { Component, inject } from '@angular/core';
+import { toSignal } from '@angular/core/rxjs-interop';
+import { ActivatedRoute, RouterLink } from '@angular/router';
+
+import { map } from 'rxjs';
+
+import { Prompt } from '../../components/prompts/models/prompt-model';
+import { PromptForm } from '../../components/prompts/prompt-form/prompt-form';
+
+@Component({
+  selector: 'app-prompt-editor',
+  imports: [PromptForm, RouterLink],
+  templateUrl: './prompt-editor.html',
+  styleUrl: './prompt-editor.scss',
+})
+export class PromptEditor {
+  #route = inject(ActivatedRoute);
+
+  // Empty on /prompts/new
+  promptName = toSignal(
+    this.#route.paramMap.pipe(map((params) => params.get('promptName'))),
+    { initialValue: null }
+  );
+
+  promptRef = httpResource<Prompt>(() => {
+    if (!this.promptName()) {
+      return undefined;
+    }
+
+    return `/api/prompts/${this.promptName()}`;
+  });
+}
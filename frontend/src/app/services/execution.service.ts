@@ -0,0 +1,41 @@
+import { HttpClient } from '@angular/common/http';
+import { Injectable, inject, signal } from '@angular/core';
+
+import { EMPTY, Observable, catchError, take } from 'rxjs';
+
+@Injectable({
+  providedIn: 'root',
+})
+export class ExecutionService {
+  #httpClient = inject(HttpClient);
+
+  error = signal<string | null>(null);
+
+  cancel(executionId: string): Observable<unknown> {
+    this.error.set(null);
+
+    return this.#httpClient
+      .post(`/api/executions/${executionId}/cancel`, {})
+      .pipe(
+        take(1),
+        catchError((err) => {
+          this.error.set(err.error?.message || err.message);
+          return EMPTY;
+        })
+      );
+  }
+
+  sendMessage(executionId: string, message: string): Observable<unknown> {
+    this.error.set(null);
+
+    return this.#httpClient
+      .post(`/api/executions/${executionId}/messages?detach=true`, { message })
+      .pipe(
+        take(1),
+        catchError((err) => {
+          this.error.set(err.error?.message || err.message);
+          return EMPTY;
+        })
+      );
+  }
+}
@@ -0,0 +1,62 @@
+import { HttpClient } from '@angular/common/http';
+import { Injectable, inject, signal } from '@angular/core';
+
+import { EMPTY, catchError, finalize, take } from 'rxjs';
+
+import {
+  PendingPrompt,
+  PendingPromptResponse,
+} from '../components/pending-prompts/models/pending-prompt-model';
+
+@Injectable({
+  providedIn: 'root',
+})
+export class PendingPromptService {
+  #httpClient = inject(HttpClient);
+
+  loading = signal<boolean>(false);
+  error = signal<string | null>(null);
+  pendingPrompts = signal<PendingPrompt[] | null>(null);
+
+  constructor() {
+    this.refresh();
+  }
+
+  refresh() {
+    this.loading.set(true);
+    this.error.set(null);
+
+    this.#httpClient
+      .get<PendingPromptResponse>('/api/pending-prompts')
+      .pipe(
+        take(1),
+        finalize(() => {
+          this.loading.set(false);
+        }),
+        catchError((err) => {
+          this.error.set(err.message);
+          return EMPTY;
+        })
+      )
+      .subscribe((response) => {
+        this.pendingPrompts.set(response.data.pendingPrompts);
+      });
+  }
+
+  cancel(pendingPrompt: PendingPrompt) {
+    this.#httpClient
+      .delete(`/api/pending-prompts/${pendingPrompt.id}`)
+      .pipe(
+        catchError((err) => {
+          this.error.set(err.message);
+          return EMPTY;
+        }),
+        take(1)
+      )
+      .subscribe(() => {
+        this.pendingPrompts.update((pendingPrompts) =>
+          (pendingPrompts || []).filter((p) => p.id !== pendingPrompt.id)
+        );
+      });
+  }
+}
@@ -0,0 +1,62 @@
+import { HttpClient } from '@angular/common/http';
+import { Injectable, inject, signal } from '@angular/core';
+
+import { EMPTY, Observable, catchError, finalize, map, take } from 'rxjs';
+
+import {
+  PromptDefinition,
+  PromptSaveResponse,
+} from '../components/prompts/models/prompt-model';
+
+@Injectable({
+  providedIn: 'root',
+})
+export class PromptService {
+  #httpClient = inject(HttpClient);
+
+  saving = signal<boolean>(false);
+  error = signal<string | null>(null);
+
+  create(prompt: PromptDefinition): Observable<PromptDefinition> {
+    return this.#send(
+      this.#httpClient.post<PromptSaveResponse>('/api/prompts', prompt)
+    );
+  }
+
+  update(
+    promptName: string,
+    prompt: PromptDefinition
+  ): Observable<PromptDefinition> {
+    return this.#send(
+      this.#httpClient.put<PromptSaveResponse>(
+        `/api/prompts/${encodeURIComponent(promptName)}`,
+        prompt
+      )
+    );
+  }
+
+  delete(promptName: string): Observable<{ name: string }> {
+    return this.#send(
+      this.#httpClient.delete<{ data: { name: string } }>(
+        `/api/prompts/${encodeURIComponent(promptName)}`
+      )
+    );
+  }
+
+  #send<T>(request: Observable<{ data: T }>): Observable<T> {
+    this.saving.set(true);
+    this.error.set(null);
+
+    return request.pipe(
+      take(1),
+      map((response) => response.data),
+      finalize(() => {
+        this.saving.set(false);
+      }),
+      catchError((err) => {
+        this.error.set(err.error?.message || err.message);
+        return EMPTY;
+      })
+    );
+  }
+}